@@ -4,15 +4,19 @@
  * ============================================================
  * 
  * Handles user confirmation workflow for actions:
- * - Email sending
- * - Teams messages
+ * - Email sending (with attachments), replies and forwards
+ * - Teams messages (files shared as links)
+ * - Teams channel posts and thread replies (with @mentions)
  * - Calendar invites
+ * - Meeting reschedules
+ * - Meeting invitation responses
  * 
  * Flow:
  * 1. Agent determines action needed
  * 2. System creates preview
  * 3. User gets preview + confirmation request
- * 4. User can: confirm (proceed), edit (get edit options), or cancel
+ * 4. User can: confirm (proceed), edit (get edit options), save as draft
+ *    (emails only - see canSaveDraft), or cancel
  * 5. System executes based on user choice
  * 
  * No hardcoding - configuration-driven
@@ -20,10 +24,16 @@
  */
 
 const formatters = require('./formatters');
+const emailTemplates = require('./email-templates');
+const crypto = require('crypto');
+const { createStore } = require('./store');
+
+// Pending actions expire if not confirmed within an hour
+const PENDING_ACTION_TTL_MS = 60 * 60 * 1000;
 
 // Store pending actions waiting for user confirmation
-// Key: actionId, Value: action details
-const pendingActionsStore = new Map();
+// Key: actionId, Value: action details (incl. the sessionId that owns it)
+const pendingActionsStore = createStore('pending-actions', { ttlMs: PENDING_ACTION_TTL_MS });
 
 // Configuration for confirmation workflows
 // IMPORTANT: Field names must match the data passed from agent-tools.js
@@ -31,20 +41,65 @@ const CONFIRMATION_CONFIG = {
   send_email: {
     title: '📧 Email Preview',
     requiresConfirmation: true,
-    editableFields: ['recipientName', 'subject', 'body', 'ccRecipients'],
-    displayFields: ['recipientName', 'subject', 'body', 'ccRecipients']
+    canSaveDraft: true,
+    editableFields: ['recipientNames', 'subject', 'body', 'ccRecipients', 'bccRecipients', 'attachments'],
+    displayFields: ['recipientNames', 'recipients', 'subject', 'body', 'ccRecipients', 'bccRecipients', 'attachments', 'sender', 'template']
+  },
+  reply_to_email: {
+    title: '↩️ Reply Preview',
+    requiresConfirmation: true,
+    canSaveDraft: true,
+    editableFields: ['body', 'replyAll'],
+    displayFields: ['subject', 'originalFrom', 'originalDate', 'originalPreview', 'recipients', 'replyAll', 'body', 'sender', 'template']
+  },
+  forward_email: {
+    title: '➡️ Forward Preview',
+    requiresConfirmation: true,
+    canSaveDraft: true,
+    editableFields: ['recipientNames', 'body'],
+    displayFields: ['subject', 'originalFrom', 'originalDate', 'originalPreview', 'recipientNames', 'recipients', 'body', 'sender', 'template']
+  },
+  send_draft: {
+    title: '📤 Send Draft',
+    requiresConfirmation: true,
+    editableFields: [],
+    displayFields: ['to', 'subject', 'lastModified', 'preview']
   },
   send_teams_message: {
     title: '💬 Teams Message Preview',
     requiresConfirmation: true,
-    editableFields: ['recipientName', 'message'],
-    displayFields: ['recipientName', 'message']
+    editableFields: ['recipientName', 'message', 'attachments'],
+    displayFields: ['recipientName', 'message', 'attachments']
+  },
+  post_channel_message: {
+    title: '📣 Channel Post Preview',
+    requiresConfirmation: true,
+    editableFields: ['subject', 'message', 'attachments'],
+    displayFields: ['teamName', 'channelName', 'subject', 'message', 'mentions', 'attachments']
+  },
+  reply_to_channel_message: {
+    title: '💬 Channel Reply Preview',
+    requiresConfirmation: true,
+    editableFields: ['message', 'attachments'],
+    displayFields: ['teamName', 'channelName', 'replyTo', 'message', 'mentions', 'attachments']
   },
   create_calendar_event: {
     title: '📅 Meeting Preview',
     requiresConfirmation: true,
-    editableFields: ['subject', 'attendeeNames', 'startTime', 'endTime'],
-    displayFields: ['subject', 'attendeeNames', 'startTime', 'endTime', 'isTeamsMeeting']
+    editableFields: ['subject', 'attendeeNames', 'startTime', 'endTime', 'location', 'recurrence'],
+    displayFields: ['subject', 'attendeeNames', 'attendees', 'conflicts', 'startTime', 'endTime', 'timeZone', 'location', 'recurrence', 'isTeamsMeeting']
+  },
+  reschedule_calendar_event: {
+    title: '🕒 Reschedule Meeting',
+    requiresConfirmation: true,
+    editableFields: ['startTime', 'endTime'],
+    displayFields: ['subject', 'attendees', 'originalStart', 'originalEnd', 'startTime', 'endTime', 'timeZone']
+  },
+  respond_to_meeting_invite: {
+    title: '📨 Meeting Response',
+    requiresConfirmation: true,
+    editableFields: ['response', 'comment', 'proposedStart', 'proposedEnd'],
+    displayFields: ['subject', 'organizer', 'startTime', 'endTime', 'currentResponse', 'response', 'comment', 'proposedStart', 'proposedEnd', 'timeZone']
   },
   delete_sent_email: {
     title: '🗑️ Delete Email Confirmation',
@@ -60,19 +115,32 @@ const CONFIRMATION_CONFIG = {
   }
 };
 
+/**
+ * Check whether a tool must be confirmed by the user before it runs
+ * @param {String} actionType - Tool name (send_email, get_calendar_events, etc.)
+ * @returns {Boolean}
+ */
+function requiresConfirmation(actionType) {
+  return Boolean(CONFIRMATION_CONFIG[actionType]?.requiresConfirmation);
+}
+
 /**
  * Create an action preview for user confirmation
  * 
  * @param {String} actionType - Type of action (send_email, send_teams_message, etc.)
  * @param {Object} actionData - Data for the action
  * @param {Object} validatedRecipientData - Optional pre-validated recipient data to cache
- * @returns {Object} Preview object with unique actionId
+ * @param {String} sessionId - Session that owns the action (only it can edit or confirm it)
+ * @returns {Promise<Object>} Preview object with unique actionId
  */
-function createActionPreview(actionType, actionData, validatedRecipientData = null) {
+async function createActionPreview(actionType, actionData, validatedRecipientData = null, sessionId = null) {
   // Validate action type
   if (!CONFIRMATION_CONFIG[actionType]) {
     throw new Error(`Unknown action type: ${actionType}`);
   }
+  if (!sessionId) {
+    throw new Error('Missing session for action preview');
+  }
 
   const config = CONFIRMATION_CONFIG[actionType];
   const actionId = generateActionId();
@@ -90,8 +158,9 @@ function createActionPreview(actionType, actionData, validatedRecipientData = nu
   };
 
   // Store in pending actions
-  pendingActionsStore.set(actionId, {
+  await pendingActionsStore.set(actionId, {
     ...preview,
+    sessionId,
     originalData: actionData, // Keep original for reference
     editedData: null,
     validatedRecipientData: validatedRecipientData // Cache validated recipient data for fast execution
@@ -108,10 +177,18 @@ function createActionPreview(actionType, actionData, validatedRecipientData = nu
 /**
  * Get a pending action by ID
  * @param {String} actionId 
- * @returns {Object} Pending action or null
+ * @param {String} sessionId - Session asking for it
+ * @returns {Promise<Object>} Pending action, or null if missing or owned by another session
  */
-function getPendingAction(actionId) {
-  return pendingActionsStore.get(actionId) || null;
+async function getPendingAction(actionId, sessionId) {
+  const action = await pendingActionsStore.get(actionId);
+  if (!action) return null;
+
+  if (!sessionId || action.sessionId !== sessionId) {
+    console.warn(`⚠️ Action ${actionId} requested by a session that does not own it`);
+    return null;
+  }
+  return action;
 }
 
 /**
@@ -119,11 +196,12 @@ function getPendingAction(actionId) {
  * Moves action to ready-for-execution status
  * 
  * @param {String} actionId 
+ * @param {String} sessionId - Session that owns the action
  * @param {Object} userConfirmation - {confirmed: true/false}
- * @returns {Object} Confirmation result
+ * @returns {Promise<Object>} Confirmation result
  */
-function confirmAction(actionId, userConfirmation = {}) {
-  const action = getPendingAction(actionId);
+async function confirmAction(actionId, sessionId, userConfirmation = {}) {
+  const action = await getPendingAction(actionId, sessionId);
 
   if (!action) {
     return {
@@ -134,7 +212,7 @@ function confirmAction(actionId, userConfirmation = {}) {
 
   if (userConfirmation.confirmed === false) {
     // User cancelled
-    pendingActionsStore.delete(actionId);
+    await pendingActionsStore.delete(actionId);
     console.log(`✗ Action cancelled: ${actionId}`);
     return {
       success: true,
@@ -146,6 +224,7 @@ function confirmAction(actionId, userConfirmation = {}) {
   // User confirmed
   action.status = 'confirmed';
   action.confirmedAt = new Date().toISOString();
+  await pendingActionsStore.set(actionId, action);
 
   console.log(`✓ Action confirmed: ${actionId}`);
 
@@ -162,15 +241,17 @@ function confirmAction(actionId, userConfirmation = {}) {
  * Edit a pending action before confirmation
  * 
  * @param {String} actionId 
+ * @param {String} sessionId - Session that owns the action
  * @param {Object} edits - Fields to edit
- * @returns {Object} Updated action preview
+ * @returns {Promise<Object>} Updated action preview
  */
-function editPendingAction(actionId, edits = {}) {
-  const action = getPendingAction(actionId);
+async function editPendingAction(actionId, sessionId, edits = {}) {
+  const action = await getPendingAction(actionId, sessionId);
 
   if (!action) {
     return {
       success: false,
+      notFound: true,
       error: 'Action not found'
     };
   }
@@ -187,11 +268,23 @@ function editPendingAction(actionId, edits = {}) {
     }
   }
 
+  // Attachments can only be removed - never swapped for other files
+  if (edits.attachments) {
+    const keepIds = new Set((Array.isArray(edits.attachments) ? edits.attachments : []).map(a => a && a.id));
+    edits = { ...edits, attachments: (action.originalData.attachments || []).filter(a => keepIds.has(a.id)) };
+  }
+
   // Apply edits
   action.editedData = action.editedData || { ...action.originalData };
   Object.assign(action.editedData, edits);
+
+  // Resolved addresses belong to the old names - they are looked up again on confirm
+  if (['recipientNames', 'ccRecipients', 'bccRecipients'].some(field => field in edits)) {
+    delete action.editedData.recipients;
+  }
   action.status = 'edited';
   action.editedAt = new Date().toISOString();
+  await pendingActionsStore.set(actionId, action);
 
   console.log(`✓ Action edited: ${actionId}`, edits);
 
@@ -211,10 +304,11 @@ function editPendingAction(actionId, edits = {}) {
  * Returns either edited data (if edited) or original data
  * 
  * @param {String} actionId 
- * @returns {Object} Data ready for execution
+ * @param {String} sessionId - Session that owns the action
+ * @returns {Promise<Object>} Data ready for execution
  */
-function getActionForExecution(actionId) {
-  const action = getPendingAction(actionId);
+async function getActionForExecution(actionId, sessionId) {
+  const action = await getPendingAction(actionId, sessionId);
 
   if (!action) return null;
   if (action.status !== 'confirmed') return null;
@@ -226,9 +320,8 @@ function getActionForExecution(actionId) {
  * Clear/remove a processed action
  * @param {String} actionId 
  */
-function clearAction(actionId) {
-  if (pendingActionsStore.has(actionId)) {
-    pendingActionsStore.delete(actionId);
+async function clearAction(actionId) {
+  if (await pendingActionsStore.delete(actionId)) {
     console.log(`✓ Action cleared: ${actionId}`);
   }
 }
@@ -240,17 +333,88 @@ function clearAction(actionId) {
  */
 function formatPreviewForDisplay(preview) {
   switch (preview.actionType) {
-    case 'send_email':
+    case 'send_email': {
+      // Resolved addresses when known, otherwise the names as typed
+      const resolved = preview.data.recipients;
+      const describe = (field, names) => (resolved
+        ? resolved[field].map(r => `${r.name === r.email ? r.email : `${r.name} <${r.email}>`}${r.type === 'group' ? ' (group)' : ''}`)
+        : (names || [])
+      ).join(', ');
+      const toNames = preview.data.recipientNames || [];
+      // Same greeting graph-tools uses when sending
+      const greetingName = resolved
+        ? (resolved.to.length === 1 && resolved.to[0].type !== 'group' ? resolved.to[0].name : 'all')
+        : (toNames.length === 1 ? toNames[0] : 'all');
       return {
         actionId: preview.actionId,
         title: preview.title,
         type: 'email',
         details: {
-          to: preview.data.recipientName || preview.data.recipient,
+          to: describe('to', toNames) || 'No recipients',
+          cc: describe('cc', preview.data.ccRecipients) || 'None',
+          bcc: describe('bcc', preview.data.bccRecipients) || 'None',
+          recipientNames: toNames,
+          ccRecipients: preview.data.ccRecipients || [],
+          bccRecipients: preview.data.bccRecipients || [],
           subject: preview.data.subject,
           body: preview.data.body,
-          cc: (preview.data.cc_recipients || preview.data.ccRecipients)?.length > 0 ? (preview.data.cc_recipients || preview.data.ccRecipients).join(', ') : 'None',
-          preview: `Email to ${preview.data.recipientName || preview.data.recipient}`
+          html: renderEmailHtml(preview.data, greetingName, true),
+          attachments: preview.data.attachments || [],
+          preview: `Email to ${toNames.join(', ')}`
+        },
+        editable: preview.editableFields,
+        canSaveDraft: true,
+        status: preview.status
+      };
+    }
+
+    case 'reply_to_email':
+    case 'forward_email': {
+      const isForward = preview.actionType === 'forward_email';
+      // Reply all can be switched off in the preview - then only the sender gets it
+      const recipients = (!isForward && preview.data.replyAll === false)
+        ? (preview.data.recipients || []).slice(0, 1)
+        : (preview.data.recipients || []);
+      // Same greeting graph-tools uses when sending
+      const greetingName = (isForward ? recipients.length === 1 : !preview.data.replyAll)
+        ? recipients[0]?.name
+        : 'all';
+      return {
+        actionId: preview.actionId,
+        title: preview.title,
+        type: 'email_reply',
+        details: {
+          mode: isForward ? 'forward' : (preview.data.replyAll ? 'reply_all' : 'reply'),
+          subject: `${isForward ? 'Fw' : 'Re'}: ${preview.data.subject}`,
+          to: recipients.length > 0
+            ? recipients.map(r => `${r.name} <${r.email}>`).join(', ')
+            : (preview.data.recipientNames?.join(', ') || 'No recipients'),
+          recipientNames: preview.data.recipientNames || [],
+          replyAll: preview.data.replyAll || false,
+          originalFrom: preview.data.originalFrom,
+          originalDate: preview.data.originalDate,
+          originalPreview: preview.data.originalPreview,
+          body: preview.data.body || '',
+          html: renderEmailHtml(preview.data, greetingName, false),
+          preview: `${isForward ? 'Forward' : 'Reply'}: ${preview.data.subject}`
+        },
+        editable: preview.editableFields,
+        canSaveDraft: true,
+        status: preview.status
+      };
+    }
+
+    case 'send_draft':
+      return {
+        actionId: preview.actionId,
+        title: preview.title,
+        type: 'draft',
+        details: {
+          to: preview.data.to,
+          subject: preview.data.subject,
+          lastModified: preview.data.lastModified,
+          body: preview.data.preview,
+          preview: `Send draft: ${preview.data.subject}`
         },
         editable: preview.editableFields,
         status: preview.status
@@ -264,12 +428,36 @@ function formatPreviewForDisplay(preview) {
         details: {
           recipient: preview.data.recipientName || 'Unknown recipient',
           message: preview.data.message,
+          attachments: preview.data.attachments || [],
           preview: `Teams message to ${preview.data.recipientName || 'Unknown'}`
         },
         editable: preview.editableFields,
         status: preview.status
       };
 
+    case 'post_channel_message':
+    case 'reply_to_channel_message': {
+      const where = `${preview.data.teamName} › ${preview.data.channelName}`;
+      const replyTo = preview.data.replyTo;
+      return {
+        actionId: preview.actionId,
+        title: preview.title,
+        type: 'teams_channel',
+        details: {
+          channel: where,
+          subject: preview.data.subject || '',
+          // The thread being answered: "Raj Patel, 2:30 PM, Dec 17: Release notes ..."
+          replyTo: replyTo ? `${replyTo.sender}, ${replyTo.sentDate}: ${replyTo.subject || replyTo.content}` : null,
+          mentions: preview.data.mentions || [],
+          message: preview.data.message,
+          attachments: preview.data.attachments || [],
+          preview: replyTo ? `Reply in ${where}` : `Post in ${where}`
+        },
+        editable: preview.editableFields,
+        status: preview.status
+      };
+    }
+
     case 'create_calendar_event':
       return {
         actionId: preview.actionId,
@@ -277,9 +465,19 @@ function formatPreviewForDisplay(preview) {
         type: 'meeting',
         details: {
           subject: preview.data.subject,
-          attendees: preview.data.attendeeNames?.join(', ') || 'No attendees',
+          // Resolved "Name <email>" when available so the user sees exactly who is invited
+          attendees: preview.data.attendees?.length > 0
+            ? preview.data.attendees.map(a => `${a.name} <${a.email}>`).join(', ')
+            : (preview.data.attendeeNames?.join(', ') || 'No attendees'),
+          attendeeNames: preview.data.attendeeNames || [],
+          conflicts: preview.data.conflicts || [],
           startTime: preview.data.startTime || preview.data.start,
           endTime: preview.data.endTime || preview.data.end,
+          when: formatters.formatMeetingWindow(preview.data.startTime || preview.data.start, preview.data.endTime || preview.data.end, preview.data.timeZone),
+          timeZone: preview.data.timeZone || null,
+          location: preview.data.location || '',
+          recurrence: preview.data.recurrence || null,
+          repeats: formatters.formatRecurrence(preview.data.recurrence, preview.data.startTime || preview.data.start),
           isTeams: preview.data.isTeamsMeeting || false,
           preview: `Meeting: ${preview.data.subject}`
         },
@@ -287,6 +485,52 @@ function formatPreviewForDisplay(preview) {
         status: preview.status
       };
 
+    case 'reschedule_calendar_event':
+      return {
+        actionId: preview.actionId,
+        title: preview.title,
+        type: 'reschedule',
+        details: {
+          subject: preview.data.subject,
+          attendees: preview.data.attendees?.length > 0 ? preview.data.attendees.join(', ') : 'No attendees',
+          previousWhen: formatters.formatMeetingWindow(preview.data.originalStart, preview.data.originalEnd, preview.data.timeZone),
+          when: formatters.formatMeetingWindow(preview.data.startTime, preview.data.endTime, preview.data.timeZone),
+          startTime: preview.data.startTime,
+          endTime: preview.data.endTime,
+          timeZone: preview.data.timeZone || null,
+          preview: `Reschedule: ${preview.data.subject}`
+        },
+        editable: preview.editableFields,
+        status: preview.status
+      };
+
+    case 'respond_to_meeting_invite':
+      return {
+        actionId: preview.actionId,
+        title: preview.title,
+        type: 'invite_response',
+        details: {
+          subject: preview.data.subject,
+          organizer: preview.data.organizer || 'Unknown organizer',
+          when: formatters.formatMeetingWindow(preview.data.startTime, preview.data.endTime, preview.data.timeZone),
+          response: preview.data.response,
+          // Graph reports "notResponded" / "none" before the first answer
+          currentResponse: ['accepted', 'tentativelyAccepted', 'declined'].includes(preview.data.currentResponse)
+            ? preview.data.currentResponse
+            : null,
+          comment: preview.data.comment || '',
+          proposedStart: preview.data.proposedStart || null,
+          proposedEnd: preview.data.proposedEnd || null,
+          proposedWhen: preview.data.proposedStart
+            ? formatters.formatMeetingWindow(preview.data.proposedStart, preview.data.proposedEnd, preview.data.timeZone)
+            : null,
+          timeZone: preview.data.timeZone || null,
+          preview: `${preview.data.response} "${preview.data.subject}"`
+        },
+        editable: preview.editableFields,
+        status: preview.status
+      };
+
     case 'delete_sent_email':
       return {
         actionId: preview.actionId,
@@ -331,12 +575,30 @@ function formatPreviewForDisplay(preview) {
  * ============================================================
  */
 
+/**
+ * Render an email preview the way graph-tools will send it
+ * @param {Object} data - Action data with body, sender and template
+ * @param {String} greetingName - Recipient name ("all" for several people)
+ * @param {Boolean} includeFooter - False for replies/forwards
+ * @returns {String|null} HTML, or null when the sender wasn't loaded
+ */
+function renderEmailHtml(data, greetingName, includeFooter) {
+  if (!data.sender) return null;
+  return emailTemplates.renderEmail({
+    recipientName: (greetingName || '').trim().split(/\s+/)[0],
+    body: data.body || '',
+    sender: data.sender,
+    template: data.template || emailTemplates.DEFAULT_TEMPLATE,
+    includeFooter
+  }).html;
+}
+
 /**
  * Generate unique action ID
  * @returns {String}
  */
 function generateActionId() {
-  return `action_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return `action_${crypto.randomBytes(16).toString('hex')}`;
 }
 
 /**
@@ -357,10 +619,10 @@ function filterActionData(data, fields) {
 
 /**
  * Get all pending actions (for debugging/UI)
- * @returns {Array} List of pending actions
+ * @returns {Promise<Array>} List of pending actions
  */
-function getAllPendingActions() {
-  return Array.from(pendingActionsStore.values()).map(action => ({
+async function getAllPendingActions() {
+  return (await pendingActionsStore.entries()).map(([, action]) => ({
     actionId: action.actionId,
     actionType: action.actionType,
     status: action.status,
@@ -370,19 +632,10 @@ function getAllPendingActions() {
 
 /**
  * Clean up expired actions (older than 1 hour)
- * Call periodically to prevent memory leaks
+ * Entries carry a store TTL, so this only compacts the backend
  */
-function cleanupExpiredActions() {
-  const oneHourAgo = Date.now() - (60 * 60 * 1000);
-  let cleaned = 0;
-
-  for (const [actionId, action] of pendingActionsStore.entries()) {
-    const createdTime = new Date(action.timestamp).getTime();
-    if (createdTime < oneHourAgo) {
-      pendingActionsStore.delete(actionId);
-      cleaned++;
-    }
-  }
+async function cleanupExpiredActions() {
+  const cleaned = await pendingActionsStore.cleanup();
 
   if (cleaned > 0) {
     console.log(`✓ Cleaned up ${cleaned} expired actions`);
@@ -405,6 +658,7 @@ module.exports = {
   formatPreviewForDisplay,
 
   // Utilities
+  requiresConfirmation,
   getAllPendingActions,
   cleanupExpiredActions,
 
@@ -0,0 +1,147 @@
+/**
+ * ============================================================
+ * 🔁 AGENT TOOL ROUNDS
+ * ============================================================
+ *
+ * Runs the tool calls the model makes in one round of the agent loop
+ * (server.js queryAgent):
+ * - Calls in a round are independent, so they run in parallel
+ * - Failures never throw - they go back to the model as {error}
+ * - Only ONE action that needs confirmation (send_email, post_channel_message ...)
+ *   runs per round. The UI confirms one preview at a time, so further ones
+ *   are not executed and are answered with an error instead of leaving
+ *   previews nobody sees
+ *
+ * ============================================================
+ */
+
+const actionPreview = require('./action-preview');
+
+/**
+ * Run one round of tool calls
+ * @param {Array} toolCalls - tool_calls from the model's message
+ * @param {Object} context - { executeTool, userToken, sessionId, step, onEvent }
+ * @returns {Promise<Object>} {
+ *   results: [{ name, success, durationMs, actionPreview, message }] in tool_calls order,
+ *   preview: the action preview to show (or null),
+ *   deferred: names of confirmation actions that were not run this round
+ * }
+ */
+async function runToolRound(toolCalls, context) {
+  const firstAction = toolCalls.find(toolCall => actionPreview.requiresConfirmation(toolCall.function.name));
+  const deferred = [];
+
+  const results = await Promise.all(toolCalls.map((toolCall) => {
+    const functionName = toolCall.function.name;
+    if (actionPreview.requiresConfirmation(functionName) && toolCall !== firstAction) {
+      deferred.push(functionName);
+      return skipToolCall(toolCall, firstAction.function.name);
+    }
+    return runToolCall(toolCall, context);
+  }));
+
+  const previewResult = results.find(r => r.actionPreview);
+  return { results, preview: previewResult ? previewResult.actionPreview : null, deferred };
+}
+
+/**
+ * Execute one tool call from the model and build its 'tool' message
+ * Never throws - failures are reported back to the model as {error}
+ * @param {Object} toolCall
+ * @param {Object} context - { executeTool, userToken, sessionId, step, onEvent }
+ * @returns {Promise<Object>} { name, success, durationMs, actionPreview, message }
+ */
+async function runToolCall(toolCall, { executeTool, userToken, sessionId, step, onEvent }) {
+  const functionName = toolCall.function.name;
+  const started = Date.now();
+  let toolResult;
+  let success = true;
+  let errorMessage = null;
+
+  try {
+    const functionArgs = JSON.parse(toolCall.function.arguments || '{}');
+    console.log(`  → [step ${step}] Executing ${functionName} with args: `, JSON.stringify(functionArgs, null, 2));
+    emitAgentEvent(onEvent, { type: 'tool_call_start', name: functionName, args: functionArgs, step });
+
+    // ✅ FIXED: Pass userToken and sessionId to executeTool
+    toolResult = await executeTool(functionName, functionArgs, userToken, sessionId);
+    success = toolResult?.success !== false;
+    console.log(`  ✓ [step ${step}] ${functionName} completed: `, toolResult);
+  } catch (error) {
+    console.error(`  ✗ [step ${step}] ${functionName} failed: `, error.message);
+    success = false;
+    errorMessage = error.message;
+    toolResult = { error: error.message };
+  }
+
+  const durationMs = Date.now() - started;
+  emitAgentEvent(onEvent, {
+    type: 'tool_call_finish',
+    name: functionName,
+    success,
+    step,
+    durationMs,
+    ...(errorMessage && { error: errorMessage })
+  });
+
+  const isPreview = toolResult && typeof toolResult === 'object' && toolResult.type === 'action_preview';
+
+  // Several people match a name - the UI shows them as buttons
+  if (toolResult && toolResult.ambiguous && Array.isArray(toolResult.choices)) {
+    emitAgentEvent(onEvent, { type: 'contact_choice', choices: toolResult.choices, message: toolResult.message });
+  }
+
+  return toToolResult(toolCall, toolResult, { success, durationMs, actionPreview: isPreview ? toolResult : null });
+}
+
+/**
+ * Report agent progress without letting a listener failure break the request
+ * @param {Function} onEvent - Optional listener
+ * @param {Object} event
+ */
+function emitAgentEvent(onEvent, event) {
+  if (!onEvent) return;
+  try {
+    onEvent(event);
+  } catch (err) {
+    console.warn('⚠️ Agent event listener failed:', err.message);
+  }
+}
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS (Internal)
+ * ============================================================
+ */
+
+// A second confirmation action in the same round - answered without running it
+function skipToolCall(toolCall, runningAction) {
+  console.log(`  ⏸️ ${toolCall.function.name} not run - ${runningAction} is already waiting for confirmation`);
+  return toToolResult(toolCall, {
+    success: false,
+    error: `Not run: only one action needing confirmation can run at a time and ${runningAction} is waiting for the user. Call ${toolCall.function.name} again after the user has confirmed or cancelled it.`
+  }, { success: false, durationMs: 0, actionPreview: null });
+}
+
+function toToolResult(toolCall, toolResult, { success, durationMs, actionPreview }) {
+  return {
+    name: toolCall.function.name,
+    success,
+    durationMs,
+    actionPreview,
+    message: {
+      role: 'tool',
+      tool_call_id: toolCall.id,
+      content: JSON.stringify(toolResult)
+    }
+  };
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+module.exports = {
+  runToolRound,
+  runToolCall,
+  emitAgentEvent
+};
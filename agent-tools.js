@@ -1,5 +1,46 @@
 const graphTools = require('./graph-tools');
 const actionPreview = require('./action-preview');
+const timezoneHelper = require('./timezone-helper');
+const dateParser = require('./date-parser');
+const emailTemplates = require('./email-templates');
+const { createStore } = require('./store');
+
+// Last email/draft list shown to each session, so "reply to the second one" can be
+// resolved on a later turn (tool results aren't kept in the conversation history)
+const RECENT_LISTS_TTL_MS = 24 * 60 * 60 * 1000;
+const recentListsStore = createStore('recent-lists', { ttlMs: RECENT_LISTS_TTL_MS });
+
+// Tools whose results can be referred to by position, and the list each one fills
+const LIST_TOOLS = {
+  get_recent_emails: 'emails',
+  search_emails: 'emails',
+  list_drafts: 'drafts',
+  get_recent_files: 'files',
+  search_files: 'files',
+  get_channel_messages: 'channel_posts'
+};
+
+// Tools that take a position in a list: [list, index argument, ID argument]
+const INDEX_TOOLS = {
+  reply_to_email: ['emails', 'message_index', 'message_id'],
+  forward_email: ['emails', 'message_index', 'message_id'],
+  update_draft: ['drafts', 'draft_index', 'draft_id'],
+  send_draft: ['drafts', 'draft_index', 'draft_id'],
+  reply_to_channel_message: ['channel_posts', 'message_index', 'message_id']
+};
+
+// What the items of each list are called in error messages
+const LIST_ITEM_NAMES = { emails: 'email', drafts: 'draft', files: 'file', channel_posts: 'post' };
+
+// Tools that write an email body - their previews show the rendered HTML
+const EMAIL_COMPOSE_TOOLS = ['send_email', 'reply_to_email', 'forward_email'];
+
+// Files found earlier or uploaded in the web UI, referred to by name
+const ATTACHMENTS_PARAM = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Files to send: names from search_files / get_recent_files results or uploaded files, or part of a OneDrive file name (e.g. "Q3 report")'
+};
 
 // =========================
 // 🔧 Define available tools
@@ -19,6 +60,62 @@ const tools = [
       }
     }
   },
+  {
+    type: 'function',
+    function: {
+      name: 'choose_contact',
+      description: 'Save which person the user meant after a "Did you mean ...?" question, so the same name finds them from now on. Then repeat the original request.',
+      parameters: {
+        type: 'object',
+        properties: {
+          searched_name: { type: 'string', description: 'The name as it was asked about (e.g. "Raj")' },
+          email: { type: 'string', description: 'Email address of the person the user picked' }
+        },
+        required: ['searched_name', 'email']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'save_contact_alias',
+      description: 'Save a name the user wants to use for one or more people, e.g. "boss" for their manager or "design team" for Priya, Vansh and Jatin. Afterwards the alias works wherever a name does.',
+      parameters: {
+        type: 'object',
+        properties: {
+          alias: { type: 'string', description: 'The new name, e.g. "design team"' },
+          targets: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Who it stands for: names, email addresses, groups or relationships ("my manager", "my team")'
+          }
+        },
+        required: ['alias', 'targets']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'remove_contact_alias',
+      description: 'Forget one of the user\'s saved aliases.',
+      parameters: {
+        type: 'object',
+        properties: {
+          alias: { type: 'string' }
+        },
+        required: ['alias']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_contact_aliases',
+      description: 'List the user\'s saved aliases and who they stand for.',
+      parameters: { type: 'object', properties: {} }
+    }
+  },
   {
     type: 'function',
     function: {
@@ -54,12 +151,136 @@ const tools = [
       parameters: {
         type: 'object',
         properties: {
-          recipient_name: { type: 'string' },
+          recipient_names: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'To: people, groups / distribution lists (e.g. "Sales Team"), relationships ("my manager", "my team"), the user\'s aliases or email addresses'
+          },
           subject: { type: 'string' },
           body: { type: 'string' },
-          cc_recipients: { type: 'array', items: { type: 'string' }, default: [] }
+          cc_recipients: { type: 'array', items: { type: 'string' }, default: [] },
+          bcc_recipients: { type: 'array', items: { type: 'string' }, default: [] },
+          attachments: ATTACHMENTS_PARAM,
+          attach_as: {
+            type: 'string',
+            enum: ['file', 'link'],
+            description: 'Attach the files themselves (default) or share OneDrive links'
+          }
         },
-        required: ['recipient_name', 'subject', 'body']
+        required: ['recipient_names', 'subject', 'body']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'reply_to_email',
+      description: 'Reply or reply all to an email in the inbox. Identify it by its number in the last email list, or by sender and/or subject (newest match is used).',
+      parameters: {
+        type: 'object',
+        properties: {
+          message_index: {
+            type: 'number',
+            description: 'Position in the last get_recent_emails/search_emails result, starting at 1 (optional)'
+          },
+          sender_name: { type: 'string', description: 'Who sent the email (optional)' },
+          subject: { type: 'string', description: 'Part of the email subject (optional)' },
+          body: { type: 'string', description: 'Reply text, without greeting or sign-off' },
+          reply_all: { type: 'boolean', default: false }
+        },
+        required: ['body']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'forward_email',
+      description: 'Forward an email from the inbox to one or more people. Identify it like reply_to_email.',
+      parameters: {
+        type: 'object',
+        properties: {
+          message_index: {
+            type: 'number',
+            description: 'Position in the last get_recent_emails/search_emails result, starting at 1 (optional)'
+          },
+          sender_name: { type: 'string', description: 'Who sent the email (optional)' },
+          subject: { type: 'string', description: 'Part of the email subject (optional)' },
+          recipient_names: { type: 'array', items: { type: 'string' } },
+          body: { type: 'string', description: 'Note above the forwarded email (optional)', default: '' }
+        },
+        required: ['recipient_names']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_drafts',
+      description: 'List saved email drafts, most recently edited first.',
+      parameters: {
+        type: 'object',
+        properties: {
+          count: { type: 'number', default: 10 }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'update_draft',
+      description: 'Change the subject and/or text of a saved draft. Identify it by its number in the last list_drafts result or by subject (default: the latest draft).',
+      parameters: {
+        type: 'object',
+        properties: {
+          draft_index: {
+            type: 'number',
+            description: 'Position in the last list_drafts result, starting at 1 (optional)'
+          },
+          subject: { type: 'string', description: 'Part of the current subject (optional)' },
+          new_subject: { type: 'string', description: 'New subject (optional)' },
+          body: { type: 'string', description: 'New text replacing the old, without greeting or sign-off (optional)' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'send_draft',
+      description: 'Send a saved draft. Identify it like update_draft.',
+      parameters: {
+        type: 'object',
+        properties: {
+          draft_index: {
+            type: 'number',
+            description: 'Position in the last list_drafts result, starting at 1 (optional)'
+          },
+          subject: { type: 'string', description: 'Part of the subject (optional)' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'update_email_template',
+      description: 'Change how the user\'s outgoing emails look. Only pass what should change. Placeholders: {firstName}, {recipientName}, {senderName}, {date}.',
+      parameters: {
+        type: 'object',
+        properties: {
+          greeting: { type: 'string', description: 'e.g. "Hello {firstName},"' },
+          sign_off: { type: 'string', description: 'e.g. "Cheers,"' },
+          signature_fields: {
+            type: 'array',
+            items: { type: 'string', enum: ['jobTitle', 'department', 'email', 'officeLocation'] },
+            description: 'Profile details under the name, in order'
+          },
+          footer: { type: 'string', description: 'Line at the bottom of new emails ("" for none)' },
+          accent_color: { type: 'string', description: 'Hex color of the name, e.g. "#0f766e"' },
+          reset: { type: 'boolean', description: 'Go back to the default template' }
+        }
       }
     }
   },
@@ -71,7 +292,11 @@ const tools = [
       parameters: {
         type: 'object',
         properties: {
-          days: { type: 'number', default: 7 }
+          days: { type: 'number', default: 7 },
+          until: {
+            type: 'string',
+            description: 'End of the period in the user\'s words, e.g. "friday", "end of month" (optional - overrides days)'
+          }
         }
       }
     }
@@ -85,17 +310,163 @@ const tools = [
         type: 'object',
         properties: {
           subject: { type: 'string' },
-          start: { type: 'string' },
-          end: { type: 'string' },
+          start: {
+            type: 'string',
+            description: 'Start in the user\'s words, e.g. "tomorrow 3pm", "next thursday 10-11am"'
+          },
+          end: {
+            type: 'string',
+            description: 'End time, e.g. "4pm" (optional)'
+          },
+          duration: {
+            type: 'string',
+            description: 'Length when no end is given, e.g. "30 minutes" (optional - default 1 hour)'
+          },
           location: { type: 'string', default: '' },
+          attendeeNames: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'People, groups, relationships ("my team", "my manager") or the user\'s aliases',
+            default: []
+          },
+          isTeamsMeeting: { type: 'boolean', default: false },
+          recurrence: {
+            type: 'object',
+            description: 'Only for repeating meetings ("daily standup", "weekly 1:1"). Omit for one-off meetings.',
+            properties: {
+              frequency: { type: 'string', enum: ['daily', 'weekdays', 'weekly', 'monthly'] },
+              interval: { type: 'number', description: 'Every N days/weeks/months (default 1)' },
+              days_of_week: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Weekly: e.g. ["monday", "wednesday"] (default: the start day)'
+              },
+              day_of_month: { type: 'number', description: 'Monthly: e.g. 15 (default: the start date)' },
+              week_of_month: {
+                type: 'string',
+                enum: ['first', 'second', 'third', 'fourth', 'last'],
+                description: 'Monthly on e.g. "the first monday" - use with days_of_week'
+              },
+              until: { type: 'string', description: 'Last date in the user\'s words, e.g. "end of year" (optional)' },
+              occurrences: { type: 'number', description: 'Number of meetings in the series (optional)' }
+            },
+            required: ['frequency']
+          }
+        },
+        required: ['subject', 'start']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'find_meeting_times',
+      description: 'Find times when all attendees are free within working hours. Use before booking when no exact time is given.',
+      parameters: {
+        type: 'object',
+        properties: {
           attendeeNames: {
             type: 'array',
             items: { type: 'string' },
             default: []
           },
-          isTeamsMeeting: { type: 'boolean', default: false }
+          duration_minutes: { type: 'number', default: 30 },
+          range_start: {
+            type: 'string',
+            description: 'Earliest start in the user\'s words, e.g. "tomorrow", "next week" (optional - default now)'
+          },
+          range_end: {
+            type: 'string',
+            description: 'Latest end, e.g. "friday" (optional - default end of range_start, or 5 days)'
+          }
+        },
+        required: ['attendeeNames']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'reschedule_calendar_event',
+      description: 'Move an existing meeting to a new time. Finds the meeting by subject, attendee and/or day. Attendees are notified.',
+      parameters: {
+        type: 'object',
+        properties: {
+          subject: {
+            type: 'string',
+            description: 'Part of the meeting subject (optional)'
+          },
+          attendee_name: {
+            type: 'string',
+            description: 'Name of someone invited to the meeting (optional)'
+          },
+          date: {
+            type: 'string',
+            description: 'Day the meeting is currently on, e.g. "today", "thursday" (optional)'
+          },
+          current_time: {
+            type: 'string',
+            description: 'Current start time, e.g. "3pm" for "my 3pm" (optional)'
+          },
+          new_start: {
+            type: 'string',
+            description: 'New start in the user\'s words, e.g. "tomorrow 3pm"'
+          },
+          new_end: {
+            type: 'string',
+            description: 'New end time (optional - keeps the original duration)'
+          },
+          duration: {
+            type: 'string',
+            description: 'New length, e.g. "45 minutes" (optional)'
+          }
+        },
+        required: ['new_start']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'respond_to_meeting_invite',
+      description: 'Accept, tentatively accept or decline a meeting invitation from someone else. Can include a comment and propose a new time (tentative/decline only). The organizer is notified.',
+      parameters: {
+        type: 'object',
+        properties: {
+          response: {
+            type: 'string',
+            enum: ['accept', 'tentative', 'decline']
+          },
+          subject: {
+            type: 'string',
+            description: 'Part of the meeting subject (optional)'
+          },
+          organizer_name: {
+            type: 'string',
+            description: 'Name of the person who sent the invite (optional)'
+          },
+          date: {
+            type: 'string',
+            description: 'Day of the meeting, e.g. "today", "thursday" (optional)'
+          },
+          current_time: {
+            type: 'string',
+            description: 'Start time of the meeting, e.g. "3pm" (optional)'
+          },
+          comment: {
+            type: 'string',
+            description: 'Message to the organizer, e.g. "Running late, will join at 3:10" (optional)'
+          },
+          proposed_start: {
+            type: 'string',
+            description: 'New time to propose in the user\'s words, e.g. "friday 2pm" (optional - tentative/decline only)'
+          },
+          proposed_end: {
+            type: 'string',
+            description: 'End of the proposed time (optional - keeps the original duration)'
+          }
         },
-        required: ['subject', 'start', 'end']
+        required: ['response']
       }
     }
   },
@@ -107,8 +478,9 @@ const tools = [
       parameters: {
         type: 'object',
         properties: {
-          recipient_name: { type: 'string' },
-          message: { type: 'string' }
+          recipient_name: { type: 'string', description: 'One person: a name, email address, "my manager" or one of the user\'s aliases' },
+          message: { type: 'string' },
+          attachments: ATTACHMENTS_PARAM
         },
         required: ['recipient_name', 'message']
       }
@@ -152,6 +524,86 @@ const tools = [
       }
     }
   },
+  {
+    type: 'function',
+    function: {
+      name: 'get_team_channels',
+      description: 'List the channels of a team the user is in.',
+      parameters: {
+        type: 'object',
+        properties: {
+          team_name: { type: 'string', description: 'Team name (spelling mistakes are fine)' }
+        },
+        required: ['team_name']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_channel_messages',
+      description: 'Read recent posts in a Teams channel, newest first, with their reply counts.',
+      parameters: {
+        type: 'object',
+        properties: {
+          team_name: { type: 'string' },
+          channel_name: { type: 'string', description: 'Channel name (optional - default General)' },
+          count: { type: 'number', default: 10 }
+        },
+        required: ['team_name']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'post_channel_message',
+      description: 'Post a new message in a Teams channel, optionally @mentioning people, the channel or the team.',
+      parameters: {
+        type: 'object',
+        properties: {
+          team_name: { type: 'string' },
+          channel_name: { type: 'string', description: 'Channel name (optional - default General)' },
+          subject: { type: 'string', description: 'Thread title (optional)' },
+          message: { type: 'string' },
+          mention_names: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'People to @mention (names, "my manager", aliases), or "channel" / "team" (optional)'
+          },
+          attachments: ATTACHMENTS_PARAM
+        },
+        required: ['team_name', 'message']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'reply_to_channel_message',
+      description: 'Reply in the thread of a Teams channel post. Identify the post by its number in the last get_channel_messages result, or by text from its subject, content or sender (default: the newest post).',
+      parameters: {
+        type: 'object',
+        properties: {
+          team_name: { type: 'string' },
+          channel_name: { type: 'string', description: 'Channel name (optional - default General)' },
+          message_index: {
+            type: 'number',
+            description: 'Position in the last get_channel_messages result, starting at 1 (optional)'
+          },
+          about: { type: 'string', description: 'Text from the post\'s subject, content or sender (optional)' },
+          message: { type: 'string' },
+          mention_names: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'People to @mention, or "channel" / "team" (optional)'
+          },
+          attachments: ATTACHMENTS_PARAM
+        },
+        required: ['message']
+      }
+    }
+  },
   {
     type: 'function',
     function: {
@@ -262,13 +714,30 @@ const functionMap = {
   get_recent_emails: graphTools.getRecentEmails,
   search_emails: graphTools.searchEmails,
   send_email: graphTools.sendEmail,
+  reply_to_email: graphTools.replyToEmail,
+  forward_email: graphTools.forwardEmail,
+  list_drafts: graphTools.getDrafts,
+  update_draft: graphTools.updateDraft,
+  send_draft: graphTools.sendDraft,
+  update_email_template: graphTools.updateEmailTemplate,
   get_calendar_events: graphTools.getCalendarEvents,
   create_calendar_event: graphTools.createCalendarEvent,
+  reschedule_calendar_event: graphTools.rescheduleCalendarEvent,
+  respond_to_meeting_invite: graphTools.respondToCalendarEvent,
+  find_meeting_times: graphTools.findMeetingTimes,
   get_recent_files: graphTools.getRecentFiles,
   search_files: graphTools.searchFiles,
   get_teams: graphTools.getTeams,
+  get_team_channels: graphTools.getTeamChannels,
+  get_channel_messages: graphTools.getChannelMessages,
+  post_channel_message: graphTools.postChannelMessage,
+  reply_to_channel_message: graphTools.replyToChannelMessage,
   get_user_profile: graphTools.getUserProfile,
   search_contact_email: graphTools.searchContactEmail,
+  choose_contact: graphTools.rememberContactChoice,
+  save_contact_alias: graphTools.saveContactAlias,
+  remove_contact_alias: graphTools.removeContactAlias,
+  list_contact_aliases: graphTools.listContactAliases,
   send_teams_message: graphTools.sendTeamsMessage,
 
   // deletion tools
@@ -294,46 +763,83 @@ async function executeTool(functionName, args = {}, userToken = null, sessionId
   const func = functionMap[functionName];
   if (!func) throw new Error(`Unknown function: ${functionName}`);
 
-  // Actions that require user confirmation
-  const confirmationRequiredActions = ['send_email', 'send_teams_message', 'delete_sent_email', 'delete_teams_message'];
+  // Calendar times are wall-clock times in the user's mailbox timezone (cached per session)
+  const timeZone = sessionId ? await timezoneHelper.getUserTimeZone(sessionId, userToken) : 'UTC';
+
+  // Turn "next thursday 3pm" etc. into exact times before anything else sees them
+  try {
+    args = normalizeDateArgs(functionName, args, timeZone);
+  } catch (error) {
+    console.log(`  ⚠ Could not parse date arguments: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+
+  // "the second email" → message ID from the list the user last saw
+  const indexTool = INDEX_TOOLS[functionName];
+  if (indexTool && args[indexTool[1]]) {
+    const [listName, indexArg, idArg] = indexTool;
+    const recentList = sessionId ? await recentListsStore.get(`${sessionId}:${listName}`) : null;
+    const item = recentList?.[args[indexArg] - 1];
+    if (!item) {
+      return {
+        success: false,
+        error: `There is no ${LIST_ITEM_NAMES[listName]} number ${args[indexArg]} in the last list. Ask the user for the subject instead.`
+      };
+    }
+    args = { ...args, [idArg]: item.id };
+    // Channel posts remember their channel, so the reply goes to the right thread
+    if (item.channelId) {
+      args = { ...args, team_name: item.teamId, channel_name: item.channelId };
+    }
+  }
 
-  // If action needs confirmation AND we're not skipping it, validate user and return preview
-  if (confirmationRequiredActions.includes(functionName) && sessionId && !skipConfirmation) {
+  // If action needs confirmation (see action-preview CONFIRMATION_CONFIG) AND we're not skipping it, validate user and return preview
+  if (actionPreview.requiresConfirmation(functionName) && sessionId && !skipConfirmation) {
     try {
       let actionData = {};
       let validatedRecipientData = null;
 
       // ✅ EARLY VALIDATION: Validate recipient BEFORE creating preview
       if (functionName === 'send_email') {
+        const lists = emailRecipientLists(args);
         actionData = {
-          recipientName: args.recipient_name,
+          recipientNames: lists.to,
           subject: args.subject,
           body: args.body,
-          ccRecipients: args.cc_recipients || []
+          ccRecipients: lists.cc,
+          bccRecipients: lists.bcc
         };
 
-        // Validate recipient exists
-        console.log(`🔍 Validating recipient: ${args.recipient_name}`);
-        const searchResult = await graphTools.searchContactEmail(args.recipient_name, userToken, sessionId);
+        // Find the files BEFORE showing the preview
+        const resolved = await resolveAttachments(args.attachments, args.attach_as, sessionId, userToken);
+        if (!resolved.attachments) return resolved;
+        actionData.attachments = resolved.attachments;
 
-        if (!searchResult.found) {
-          // ❌ User not found - return error immediately (no preview)
-          console.log(`  ❌ Recipient not found: ${args.recipient_name}`);
+        // Validate EVERY recipient - one unknown name stops the email
+        console.log(`🔍 Validating recipients: ${[...lists.to, ...lists.cc, ...lists.bcc].join(', ')}`);
+        const recipients = await graphTools.resolveEmailRecipients(lists, userToken, sessionId);
+
+        // ❓ A name matches several people - ask the user to choose (no preview)
+        const emailChoice = graphTools.ambiguousContactsResult(recipients.ambiguous);
+        if (emailChoice) return emailChoice;
+
+        if (recipients.notFound.length > 0) {
+          // ❌ Someone not found - return error immediately (no preview)
           return {
             success: false,
             notFound: true,
-            searchedName: searchResult.searchedName,
-            message: searchResult.message || `I couldn't find anyone named "${args.recipient_name}" in the organization. Please verify the name or provide their email address.`
+            missingRecipients: recipients.notFound,
+            message: graphTools.describeMissingRecipients(recipients.notFound)
           };
         }
+        if (recipients.to.length === 0) {
+          return { success: false, error: 'Who should the email go to?' };
+        }
 
-        // ✅ User found - cache the validated data
-        validatedRecipientData = {
-          recipientName: searchResult.results[0].name,
-          recipientEmail: searchResult.results[0].email,
-          source: searchResult.results[0].source
-        };
-        console.log(`  ✅ Recipient validated: ${validatedRecipientData.recipientEmail}`);
+        // ✅ Everyone found - cache the validated data
+        validatedRecipientData = { to: recipients.to, cc: recipients.cc, bcc: recipients.bcc };
+        actionData.recipients = validatedRecipientData;
+        console.log(`  ✅ Recipients validated: ${recipients.to.map(r => r.email).join(', ')}`);
 
       } else if (functionName === 'send_teams_message') {
         actionData = {
@@ -341,29 +847,252 @@ async function executeTool(functionName, args = {}, userToken = null, sessionId
           message: args.message
         };
 
+        // Find the files BEFORE showing the preview (shared as links in the chat)
+        const resolved = await resolveAttachments(args.attachments, 'link', sessionId, userToken);
+        if (!resolved.attachments) return resolved;
+        actionData.attachments = resolved.attachments;
+
         // Validate recipient exists
         console.log(`🔍 Validating recipient: ${args.recipient_name}`);
-        const searchResult = await graphTools.searchContactEmail(args.recipient_name, userToken, sessionId);
+        const picked = await graphTools.pickContact(args.recipient_name, userToken, sessionId);
 
-        if (!searchResult.found) {
+        if (picked.ambiguous) {
+          // ❓ Several people match - ask the user to choose (no preview)
+          console.log(`  ❓ Recipient ambiguous: ${args.recipient_name}`);
+          return graphTools.ambiguousContactsResult([picked]);
+        }
+
+        if (!picked.found) {
           // ❌ User not found - return error immediately (no preview)
           console.log(`  ❌ Recipient not found: ${args.recipient_name}`);
           return {
             success: false,
             notFound: true,
-            searchedName: searchResult.searchedName,
-            message: searchResult.message || `I couldn't find anyone named "${args.recipient_name}" in the organization. Please verify the name or provide their email address.`
+            searchedName: args.recipient_name,
+            message: picked.message || `I couldn't find anyone named "${args.recipient_name}" in the organization. Please verify the name or provide their email address.`
           };
         }
 
         // ✅ User found - cache the validated data
         validatedRecipientData = {
-          recipientName: searchResult.results[0].name,
-          recipientEmail: searchResult.results[0].email,
-          source: searchResult.results[0].source
+          recipientName: picked.contact.name,
+          recipientEmail: picked.contact.email,
+          source: picked.contact.source
         };
         console.log(`  ✅ Recipient validated: ${validatedRecipientData.recipientEmail}`);
 
+      } else if (functionName === 'create_calendar_event') {
+        const attendeeNames = args.attendeeNames || [];
+
+        // Resolve every attendee BEFORE showing the preview
+        console.log(`🔍 Validating ${attendeeNames.length} attendee(s)`);
+        const { attendees, notFound, ambiguous } = await graphTools.resolveAttendees(attendeeNames, userToken);
+
+        const attendeeChoice = graphTools.ambiguousContactsResult(ambiguous);
+        if (attendeeChoice) return attendeeChoice;
+
+        if (notFound.length > 0) {
+          // ❌ Attendee(s) not found - return error immediately (no preview)
+          console.log(`  ❌ Attendee(s) not found: ${notFound.join(', ')}`);
+          return {
+            success: false,
+            notFound: true,
+            missingAttendees: notFound,
+            message: `Cannot create meeting. I couldn't find: ${notFound.join(', ')}. Please verify their name(s).`
+          };
+        }
+
+        // Warn in the preview if anyone is already booked at that time
+        const busy = await graphTools.checkAvailability(attendees.map(a => a.email), args.start, args.end, userToken, timeZone);
+
+        actionData = {
+          subject: args.subject,
+          startTime: args.start,
+          endTime: args.end,
+          timeZone: timeZone,
+          location: args.location || '',
+          attendeeNames: attendeeNames,
+          attendees: attendees,
+          conflicts: busy.map(b => attendees.find(a => a.email.toLowerCase() === b.email.toLowerCase())?.name || b.email),
+          recurrence: args.recurrence || null,
+          isTeamsMeeting: true // Teams is always on (see create_calendar_event below)
+        };
+
+        // ✅ Cache resolved attendees so confirm doesn't search the directory again
+        validatedRecipientData = { attendees };
+        console.log(`  ✅ Attendees validated: ${attendees.map(a => a.email).join(', ') || 'none'}`);
+
+      } else if (functionName === 'reschedule_calendar_event') {
+        // Find the meeting to move first
+        console.log(`🔍 Finding meeting to reschedule...`);
+        const searchResult = await graphTools.rescheduleCalendarEvent(
+          args.subject || null,
+          args.attendee_name || null,
+          args.date || null,
+          args.current_time || null,
+          args.new_start,
+          args.new_end || null,
+          userToken,
+          timeZone,
+          true // true = preview mode
+        );
+
+        if (!searchResult.success) {
+          // Not found, ambiguous, not the organizer or invalid time - let the agent ask the user
+          return searchResult;
+        }
+
+        const event = searchResult.eventToReschedule;
+        actionData = {
+          eventId: event.id,
+          subject: event.subject,
+          attendees: event.attendees,
+          originalStart: event.originalStart,
+          originalEnd: event.originalEnd,
+          startTime: event.newStart,
+          endTime: event.newEnd,
+          timeZone: timeZone
+        };
+        console.log(`  ✅ Found meeting to reschedule: "${actionData.subject}"`);
+
+      } else if (functionName === 'respond_to_meeting_invite') {
+        // Find the invitation to answer first
+        console.log(`🔍 Finding meeting invitation...`);
+        const searchResult = await graphTools.respondToCalendarEvent(
+          args.response,
+          args.subject || null,
+          args.organizer_name || null,
+          args.date || null,
+          args.current_time || null,
+          args.comment || '',
+          args.proposed_start || null,
+          args.proposed_end || null,
+          userToken,
+          timeZone,
+          true // true = preview mode
+        );
+
+        if (!searchResult.success) {
+          // Not found, ambiguous or proposals not allowed - let the agent ask the user
+          return searchResult;
+        }
+
+        const event = searchResult.eventToRespond;
+        actionData = {
+          eventId: event.id,
+          subject: event.subject,
+          organizer: event.organizer,
+          startTime: event.start,
+          endTime: event.end,
+          currentResponse: event.currentResponse,
+          response: args.response,
+          comment: args.comment || '',
+          proposedStart: event.proposedStart,
+          proposedEnd: event.proposedEnd,
+          timeZone: timeZone
+        };
+        console.log(`  ✅ Found invitation: "${actionData.subject}" from ${actionData.organizer}`);
+
+      } else if (functionName === 'reply_to_email') {
+        // Find the email to answer first
+        const searchResult = await graphTools.replyToEmail(
+          args.message_id || null,
+          args.subject || null,
+          args.sender_name || null,
+          args.body,
+          args.reply_all === true,
+          userToken,
+          timeZone,
+          true // true = preview mode
+        );
+
+        if (!searchResult.success) {
+          return searchResult;
+        }
+
+        const email = searchResult.emailToReply;
+        actionData = {
+          messageId: email.id,
+          subject: email.subject,
+          originalFrom: email.from,
+          originalDate: email.receivedDate,
+          originalPreview: email.preview,
+          recipients: email.recipients,
+          replyAll: args.reply_all === true,
+          body: args.body
+        };
+        console.log(`  ✅ Found email to reply to: "${actionData.subject}"`);
+
+      } else if (functionName === 'forward_email') {
+        const recipientNames = args.recipient_names || [];
+
+        // Resolve every recipient BEFORE showing the preview
+        console.log(`🔍 Validating ${recipientNames.length} recipient(s)`);
+        const { attendees: recipients, notFound, ambiguous } = await graphTools.resolveAttendees(recipientNames, userToken);
+
+        const forwardChoice = graphTools.ambiguousContactsResult(ambiguous);
+        if (forwardChoice) return forwardChoice;
+
+        if (notFound.length > 0 || recipients.length === 0) {
+          return {
+            success: false,
+            notFound: true,
+            missingRecipients: notFound,
+            message: notFound.length > 0
+              ? `I couldn't find: ${notFound.join(', ')}. Please verify their name(s).`
+              : 'Who should the email be forwarded to?'
+          };
+        }
+
+        const searchResult = await graphTools.forwardEmail(
+          args.message_id || null,
+          args.subject || null,
+          args.sender_name || null,
+          recipients,
+          args.body || '',
+          userToken,
+          timeZone,
+          true // true = preview mode
+        );
+
+        if (!searchResult.success) {
+          return searchResult;
+        }
+
+        const email = searchResult.emailToForward;
+        actionData = {
+          messageId: email.id,
+          subject: email.subject,
+          originalFrom: email.from,
+          originalDate: email.receivedDate,
+          originalPreview: email.preview,
+          recipientNames: recipientNames,
+          recipients: recipients,
+          body: args.body || ''
+        };
+
+        // ✅ Cache resolved recipients so confirm doesn't search the directory again
+        validatedRecipientData = { recipients };
+        console.log(`  ✅ Found email to forward: "${actionData.subject}"`);
+
+      } else if (functionName === 'send_draft') {
+        // Find the draft to send first
+        const searchResult = await graphTools.sendDraft(args.draft_id || null, args.subject || null, userToken, timeZone, true); // true = preview mode
+
+        if (!searchResult.success) {
+          return searchResult;
+        }
+
+        const draft = searchResult.draftToSend;
+        actionData = {
+          draftId: draft.id,
+          to: draft.to,
+          subject: draft.subject,
+          lastModified: draft.lastModified,
+          preview: draft.preview
+        };
+        console.log(`  ✅ Found draft to send: "${actionData.subject}"`);
+
       } else if (functionName === 'delete_sent_email') {
         // Find the email to delete first
         console.log(`🔍 Finding email to delete...`);
@@ -405,10 +1134,44 @@ async function executeTool(functionName, args = {}, userToken = null, sessionId
           messageId: searchResult.messageToDelete.messageId
         };
         console.log(`  ✅ Found Teams message to delete`);
+
+      } else if (functionName === 'post_channel_message' || functionName === 'reply_to_channel_message') {
+        const isReply = functionName === 'reply_to_channel_message';
+
+        // Find the files BEFORE showing the preview (shared as links in the channel)
+        const resolved = await resolveAttachments(args.attachments, 'link', sessionId, userToken);
+        if (!resolved.attachments) return resolved;
+
+        // Find the team, channel, thread and people to mention first
+        const found = isReply
+          ? await graphTools.replyToChannelMessage(args.team_name, args.channel_name || null, args.message_id || null, args.about || null, args.message, args.mention_names || [], [], userToken, timeZone, true)
+          : await graphTools.postChannelMessage(args.team_name, args.channel_name || null, args.subject || null, args.message, args.mention_names || [], [], userToken, true); // true = preview mode
+        if (!found.success) return found;
+
+        const post = found.channelPost;
+        actionData = {
+          teamName: post.teamName,
+          channelName: post.channelName,
+          subject: isReply ? null : (args.subject || ''),
+          message: args.message,
+          mentions: post.mentions.map(m => m.name),
+          replyTo: post.replyTo || null,
+          attachments: resolved.attachments
+        };
+
+        // ✅ Cache the resolved IDs so confirm doesn't look them up again
+        validatedRecipientData = { channelPost: post };
+        console.log(`  ✅ Channel found: ${post.teamName} › ${post.channelName}${post.replyTo ? ` (reply to ${post.replyTo.sender})` : ''}`);
+      }
+
+      // Render the preview with the sender's own template and signature
+      if (EMAIL_COMPOSE_TOOLS.includes(functionName)) {
+        actionData.sender = await graphTools.getSenderProfile(userToken, sessionId);
+        actionData.template = await emailTemplates.getTemplate(actionData.sender.userPrincipalName || actionData.sender.email);
       }
 
       // Create preview with cached validated data
-      const preview = actionPreview.createActionPreview(functionName, actionData, validatedRecipientData);
+      const preview = await actionPreview.createActionPreview(functionName, actionData, validatedRecipientData, sessionId);
       return {
         type: 'action_preview',
         preview: preview,
@@ -436,9 +1199,52 @@ async function executeTool(functionName, args = {}, userToken = null, sessionId
       params = [args.query, userToken];
       break;
 
-    case 'send_email':
-      params = [args.recipient_name, args.subject, args.body, args.cc_recipients || [], userToken, null];
+    case 'send_email': {
+      const resolved = await resolveAttachments(args.attachments, args.attach_as, sessionId, userToken);
+      if (!resolved.attachments) return resolved;
+      const lists = emailRecipientLists(args);
+      params = [lists.to, args.subject, args.body, lists.cc, userToken, null, false, resolved.attachments, lists.bcc];
       break;
+    }
+
+    case 'reply_to_email':
+      params = [args.message_id || null, args.subject || null, args.sender_name || null, args.body, args.reply_all === true, userToken, timeZone];
+      break;
+
+    case 'forward_email': {
+      const { attendees: recipients, notFound, ambiguous } = await graphTools.resolveAttendees(args.recipient_names || [], userToken);
+      const choice = graphTools.ambiguousContactsResult(ambiguous);
+      if (choice) return choice;
+      if (notFound.length > 0) {
+        return { success: false, notFound: true, missingRecipients: notFound, message: `I couldn't find: ${notFound.join(', ')}` };
+      }
+      params = [args.message_id || null, args.subject || null, args.sender_name || null, recipients, args.body || '', userToken, timeZone];
+      break;
+    }
+
+    case 'list_drafts':
+      params = [args.count || 10, userToken, sessionId];
+      break;
+
+    case 'update_draft':
+      params = [args.draft_id || null, args.subject || null, args.new_subject || null, args.body || null, userToken, timeZone];
+      break;
+
+    case 'send_draft':
+      params = [args.draft_id || null, args.subject || null, userToken, timeZone];
+      break;
+
+    case 'update_email_template': {
+      // Tool arguments are snake_case, template keys camelCase
+      const settings = {};
+      if (args.greeting !== undefined) settings.greeting = args.greeting;
+      if (args.sign_off !== undefined) settings.signOff = args.sign_off;
+      if (args.signature_fields !== undefined) settings.signatureFields = args.signature_fields;
+      if (args.footer !== undefined) settings.footer = args.footer;
+      if (args.accent_color !== undefined) settings.accentColor = args.accent_color;
+      params = [settings, args.reset === true, userToken];
+      break;
+    }
 
     case 'get_calendar_events':
       params = [args.days || 7, userToken, sessionId];
@@ -456,13 +1262,51 @@ async function executeTool(functionName, args = {}, userToken = null, sessionId
         args.location || '',
         args.attendeeNames || [],
         true,        // ALWAYS TRUE (Teams enabled)
-        userToken
+        userToken,
+        null,        // attendees resolved by createCalendarEvent
+        timeZone,
+        args.recurrence || null
+      ];
+      break;
+
+    case 'find_meeting_times':
+      params = [args.attendeeNames || [], args.duration_minutes || 30, args.range_start || null, args.range_end || null, userToken, timeZone];
+      break;
+
+    case 'reschedule_calendar_event':
+      params = [
+        args.subject || null,
+        args.attendee_name || null,
+        args.date || null,
+        args.current_time || null,
+        args.new_start,
+        args.new_end || null,
+        userToken,
+        timeZone
+      ];
+      break;
+
+    case 'respond_to_meeting_invite':
+      params = [
+        args.response,
+        args.subject || null,
+        args.organizer_name || null,
+        args.date || null,
+        args.current_time || null,
+        args.comment || '',
+        args.proposed_start || null,
+        args.proposed_end || null,
+        userToken,
+        timeZone
       ];
       break;
 
-    case 'send_teams_message':
-      params = [args.recipient_name, args.message, userToken, null];
+    case 'send_teams_message': {
+      const resolved = await resolveAttachments(args.attachments, 'link', sessionId, userToken);
+      if (!resolved.attachments) return resolved;
+      params = [args.recipient_name, args.message, userToken, null, resolved.attachments];
       break;
+    }
 
     case 'get_recent_files':
       params = [args.count || 10, userToken, sessionId];
@@ -472,6 +1316,28 @@ async function executeTool(functionName, args = {}, userToken = null, sessionId
       params = [args.query, userToken];
       break;
 
+    case 'get_team_channels':
+      params = [args.team_name, userToken];
+      break;
+
+    case 'get_channel_messages':
+      params = [args.team_name, args.channel_name || null, args.count || 10, userToken, timeZone];
+      break;
+
+    case 'post_channel_message': {
+      const resolved = await resolveAttachments(args.attachments, 'link', sessionId, userToken);
+      if (!resolved.attachments) return resolved;
+      params = [args.team_name, args.channel_name || null, args.subject || null, args.message, args.mention_names || [], resolved.attachments, userToken];
+      break;
+    }
+
+    case 'reply_to_channel_message': {
+      const resolved = await resolveAttachments(args.attachments, 'link', sessionId, userToken);
+      if (!resolved.attachments) return resolved;
+      params = [args.team_name, args.channel_name || null, args.message_id || null, args.about || null, args.message, args.mention_names || [], resolved.attachments, userToken, timeZone];
+      break;
+    }
+
     case 'get_teams':
     case 'get_user_profile':
       params = [userToken];
@@ -481,6 +1347,22 @@ async function executeTool(functionName, args = {}, userToken = null, sessionId
       params = [args.name, userToken, sessionId];
       break;
 
+    case 'choose_contact':
+      params = [args.searched_name, args.email, userToken];
+      break;
+
+    case 'save_contact_alias':
+      params = [args.alias, args.targets || [], userToken, sessionId];
+      break;
+
+    case 'remove_contact_alias':
+      params = [args.alias, userToken];
+      break;
+
+    case 'list_contact_aliases':
+      params = [userToken];
+      break;
+
     case 'get_sent_emails':
       params = [args.count || 10, userToken, sessionId];
       break;
@@ -490,7 +1372,7 @@ async function executeTool(functionName, args = {}, userToken = null, sessionId
       break;
 
     case 'delete_calendar_event':
-      params = [args.subject || null, null, null, userToken];
+      params = [args.subject || null, null, null, userToken, timeZone];
       break;
 
     case 'delete_teams_message':
@@ -504,14 +1386,180 @@ async function executeTool(functionName, args = {}, userToken = null, sessionId
   }
 
   const result = await func(...params);
+
+  // Remember the list so a later "reply to the first one" can find it
+  // (search_files wraps its list in { files }, get_channel_messages in { messages })
+  const listItems = Array.isArray(result) ? result : (result?.files || result?.messages);
+  if (LIST_TOOLS[functionName] && sessionId && Array.isArray(listItems)) {
+    await recentListsStore.set(`${sessionId}:${LIST_TOOLS[functionName]}`, listItems.map(item => ({
+      id: item.id,
+      subject: item.subject,
+      name: item.name,
+      teamId: result.teamId,
+      channelId: result.channelId
+    })));
+  }
+
   return result;
 }
 
+// To / CC / BCC name lists from send_email arguments
+// (recipient_name is the old single-recipient argument, still accepted)
+function emailRecipientLists(args) {
+  const toList = (value) => (Array.isArray(value) ? value : value ? [value] : [])
+    .map(name => String(name).trim())
+    .filter(Boolean);
+
+  return {
+    to: toList(args.recipient_names || args.recipient_name),
+    cc: toList(args.cc_recipients),
+    bcc: toList(args.bcc_recipients)
+  };
+}
+
+// =================================================
+// 📎 Resolve attachment names to OneDrive files
+// =================================================
+// Names are matched against files uploaded this session and the last file list,
+// then searched in OneDrive. Returns { attachments } or a not-found result for the agent
+async function resolveAttachments(names, attachAs, sessionId, userToken) {
+  if (!Array.isArray(names) || names.length === 0) return { attachments: [] };
+
+  const knownFiles = sessionId
+    ? [...await getUploadedFiles(sessionId), ...((await recentListsStore.get(`${sessionId}:files`)) || [])]
+    : [];
+  const { attachments, notFound, ambiguous } = await graphTools.findFileAttachments(names, attachAs || 'file', userToken, knownFiles);
+
+  if (ambiguous.length > 0) {
+    return {
+      success: false,
+      notFound: true,
+      message: ambiguous.map(a => `Several files match "${a.name}": ${a.options.join(', ')}`).join('. ') + '. Ask the user which one to send.'
+    };
+  }
+  if (notFound.length > 0) {
+    return {
+      success: false,
+      notFound: true,
+      missingFiles: notFound,
+      message: `I couldn't find a file named: ${notFound.join(', ')}`
+    };
+  }
+  return { attachments };
+}
+
+// Files uploaded from the web UI - kept with the session's recent lists
+async function rememberUpload(sessionId, file) {
+  const uploads = await getUploadedFiles(sessionId);
+  await recentListsStore.set(`${sessionId}:uploads`, [{ id: file.id, name: file.name, size: file.size }, ...uploads]);
+}
+
+async function getUploadedFiles(sessionId) {
+  return (await recentListsStore.get(`${sessionId}:uploads`)) || [];
+}
+
+// =================================================
+// 🗓️ Normalize natural-language dates in tool arguments
+// =================================================
+// The model passes the user's own words ("next thursday 3pm"); date-parser
+// turns them into wall-clock times in the user's timezone.
+// Throws an Error with a user-facing message when a value can't be understood
+function normalizeDateArgs(functionName, args, timeZone) {
+  const options = { timeZone };
+  const normalized = { ...args };
+
+  switch (functionName) {
+    case 'create_calendar_event': {
+      const window = dateParser.resolveMeetingWindow(args.start, args.end, args.duration, options);
+      normalized.start = window.start;
+      normalized.end = window.end;
+      normalized.recurrence = dateParser.resolveRecurrence(args.recurrence, window.start, options);
+      break;
+    }
+
+    case 'reschedule_calendar_event': {
+      Object.assign(normalized, normalizeEventLookup(args, options));
+      const newTime = normalizeNewTime(args.new_start, args.new_end, args.duration, options);
+      normalized.new_start = newTime.start;
+      if (newTime.end) normalized.new_end = newTime.end;
+      break;
+    }
+
+    case 'respond_to_meeting_invite': {
+      Object.assign(normalized, normalizeEventLookup(args, options));
+      if (args.proposed_start) {
+        const proposed = normalizeNewTime(args.proposed_start, args.proposed_end, null, options);
+        normalized.proposed_start = proposed.start;
+        if (proposed.end) normalized.proposed_end = proposed.end;
+      }
+      break;
+    }
+
+    case 'find_meeting_times': {
+      if (args.range_start) {
+        const range = dateParser.parseDateTime(args.range_start, options);
+        if (!range) throw new Error(`I couldn't understand "${args.range_start}".`);
+        normalized.range_start = range.start;
+        // "next week" on its own covers the whole week
+        if (!args.range_end && range.allDay) normalized.range_end = range.end;
+      }
+      if (args.range_end) {
+        const range = dateParser.parseDateTime(args.range_end, options);
+        if (!range) throw new Error(`I couldn't understand "${args.range_end}".`);
+        normalized.range_end = range.allDay ? range.end : range.start;
+      }
+      if (args.duration_minutes) {
+        normalized.duration_minutes = dateParser.parseDuration(args.duration_minutes);
+        if (!normalized.duration_minutes) throw new Error(`I couldn't understand the duration "${args.duration_minutes}".`);
+      }
+      break;
+    }
+
+    case 'get_calendar_events':
+      if (args.until) {
+        normalized.days = dateParser.daysUntil(args.until, options);
+        if (!normalized.days) throw new Error(`I couldn't understand "${args.until}".`);
+      }
+      break;
+  }
+
+  return normalized;
+}
+
+// The "date" and "current_time" used to find an existing meeting → YYYY-MM-DD and HH:MM
+function normalizeEventLookup(args, options) {
+  const lookup = {};
+  if (args.date) {
+    lookup.date = dateParser.resolveDay(args.date, options);
+    if (!lookup.date) throw new Error(`I couldn't understand the date "${args.date}".`);
+  }
+  if (args.current_time) {
+    const current = dateParser.parseDateTime(args.current_time, options);
+    if (!current || current.allDay) throw new Error(`I couldn't understand the time "${args.current_time}".`);
+    lookup.current_time = current.start.slice(11, 16);
+  }
+  return lookup;
+}
+
+// A new start for an existing meeting. end stays null unless the length changes,
+// so graph-tools keeps the meeting's original duration
+function normalizeNewTime(start, end, duration, options) {
+  const hasNewLength = end || duration || (dateParser.parseDateTime(start, options) || {}).end;
+  if (hasNewLength) {
+    return dateParser.resolveMeetingWindow(start, end, duration, options);
+  }
+  const newStart = dateParser.parseDateTime(start, options);
+  if (!newStart || newStart.allDay) throw new Error(`I couldn't understand the new time "${start}".`);
+  return { start: newStart.start, end: null };
+}
+
 // ======================================
 // 📦 Export
 // ======================================
 module.exports = {
   tools,
   executeTool,
+  rememberUpload,
+  getUploadedFiles,
   actionPreview // Export action preview module for server.js to use
 };
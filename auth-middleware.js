@@ -0,0 +1,99 @@
+/**
+ * ============================================================
+ * 🛡️ AUTHENTICATION MIDDLEWARE
+ * ============================================================
+ *
+ * Shared guards for API routes:
+ * - requireAuth: resolves the cookie session, refreshes the Graph
+ *   token when it is about to expire and attaches req.user
+ * - requireAdmin: additionally requires the user to be an admin
+ *   (ADMIN_EMAILS, comma-separated)
+ *
+ * Runs after session-manager's loadSession, which sets req.sessionId
+ * ============================================================
+ */
+
+const { refreshTokenIfNeeded } = require('./token-refresh-middleware');
+const { getSession } = require('./session-manager');
+
+// Admins are configured by email, e.g. ADMIN_EMAILS=ops@contoso.com,lead@contoso.com
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Reject requests without a valid session
+ * On success sets req.user = {sessionId, email, accessToken, isAdmin}
+ */
+async function requireAuth(req, res, next) {
+  const sessionId = req.sessionId;
+
+  if (!sessionId) {
+    return rejectUnauthenticated(req, res, 'Not logged in');
+  }
+
+  try {
+    // Refreshes silently via MSAL when the token expires within 5 minutes
+    const accessToken = await refreshTokenIfNeeded(sessionId);
+    const session = await getSession(sessionId);
+
+    if (!session) {
+      return rejectUnauthenticated(req, res, 'Session expired');
+    }
+
+    req.user = {
+      sessionId,
+      email: session.email,
+      accessToken,
+      isAdmin: isAdmin(session.email)
+    };
+    next();
+  } catch (error) {
+    console.error(`❌ Authentication failed for ${req.method} ${req.originalUrl}:`, error.message);
+    return rejectUnauthenticated(req, res, error.message);
+  }
+}
+
+/**
+ * Only allow admins (must run after requireAuth)
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user || !req.user.isAdmin) {
+    console.warn(`⚠️ Non-admin ${req.user?.email || 'caller'} denied ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+/**
+ * Check whether an email belongs to a configured admin
+ * @param {String} email
+ * @returns {Boolean}
+ */
+function isAdmin(email) {
+  return !!email && ADMIN_EMAILS.includes(email.toLowerCase());
+}
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS (Internal)
+ * ============================================================
+ */
+
+function rejectUnauthenticated(req, res, reason) {
+  console.warn(`🔒 Unauthenticated ${req.method} ${req.originalUrl}: ${reason}`);
+  res.status(401).json({
+    error: 'Invalid or expired session',
+    loginUrl: '/login.html'
+  });
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+module.exports = {
+  requireAuth,
+  requireAdmin,
+  isAdmin
+};
@@ -2,12 +2,21 @@ const express = require('express');
 const router = express.Router();
 const {
   getAuthUrl,
-  getAccessTokenByAuthCode
+  getAccessTokenByAuthCode,
+  warmDirectoryCache
 } = require('./graph-tools');
-
-let loggedInUser = null; // store user session in memory
-// Export a map to store user tokens by session ID
-const userTokenStore = new Map();
+const {
+  createSession,
+  revokeSession,
+  clearSessionCookie,
+  userTokenStore
+} = require('./session-manager');
+const { isAdmin } = require('./auth-middleware');
+const timezoneHelper = require('./timezone-helper');
+const { escapeHtml } = require('./formatters');
+
+// User identity is always derived from the caller's own session (req.session),
+// never from module-level state shared between requests
 
 // Step 1: Redirect to Microsoft login
 router.get('/login', async (req, res) => {
@@ -15,17 +24,11 @@ router.get('/login', async (req, res) => {
   res.redirect(url);
 });
 
-// Logout endpoint - clear session
-router.post('/logout', (req, res) => {
-  const { sessionId } = req.body;
-
-  if (sessionId && userTokenStore.has(sessionId)) {
-    userTokenStore.delete(sessionId);
-    console.log('✅ Session cleared:', sessionId);
-  }
-
-  // Clear the logged in user
-  loggedInUser = null;
+// Logout endpoint - revoke the cookie session
+router.post('/logout', async (req, res) => {
+  await timezoneHelper.clearCachedTimeZone(req.sessionId);
+  await revokeSession(req.sessionId);
+  clearSessionCookie(res);
 
   res.json({ success: true, message: 'Logged out successfully' });
 });
@@ -42,32 +45,33 @@ router.get('/callback', async (req, res) => {
     const code = req.query.code;
     const tokens = await getAccessTokenByAuthCode(code);
 
-    // Generate a session ID for this user 
-    const sessionId = `session_${Date.now()}`;
-
-    loggedInUser = {
-      sessionId: sessionId,
-      accessToken: tokens.accessToken,
-      account: tokens.account, // Store MSAL account for silent token refresh
-      email: tokens.account.username
-    };
+    // Replace any previous session in this browser
+    await revokeSession(req.sessionId);
 
     // Store tokens with expiration metadata and MSAL account for automatic silent refresh
     // Note: MSAL manages refresh tokens internally in its cache - we don't need to store them
     // We store the `account` object which is required by acquireTokenSilent()
-    userTokenStore.set(sessionId, {
+    // The random session ID is only ever sent to the browser in an HttpOnly cookie
+    const sessionId = await createSession(res, {
       accessToken: tokens.accessToken,
       account: tokens.account,  // CRITICAL: needed for acquireTokenSilent
       expiresAt: Date.now() + ((tokens.expiresIn || 3600) * 1000), // Default 1 hour if not provided
       email: tokens.account.username
     });
 
-    console.log('✅ User logged in:', loggedInUser.email);
-    console.log('📌 Session ID:', sessionId);
+    // Detect the mailbox timezone now so the first request already uses it
+    // (falls back to UTC if mailbox settings cannot be read)
+    await timezoneHelper.getUserTimeZone(sessionId, tokens.accessToken);
+
+    // Download / sync the organization directory in the background,
+    // so the first contact lookup is already answered locally
+    warmDirectoryCache(tokens.accessToken);
+
+    console.log('✅ User logged in:', tokens.account.username);
     console.log('🔑 MSAL account stored for silent refresh:', !!tokens.account);
     console.log('⏰ Token expires at:', new Date(Date.now() + ((tokens.expiresIn || 3600) * 1000)).toISOString());
 
-    res.redirect(`/auth/success?sessionId=${sessionId}`);
+    res.redirect('/auth/success');
   } catch (err) {
     console.error('❌ Login failed:', err);
     res.status(500).send('Login failed.');
@@ -76,8 +80,7 @@ router.get('/callback', async (req, res) => {
 
 // Step 3: Confirmation page with auto-redirect
 router.get('/success', (req, res) => {
-  const sessionId = req.query.sessionId;
-  if (!loggedInUser) return res.send('No active session');
+  if (!req.session) return res.send('No active session');
   res.send(`
     <!DOCTYPE html>
     <html lang="en">
@@ -138,7 +141,7 @@ router.get('/success', (req, res) => {
               <h2 class="text-3xl font-bold text-gray-800 mb-3">Login Successful!</h2>
               <p class="text-gray-600 mb-2">Welcome back,</p>
               <p class="text-lg font-semibold text-transparent bg-clip-text bg-gradient-to-r from-red-500 to-red-600 mb-6">
-                ${loggedInUser.email}
+                ${escapeHtml(req.session.email)}
               </p>
 
               <!-- Loading indicator -->
@@ -172,9 +175,6 @@ router.get('/success', (req, res) => {
       </style>
 
       <script>
-        // Store session ID in localStorage
-        localStorage.setItem('userSessionId', '${sessionId}');
-        
         // Redirect to home page after 2 seconds
         setTimeout(() => {
           window.location.href = '/';
@@ -185,21 +185,40 @@ router.get('/success', (req, res) => {
   `);
 });
 
-router.get('/user', (req, res) => {
-  if (!loggedInUser) return res.status(401).send('User not logged in');
-  res.json(loggedInUser);
+// Identity of the caller's own session
+router.get('/me', (req, res) => {
+  if (!req.session) return res.status(401).json({ error: 'User not logged in' });
+  res.json(getSessionUser(req.session));
 });
 
-router.get('/session-token/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
-  const tokenData = userTokenStore.get(sessionId);
+// Legacy alias for /me
+router.get('/user', (req, res) => {
+  if (!req.session) return res.status(401).send('User not logged in');
+  res.json(getSessionUser(req.session));
+});
 
-  if (!tokenData) {
-    return res.status(404).json({ error: 'Session not found or token expired' });
+// Session status for the current cookie - never exposes Graph tokens
+// The CSRF token must be sent back as X-CSRF-Token on POST requests
+router.get('/session', (req, res) => {
+  if (!req.session) {
+    return res.status(401).json({ authenticated: false });
   }
 
-  // Return access token from the token object
-  res.json({ accessToken: tokenData.accessToken });
+  res.json({
+    authenticated: true,
+    csrfToken: req.session.csrfToken,
+    sessionExpiresAt: req.session.sessionExpiresAt
+  });
 });
 
-module.exports = { router, loggedInUser, userTokenStore };
\ No newline at end of file
+// Public view of a session - no tokens or session IDs
+function getSessionUser(session) {
+  return {
+    email: session.email,
+    name: session.account?.name || null,
+    isAdmin: isAdmin(session.email),
+    sessionExpiresAt: session.sessionExpiresAt
+  };
+}
+
+module.exports = { router, userTokenStore };
\ No newline at end of file
@@ -0,0 +1,272 @@
+/**
+ * ============================================================
+ * 👥 CONTACT ALIASES MODULE
+ * ============================================================
+ *
+ * Lets people be named by how they relate to the user instead of by name:
+ * - Relationships read from the directory:
+ *   "my manager" / "my boss"  → /me/manager
+ *   "my direct reports"       → /me/directReports
+ *   "my peers"                → everyone else reporting to the user's manager
+ *   "my team"                 → direct reports, or peers for someone without any
+ *   "my design team / group"  → a group the user is a member of (/me/memberOf)
+ * - The user's own aliases: "boss" → Raj Patel, "design team" → Priya, Vansh and Jatin
+ *
+ * Aliases are stored per user (by sign-in UPN) and win over the built-in
+ * phrases. An alias can point at a relationship ("boss" → my manager),
+ * which is looked up again each time it's used.
+ *
+ * ============================================================
+ */
+
+const { createStore } = require('./store');
+const nameMatcher = require('./name-matcher');
+const graphQuery = require('./graph-query');
+
+// { [alias]: { alias, targets } } by lowercase sign-in UPN (no expiry)
+const aliasStore = createStore('contact-aliases');
+
+const USER_FIELDS = 'id,displayName,mail,userPrincipalName';
+const MAX_ALIAS_LENGTH = 60;
+const MAX_ALIAS_TARGETS = 50;
+// Largest team / group expanded into individual recipients
+const MAX_MEMBERS = 100;
+
+// Built-in phrases ("my" is optional, except for groups)
+const RELATIONSHIPS = [
+  { kind: 'manager', pattern: /^(?:my )?(?:manager|boss|supervisor|line manager|reporting manager)$/ },
+  { kind: 'directReports', pattern: /^(?:my )?(?:direct reports?|reportees)$|^my reports$|^(?:the )?people (?:who|that) report to me$/ },
+  { kind: 'peers', pattern: /^(?:my )?(?:peers|teammates|team mates)$/ },
+  { kind: 'team', pattern: /^(?:my )?(?:whole |entire )?team$/ }
+];
+// "my design team", "my sales group" - a group the user belongs to
+const GROUP_PATTERN = /^my (.+?) (?:team|group)$/;
+
+/**
+ * Recognize a relationship phrase
+ * @param {String} text - e.g. "my manager", "My Design Team"
+ * @returns {Object|null} { kind: 'manager'|'directReports'|'peers'|'team'|'group', groupName } or null
+ */
+function parseRelationship(text) {
+  const phrase = normalizePhrase(text);
+  const relationship = RELATIONSHIPS.find(r => r.pattern.test(phrase));
+  if (relationship) return { kind: relationship.kind };
+
+  const group = phrase.match(GROUP_PATTERN);
+  return group ? { kind: 'group', groupName: group[1] } : null;
+}
+
+/**
+ * Look up the people a relationship refers to right now
+ * @param {Object} client - Graph client of the signed-in user
+ * @param {Object} relationship - parseRelationship() result
+ * @param {Object} me - Signed-in user { id, userPrincipalName } (left out of teams and groups)
+ * @returns {Promise<Object>} { label, recipients: [{ name, email, type: 'person'|'group' }] }
+ * @throws {Error} When nobody matches (e.g. no manager in the directory)
+ */
+async function resolveRelationship(client, relationship, me) {
+  switch (relationship.kind) {
+    case 'manager': {
+      const manager = await getManager(client);
+      if (!manager) throw new Error('No manager is set for you in the directory - please give their name');
+      return { label: 'your manager', recipients: [toRecipient(manager)] };
+    }
+
+    case 'directReports': {
+      const reports = await getDirectReports(client, '/me');
+      if (reports.length === 0) throw new Error('Nobody reports to you in the directory');
+      return { label: 'your direct reports', recipients: reports.map(toRecipient) };
+    }
+
+    case 'peers': {
+      const peers = await getPeers(client, me);
+      if (peers.length === 0) throw new Error('No one else reports to your manager in the directory');
+      return { label: 'your peers', recipients: peers.map(toRecipient) };
+    }
+
+    case 'team': {
+      // A manager's team is the people reporting to them, everyone else's is their peers
+      const reports = await getDirectReports(client, '/me');
+      const team = reports.length > 0 ? reports : await getPeers(client, me);
+      if (team.length === 0) throw new Error('Your team could not be found in the directory (no manager or direct reports set) - please name the people');
+      return { label: 'your team', recipients: team.map(toRecipient) };
+    }
+
+    case 'group':
+      return resolveGroup(client, relationship.groupName, me);
+
+    default:
+      throw new Error(`Unknown relationship: ${relationship.kind}`);
+  }
+}
+
+/**
+ * Normalized form an alias is saved under ("My Boss" → "boss")
+ * @param {String} text
+ * @returns {String}
+ */
+function normalizeAlias(text) {
+  return normalizePhrase(text).replace(/^(?:my|the|our) /, '');
+}
+
+/**
+ * All of a user's aliases
+ * @param {String} ownerUpn - User's sign-in UPN
+ * @returns {Promise<Array>} [{ alias, targets }] sorted by alias
+ */
+async function getAliases(ownerUpn) {
+  const saved = ownerUpn ? await aliasStore.get(ownerUpn.toLowerCase()) : null;
+  return Object.values(saved || {}).sort((a, b) => a.alias.localeCompare(b.alias));
+}
+
+/**
+ * A user's alias matching the text ("my boss" finds "boss")
+ * @param {String} ownerUpn
+ * @param {String} text
+ * @returns {Promise<Object|null>} { alias, targets } or null
+ */
+async function getAlias(ownerUpn, text) {
+  const key = normalizeAlias(text);
+  if (!ownerUpn || !key) return null;
+  const saved = await aliasStore.get(ownerUpn.toLowerCase());
+  return saved?.[key] || null;
+}
+
+/**
+ * Save (or replace) an alias
+ * @param {String} ownerUpn
+ * @param {String} alias - e.g. "design team"
+ * @param {Array} targets - [{ name, email, type }] and/or [{ relationship, label }]
+ * @returns {Promise<Object>} The saved { alias, targets }
+ * @throws {Error} When the alias or its targets are not valid
+ */
+async function setAlias(ownerUpn, alias, targets = []) {
+  if (!ownerUpn) throw new Error('Missing user');
+  const key = normalizeAlias(alias);
+  if (!key) throw new Error('The alias is empty');
+  if (key.length > MAX_ALIAS_LENGTH) throw new Error(`Aliases can be at most ${MAX_ALIAS_LENGTH} characters`);
+  if (targets.length === 0) throw new Error('Who should the alias stand for?');
+  if (targets.length > MAX_ALIAS_TARGETS) throw new Error(`An alias can stand for at most ${MAX_ALIAS_TARGETS} people`);
+
+  const owner = ownerUpn.toLowerCase();
+  const saved = (await aliasStore.get(owner)) || {};
+  saved[key] = { alias: key, targets };
+  await aliasStore.set(owner, saved);
+  return saved[key];
+}
+
+/**
+ * Forget an alias
+ * @param {String} ownerUpn
+ * @param {String} alias
+ * @returns {Promise<Boolean>} false if there was no such alias
+ */
+async function removeAlias(ownerUpn, alias) {
+  const owner = String(ownerUpn || '').toLowerCase();
+  const key = normalizeAlias(alias);
+  const saved = owner ? await aliasStore.get(owner) : null;
+  if (!saved || !saved[key]) return false;
+
+  delete saved[key];
+  await aliasStore.set(owner, saved);
+  return true;
+}
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS (Internal)
+ * ============================================================
+ */
+
+// Lowercase, single spaces, no trailing punctuation
+function normalizePhrase(text) {
+  return String(text || '').toLowerCase().replace(/[.,!?;:]+$/, '').replace(/\s+/g, ' ').trim();
+}
+
+// The user's manager, or null when none is set
+async function getManager(client) {
+  try {
+    return await client.api('/me/manager').select(USER_FIELDS).get();
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+}
+
+// Users reporting to someone (contacts and disabled accounts without mail are skipped)
+async function getDirectReports(client, userPath) {
+  const reports = await client
+    .api(`${userPath}/directReports/microsoft.graph.user`)
+    .select(USER_FIELDS)
+    .top(MAX_MEMBERS)
+    .get();
+  return (reports.value || []).filter(user => user.mail || user.userPrincipalName);
+}
+
+// Everyone else reporting to the user's manager
+async function getPeers(client, me) {
+  const manager = await getManager(client);
+  if (!manager) return [];
+  const reports = await getDirectReports(client, `/users/${graphQuery.segment(manager.id)}`);
+  return reports.filter(user => !isSameUser(user, me));
+}
+
+// A group the user is in: mail-enabled groups are sent to as one address,
+// other groups are expanded into their members
+async function resolveGroup(client, groupName, me) {
+  const groups = await client
+    .api('/me/memberOf/microsoft.graph.group')
+    .select('id,displayName,mail,mailEnabled')
+    .top(MAX_MEMBERS)
+    .get();
+
+  const matches = nameMatcher.rankMatches(groupName, (groups.value || []).map(group => ({ name: group.displayName, group })));
+  if (matches.length === 0) throw new Error(`You are not a member of a group called "${groupName}"`);
+
+  // "design" is "Design" or "Design Team" - otherwise several close names need a choice
+  const contenders = matches.filter(match => match.score >= matches[0].score - nameMatcher.SCORE_MARGIN);
+  const exact = contenders.find(match => [groupName, `${groupName} team`, `${groupName} group`].includes(match.name.toLowerCase()));
+  if (!exact && contenders.length > 1) {
+    throw new Error(`"${groupName}" could be ${contenders.slice(0, 4).map(match => match.name).join(' or ')} - which one?`);
+  }
+
+  const { group } = exact || contenders[0];
+  if (group.mailEnabled && group.mail) {
+    return { label: group.displayName, recipients: [{ name: group.displayName, email: group.mail, type: 'group' }] };
+  }
+
+  const members = await client
+    .api(`/groups/${graphQuery.segment(group.id)}/members/microsoft.graph.user`)
+    .select(USER_FIELDS)
+    .top(MAX_MEMBERS)
+    .get();
+  const recipients = (members.value || [])
+    .filter(user => (user.mail || user.userPrincipalName) && !isSameUser(user, me))
+    .map(toRecipient);
+  if (recipients.length === 0) throw new Error(`${group.displayName} has no other members`);
+  return { label: group.displayName, recipients };
+}
+
+function isSameUser(user, me) {
+  if (!me) return false;
+  return user.id === me.id ||
+    (user.userPrincipalName || '').toLowerCase() === (me.userPrincipalName || '').toLowerCase();
+}
+
+function toRecipient(user) {
+  const email = user.mail || user.userPrincipalName;
+  return { name: user.displayName || email, email, type: 'person' };
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+module.exports = {
+  parseRelationship,
+  resolveRelationship,
+  normalizeAlias,
+  getAliases,
+  getAlias,
+  setAlias,
+  removeAlias
+};
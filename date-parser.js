@@ -0,0 +1,671 @@
+/**
+ * ============================================================
+ * 🗓️ DATE EXPRESSION PARSER
+ * ============================================================
+ *
+ * Deterministic parsing of the date/time phrases users say, so the
+ * model never has to do date arithmetic itself:
+ * - Relative days: "today", "tomorrow", "day after tomorrow"
+ * - Weekdays: "thursday", "this friday", "next monday"
+ * - Periods: "this week", "next week", "this weekend", "end of month", "end of year"
+ * - Offsets: "in 90 minutes", "in 2 days", "in 3 business days"
+ * - Calendar dates: "Oct 20", "20th October 2026", "2026-10-20"
+ * - Times and ranges: "3pm", "14:30", "noon", "tuesday 9", "2-3pm", "2-3", "from 10 to 11:30am"
+ * - Durations: "90 minutes", "1.5 hours", "1h 30m", "1h30m", "half an hour"
+ * - Recurrence end dates: "until end of year", "until dec 31"
+ *
+ * Results are wall-clock times (YYYY-MM-DDTHH:mm:ss, no offset) in the
+ * user's timezone - the format Graph expects together with a timeZone.
+ *
+ * Conventions:
+ * - "thursday" / "this thursday" = today if it is Thursday, else the coming one
+ * - "next thursday" = Thursday of next week (weeks start on Monday)
+ * - An hour 1-7 without am/pm ("at 3", "3:30", "2-3") is read as afternoon;
+ *   zero-padded 24-hour times ("03:30") are kept as they are
+ * - Business days skip Saturday and Sunday
+ *
+ * ============================================================
+ */
+
+const { toWallClock } = require('./timezone-helper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tue: 2, tues: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6
+};
+
+const MONTHS = {
+  january: 0, jan: 0,
+  february: 1, feb: 1,
+  march: 2, mar: 2,
+  april: 3, apr: 3,
+  may: 4,
+  june: 5, jun: 5,
+  july: 6, jul: 6,
+  august: 7, aug: 7,
+  september: 8, sep: 8, sept: 8,
+  october: 9, oct: 9,
+  november: 10, nov: 10,
+  december: 11, dec: 11
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, couple: 2
+};
+
+// Named times of day (24h)
+const TIMES_OF_DAY = {
+  morning: { hour: 9, minute: 0 },
+  noon: { hour: 12, minute: 0 },
+  midday: { hour: 12, minute: 0 },
+  lunch: { hour: 12, minute: 0 },
+  afternoon: { hour: 14, minute: 0 },
+  evening: { hour: 18, minute: 0 },
+  tonight: { hour: 20, minute: 0 },
+  midnight: { hour: 0, minute: 0 },
+  eod: { hour: 17, minute: 0 },
+  'end of day': { hour: 17, minute: 0 },
+  cob: { hour: 17, minute: 0 },
+  'close of business': { hour: 17, minute: 0 }
+};
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WORK_WEEK = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const WEEK_INDEXES = ['first', 'second', 'third', 'fourth', 'last'];
+
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).join('|');
+const MONTH_PATTERN = Object.keys(MONTHS).join('|');
+const NUMBER_PATTERN = `\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')}`;
+const CLOCK_PATTERN = '(?:noon|midnight|\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?)';
+// A bare hour after a day: "tuesday 9", "tomorrow 3" (not a date like "oct 9")
+const DAY_HOUR_PATTERN = new RegExp(`(?<=\\b(?:${WEEKDAY_PATTERN}|today|tomorrow|tmrw|tmr)\\s+)(\\d{1,2})$`);
+// Numbers followed by one of these are amounts, not times ("2-3 days")
+const UNIT_AFTER_PATTERN = /^\s*(?:business |working )?(?:days?|weeks?|months?|years?|hours?|hrs?|minutes?|mins?|people|persons?)\b/;
+
+/**
+ * Parse a date/time expression
+ *
+ * @param {String} text - e.g. "next thursday 3pm", "tomorrow 2-3pm", "in 90 minutes"
+ * @param {Object} options
+ * @param {String} options.timeZone - User's IANA timezone (default 'UTC')
+ * @param {Date} options.now - Reference instant (default: current time)
+ * @param {String} options.defaultDate - YYYY-MM-DD used when the text is only a time
+ * @returns {Object} { start, end, allDay } as wall-clock strings, or null if not understood
+ *   - Times: end is null unless a range was given ("2-3pm")
+ *   - Times already passed today move to the next occurrence ("9am" → tomorrow,
+ *     "monday 9am" → next Monday); an explicit "today 9am" stays today
+ *   - Dates: allDay is true and end is the last second of the (last) day
+ */
+function parseDateTime(text, { timeZone = 'UTC', now = new Date(), defaultDate = null } = {}) {
+  const input = normalize(text);
+  if (!input) return null;
+
+  const nowWall = new Date(`${toWallClock(now, timeZone)}Z`);
+  const today = startOfDay(nowWall);
+
+  const iso = parseIso(input, timeZone);
+  if (iso) return iso;
+
+  if (input === 'now' || input === 'right now' || input === 'asap') {
+    return { start: format(nowWall), end: null, allDay: false };
+  }
+
+  // "in 90 minutes", "2 hours from now" - exact instants, DST-safe
+  const offsetMatch = input.match(new RegExp(`^(?:in\\s+)?(${NUMBER_PATTERN}|half an)\\s*(minutes?|mins?|hours?|hrs?|h|m)(?:\\s+from now)?$`));
+  if (offsetMatch && (input.startsWith('in ') || input.endsWith('from now'))) {
+    const minutes = toNumber(offsetMatch[1]) * (/^h/.test(offsetMatch[2]) ? 60 : 1);
+    const instant = new Date(now.getTime() + minutes * 60 * 1000);
+    return { start: toWallClock(instant, timeZone), end: null, allDay: false };
+  }
+
+  const { time, rest } = extractTime(input);
+  let range;
+  if (rest) {
+    range = parseDatePart(rest, today);
+  } else {
+    // A bare time that has already passed today means tomorrow
+    range = defaultDate ? { from: parseDay(defaultDate), to: null } : { from: today, to: null, rollDays: 1 };
+  }
+  if (!range || !range.from) return null;
+
+  if (time) {
+    const day = range.rollDays && atTime(range.from, time.start) < nowWall ? addDays(range.from, range.rollDays) : range.from;
+    const start = atTime(day, time.start);
+    let end = time.end ? atTime(day, time.end) : null;
+    if (end && end <= start) end = addDays(end, 1); // "10pm-1am"
+    return { start: format(start), end: end ? format(end) : null, allDay: false };
+  }
+
+  const lastDay = range.to || range.from;
+  return {
+    start: format(range.from),
+    end: format(new Date(addDays(lastDay, 1).getTime() - 1000)),
+    allDay: true
+  };
+}
+
+/**
+ * Parse a duration into minutes
+ * @param {String|Number} text - e.g. "90 minutes", "1.5 hours", "1h 30m", "1h30m", "half an hour", 45
+ * @returns {Number} Minutes, or null if not understood
+ */
+function parseDuration(text) {
+  if (typeof text === 'number') return text > 0 ? Math.round(text) : null;
+
+  const input = normalize(text);
+  if (!input) return null;
+  if (/^\d+(\.\d+)?$/.test(input)) return Math.round(parseFloat(input));
+  if (/^(half an? hour|half hour|30 mins?)$/.test(input)) return 30;
+  if (/^(an? )?hour and a half$/.test(input)) return 90;
+
+  let minutes = 0;
+  let matched = false;
+  // Parts may touch: "1h30m"
+  const partPattern = new RegExp(`(?<![\\d.])(${NUMBER_PATTERN})\\s*(hours?|hrs?|h|minutes?|mins?|m)(?![a-z])`, 'g');
+  const leftover = input.replace(partPattern, (whole, amount, unit) => {
+    matched = true;
+    minutes += toNumber(amount) * (/^h/.test(unit) ? 60 : 1);
+    return '';
+  });
+
+  if (!matched || leftover.replace(/\band\b|\s/g, '') !== '') return null;
+  return Math.round(minutes);
+}
+
+/**
+ * Resolve meeting start/end arguments from natural language
+ *
+ * @param {String} start - e.g. "tomorrow 3pm", "next monday 10-11am", "2025-01-15T15:00:00"
+ * @param {String} end - e.g. "4pm" (optional - same day as start unless it has a date)
+ * @param {String|Number} duration - Used when there is no end (default 60 minutes)
+ * @param {Object} options - { timeZone, now }
+ * @returns {Object} { start, end } wall-clock strings
+ * @throws {Error} With a message that can be shown to the user
+ */
+function resolveMeetingWindow(start, end = null, duration = null, options = {}) {
+  const parsedStart = parseDateTime(start, options);
+  if (!parsedStart) {
+    throw new Error(`I couldn't understand the start time "${start}".`);
+  }
+  if (parsedStart.allDay) {
+    throw new Error(`"${start}" has no time of day. What time should the meeting start?`);
+  }
+
+  let endTime = parsedStart.end;
+  if (end) {
+    const parsedEnd = parseDateTime(end, { ...options, defaultDate: parsedStart.start.slice(0, 10) });
+    if (!parsedEnd || parsedEnd.allDay) {
+      throw new Error(`I couldn't understand the end time "${end}".`);
+    }
+    endTime = parsedEnd.start;
+  }
+
+  if (!endTime) {
+    const minutes = duration ? parseDuration(duration) : 60;
+    if (!minutes) {
+      throw new Error(`I couldn't understand the duration "${duration}".`);
+    }
+    endTime = format(new Date(new Date(`${parsedStart.start}Z`).getTime() + minutes * 60 * 1000));
+  }
+
+  if (endTime <= parsedStart.start) {
+    throw new Error('The meeting end time must be after the start time.');
+  }
+
+  return { start: parsedStart.start, end: endTime };
+}
+
+/**
+ * Resolve a day expression to a calendar date
+ * @param {String} text - e.g. "today", "friday", "Oct 20"
+ * @param {Object} options - { timeZone, now }
+ * @returns {String} YYYY-MM-DD, or null if not understood
+ */
+function resolveDay(text, options = {}) {
+  const parsed = parseDateTime(text, options);
+  return parsed ? parsed.start.slice(0, 10) : null;
+}
+
+/**
+ * Number of days from today up to and including the end of an expression
+ * e.g. "end of month" on the 28th of a 30-day month → 3
+ *
+ * @param {String} text - e.g. "friday", "next week", "end of month"
+ * @param {Object} options - { timeZone, now }
+ * @returns {Number} Days (at least 1), or null if not understood
+ */
+function daysUntil(text, options = {}) {
+  const parsed = parseDateTime(text, options);
+  if (!parsed) return null;
+
+  const { timeZone = 'UTC', now = new Date() } = options;
+  const today = startOfDay(new Date(`${toWallClock(now, timeZone)}Z`));
+  const lastDay = startOfDay(new Date(`${(parsed.end || parsed.start).slice(0, 10)}T00:00:00Z`));
+  return Math.max(1, Math.round((lastDay - today) / DAY_MS) + 1);
+}
+
+/**
+ * Add business days (Mon-Fri) to a date
+ * @param {String} date - YYYY-MM-DD
+ * @param {Number} count - Business days to add (may be negative)
+ * @returns {String} YYYY-MM-DD
+ */
+function addBusinessDays(date, count) {
+  return format(addBusinessDaysTo(parseDay(date), count)).slice(0, 10);
+}
+
+/**
+ * Validate and normalize a recurrence rule for a meeting
+ *
+ * @param {Object} recurrence - Tool/preview arguments:
+ *   { frequency: 'daily'|'weekdays'|'weekly'|'monthly', interval, days_of_week,
+ *     day_of_month, week_of_month, until, occurrences }
+ *   camelCase keys (daysOfWeek, dayOfMonth, weekOfMonth) are accepted too
+ * @param {String} start - First occurrence as a wall-clock string
+ * @param {Object} options - { timeZone, now }
+ * @returns {Object} { frequency, interval, daysOfWeek, dayOfMonth, weekOfMonth, until, occurrences },
+ *   or null when there is no recurrence. Unset days come from the start date when the event is created.
+ * @throws {Error} With a message that can be shown to the user
+ */
+function resolveRecurrence(recurrence, start, options = {}) {
+  if (!recurrence || !recurrence.frequency || recurrence.frequency === 'none') return null;
+
+  let frequency = normalize(recurrence.frequency);
+  let daysOfWeek = recurrence.daysOfWeek || recurrence.days_of_week || null;
+  const dayOfMonth = recurrence.dayOfMonth || recurrence.day_of_month || null;
+  const weekOfMonth = normalize(recurrence.weekOfMonth || recurrence.week_of_month) || null;
+  const interval = recurrence.interval ? Number(recurrence.interval) : 1;
+  const occurrences = recurrence.occurrences ? Number(recurrence.occurrences) : null;
+
+  // "every weekday" is a weekly pattern on Monday-Friday
+  if (frequency === 'weekdays') {
+    frequency = 'weekly';
+    daysOfWeek = WORK_WEEK;
+  }
+  if (!['daily', 'weekly', 'monthly'].includes(frequency)) {
+    throw new Error(`I can repeat meetings daily, weekly or monthly - not "${recurrence.frequency}".`);
+  }
+  if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+    throw new Error(`"${recurrence.interval}" is not a valid repeat interval.`);
+  }
+
+  if (daysOfWeek && daysOfWeek.length > 0) {
+    daysOfWeek = daysOfWeek.map((day) => {
+      const name = normalize(day);
+      const index = WEEKDAYS[name] ?? WEEKDAYS[name.replace(/s$/, '')]; // "mondays"
+      if (index === undefined) throw new Error(`I couldn't understand the day "${day}".`);
+      return DAY_NAMES[index];
+    });
+    daysOfWeek = DAY_NAMES.filter(day => daysOfWeek.includes(day));
+  } else {
+    daysOfWeek = null;
+  }
+
+  if (dayOfMonth !== null && !(Number.isInteger(Number(dayOfMonth)) && dayOfMonth >= 1 && dayOfMonth <= 31)) {
+    throw new Error(`"${dayOfMonth}" is not a valid day of the month.`);
+  }
+  if (weekOfMonth && !WEEK_INDEXES.includes(weekOfMonth)) {
+    throw new Error(`"${weekOfMonth}" should be first, second, third, fourth or last.`);
+  }
+
+  let until = null;
+  if (recurrence.until) {
+    until = resolveDay(recurrence.until, options);
+    if (!until) throw new Error(`I couldn't understand the end date "${recurrence.until}".`);
+    if (start && until < start.slice(0, 10)) {
+      throw new Error('The series must end after the first meeting.');
+    }
+  }
+  if (occurrences !== null && (!Number.isInteger(occurrences) || occurrences < 1 || occurrences > 999)) {
+    throw new Error(`"${recurrence.occurrences}" is not a valid number of meetings.`);
+  }
+  if (until && occurrences) {
+    throw new Error('Give either an end date or a number of meetings for the series, not both.');
+  }
+
+  return {
+    frequency,
+    interval,
+    daysOfWeek: frequency === 'daily' ? null : daysOfWeek,
+    dayOfMonth: frequency === 'monthly' && !weekOfMonth && dayOfMonth ? Number(dayOfMonth) : null,
+    weekOfMonth: frequency === 'monthly' ? weekOfMonth : null,
+    until,
+    occurrences
+  };
+}
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS (Internal)
+ * ============================================================
+ * Dates are handled as Date objects whose UTC fields hold the
+ * user's wall-clock time, so no server timezone leaks in.
+ */
+
+function normalize(text) {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .toLowerCase()
+    .replace(/[,!?]/g, ' ')
+    .replace(/\.$/, '')
+    .replace(/a\.m\.?/g, 'am')
+    .replace(/p\.m\.?/g, 'pm')
+    .replace(/o'?clock/g, '')
+    .replace(/\bthe\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(on|at|by|for)\s+/, '');
+}
+
+function parseIso(input, timeZone) {
+  const match = input.match(/^(\d{4})-(\d{2})-(\d{2})(?:[t ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(z|[+-]\d{2}:?\d{2})?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second = '00', offset] = match;
+  const wall = `${year}-${month}-${day}T${hour || '00'}:${minute || '00'}:${second}`;
+  const date = new Date(`${wall}Z`);
+  if (isNaN(date) || format(date) !== wall) return null;
+
+  if (!hour) {
+    return { start: wall, end: `${year}-${month}-${day}T23:59:59`, allDay: true };
+  }
+  if (offset) {
+    // An absolute instant - express it in the user's timezone
+    const instant = new Date(`${wall}${offset === 'z' ? 'Z' : offset}`);
+    return { start: toWallClock(instant, timeZone), end: null, allDay: false };
+  }
+  return { start: wall, end: null, allDay: false };
+}
+
+// Pull the time of day (or a time range) out of the text
+// Returns { time: { start, end }, rest } - time is null when there is none
+function extractTime(input) {
+  // Ranges: "2-3pm", "from 10 to 11:30am", "between 2 and 4pm", "2-3"
+  const rangePattern = new RegExp(`(from\\s+|between\\s+)?\\b(${CLOCK_PATTERN})\\s*(-|–|to|until|till|and)\\s*(${CLOCK_PATTERN})(?=\\s|$)`);
+  const range = input.match(rangePattern);
+  if (range) {
+    const explicit = Boolean(range[1]) || [range[2], range[4]].some(t => /am|pm|:|noon|midnight/.test(t));
+    // Two bare hours only with a dash or "to", and not "2-3 days"
+    const bare = /^(?:-|–|to)$/.test(range[3]) && [range[2], range[4]].every(t => parseInt(t, 10) >= 1 && parseInt(t, 10) <= 12) &&
+      !UNIT_AFTER_PATTERN.test(input.slice(range.index + range[0].length));
+    const times = explicit || bare ? parseClockRange(range[2], range[4]) : null;
+    if (times) {
+      return { time: times, rest: cleanRest(input.replace(range[0], ' ')) };
+    }
+  }
+
+  // Single clock times: "3pm", "at 3", "14:30", "tuesday 9"
+  const clockPatterns = [
+    /(?:\bat\s+)?\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/,
+    /(?:\bat\s+)?\b(\d{1,2}):(\d{2})\b/,
+    /\bat\s+(\d{1,2})\b(?!\s*(?:st|nd|rd|th)\b)/,
+    DAY_HOUR_PATTERN,
+    /^(\d{1,2})$/
+  ];
+  for (const pattern of clockPatterns) {
+    const match = input.match(pattern);
+    if (match) {
+      const time = toClock(match[1], match[2], match[3], !match[3]);
+      if (time) {
+        return { time: { start: time, end: null }, rest: cleanRest(input.replace(match[0], ' ')) };
+      }
+    }
+  }
+
+  // Named times: "tomorrow morning", "friday eod", "tonight"
+  const namePattern = new RegExp(`(?:\\bin\\s+)?\\b(${Object.keys(TIMES_OF_DAY).sort((a, b) => b.length - a.length).join('|')})\\b`);
+  const named = input.match(namePattern);
+  if (named) {
+    const rest = cleanRest(input.replace(named[0], ' '));
+    return {
+      time: { start: TIMES_OF_DAY[named[1]], end: null },
+      rest: named[1] === 'tonight' && !rest ? 'today' : rest
+    };
+  }
+
+  return { time: null, rest: input };
+}
+
+function parseClockRange(startText, endText) {
+  const startParts = splitClock(startText);
+  const endParts = splitClock(endText);
+  if (!startParts || !endParts) return null;
+
+  // "2-3pm" → the start borrows the end's am/pm
+  const startMeridiem = startParts.meridiem || endParts.meridiem;
+  let start = toClock(startParts.hour, startParts.minute, startMeridiem, !startMeridiem);
+  let end = toClock(endParts.hour, endParts.minute, endParts.meridiem, !endParts.meridiem);
+  if (!start || !end) return null;
+
+  // "11-1pm" → 11am, not 11pm
+  if (!startParts.meridiem && endParts.meridiem && start.hour > end.hour && start.hour >= 12) {
+    start = { hour: start.hour - 12, minute: start.minute };
+  }
+  // "11am-1" → 1pm
+  if (!endParts.meridiem && toMinutes(end) <= toMinutes(start) && end.hour < 12) {
+    end = { hour: end.hour + 12, minute: end.minute };
+  }
+  return { start, end };
+}
+
+function splitClock(text) {
+  if (TIMES_OF_DAY[text]) {
+    return { hour: String(TIMES_OF_DAY[text].hour), minute: '00', meridiem: null };
+  }
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  return match ? { hour: match[1], minute: match[2], meridiem: match[3] || null } : null;
+}
+
+// Build {hour, minute}; bareHour = no am/pm ("at 3", "3:30")
+function toClock(hourText, minuteText, meridiem, bareHour = false) {
+  let hour = parseInt(hourText, 10);
+  const minute = minuteText ? parseInt(minuteText, 10) : 0;
+  if (isNaN(hour) || minute > 59) return null;
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+  } else if (bareHour && hour >= 1 && hour <= 7 && !hourText.startsWith('0')) {
+    hour += 12; // Nobody books a 3am meeting ("03:30" is a 24-hour time)
+  }
+
+  return hour <= 23 ? { hour, minute } : null;
+}
+
+function cleanRest(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^(on|at|from)\s+/, '')
+    .replace(/\s+(on|at)$/, '');
+}
+
+// Resolve the date part to { from, to } days (to = null for a single day)
+function parseDatePart(text, today) {
+  const input = text.replace(/^(on|this coming|coming)\s+/, match => (match.startsWith('on') ? '' : 'this '));
+  let match;
+
+  switch (input) {
+    case 'today':
+      return { from: today, to: null };
+    case 'tomorrow':
+    case 'tmrw':
+    case 'tmr':
+      return { from: addDays(today, 1), to: null };
+    case 'day after tomorrow':
+      return { from: addDays(today, 2), to: null };
+    case 'yesterday':
+      return { from: addDays(today, -1), to: null };
+    case 'this week':
+      return { from: today, to: addDays(startOfWeek(today), 6) };
+    case 'next week':
+      return { from: addDays(startOfWeek(today), 7), to: addDays(startOfWeek(today), 13) };
+    case 'end of week':
+    case 'end of this week': {
+      const friday = addDays(startOfWeek(today), 4);
+      return { from: friday < today ? today : friday, to: null };
+    }
+    case 'this weekend':
+    case 'weekend': {
+      const saturday = addDays(startOfWeek(today), 5);
+      return { from: saturday < today ? today : saturday, to: addDays(startOfWeek(today), 6) };
+    }
+    case 'next weekend':
+      return { from: addDays(startOfWeek(today), 12), to: addDays(startOfWeek(today), 13) };
+    case 'this month':
+      return { from: today, to: endOfMonth(today, 0) };
+    case 'next month':
+      return { from: startOfMonth(today, 1), to: endOfMonth(today, 1) };
+    case 'end of month':
+    case 'end of this month':
+      return { from: endOfMonth(today, 0), to: null };
+    case 'end of next month':
+      return { from: endOfMonth(today, 1), to: null };
+    case 'start of next month':
+    case 'beginning of next month':
+      return { from: startOfMonth(today, 1), to: null };
+    case 'end of year':
+    case 'end of this year':
+      return { from: new Date(Date.UTC(today.getUTCFullYear(), 11, 31)), to: null };
+    case 'next business day':
+    case 'next working day':
+      return { from: addBusinessDaysTo(today, 1), to: null };
+  }
+
+  // "thursday", "this thursday", "next thursday", "thursday next week"
+  match = input.match(new RegExp(`^(?:(this|next)\\s+)?(${WEEKDAY_PATTERN})(\\s+next week)?$`));
+  if (match) {
+    const weekday = WEEKDAYS[match[2]];
+    if (match[1] === 'next' || match[3]) {
+      return { from: addDays(startOfWeek(today), 7 + ((weekday + 6) % 7)), to: null };
+    }
+    // Today's weekday with a time that has passed ("monday 9am" on Monday at 10) is next week's
+    return { from: addDays(today, (weekday - today.getUTCDay() + 7) % 7), to: null, rollDays: 7 };
+  }
+
+  // "in 2 days", "in 3 business days", "2 weeks from now"
+  match = input.match(new RegExp(`^(?:in\\s+)?(${NUMBER_PATTERN})\\s+(business days?|working days?|days?|weeks?|months?)(?:\\s+from\\s+(?:now|today))?$`));
+  if (match && (input.startsWith('in ') || /from (now|today)$/.test(input))) {
+    const count = toNumber(match[1]);
+    if (!Number.isInteger(count)) return null;
+    if (/^(business|working)/.test(match[2])) return { from: addBusinessDaysTo(today, count), to: null };
+    if (/^week/.test(match[2])) return { from: addDays(today, count * 7), to: null };
+    if (/^month/.test(match[2])) return { from: addMonths(today, count), to: null };
+    return { from: addDays(today, count), to: null };
+  }
+
+  // Calendar dates, optionally after a weekday: "thursday oct 22", "22nd of october 2026"
+  const dateText = input.replace(new RegExp(`^(${WEEKDAY_PATTERN})\\s+`), '');
+  match = dateText.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_PATTERN})(?:\\s+(\\d{4}))?$`));
+  if (match) return calendarDate(today, match[3], MONTHS[match[2]], match[1]);
+
+  match = dateText.match(new RegExp(`^(${MONTH_PATTERN})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+(\\d{4}))?$`));
+  if (match) return calendarDate(today, match[3], MONTHS[match[1]], match[2]);
+
+  const iso = dateText.match(/^\d{4}-\d{2}-\d{2}$/);
+  if (iso) {
+    const day = parseDay(dateText);
+    return day ? { from: day, to: null } : null;
+  }
+
+  return null;
+}
+
+// Dates without a year mean the next occurrence
+function calendarDate(today, yearText, month, dayText) {
+  const day = parseInt(dayText, 10);
+  let year = yearText ? parseInt(yearText, 10) : today.getUTCFullYear();
+  let date = new Date(Date.UTC(year, month, day));
+  if (date.getUTCMonth() !== month) return null; // e.g. "31 feb"
+
+  if (!yearText && date < today) {
+    year += 1;
+    date = new Date(Date.UTC(year, month, day));
+    if (date.getUTCMonth() !== month) return null;
+  }
+  return { from: date, to: null };
+}
+
+function toNumber(text) {
+  if (text === 'half an') return 0.5;
+  return NUMBER_WORDS[text] !== undefined ? NUMBER_WORDS[text] : parseFloat(text);
+}
+
+function toMinutes(time) {
+  return time.hour * 60 + time.minute;
+}
+
+function parseDay(text) {
+  const date = new Date(`${String(text).slice(0, 10)}T00:00:00Z`);
+  return isNaN(date) ? null : date;
+}
+
+function format(date) {
+  return date.toISOString().slice(0, 19);
+}
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+// Monday of the week containing date
+function startOfWeek(date) {
+  return addDays(date, -((date.getUTCDay() + 6) % 7));
+}
+
+function startOfMonth(date, monthOffset) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + monthOffset, 1));
+}
+
+function endOfMonth(date, monthOffset) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + monthOffset + 1, 0));
+}
+
+// Same day of month, clamped ("jan 31" + 1 month → feb 28)
+function addMonths(date, months) {
+  const target = startOfMonth(date, months);
+  const lastDay = endOfMonth(date, months).getUTCDate();
+  return new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), Math.min(date.getUTCDate(), lastDay)));
+}
+
+function addBusinessDaysTo(date, count) {
+  let result = date;
+  let remaining = Math.abs(count);
+  const step = count < 0 ? -1 : 1;
+  while (remaining > 0) {
+    result = addDays(result, step);
+    const weekday = result.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) remaining--;
+  }
+  return result;
+}
+
+function atTime(day, time) {
+  return new Date(day.getTime() + (time.hour * 60 + time.minute) * 60 * 1000);
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+module.exports = {
+  parseDateTime,
+  parseDuration,
+  resolveMeetingWindow,
+  resolveDay,
+  daysUntil,
+  addBusinessDays,
+  resolveRecurrence
+};
@@ -0,0 +1,295 @@
+/**
+ * ============================================================
+ * 📒 DIRECTORY CACHE MODULE
+ * ============================================================
+ *
+ * Local copy of each tenant's user directory, so contact names resolve
+ * in-process instead of querying /users for every recipient:
+ * - Seeded from /users/delta (all pages); later syncs send the saved
+ *   deltaLink and only download users that were added, changed or removed
+ * - Indexed by email and by the first letters of every name word,
+ *   then ranked with nameMatcher
+ * - Saved in the store, so a restart resumes from the last deltaLink
+ * - Once older than DIRECTORY_REFRESH_MINUTES it is synced in the
+ *   background; lookups only wait for the very first sync
+ *
+ * Needs User.Read.All. Without it (or while a sync keeps failing)
+ * lookups return null and callers fall back to live Graph queries.
+ *
+ * ============================================================
+ */
+
+const { createStore } = require('./store');
+const nameMatcher = require('./name-matcher');
+
+// { deltaLink, syncedAt, users } by tenant ID (no expiry - the deltaLink keeps it current)
+const directoryStore = createStore('directory');
+
+const REFRESH_MS = (parseInt(process.env.DIRECTORY_REFRESH_MINUTES, 10) || 15) * 60 * 1000;
+// Wait this long after a failed sync before trying again
+const RETRY_MS = 5 * 60 * 1000;
+const USER_FIELDS = 'id,displayName,givenName,surname,mail,userPrincipalName,jobTitle,department,accountEnabled';
+const PREFIX_LENGTH = 3;
+
+// Loaded directories by tenant ID (promises, so parallel lookups share the first load):
+// { users, byEmail, byPrefix, deltaLink, syncedAt, failedAt, syncing }
+const directories = new Map();
+
+/**
+ * Find people by name
+ * @param {Object} client - Graph client
+ * @param {String} tenantId
+ * @param {String} name - As the user said it
+ * @returns {Promise<Array|null>} Ranked matches [{ name, email, givenName, surname, jobTitle, department, score }],
+ *   or null when the directory is not available
+ */
+async function findPeople(client, tenantId, name) {
+  const directory = await loadDirectory(client, tenantId);
+  if (!directory) return null;
+
+  // Users sharing a word start with the search, or everyone if none of those are close
+  const ids = new Set();
+  for (const prefix of namePrefixes(name)) {
+    for (const id of directory.byPrefix.get(prefix) || []) ids.add(id);
+  }
+
+  const toPerson = id => toContact(directory.users.get(id));
+  let matches = nameMatcher.rankMatches(name, [...ids].map(toPerson));
+  if (matches.length === 0) {
+    matches = nameMatcher.rankMatches(name, [...directory.users.keys()].map(toPerson));
+  }
+
+  return matches.filter(match => match.email);
+}
+
+/**
+ * Look up a person by email address
+ * @param {Object} client - Graph client
+ * @param {String} tenantId
+ * @param {String} email
+ * @returns {Promise<Object|null>} { name, email, givenName, surname, jobTitle, department } or null
+ */
+async function findByEmail(client, tenantId, email) {
+  const directory = await loadDirectory(client, tenantId);
+  if (!directory || !email) return null;
+
+  const id = directory.byEmail.get(email.trim().toLowerCase());
+  return id ? toContact(directory.users.get(id)) : null;
+}
+
+/**
+ * Sync a tenant's directory now
+ * @param {Object} client - Graph client
+ * @param {String} tenantId
+ * @param {Boolean} full - Drop the cache and download every user again
+ * @returns {Promise<Object>} getStatus() result
+ * @throws {Error} When the sync fails
+ */
+async function refreshDirectory(client, tenantId, full = false) {
+  if (full) await invalidateDirectory(tenantId);
+
+  const directory = await getLoadedDirectory(tenantId);
+  await syncDirectory(client, tenantId, directory, true);
+  return describeDirectory(tenantId, directory);
+}
+
+/**
+ * Load (and if needed download) a tenant's directory ahead of the first lookup.
+ * Runs in the background - failures are only logged
+ * @param {Object} client - Graph client
+ * @param {String} tenantId
+ */
+function warmDirectory(client, tenantId) {
+  loadDirectory(client, tenantId).catch((error) => {
+    console.error(`❌ Could not load directory cache for tenant ${tenantId}:`, error.message);
+  });
+}
+
+/**
+ * Forget a tenant's cached directory - the next lookup downloads it again
+ * @param {String} tenantId
+ */
+async function invalidateDirectory(tenantId) {
+  directories.delete(tenantId);
+  await directoryStore.delete(tenantId);
+  console.log(`🗑️ Directory cache cleared for tenant ${tenantId}`);
+}
+
+/**
+ * Size and age of a tenant's cache
+ * @param {String} tenantId
+ * @returns {Promise<Object>} { tenantId, users, syncedAt, lastFailure }
+ */
+async function getStatus(tenantId) {
+  return describeDirectory(tenantId, await getLoadedDirectory(tenantId));
+}
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS (Internal)
+ * ============================================================
+ */
+
+// The directory for lookups, synced if needed (null if it isn't available)
+async function loadDirectory(client, tenantId) {
+  if (!tenantId) return null;
+  const directory = await getLoadedDirectory(tenantId);
+
+  if (!directory.syncedAt) {
+    // Nothing cached yet - wait for the first sync, unless it failed a moment ago
+    if (directory.failedAt && Date.now() - directory.failedAt < RETRY_MS) return null;
+    await syncDirectory(client, tenantId, directory);
+    return directory.syncedAt ? directory : null;
+  }
+
+  if (Date.now() - directory.syncedAt > REFRESH_MS &&
+    !(directory.failedAt && Date.now() - directory.failedAt < RETRY_MS)) {
+    // Stale - answer from the cache, pick up changes in the background
+    syncDirectory(client, tenantId, directory);
+  }
+  return directory;
+}
+
+// In-memory directory, restored from the store the first time
+function getLoadedDirectory(tenantId) {
+  if (!directories.has(tenantId)) {
+    directories.set(tenantId, restoreDirectory(tenantId));
+  }
+  return directories.get(tenantId);
+}
+
+async function restoreDirectory(tenantId) {
+  const directory = { users: new Map(), byEmail: new Map(), byPrefix: new Map(), deltaLink: null, syncedAt: 0, failedAt: 0, syncing: null };
+
+  const saved = await directoryStore.get(tenantId);
+  if (saved) {
+    saved.users.forEach(user => directory.users.set(user.id, user));
+    directory.deltaLink = saved.deltaLink;
+    directory.syncedAt = saved.syncedAt;
+    buildIndexes(directory);
+    console.log(`📒 Directory cache loaded for tenant ${tenantId}: ${directory.users.size} users`);
+  }
+  return directory;
+}
+
+function describeDirectory(tenantId, directory) {
+  return {
+    tenantId,
+    users: directory.users.size,
+    syncedAt: directory.syncedAt ? new Date(directory.syncedAt).toISOString() : null,
+    lastFailure: directory.failedAt ? new Date(directory.failedAt).toISOString() : null
+  };
+}
+
+// One sync per tenant at a time - callers share the running one.
+// Failures are logged and only thrown when rethrow is set
+function syncDirectory(client, tenantId, directory, rethrow = false) {
+  if (!directory.syncing) {
+    directory.syncing = runDeltaSync(client, tenantId, directory)
+      .catch((error) => {
+        directory.failedAt = Date.now();
+        console.error(`❌ Directory sync failed for tenant ${tenantId}:`, error.message);
+        throw error;
+      })
+      .finally(() => {
+        directory.syncing = null;
+      });
+  }
+  return directory.syncing.catch((error) => {
+    if (rethrow) throw new Error('Failed to sync directory: ' + error.message);
+  });
+}
+
+async function runDeltaSync(client, tenantId, directory) {
+  const started = Date.now();
+  const initial = !directory.deltaLink;
+  let url = directory.deltaLink || `/users/delta?$select=${USER_FIELDS}`;
+  let deltaLink = null;
+  const changes = [];
+
+  try {
+    while (url) {
+      const page = await client.api(url).get();
+      changes.push(...(page.value || []));
+      url = page['@odata.nextLink'] || null;
+      deltaLink = page['@odata.deltaLink'] || deltaLink;
+    }
+  } catch (error) {
+    // The deltaLink expired - start over with a full download
+    if (!initial && (error.statusCode === 410 || /syncStateNotFound|resyncRequired/i.test(error.code || ''))) {
+      console.log(`🔄 Directory delta token expired for tenant ${tenantId} - downloading again`);
+      directory.users.clear();
+      directory.deltaLink = null;
+      return runDeltaSync(client, tenantId, directory);
+    }
+    throw error;
+  }
+
+  // Changed users only carry the properties that changed
+  for (const change of changes) {
+    if (change['@removed'] || change.accountEnabled === false) {
+      directory.users.delete(change.id);
+    } else {
+      directory.users.set(change.id, { ...(directory.users.get(change.id) || {}), ...change });
+    }
+  }
+
+  directory.deltaLink = deltaLink;
+  directory.syncedAt = Date.now();
+  directory.failedAt = 0;
+  buildIndexes(directory);
+
+  await directoryStore.set(tenantId, {
+    deltaLink,
+    syncedAt: directory.syncedAt,
+    users: [...directory.users.values()].map(({ id, displayName, givenName, surname, mail, userPrincipalName, jobTitle, department }) =>
+      ({ id, displayName, givenName, surname, mail, userPrincipalName, jobTitle, department }))
+  });
+
+  console.log(`📒 Directory ${initial ? 'downloaded' : 'synced'} for tenant ${tenantId}: ${changes.length} change(s), ${directory.users.size} users (${Date.now() - started}ms)`);
+}
+
+function buildIndexes(directory) {
+  directory.byEmail = new Map();
+  directory.byPrefix = new Map();
+
+  for (const user of directory.users.values()) {
+    for (const address of [user.mail, user.userPrincipalName]) {
+      if (address) directory.byEmail.set(address.toLowerCase(), user.id);
+    }
+    for (const prefix of namePrefixes([user.displayName, user.givenName, user.surname].join(' '))) {
+      if (!directory.byPrefix.has(prefix)) directory.byPrefix.set(prefix, new Set());
+      directory.byPrefix.get(prefix).add(user.id);
+    }
+  }
+}
+
+// First letters of each word: "Jatin Kumar" → ['jat', 'kum']
+function namePrefixes(name) {
+  return [...new Set(
+    String(name || '').toLowerCase().split(/[^a-z]+/).filter(Boolean).map(word => word.slice(0, PREFIX_LENGTH))
+  )];
+}
+
+function toContact(user) {
+  return {
+    name: user.displayName || user.mail || user.userPrincipalName,
+    givenName: user.givenName,
+    surname: user.surname,
+    email: user.mail || user.userPrincipalName,
+    jobTitle: user.jobTitle || '',
+    department: user.department || ''
+  };
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+module.exports = {
+  findPeople,
+  findByEmail,
+  refreshDirectory,
+  warmDirectory,
+  invalidateDirectory,
+  getStatus
+};
@@ -0,0 +1,242 @@
+/**
+ * ============================================================
+ * ✉️ EMAIL TEMPLATES MODULE
+ * ============================================================
+ *
+ * Builds the HTML (and plain-text fallback) for outgoing mail:
+ * - Greeting: "Hi {firstName},"
+ * - Body: paragraphs, bullet and numbered lists from the model's text
+ * - Signature: sign-off plus fields from the sender's Graph profile
+ * - Footer: line under the signature (new mail only)
+ *
+ * Each user can override the defaults (stored by their sign-in email).
+ *
+ * Placeholders in greeting / signOff / footer:
+ * {firstName}, {recipientName}, {senderName}, {date}
+ *
+ * ============================================================
+ */
+
+const { createStore } = require('./store');
+const { escapeHtml } = require('./formatters');
+
+// Per-user overrides by lowercase sign-in email (no expiry)
+const templateStore = createStore('email-templates');
+
+const DEFAULT_TEMPLATE = {
+  greeting: 'Hi {firstName},',
+  signOff: 'Best regards,',
+  // Profile fields shown under the sender's name, in this order
+  signatureFields: ['jobTitle', 'department', 'email'],
+  footer: 'Sent on {date}',
+  accentColor: '#2563eb',
+  fontFamily: 'Segoe UI, Arial, sans-serif'
+};
+
+const SIGNATURE_FIELDS = ['jobTitle', 'department', 'email', 'officeLocation'];
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Get a user's template (defaults merged with their overrides)
+ * @param {String} ownerEmail - User's sign-in email
+ * @returns {Promise<Object>} Template
+ */
+async function getTemplate(ownerEmail) {
+  const overrides = ownerEmail ? await templateStore.get(ownerEmail.toLowerCase()) : null;
+  return { ...DEFAULT_TEMPLATE, ...(overrides || {}) };
+}
+
+/**
+ * Save a user's template overrides (merged with any saved before)
+ * @param {String} ownerEmail - User's sign-in email
+ * @param {Object} overrides - Any of the DEFAULT_TEMPLATE keys
+ * @returns {Promise<Object>} The resulting template
+ * @throws {Error} When a key or value is not allowed
+ */
+async function setTemplate(ownerEmail, overrides = {}) {
+  if (!ownerEmail) throw new Error('Missing user email');
+  validateOverrides(overrides);
+
+  const key = ownerEmail.toLowerCase();
+  const saved = { ...((await templateStore.get(key)) || {}), ...overrides };
+  await templateStore.set(key, saved);
+  console.log(`✓ Email template updated for ${key}`);
+
+  return { ...DEFAULT_TEMPLATE, ...saved };
+}
+
+/**
+ * Remove a user's overrides (back to the defaults)
+ * @param {String} ownerEmail
+ * @returns {Promise<Object>} The default template
+ */
+async function resetTemplate(ownerEmail) {
+  if (ownerEmail) await templateStore.delete(ownerEmail.toLowerCase());
+  return { ...DEFAULT_TEMPLATE };
+}
+
+/**
+ * Render an email
+ *
+ * @param {Object} options
+ * @param {String} options.recipientName - Name used in the greeting ("all" for groups)
+ * @param {String} options.body - The model's text; greetings/sign-offs it wrote are dropped
+ * @param {Object} options.sender - getSenderProfile() result
+ * @param {Object} options.template - getTemplate() result (default: DEFAULT_TEMPLATE)
+ * @param {Boolean} options.includeFooter - False for replies/forwards (quoted mail follows)
+ * @param {Array} options.links - Shared files [{ name, url }] listed under the body
+ * @param {Date} options.date - For {date} (default: now)
+ * @returns {Object} { html, text }
+ */
+function renderEmail({ recipientName = '', body = '', sender = {}, template = DEFAULT_TEMPLATE, includeFooter = true, links = [], date = new Date() }) {
+  const values = {
+    firstName: String(recipientName).trim().split(/\s+/)[0] || 'there',
+    recipientName: recipientName || 'there',
+    senderName: sender.displayName || 'User',
+    date: date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })
+  };
+  const fill = (text) => String(text || '').replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+
+  const blocks = parseBlocks(cleanBody(body));
+  const signatureLines = (template.signatureFields || [])
+    .map(field => sender[field])
+    .filter(Boolean);
+  const greeting = fill(template.greeting);
+  const signOff = fill(template.signOff);
+  const footer = includeFooter ? fill(template.footer) : '';
+
+  // ---------- HTML ----------
+  const style = `font-family: ${template.fontFamily}; font-size: 14px; line-height: 1.5; color: #1f2937;`;
+  const htmlBlocks = blocks.map((block) => {
+    if (block.type === 'paragraph') {
+      return `<p style="margin: 0 0 12px 0;">${block.lines.map(escapeHtml).join('<br>')}</p>`;
+    }
+    const tag = block.type === 'numbered' ? 'ol' : 'ul';
+    const items = block.lines.map(line => `<li style="margin: 0 0 4px 0;">${escapeHtml(line)}</li>`).join('');
+    return `<${tag} style="margin: 0 0 12px 0; padding-left: 24px;">${items}</${tag}>`;
+  });
+
+  if (links.length > 0) {
+    const items = links
+      .map(link => `<li style="margin: 0 0 4px 0;"><a href="${escapeHtml(link.url)}" style="color: ${template.accentColor};">${escapeHtml(link.name)}</a></li>`)
+      .join('');
+    htmlBlocks.push(`<p style="margin: 0 0 4px 0;">Shared files:</p><ul style="margin: 0 0 12px 0; padding-left: 24px;">${items}</ul>`);
+  }
+
+  const html = [
+    `<div style="${style}">`,
+    greeting ? `<p style="margin: 0 0 12px 0;">${escapeHtml(greeting)}</p>` : '',
+    ...htmlBlocks,
+    `<p style="margin: 16px 0 0 0;">${escapeHtml(signOff)}<br>`,
+    `<strong style="color: ${template.accentColor};">${escapeHtml(values.senderName)}</strong>`,
+    ...signatureLines.map(line => `<br><span style="color: #6b7280; font-size: 12px;">${escapeHtml(line)}</span>`),
+    '</p>',
+    footer ? `<p style="margin: 16px 0 0 0; padding-top: 8px; border-top: 1px solid #e5e7eb; color: #9ca3af; font-size: 11px;">${escapeHtml(footer)}</p>` : '',
+    '</div>'
+  ].join('');
+
+  // ---------- Plain text ----------
+  const textBlocks = blocks.map((block) => {
+    if (block.type === 'paragraph') return block.lines.join('\n');
+    return block.lines.map((line, i) => (block.type === 'numbered' ? `${i + 1}. ${line}` : `• ${line}`)).join('\n');
+  });
+  if (links.length > 0) {
+    textBlocks.push(['Shared files:', ...links.map(link => `• ${link.name}: ${link.url}`)].join('\n'));
+  }
+  const text = [
+    greeting,
+    ...textBlocks,
+    [signOff, values.senderName, ...signatureLines].join('\n'),
+    footer
+  ].filter(Boolean).join('\n\n');
+
+  return { html, text };
+}
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS (Internal)
+ * ============================================================
+ */
+
+// Drop markup and any greeting/sign-off the model wrote (the template adds its own).
+// Line breaks are kept - they become paragraphs and lists
+function cleanBody(body) {
+  const lines = String(body || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim());
+
+  // Greeting on the first line
+  while (lines.length > 0 && lines[0] === '') lines.shift();
+  if (lines.length > 0 && /^(hi|hello|hey|dear)\b[^.!?]{0,40},?$/i.test(lines[0])) lines.shift();
+  if (lines.length > 0) lines[0] = lines[0].replace(/^(hi|hello|dear)\s+\w+,\s*/i, '');
+
+  // Sign-off and everything after it
+  const signOffIndex = lines.findIndex(line =>
+    /^(best( regards| wishes)?|kind regards|regards|thanks( and regards)?|thank you|cheers|sincerely)\s*[,.!]?$/i.test(line) ||
+    /^--+\s*$/.test(line)
+  );
+  const kept = signOffIndex >= 0 ? lines.slice(0, signOffIndex) : lines;
+
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Split text into paragraph / bullet / numbered blocks
+function parseBlocks(text) {
+  const blocks = [];
+  let current = null;
+
+  for (const line of text.split('\n')) {
+    if (line === '') {
+      current = null;
+      continue;
+    }
+
+    const bullet = line.match(/^[-*•]\s+(.*)$/);
+    const numbered = line.match(/^\d+[.)]\s+(.*)$/);
+    const type = bullet ? 'bullets' : numbered ? 'numbered' : 'paragraph';
+    const content = bullet ? bullet[1] : numbered ? numbered[1] : line;
+
+    if (!current || current.type !== type) {
+      current = { type, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(content);
+  }
+
+  return blocks;
+}
+
+function validateOverrides(overrides) {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!(key in DEFAULT_TEMPLATE)) {
+      throw new Error(`Unknown template setting "${key}"`);
+    }
+    if (key === 'signatureFields') {
+      if (!Array.isArray(value) || value.some(field => !SIGNATURE_FIELDS.includes(field))) {
+        throw new Error(`signatureFields must only contain: ${SIGNATURE_FIELDS.join(', ')}`);
+      }
+    } else if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+      throw new Error(`${key} must be text of at most ${MAX_TEXT_LENGTH} characters`);
+    } else if (key === 'accentColor' && !/^#[0-9a-f]{6}$/i.test(value)) {
+      throw new Error('accentColor must be a hex color like #2563eb');
+    } else if (key === 'fontFamily' && /[;<>"{}]/.test(value)) {
+      throw new Error('fontFamily contains characters that are not allowed');
+    }
+  }
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+module.exports = {
+  DEFAULT_TEMPLATE,
+  getTemplate,
+  setTemplate,
+  resetTemplate,
+  renderEmail
+};
@@ -28,8 +28,8 @@ function formatCalendarEvents(events, userTimeZone = 'UTC') {
 
   return events.map(event => {
     try {
-      const startTime = new Date(event.start?.dateTime || event.startDateTime);
-      const endTime = new Date(event.end?.dateTime || event.endDateTime);
+      const startTime = parseGraphDateTime(event.start?.dateTime || event.startDateTime);
+      const endTime = parseGraphDateTime(event.end?.dateTime || event.endDateTime);
 
       // Format times in user's timezone
       const formattedStart = formatDateTime(startTime, userTimeZone);
@@ -108,6 +108,7 @@ function formatEmails(emails, userTimeZone = 'UTC') {
       return {
         id: email.id,
         from: email.from?.emailAddress?.name || email.from?.emailAddress?.address || 'Unknown',
+        fromEmail: email.from?.emailAddress?.address || null,
         subject: email.subject,
         receivedDate: formattedReceived,
         preview: email.bodyPreview || email.body?.content?.substring(0, 100) || 'No content',
@@ -226,6 +227,99 @@ function formatDateTime(date, timeZone = 'UTC') {
   }
 }
 
+/**
+ * Format a meeting's wall-clock start/end for display, e.g.
+ * "Tue, Oct 20, 2026, 3:00 PM – 3:30 PM (Asia/Kolkata)"
+ * Times are shown exactly as they will be booked (no server-timezone shift)
+ * @param {String} start - ISO date-time without offset
+ * @param {String} end
+ * @param {String} timeZone - Timezone the event is booked in
+ * @returns {String}
+ */
+function formatMeetingWindow(start, end, timeZone) {
+  const toWallClock = (value) => {
+    if (!value) return null;
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/.test(value);
+    const date = new Date(hasOffset ? value : `${value}Z`);
+    return isNaN(date) ? null : date;
+  };
+
+  const startDate = toWallClock(start);
+  const endDate = toWallClock(end);
+  if (!startDate) return start || 'Time not set';
+
+  const dateOptions = { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' };
+  const timeOptions = { timeZone: 'UTC', hour: 'numeric', minute: '2-digit' };
+  const sameDay = endDate && startDate.toISOString().slice(0, 10) === endDate.toISOString().slice(0, 10);
+
+  let text = startDate.toLocaleString('en-US', dateOptions);
+  if (endDate) {
+    text += ` – ${endDate.toLocaleString('en-US', sameDay ? timeOptions : dateOptions)}`;
+  }
+  return timeZone ? `${text} (${timeZone})` : text;
+}
+
+/**
+ * Describe a recurrence rule for display, e.g.
+ * "Every weekday until Thu, Dec 31, 2026" or "Every 2 weeks on Mon, Wed, 10 times"
+ * @param {Object} recurrence - Normalized rule from date-parser.resolveRecurrence
+ * @param {String} start - First occurrence (fills in unset days)
+ * @returns {String} Description, or null for a one-off meeting
+ */
+function formatRecurrence(recurrence, start = null) {
+  if (!recurrence) return null;
+
+  const shortDay = (day) => day.charAt(0).toUpperCase() + day.slice(1, 3);
+  const startDate = start ? new Date(`${start.slice(0, 10)}T00:00:00Z`) : null;
+  const startDay = startDate && !isNaN(startDate)
+    ? startDate.toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'long' }).toLowerCase()
+    : null;
+  const { frequency, interval } = recurrence;
+  const days = recurrence.daysOfWeek || (startDay ? [startDay] : []);
+
+  let text;
+  if (frequency === 'daily') {
+    text = interval > 1 ? `Every ${interval} days` : 'Daily';
+  } else if (frequency === 'weekly') {
+    const weekdaysOnly = days.length === 5 && !days.includes('saturday') && !days.includes('sunday');
+    if (weekdaysOnly && interval === 1) {
+      text = 'Every weekday';
+    } else {
+      text = `${interval > 1 ? `Every ${interval} weeks` : 'Weekly'} on ${days.map(shortDay).join(', ')}`;
+    }
+  } else {
+    text = interval > 1 ? `Every ${interval} months` : 'Monthly';
+    if (recurrence.weekOfMonth) {
+      text += ` on the ${recurrence.weekOfMonth} ${days.map(shortDay).join(', ')}`;
+    } else {
+      const dayOfMonth = recurrence.dayOfMonth || (startDate ? startDate.getUTCDate() : null);
+      if (dayOfMonth) text += ` on day ${dayOfMonth}`;
+    }
+  }
+
+  if (recurrence.until) {
+    const untilDate = new Date(`${recurrence.until}T00:00:00Z`);
+    text += ` until ${untilDate.toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}`;
+  } else if (recurrence.occurrences) {
+    text += `, ${recurrence.occurrences} time${recurrence.occurrences === 1 ? '' : 's'}`;
+  } else {
+    text += ', no end date';
+  }
+  return text;
+}
+
+/**
+ * Parse a Graph dateTime - Graph returns UTC without an offset
+ * ("2025-01-15T09:30:00.0000000"), which Date would read as server-local time
+ * @param {String|Date} value
+ * @returns {Date}
+ */
+function parseGraphDateTime(value) {
+  if (value instanceof Date) return value;
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/.test(value || '');
+  return new Date(hasOffset ? value : `${String(value).slice(0, 23)}Z`);
+}
+
 /**
  * Calculate duration between two times
  * @param {Date} startTime 
@@ -285,6 +379,17 @@ function getFileType(filename) {
   return types[ext] || 'File';
 }
 
+/**
+ * Escape text for use in HTML (email bodies, Teams messages, server-rendered pages)
+ * @param {*} value - null/undefined become an empty string
+ * @returns {String}
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[ch]));
+}
+
 // ============================================================
 // EXPORTS
 // ============================================================
@@ -295,7 +400,10 @@ module.exports = {
   formatTeamsMessages,
   formatActionPreview,
   formatDateTime,
+  formatMeetingWindow,
+  formatRecurrence,
   calculateDuration,
   formatFileSize,
-  getFileType
+  getFileType,
+  escapeHtml
 };
@@ -0,0 +1,155 @@
+/**
+ * ============================================================
+ * 🧩 GRAPH QUERY MODULE
+ * ============================================================
+ *
+ * Builds the parts of Graph requests that contain user text, so
+ * names like "O'Brien", "AT&T Team" or "Renée #2" can't break or
+ * change the request:
+ * - OData string literals: ' doubled ("O'Brien" → 'O''Brien')
+ * - $filter expressions: startswith / contains / eq over one or more fields
+ * - $search phrases: " and \ escaped with a backslash
+ * - Path segments and function arguments (/users/{id}, search(q='...'))
+ *
+ * The Graph client puts $filter / $search values into the URL as they
+ * are, so filter() and search() return them percent-encoded - pass the
+ * result straight to .filter() / .search().
+ *
+ * Usage:
+ * client.api('/users').filter(graphQuery.filter(graphQuery.startsWith(['displayName', 'surname'], name)))
+ * client.api(`/users/${graphQuery.segment(email)}`)
+ * ============================================================
+ */
+
+/**
+ * OData string literal
+ * @param {String} value
+ * @returns {String} e.g. 'O''Brien'
+ */
+function literal(value) {
+  return `'${String(value ?? '').replace(/'/g, "''")}'`;
+}
+
+/**
+ * startswith() on each field, joined with "or"
+ * @param {String|Array} fields - e.g. ['displayName', 'givenName']
+ * @param {String} value
+ * @returns {String} Filter expression (not encoded)
+ */
+function startsWith(fields, value) {
+  return anyField(fields, field => `startswith(${field},${literal(value)})`);
+}
+
+/**
+ * contains() on each field, joined with "or"
+ * @param {String|Array} fields
+ * @param {String} value
+ * @returns {String} Filter expression (not encoded)
+ */
+function contains(fields, value) {
+  return anyField(fields, field => `contains(${field},${literal(value)})`);
+}
+
+/**
+ * "field eq value" on each field, joined with "or"
+ * @param {String|Array} fields
+ * @param {String} value
+ * @returns {String} Filter expression (not encoded)
+ */
+function equals(fields, value) {
+  return anyField(fields, field => `${field} eq ${literal(value)}`);
+}
+
+/**
+ * Combine filter expressions
+ * @param {String} operator - 'and' | 'or'
+ * @param {Array} expressions - Empty ones are skipped
+ * @returns {String} Each expression in brackets, e.g. (a) and (b)
+ */
+function combine(operator, expressions) {
+  const parts = expressions.filter(Boolean);
+  if (parts.length <= 1) return parts[0] || '';
+  return parts.map(part => `(${part})`).join(` ${operator} `);
+}
+
+/**
+ * $filter value ready for .filter()
+ * @param {String} expression - Built with the functions above
+ * @returns {String} Percent-encoded
+ */
+function filter(expression) {
+  return encodeURIComponent(expression);
+}
+
+/**
+ * $search value ready for .search(), as one quoted phrase
+ * @param {String} text - What to look for
+ * @param {String} property - Optional KQL property, e.g. 'subject' → "subject:text"
+ * @returns {String} Percent-encoded
+ */
+function search(text, property = null) {
+  const phrase = `${property ? `${property}:` : ''}${String(text ?? '').trim()}`;
+  return encodeURIComponent(`"${escapeSearch(phrase)}"`);
+}
+
+/**
+ * Several KQL criteria as one $search value, e.g. from:jatin subject:report
+ * @param {Object} criteria - { property: text }; empty values are skipped
+ * @returns {String|null} Percent-encoded, or null if nothing was given
+ */
+function searchAll(criteria) {
+  const parts = Object.entries(criteria)
+    .filter(([, text]) => text !== null && text !== undefined && String(text).trim() !== '')
+    .map(([property, text]) => `${property}:${String(text).trim()}`);
+  if (parts.length === 0) return null;
+  return encodeURIComponent(`"${escapeSearch(parts.join(' '))}"`);
+}
+
+/**
+ * One URL path segment (IDs, email addresses, file names)
+ * @param {String} value
+ * @returns {String} Percent-encoded, "/" included
+ */
+function segment(value) {
+  return encodeURIComponent(String(value ?? ''));
+}
+
+/**
+ * String argument of a function in the path, e.g. search(q=...)
+ * @param {String} value
+ * @returns {String} Quoted and percent-encoded, e.g. 'O''Brien%20%26%20Co'
+ */
+function functionArgument(value) {
+  return encodeURIComponent(literal(value));
+}
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS (Internal)
+ * ============================================================
+ */
+
+function anyField(fields, build) {
+  return (Array.isArray(fields) ? fields : [fields]).map(build).join(' or ');
+}
+
+// Inside a quoted $search phrase only " and \ are special
+function escapeSearch(text) {
+  return text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+module.exports = {
+  literal,
+  startsWith,
+  contains,
+  equals,
+  combine,
+  filter,
+  search,
+  searchAll,
+  segment,
+  functionArgument
+};
@@ -1,29 +1,74 @@
 require('isomorphic-fetch');
-const { Client } = require('@microsoft/microsoft-graph-client');
-const { ConfidentialClientApplication } = require('@azure/msal-node');
+const { Client, ResponseType } = require('@microsoft/microsoft-graph-client');
+const { ConfidentialClientApplication, DistributedCachePlugin } = require('@azure/msal-node');
 const formatters = require('./formatters');
 const timezoneHelper = require('./timezone-helper');
+const { createStore } = require('./store');
+const emailTemplates = require('./email-templates');
+const nameMatcher = require('./name-matcher');
+const directoryCache = require('./directory-cache');
+const graphQuery = require('./graph-query');
+const contactAliases = require('./contact-aliases');
 
 // Get user email from environment variable
 const userEmail = process.env.MICROSOFT_USER_EMAIL;
 
-// Initialize MSAL as a SINGLETON so the internal token cache persists
-// This is CRITICAL for token refresh - MSAL stores refresh tokens in its cache
-let _msalClientInstance = null;
-
-function getMsalClient() {
-  if (!_msalClientInstance) {
-    const config = {
-      auth: {
-        clientId: process.env.MICROSOFT_CLIENT_ID,
-        authority: `https://login.microsoftonline.com/${process.env.MICROSOFT_TENANT_ID}`,
-        clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
-      }
-    };
-    _msalClientInstance = new ConfidentialClientApplication(config);
-    console.log('✅ MSAL client initialized (singleton)');
+// Timezone new events are booked in (wall-clock start/end are interpreted in it)
+
+// MSAL's token cache is kept in the shared store, one entry per account
+// (homeAccountId), so refresh tokens survive restarts, are visible to every
+// replica, and a login or refresh only rewrites that user's own tokens.
+// As with MSAL's distributed cache, each delegated token request gets its own
+// MSAL client bound to one account's partition.
+const msalCacheStore = createStore('msal-cache');
+// Single blob every account used to share - removed on first use
+const LEGACY_MSAL_CACHE_KEY = 'tokenCache';
+
+const msalCacheClient = {
+  get: async (homeAccountId) => (homeAccountId ? (await msalCacheStore.get(homeAccountId)) || '' : ''),
+  set: (homeAccountId, cache) => msalCacheStore.set(homeAccountId, cache)
+};
+
+// App-only (client credentials) tokens are not per user - kept in memory
+let _appMsalClientInstance = null;
+let _legacyCacheRemoved = false;
+
+function getMsalConfig(cachePlugin = null) {
+  return {
+    auth: {
+      clientId: process.env.MICROSOFT_CLIENT_ID,
+      authority: `https://login.microsoftonline.com/${process.env.MICROSOFT_TENANT_ID}`,
+      clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
+    },
+    ...(cachePlugin ? { cache: { cachePlugin } } : {})
+  };
+}
+
+/**
+ * MSAL client for one user's tokens
+ * @param {String} homeAccountId - Account whose cache partition is loaded (null at sign-in:
+ *   the partition is taken from the account that signs in)
+ * @returns {ConfidentialClientApplication}
+ */
+function getMsalClient(homeAccountId = null) {
+  if (!_legacyCacheRemoved) {
+    _legacyCacheRemoved = true;
+    msalCacheStore.delete(LEGACY_MSAL_CACHE_KEY).catch(() => {});
+  }
+
+  const partitionManager = {
+    getKey: async () => homeAccountId,
+    extractKey: async (accountEntity) => accountEntity.homeAccountId
+  };
+  return new ConfidentialClientApplication(getMsalConfig(new DistributedCachePlugin(msalCacheClient, partitionManager)));
+}
+
+function getAppMsalClient() {
+  if (!_appMsalClientInstance) {
+    _appMsalClientInstance = new ConfidentialClientApplication(getMsalConfig());
+    console.log('✅ MSAL app-only client initialized (singleton)');
   }
-  return _msalClientInstance;
+  return _appMsalClientInstance;
 }
 
 // Get authorization URL for user login
@@ -32,12 +77,18 @@ async function getAuthUrl() {
     'Mail.ReadWrite',
     'Mail.Send',
     'Calendars.ReadWrite',
+    'Calendars.Read.Shared',
+    'MailboxSettings.Read',
     'Files.ReadWrite',
     'Sites.Read.All',
     'User.Read',
+    'User.ReadBasic.All',
     'Contacts.Read',
     'OnlineMeetings.ReadWrite',
     'Chat.ReadWrite',
+    'Team.ReadBasic.All',
+    'Channel.ReadBasic.All',
+    'ChannelMessage.Send',
     'offline_access'
   ];
 
@@ -66,7 +117,7 @@ async function getAuthUrl() {
 }
 
 // Get access token using authorization code (delegated flow)
-// Uses singleton MSAL client so the refresh token is cached internally
+// The refresh token is saved in the signed-in account's cache partition
 async function getAccessTokenByAuthCode(code) {
   try {
     const msalClient = getMsalClient();
@@ -88,12 +139,18 @@ async function getAccessTokenByAuthCode(code) {
         'Mail.ReadWrite',
         'Mail.Send',
         'Calendars.ReadWrite',
+        'Calendars.Read.Shared',
+        'MailboxSettings.Read',
         'Files.ReadWrite',
         'Sites.Read.All',
         'User.Read',
+        'User.ReadBasic.All',
         'Contacts.Read',
         'OnlineMeetings.ReadWrite',
         'Chat.ReadWrite',
+        'Team.ReadBasic.All',
+        'Channel.ReadBasic.All',
+        'ChannelMessage.Send',
         'offline_access'  // ✅ CRITICAL: Required to get refresh token
       ],
       redirectUri: redirectUri,
@@ -110,24 +167,33 @@ async function getAccessTokenByAuthCode(code) {
   }
 }
 
-// Silently refresh access token using MSAL's internal token cache
-// MSAL stores the refresh token internally after acquireTokenByCode
-// acquireTokenSilent uses that cached refresh token automatically
+// Silently refresh access token using the account's cached refresh token
+// (saved by acquireTokenByCode, loaded from the account's cache partition)
 async function refreshTokenSilently(account) {
   try {
-    const msalClient = getMsalClient();
+    const msalClient = getMsalClient(account?.homeAccountId);
+    // Loads the account's partition from the store (acquireTokenSilent only reads memory)
+    const cachedAccount = account?.homeAccountId
+      ? await msalClient.getTokenCache().getAccountByHomeId(account.homeAccountId)
+      : null;
     const tokenRequest = {
-      account: account,
+      account: cachedAccount || account,
       scopes: [
         'Mail.ReadWrite',
         'Mail.Send',
         'Calendars.ReadWrite',
+        'Calendars.Read.Shared',
+        'MailboxSettings.Read',
         'Files.ReadWrite',
         'Sites.Read.All',
         'User.Read',
+        'User.ReadBasic.All',
         'Contacts.Read',
         'OnlineMeetings.ReadWrite',
         'Chat.ReadWrite',
+        'Team.ReadBasic.All',
+        'Channel.ReadBasic.All',
+        'ChannelMessage.Send',
         'offline_access'
       ],
       forceRefresh: false  // Only refresh if needed
@@ -157,12 +223,18 @@ async function getAccessTokenByRefreshToken(refreshToken, account) {
         'Mail.ReadWrite',
         'Mail.Send',
         'Calendars.ReadWrite',
+        'Calendars.Read.Shared',
+        'MailboxSettings.Read',
         'Files.ReadWrite',
         'Sites.Read.All',
         'User.Read',
+        'User.ReadBasic.All',
         'Contacts.Read',
         'OnlineMeetings.ReadWrite',
-        'Chat.ReadWrite'
+        'Chat.ReadWrite',
+        'Team.ReadBasic.All',
+        'Channel.ReadBasic.All',
+        'ChannelMessage.Send'
       ]
     };
 
@@ -177,7 +249,7 @@ async function getAccessTokenByRefreshToken(refreshToken, account) {
 // Get access token using client credentials flow (fallback)
 async function getAccessTokenAppOnly() {
   try {
-    const msalClient = getMsalClient();
+    const msalClient = getAppMsalClient();
     const tokenRequest = {
       scopes: ['https://graph.microsoft.com/.default']
     };
@@ -197,7 +269,7 @@ async function getGraphClient(userAccessToken = null, sessionId = null) {
   // If sessionId is provided, use MSAL's silent token refresh
   if (sessionId) {
     const { userTokenStore } = require('./auth');
-    const tokenData = userTokenStore.get(sessionId);
+    const tokenData = await userTokenStore.get(sessionId);
 
     if (!tokenData) {
       throw new Error('Session not found. Please log in again.');
@@ -208,6 +280,8 @@ async function getGraphClient(userAccessToken = null, sessionId = null) {
     const REFRESH_THRESHOLD = 5 * 60 * 1000; // 5 minutes
 
     if (timeUntilExpiry < REFRESH_THRESHOLD) {
+      // Session IDs are credentials - only log a short prefix
+      const sessionLabel = `${sessionId.substring(0, 8)}…`;
       try {
         // Use MSAL's silent refresh with stored account object
         if (tokenData.account) {
@@ -218,22 +292,21 @@ async function getGraphClient(userAccessToken = null, sessionId = null) {
             account: newTokenResponse.account || tokenData.account,
             expiresAt: Date.now() + ((newTokenResponse.expiresIn || 3600) * 1000),
           };
-          userTokenStore.set(sessionId, updatedTokenData);
+          await userTokenStore.set(sessionId, updatedTokenData);
           accessToken = updatedTokenData.accessToken;
-          console.log(`✅ Token refreshed silently for session: ${sessionId}`);
+          console.log(`✅ Token refreshed silently for session: ${sessionLabel}`);
         } else {
           // No account object stored — can't silently refresh, use expired token as last resort
-          console.warn(`⚠️ No MSAL account stored for session ${sessionId}, token may be expired`);
+          console.warn(`⚠️ No MSAL account stored for session ${sessionLabel}, token may be expired`);
           accessToken = tokenData.accessToken;
         }
       } catch (error) {
-        console.error(`❌ Silent token refresh failed for session ${sessionId}:`, error.message);
+        console.error(`❌ Silent token refresh failed for session ${sessionLabel}:`, error.message);
         // Don't delete session — let the user see a proper error
         accessToken = tokenData.accessToken;
       }
     } else {
       accessToken = tokenData.accessToken;
-      console.log(`✓ Using valid token for session: ${sessionId}`);
     }
   } else if (userAccessToken) {
     accessToken = userAccessToken;
@@ -248,11 +321,35 @@ async function getGraphClient(userAccessToken = null, sessionId = null) {
     }
   }
 
-  return Client.init({
+  const client = Client.init({
     authProvider: (done) => {
       done(null, accessToken);
     }
   });
+  // Which directory cache this client's lookups use
+  client.tenantId = tenantIdFromToken(accessToken);
+  return client;
+}
+
+// Start filling the directory cache for the signed-in user's tenant (not awaited)
+async function warmDirectoryCache(userToken) {
+  try {
+    const client = await getGraphClient(userToken);
+    directoryCache.warmDirectory(client, client.tenantId);
+  } catch (error) {
+    console.error('❌ Could not start directory cache:', error.message);
+  }
+}
+
+// Tenant ID ("tid" claim) of a Graph access token - the configured tenant if it can't be read
+function tenantIdFromToken(accessToken) {
+  try {
+    const payload = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64url').toString());
+    if (payload.tid) return payload.tid;
+  } catch (error) {
+    // Not a JWT - fall through
+  }
+  return process.env.MICROSOFT_TENANT_ID || null;
 }
 
 // Get sender's profile information
@@ -261,7 +358,7 @@ async function getSenderProfile(userToken = null, sessionId = null) {
     console.log('🔍 [getSenderProfile] Starting profile fetch...');
     console.log('🔍 [getSenderProfile] Input params:', {
       hasUserToken: !!userToken,
-      sessionId: sessionId,
+      session: sessionId ? `${sessionId.substring(0, 8)}…` : null,
       userTokenType: typeof userToken
     });
 
@@ -281,6 +378,7 @@ async function getSenderProfile(userToken = null, sessionId = null) {
     return {
       displayName: user.displayName,
       email: user.mail || user.userPrincipalName,
+      userPrincipalName: user.userPrincipalName || '',
       jobTitle: user.jobTitle || '',
       department: user.department || '',
       officeLocation: user.officeLocation || ''
@@ -305,10 +403,10 @@ async function getSenderProfile(userToken = null, sessionId = null) {
     // Check token store status
     if (sessionId) {
       const { userTokenStore } = require('./auth');
-      const hasSession = userTokenStore.has(sessionId);
+      const tokenData = await userTokenStore.get(sessionId);
+      const hasSession = !!tokenData;
       console.error('❌ [getSenderProfile] Session exists in token store:', hasSession);
       if (hasSession) {
-        const tokenData = userTokenStore.get(sessionId);
         console.error('❌ [getSenderProfile] Token data available:', {
           hasAccessToken: !!tokenData?.accessToken,
           hasAccount: !!tokenData?.account,
@@ -329,9 +427,19 @@ async function getSenderProfile(userToken = null, sessionId = null) {
   }
 }
 
+// Letters of each spoken word sent to Graph's startswith() search
+const CONTACT_PREFIX_LENGTH = 3;
+
 /**
  * 🔍 Search for contact email by name from Graph API
+ *
+ * Candidates from personal contacts, the People API and the organization
+ * directory are ranked together with nameMatcher (edit distance + phonetic),
+ * so speech-recognition spellings ("Jateen") still find the person (Jatin).
+ * Only candidates scoring at least nameMatcher.MATCH_THRESHOLD are returned.
  * Enhanced with comprehensive diagnostic logging
+ *
+ * @returns {Promise<Object>} { found, results: [{ name, email, source, score }], searchedName, confidence }
  */
 async function searchContactEmail(name, userToken = null, sessionId = null) {
   try {
@@ -349,48 +457,59 @@ async function searchContactEmail(name, userToken = null, sessionId = null) {
       orgDirectory: { attempted: false, found: 0, error: null }
     };
 
+    // Step 0: Local copy of the organization directory (no Graph call once synced)
+    console.log(`\n📒 STEP 0: Directory Cache`);
+    const directoryMatches = await directoryCache.findPeople(client, client.tenantId, searchedName);
+    if (directoryMatches === null) {
+      console.log(`  ⚠️ Not available - searching Graph directly`);
+    } else if (directoryMatches.length > 0 && directoryMatches[0].score >= nameMatcher.CONFIDENT_SCORE) {
+      // Confident colleague match - contacts and People API aren't needed
+      const results = directoryMatches.map(match => ({ name: match.name, email: match.email, source: 'directory_cache', score: match.score }));
+      results.forEach((result, idx) => {
+        console.log(`  ${idx + 1}. ${result.name} <${result.email}> - ${result.score}`);
+      });
+      console.log(`  ✅ SUCCESS: Found ${results.length} match(es) in the cache`);
+      console.log(`${'='.repeat(60)}\n`);
+      return {
+        found: true,
+        results: results,
+        searchedName: searchedName,
+        confidence: results[0].score
+      };
+    } else {
+      console.log(`  → ${directoryMatches.length} weak match(es) - checking contacts and People API too`);
+    }
+
+    // Misheard names rarely share more than their first letters with the real one,
+    // so the contacts and directory are searched by the start of each word
+    const prefixFilter = contactPrefixFilter(searchedName);
+    const candidates = [];
+
     // Step 1: Search in user's personal contacts
     try {
       searchResults.personalContacts.attempted = true;
       console.log(`\n📇 STEP 1: Personal Contacts`);
-      console.log(`  → Filter: startswith(displayName,'${searchedName}') or startswith(givenName,'${searchedName}') or startswith(surname,'${searchedName}')`);
+      console.log(`  → Filter: ${prefixFilter}`);
 
       const contacts = await client
         .api('/me/contacts')
-        .filter(`startswith(displayName,'${searchedName}') or startswith(givenName,'${searchedName}') or startswith(surname,'${searchedName}')`)
+        .filter(graphQuery.filter(prefixFilter))
         .select('displayName,emailAddresses,givenName,surname')
-        .top(10)
+        .top(25)
         .get();
 
       console.log(`  → Raw results: ${contacts.value?.length || 0} contacts`);
       searchResults.personalContacts.found = contacts.value?.length || 0;
 
-      if (contacts.value && contacts.value.length > 0) {
-        contacts.value.forEach((contact, idx) => {
-          console.log(`  ${idx + 1}. ${contact.displayName} (${contact.givenName} ${contact.surname})`);
-          console.log(`     Emails: ${contact.emailAddresses?.length || 0}`);
-        });
-
-        const results = contacts.value
-          .filter(contact => contact.emailAddresses && contact.emailAddresses.length > 0)
-          .map(contact => ({
-            name: contact.displayName,
-            email: contact.emailAddresses[0].address,
-            source: 'personal_contacts'
-          }));
-
-        if (results.length > 0) {
-          console.log(`  ✅ SUCCESS: Found ${results.length} valid contact(s)`);
-          console.log(`  📧 Selected: ${results[0].name} <${results[0].email}>`);
-          console.log(`${'='.repeat(60)}\n`);
-          return {
-            found: true,
-            results: results,
-            searchedName: searchedName
-          };
-        }
-      }
-      console.log(`  ⚠️ No valid contacts with email addresses`);
+      (contacts.value || [])
+        .filter(contact => contact.emailAddresses && contact.emailAddresses.length > 0)
+        .forEach(contact => candidates.push({
+          name: contact.displayName,
+          givenName: contact.givenName,
+          surname: contact.surname,
+          email: contact.emailAddresses[0].address,
+          source: 'personal_contacts'
+        }));
     } catch (err) {
       searchResults.personalContacts.error = err.message;
       console.log(`  ❌ ERROR: ${err.message}`);
@@ -398,7 +517,7 @@ async function searchContactEmail(name, userToken = null, sessionId = null) {
       if (err.code) console.log(`  📊 Error Code: ${err.code}`);
     }
 
-    // Step 2: Search in People API
+    // Step 2: Search in People API (does its own fuzzy matching)
     try {
       searchResults.peopleApi.attempted = true;
       console.log(`\n👥 STEP 2: People API`);
@@ -406,7 +525,7 @@ async function searchContactEmail(name, userToken = null, sessionId = null) {
 
       const people = await client
         .api('/me/people')
-        .search(`"${searchedName}"`)
+        .search(graphQuery.search(searchedName))
         .select('displayName,emailAddresses,givenName,surname')
         .top(10)
         .get();
@@ -414,32 +533,15 @@ async function searchContactEmail(name, userToken = null, sessionId = null) {
       console.log(`  → Raw results: ${people.value?.length || 0} people`);
       searchResults.peopleApi.found = people.value?.length || 0;
 
-      if (people.value && people.value.length > 0) {
-        people.value.forEach((person, idx) => {
-          console.log(`  ${idx + 1}. ${person.displayName} (${person.givenName} ${person.surname})`);
-          console.log(`     Emails: ${person.emailAddresses?.length || 0}`);
-        });
-
-        const results = people.value
-          .filter(person => person.emailAddresses && person.emailAddresses.length > 0)
-          .map(person => ({
-            name: person.displayName,
-            email: person.emailAddresses[0].address,
-            source: 'people_api'
-          }));
-
-        if (results.length > 0) {
-          console.log(`  ✅ SUCCESS: Found ${results.length} valid person(s)`);
-          console.log(`  📧 Selected: ${results[0].name} <${results[0].email}>`);
-          console.log(`${'='.repeat(60)}\n`);
-          return {
-            found: true,
-            results: results,
-            searchedName: searchedName
-          };
-        }
-      }
-      console.log(`  ⚠️ No valid people with email addresses`);
+      (people.value || [])
+        .filter(person => person.emailAddresses && person.emailAddresses.length > 0)
+        .forEach(person => candidates.push({
+          name: person.displayName,
+          givenName: person.givenName,
+          surname: person.surname,
+          email: person.emailAddresses[0].address,
+          source: 'people_api'
+        }));
     } catch (err) {
       searchResults.peopleApi.error = err.message;
       console.log(`  ❌ ERROR: ${err.message}`);
@@ -447,96 +549,67 @@ async function searchContactEmail(name, userToken = null, sessionId = null) {
       if (err.code) console.log(`  📊 Error Code: ${err.code}`);
     }
 
-    // Step 3: Search in organization directory (with case-insensitive fallback)
-    try {
-      searchResults.orgDirectory.attempted = true;
-      console.log(`\n🏢 STEP 3: Organization Directory`);
-      console.log(`  → Filter: startswith(displayName,'${searchedName}') or startswith(givenName,'${searchedName}') or startswith(surname,'${searchedName}')`);
-
-      const users = await client
-        .api('/users')
-        .filter(`startswith(displayName,'${searchedName}') or startswith(givenName,'${searchedName}') or startswith(surname,'${searchedName}')`)
-        .select('displayName,mail,userPrincipalName,givenName,surname,id')
-        .top(10)
-        .get();
-
-      console.log(`  → Raw results: ${users.value?.length || 0} users`);
-      searchResults.orgDirectory.found = users.value?.length || 0;
-
-      if (users.value && users.value.length > 0) {
-        users.value.forEach((user, idx) => {
-          console.log(`  ${idx + 1}. ${user.displayName} (${user.givenName} ${user.surname})`);
-          console.log(`     Mail: ${user.mail || 'N/A'}`);
-          console.log(`     UPN: ${user.userPrincipalName || 'N/A'}`);
-          console.log(`     ID: ${user.id}`);
-        });
+    // Step 3: Search in organization directory (already ranked from the cache when it's available)
+    if (directoryMatches !== null) {
+      candidates.push(...directoryMatches.map(match => ({ ...match, source: 'directory_cache' })));
+    } else {
+      try {
+        searchResults.orgDirectory.attempted = true;
+        console.log(`\n🏢 STEP 3: Organization Directory`);
+        console.log(`  → Filter: ${prefixFilter}`);
+
+        const users = await client
+          .api('/users')
+          .filter(graphQuery.filter(prefixFilter))
+          .select('displayName,mail,userPrincipalName,givenName,surname,id')
+          .top(50)
+          .get();
 
-        const results = users.value.map(user => ({
-          name: user.displayName,
-          email: user.mail || user.userPrincipalName,
-          source: 'organization_directory'
-        }));
+        console.log(`  → Raw results: ${users.value?.length || 0} users`);
+        searchResults.orgDirectory.found = users.value?.length || 0;
+        candidates.push(...(users.value || []).map(user => directoryCandidate(user, 'organization_directory')));
+
+        // FALLBACK: Nothing close enough yet (e.g. the first letters were misheard) - rank a wider slice
+        if (nameMatcher.rankMatches(searchedName, candidates).length === 0) {
+          console.log(`\n  🔄 FALLBACK: No close match - ranking the first 100 directory users...`);
+          const allUsers = await client
+            .api('/users')
+            .select('displayName,mail,userPrincipalName,givenName,surname,id')
+            .top(100)
+            .get();
 
-        console.log(`  ✅ SUCCESS: Found ${results.length} user(s)`);
-        console.log(`  📧 Selected: ${results[0].name} <${results[0].email}>`);
-        console.log(`${'='.repeat(60)}\n`);
-        return {
-          found: true,
-          results: results,
-          searchedName: searchedName
-        };
+          console.log(`  → Retrieved ${allUsers.value?.length || 0} users for client-side matching`);
+          candidates.push(...(allUsers.value || []).map(user => directoryCandidate(user, 'organization_directory_fallback')));
+        }
+      } catch (err) {
+        searchResults.orgDirectory.error = err.message;
+        console.log(`  ❌ ERROR: ${err.message}`);
+        if (err.statusCode) console.log(`  📊 Status Code: ${err.statusCode}`);
+        if (err.code) console.log(`  📊 Error Code: ${err.code}`);
       }
-      console.log(`  ⚠️ No users found with exact startswith match`);
-
-      // FALLBACK: Try case-insensitive contains search
-      console.log(`\n  🔄 FALLBACK: Trying case-insensitive contains search...`);
-      const allUsers = await client
-        .api('/users')
-        .select('displayName,mail,userPrincipalName,givenName,surname,id')
-        .top(100)
-        .get();
-
-      console.log(`  → Retrieved ${allUsers.value?.length || 0} users for client-side filtering`);
-
-      const searchLower = searchedName.toLowerCase();
-      const matchedUsers = allUsers.value?.filter(user => {
-        const displayName = (user.displayName || '').toLowerCase();
-        const givenName = (user.givenName || '').toLowerCase();
-        const surname = (user.surname || '').toLowerCase();
-        return displayName.includes(searchLower) ||
-          givenName.includes(searchLower) ||
-          surname.includes(searchLower);
-      }) || [];
-
-      console.log(`  → Matched ${matchedUsers.length} users with contains filter`);
-
-      if (matchedUsers.length > 0) {
-        matchedUsers.forEach((user, idx) => {
-          console.log(`  ${idx + 1}. ${user.displayName} (${user.givenName} ${user.surname})`);
-          console.log(`     Mail: ${user.mail || 'N/A'}`);
-        });
-
-        const results = matchedUsers.map(user => ({
-          name: user.displayName,
-          email: user.mail || user.userPrincipalName,
-          source: 'organization_directory_fallback'
-        }));
+    }
 
-        console.log(`  ✅ FALLBACK SUCCESS: Found ${results.length} user(s)`);
-        console.log(`  📧 Selected: ${results[0].name} <${results[0].email}>`);
-        console.log(`${'='.repeat(60)}\n`);
-        return {
-          found: true,
-          results: results,
-          searchedName: searchedName
-        };
-      }
+    // Rank every source together - one entry per address, best score kept
+    const results = [];
+    for (const match of nameMatcher.rankMatches(searchedName, candidates)) {
+      if (!match.email || results.some(r => r.email.toLowerCase() === match.email.toLowerCase())) continue;
+      results.push({ name: match.name, email: match.email, source: match.source, score: match.score });
+    }
 
-    } catch (err) {
-      searchResults.orgDirectory.error = err.message;
-      console.log(`  ❌ ERROR: ${err.message}`);
-      if (err.statusCode) console.log(`  📊 Status Code: ${err.statusCode}`);
-      if (err.code) console.log(`  📊 Error Code: ${err.code}`);
+    if (results.length > 0) {
+      console.log(`\n📊 RANKED MATCHES (threshold ${nameMatcher.MATCH_THRESHOLD})`);
+      results.forEach((result, idx) => {
+        console.log(`  ${idx + 1}. ${result.name} <${result.email}> - ${result.score} (${result.source})`);
+      });
+      console.log(`  ✅ SUCCESS: Found ${results.length} match(es)`);
+      console.log(`  📧 Selected: ${results[0].name} <${results[0].email}>`);
+      console.log(`${'='.repeat(60)}\n`);
+      return {
+        found: true,
+        results: results,
+        searchedName: searchedName,
+        confidence: results[0].score
+      };
     }
 
     // Final summary
@@ -550,6 +623,7 @@ async function searchContactEmail(name, userToken = null, sessionId = null) {
     if (searchResults.peopleApi.error) console.log(`    Error: ${searchResults.peopleApi.error}`);
     console.log(`  Org Directory: ${searchResults.orgDirectory.attempted ? `${searchResults.orgDirectory.found} found` : 'Not attempted'}`);
     if (searchResults.orgDirectory.error) console.log(`    Error: ${searchResults.orgDirectory.error}`);
+    console.log(`  Candidates scored: ${candidates.length}, none above ${nameMatcher.MATCH_THRESHOLD}`);
 
     console.log(`\n💡 Troubleshooting suggestions:`);
     console.log(`  1. Verify the exact spelling of the name`);
@@ -576,6 +650,402 @@ async function searchContactEmail(name, userToken = null, sessionId = null) {
   }
 }
 
+// startswith() on each word's first letters, e.g. "jateen kumar" →
+// startswith(displayName,'ja') or ... or startswith(surname,'ku')
+function contactPrefixFilter(searchedName) {
+  const prefixes = [...new Set(
+    searchedName.toLowerCase().split(/[^a-z]+/).filter(Boolean).map(word => word.slice(0, CONTACT_PREFIX_LENGTH))
+  )];
+  if (prefixes.length === 0) prefixes.push(searchedName);
+
+  return prefixes
+    .map(prefix => graphQuery.startsWith(['displayName', 'givenName', 'surname'], prefix))
+    .join(' or ');
+}
+
+function directoryCandidate(user, source) {
+  return {
+    name: user.displayName,
+    givenName: user.givenName,
+    surname: user.surname,
+    email: user.mail || user.userPrincipalName,
+    source
+  };
+}
+
+// ============== CONTACT DISAMBIGUATION ==============
+
+// Which person the user meant by a name ("raj" → Raj Kumar) - per user, no expiry
+const contactChoiceStore = createStore('contact-choices');
+// Candidates offered when a name matches several people
+const MAX_CONTACT_CANDIDATES = 4;
+
+/**
+ * 🎯 Resolve a name to exactly ONE person
+ *
+ * - An email address is used as-is
+ * - A relationship or alias ("my manager", "boss") is used when it is one person
+ * - One confident match (or one clearly better than the rest), or one exact full-name match, is used
+ * - Several matches: the user's remembered choice for this name, otherwise
+ *   the candidates (with job title / department) are returned to choose from
+ *
+ * @param {String} name - Name (or email address) as the user said it
+ * @param {String} userToken
+ * @param {String} sessionId
+ * @returns {Promise<Object>} { found: true, contact: { name, email } }
+ *   | { found: false, ambiguous: true, name, candidates, message } | { found: false, message }
+ */
+async function pickContact(name, userToken = null, sessionId = null) {
+  const searchedName = String(name || '').trim();
+  const client = await getGraphClient(userToken, sessionId);
+
+  if (EMAIL_ADDRESS_PATTERN.test(searchedName)) {
+    return { found: true, contact: await describeContact(client, searchedName) };
+  }
+
+  let reference;
+  try {
+    reference = await resolveContactReference(client, searchedName);
+  } catch (error) {
+    return { found: false, message: error.message };
+  }
+  if (reference) {
+    const [only] = reference.recipients;
+    if (reference.recipients.length === 1 && only.type === 'person') {
+      console.log(`   👥 "${searchedName}" is ${only.name} <${only.email}>`);
+      return { found: true, contact: { name: only.name, email: only.email } };
+    }
+    return {
+      found: false,
+      message: `"${searchedName}" is ${describeReference(reference)} - this needs one person. Name one of them, or send an email instead.`
+    };
+  }
+
+  const searchResult = await searchContactEmail(searchedName, userToken, sessionId);
+  if (!searchResult.found) {
+    return { found: false, message: searchResult.message };
+  }
+
+  // Results are ranked best first - only those about as likely as the best are real contenders
+  // ("raj": Raj Kumar and Raj Patel, not Rajesh)
+  const bestScore = searchResult.results[0].score;
+  const candidates = searchResult.results
+    .filter(result => result.score >= bestScore - nameMatcher.SCORE_MARGIN)
+    .map(result => ({ name: result.name, email: result.email }));
+
+  // A lone but weak match ("ketan" → Chetan) is confirmed like a choice
+  const exact = candidates.filter(c => (c.name || '').toLowerCase() === searchedName.toLowerCase());
+  if (exact.length === 1 || (candidates.length === 1 && bestScore >= nameMatcher.CONFIDENT_SCORE)) {
+    return { found: true, contact: exact[0] || candidates[0] };
+  }
+
+  const remembered = await contactChoiceStore.get(await contactChoiceKey(client, searchedName));
+  if (remembered) {
+    console.log(`   🧠 Using remembered choice for "${searchedName}": ${remembered.email}`);
+    return { found: true, contact: remembered };
+  }
+
+  const detailed = await Promise.all(candidates.slice(0, MAX_CONTACT_CANDIDATES).map(c => describeContact(client, c.email, c.name)));
+  console.log(`   ❓ "${searchedName}" matches ${candidates.length} people (best score ${bestScore})`);
+  return {
+    found: false,
+    ambiguous: true,
+    name: searchedName,
+    candidates: detailed,
+    message: `Did you mean ${joinWithOr(detailed.map(describeCandidate))}?`
+  };
+}
+
+/**
+ * 🧠 Remember which person the user meant by a name
+ * @param {String} searchedName - Name as the user said it ("raj")
+ * @param {String} email - Chosen person's address
+ * @param {String} userToken
+ * @returns {Promise<Object>} { success, contact, message }
+ */
+async function rememberContactChoice(searchedName, email, userToken = null) {
+  try {
+    if (!searchedName || !EMAIL_ADDRESS_PATTERN.test(String(email || '').trim())) {
+      throw new Error('A name and a valid email address are required');
+    }
+
+    const client = await getGraphClient(userToken);
+    const contact = await describeContact(client, email.trim());
+    await contactChoiceStore.set(await contactChoiceKey(client, searchedName), { name: contact.name, email: contact.email });
+    console.log(`✓ Remembered "${searchedName}" → ${contact.email}`);
+
+    return {
+      success: true,
+      contact,
+      message: `Got it - "${searchedName}" means ${contact.name} from now on`
+    };
+  } catch (error) {
+    console.error('❌ Error saving contact choice:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 🖼️ Small profile photo of a colleague (for the choice card)
+ * @param {String} email
+ * @param {String} userToken
+ * @returns {Promise<Buffer|null>} JPEG bytes, or null when there is no photo
+ */
+async function getContactPhoto(email, userToken = null) {
+  try {
+    const client = await getGraphClient(userToken);
+    const photo = await client
+      .api(`/users/${graphQuery.segment(email)}/photos/48x48/$value`)
+      .responseType(ResponseType.ARRAYBUFFER)
+      .get();
+    return Buffer.from(photo);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Failure result for the agent when some names matched several people (null if none did)
+function ambiguousContactsResult(ambiguous = []) {
+  if (ambiguous.length === 0) return null;
+  return {
+    success: false,
+    ambiguous: true,
+    choices: ambiguous.map(({ name, candidates }) => ({ name, candidates })),
+    message: ambiguous.map(a => (ambiguous.length > 1 ? `For "${a.name}": ${a.message}` : a.message)).join(' ')
+  };
+}
+
+// Key by the signed-in user's UPN, so the choice follows them across sessions
+async function contactChoiceKey(client, searchedName) {
+  const me = await signedInUser(client);
+  return `${me.userPrincipalName.toLowerCase()}:${searchedName.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+}
+
+// Directory details for a candidate (external addresses only have the address)
+async function describeContact(client, email, fallbackName = null) {
+  const cached = await directoryCache.findByEmail(client, client.tenantId, email);
+  if (cached) {
+    return { name: cached.name, email: cached.email, jobTitle: cached.jobTitle, department: cached.department };
+  }
+
+  try {
+    const user = await client
+      .api(`/users/${graphQuery.segment(email)}`)
+      .select('displayName,mail,jobTitle,department')
+      .get();
+    return {
+      name: user.displayName || fallbackName || email,
+      email: user.mail || email,
+      jobTitle: user.jobTitle || '',
+      department: user.department || ''
+    };
+  } catch (error) {
+    return { name: fallbackName || email, email, jobTitle: '', department: '' };
+  }
+}
+
+// "Raj Kumar in Sales" / "Raj Patel (Engineer)" / "Raj <raj@contoso.com>"
+function describeCandidate(candidate) {
+  if (candidate.department) return `${candidate.name} in ${candidate.department}`;
+  if (candidate.jobTitle) return `${candidate.name} (${candidate.jobTitle})`;
+  return `${candidate.name} <${candidate.email}>`;
+}
+
+function joinWithOr(items) {
+  return items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}`;
+}
+
+// ============== RELATIONSHIPS & ALIASES ==============
+
+/**
+ * 👥 People meant by a relationship ("my manager", "my team") or one of the user's aliases ("boss")
+ * @param {Object} client - Graph client
+ * @param {String} text - Name as the user said it
+ * @returns {Promise<Object|null>} { label, recipients: [{ name, email, type }] }, or null for an ordinary name
+ * @throws {Error} When the relationship can't be resolved (e.g. no manager in the directory)
+ */
+async function resolveContactReference(client, text) {
+  const me = await signedInUser(client);
+  const alias = await contactAliases.getAlias(me.userPrincipalName, text);
+  const relationship = alias ? null : contactAliases.parseRelationship(text);
+  if (!alias && !relationship) return null;
+
+  // Relationships are looked up every time, so "boss" follows a change of manager
+  let label = alias ? alias.alias : text;
+  const recipients = [];
+  const seen = new Set();
+  for (const target of alias ? alias.targets : [{ relationship }]) {
+    let people = [{ name: target.name, email: target.email, type: target.type || 'person' }];
+    if (target.relationship) {
+      const resolved = await contactAliases.resolveRelationship(client, target.relationship, me);
+      if (!alias) label = resolved.label;
+      people = resolved.recipients;
+    }
+
+    for (const person of people) {
+      const key = person.email.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      recipients.push(person);
+    }
+  }
+
+  console.log(`   👥 "${text}" → ${recipients.map(r => r.email).join(', ')}`);
+  return { label, recipients };
+}
+
+/**
+ * 🏷️ Save a name the user wants to use for one or more people
+ * ("boss" → my manager, "design team" → Priya, Vansh and Jatin)
+ * @param {String} alias
+ * @param {Array} targets - Names, email addresses, groups or relationships ("my manager")
+ * @param {String} userToken
+ * @param {String} sessionId
+ * @returns {Promise<Object>} { success, alias, members, message }, or an ambiguous / not-found result
+ */
+async function saveContactAlias(alias, targets = [], userToken = null, sessionId = null) {
+  try {
+    const client = await getGraphClient(userToken, sessionId);
+    const me = await signedInUser(client);
+    const key = contactAliases.normalizeAlias(alias);
+    const saved = [];
+    const notFound = [];
+    const ambiguous = [];
+
+    for (const rawTarget of Array.isArray(targets) ? targets : [targets]) {
+      const target = String(rawTarget || '').trim();
+      if (!target) continue;
+
+      // Relationships are saved as such - checked now so a missing manager shows up straight away
+      const relationship = contactAliases.parseRelationship(target);
+      if (relationship) {
+        await contactAliases.resolveRelationship(client, relationship, me);
+        saved.push({ relationship, label: target });
+        continue;
+      }
+
+      // Another alias stands for its people
+      const other = contactAliases.normalizeAlias(target) !== key && await contactAliases.getAlias(me.userPrincipalName, target);
+      if (other) {
+        saved.push(...other.targets);
+        continue;
+      }
+
+      // Addresses of colleagues are saved with their directory name
+      const recipient = EMAIL_ADDRESS_PATTERN.test(target)
+        ? { ...(await describeContact(client, target)), type: 'person' }
+        : await findEmailRecipient(client, target, userToken, sessionId);
+      if (recipient && recipient.ambiguous) {
+        ambiguous.push({ name: target, candidates: recipient.candidates, message: recipient.message });
+      } else if (!recipient) {
+        notFound.push({ name: target, suggestions: await suggestRecipients(client, target) });
+      } else {
+        saved.push({ name: recipient.name, email: recipient.email, type: recipient.type });
+      }
+    }
+
+    const choice = ambiguousContactsResult(ambiguous);
+    if (choice) return choice;
+    if (notFound.length > 0) {
+      return {
+        success: false,
+        notFound: true,
+        missingRecipients: notFound,
+        message: describeMissingRecipients(notFound, 'The alias was not saved')
+      };
+    }
+
+    const entry = await contactAliases.setAlias(me.userPrincipalName, alias, saved);
+    const members = entry.targets.map(describeAliasTarget);
+    console.log(`✓ Alias "${entry.alias}" → ${members.join(', ')}`);
+
+    return {
+      success: true,
+      alias: entry.alias,
+      members,
+      message: `Got it - "${entry.alias}" means ${members.join(', ')} from now on`
+    };
+  } catch (error) {
+    console.error('❌ Error saving contact alias:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 🗑️ Forget one of the user's aliases
+ * @param {String} alias
+ * @param {String} userToken
+ * @returns {Promise<Object>} { success, message }
+ */
+async function removeContactAlias(alias, userToken = null) {
+  try {
+    const client = await getGraphClient(userToken);
+    const me = await signedInUser(client);
+    if (!(await contactAliases.removeAlias(me.userPrincipalName, alias))) {
+      return { success: false, error: `There is no alias called "${alias}"` };
+    }
+
+    console.log(`🗑️ Alias removed: "${alias}"`);
+    return { success: true, message: `"${contactAliases.normalizeAlias(alias)}" is forgotten` };
+  } catch (error) {
+    console.error('❌ Error removing contact alias:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 📋 The user's aliases
+ * @param {String} userToken
+ * @returns {Promise<Object>} { success, aliases: [{ alias, members }] }
+ */
+async function listContactAliases(userToken = null) {
+  try {
+    const client = await getGraphClient(userToken);
+    const me = await signedInUser(client);
+    const aliases = (await contactAliases.getAliases(me.userPrincipalName))
+      .map(entry => ({ alias: entry.alias, members: entry.targets.map(describeAliasTarget) }));
+
+    return {
+      success: true,
+      aliases,
+      message: aliases.length === 0 ? 'No aliases saved yet' : undefined
+    };
+  } catch (error) {
+    console.error('❌ Error listing contact aliases:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// The signed-in user's ID and UPN (looked up once per client)
+// Keyed weakly so entries go away with their client; a failed lookup is not cached
+const signedInUsers = new WeakMap();
+
+function signedInUser(client) {
+  if (!signedInUsers.has(client)) {
+    const lookup = client.api('/me').select('id,userPrincipalName').get();
+    signedInUsers.set(client, lookup);
+    lookup.catch(() => {
+      if (signedInUsers.get(client) === lookup) signedInUsers.delete(client);
+    });
+  }
+  return signedInUsers.get(client);
+}
+
+// "your team (Raj Patel, Priya Shah, Vansh Gupta +2 more)" / "the group Design Team"
+function describeReference(reference) {
+  const names = reference.recipients.map(r => r.name);
+  if (names.length === 1) {
+    return reference.recipients[0].type === 'group' ? `the group ${names[0]}` : names[0];
+  }
+  const shown = names.length > 3 ? `${names.slice(0, 3).join(', ')} +${names.length - 3} more` : names.join(', ');
+  return `${reference.label} (${shown})`;
+}
+
+// "my manager" / "Raj Patel <raj@contoso.com>"
+function describeAliasTarget(target) {
+  return target.relationship ? target.label : `${target.name} <${target.email}>`;
+}
+
 // ============== EMAIL FUNCTIONS ==============
 
 async function getRecentEmails(count = 5, userToken = null, sessionId = null) {
@@ -606,19 +1076,9 @@ async function getRecentEmails(count = 5, userToken = null, sessionId = null) {
       console.warn('⚠️ No sessionId provided, using UTC timezone');
     }
 
-    const formattedEmails = messages.value.map(msg => ({
-      id: msg.id,
-      from: msg.from.emailAddress.name || msg.from.emailAddress.address,
-      subject: msg.subject,
-      receivedDate: msg.receivedDateTime,
-      preview: msg.bodyPreview.substring(0, 100),
-      hasAttachments: msg.hasAttachments,
-      attachmentCount: msg.attachmentCount || 0
-    }));
-
     // Always use formatter with timezone (never fallback)
-    console.log(`📧 Formatting ${formattedEmails.length} emails with timezone: ${userTimeZone}`);
-    return formatters.formatEmails(formattedEmails, userTimeZone);
+    console.log(`📧 Formatting ${messages.value.length} emails with timezone: ${userTimeZone}`);
+    return formatters.formatEmails(messages.value, userTimeZone);
   } catch (error) {
     console.error('Error getting emails:', error);
     throw new Error('Failed to retrieve emails');
@@ -630,14 +1090,16 @@ async function searchEmails(query, userToken = null) {
     const client = await getGraphClient(userToken);
     const messages = await client
       .api('/me/messages')
-      .filter(`contains(subject,'${query}') or contains(from/emailAddress/address,'${query}')`)
-      .select('subject,from,receivedDateTime,bodyPreview')
+      .filter(graphQuery.filter(graphQuery.contains(['subject', 'from/emailAddress/address'], query)))
+      .select('id,subject,from,receivedDateTime,bodyPreview')
       .top(5)
       .get();
 
     return messages.value.map(msg => ({
+      id: msg.id,
       subject: msg.subject,
       from: msg.from.emailAddress.name || msg.from.emailAddress.address,
+      fromEmail: msg.from.emailAddress.address,
       date: new Date(msg.receivedDateTime).toLocaleString(),
       preview: msg.bodyPreview.substring(0, 100)
     }));
@@ -647,123 +1109,107 @@ async function searchEmails(query, userToken = null) {
   }
 }
 
-async function sendEmail(recipient_name, subject, body, ccRecipients = [], userToken = null, validatedRecipientData = null) {
+// recipientNames / ccRecipients / bccRecipients: names, group names or addresses.
+// Every one must resolve - nothing is dropped silently.
+// validatedRecipientData: { to, cc, bcc } from resolveEmailRecipients (skips the lookups)
+// saveAsDraft: save to the Drafts folder instead of sending
+// attachments: OneDrive files from findFileAttachments (sent as files or links)
+async function sendEmail(recipientNames, subject, body, ccRecipients = [], userToken = null, validatedRecipientData = null, saveAsDraft = false, attachments = [], bccRecipients = []) {
   try {
-    console.log(`📧 Sending email to: ${recipient_name}`);
+    const toNames = Array.isArray(recipientNames) ? recipientNames : [recipientNames];
+    console.log(`📧 ${saveAsDraft ? 'Saving draft' : 'Sending email'} to: ${toNames.join(', ')}`);
 
     const senderProfile = await getSenderProfile(userToken);
 
-    let recipient;
+    let recipients;
 
-    // ✅ OPTIMIZATION: Use cached validated data if available (skip API call)
-    if (validatedRecipientData && validatedRecipientData.recipientEmail) {
+    // ✅ OPTIMIZATION: Use cached validated data if available (skip API calls)
+    if (validatedRecipientData && validatedRecipientData.to) {
       console.log(`  ⚡ Using cached recipient data (fast path)`);
-      recipient = {
-        name: validatedRecipientData.recipientName,
-        email: validatedRecipientData.recipientEmail,
-        source: validatedRecipientData.source || 'cached'
-      };
+      recipients = validatedRecipientData;
     } else {
-      // Fallback: Search for recipient (slow path)
-      console.log(`  🔍 Searching for recipient (slow path)`);
-      const searchResult = await searchContactEmail(recipient_name, userToken);
+      // Fallback: Search for every recipient (slow path)
+      console.log(`  🔍 Searching for recipients (slow path)`);
+      recipients = await resolveEmailRecipients({ to: toNames, cc: ccRecipients, bcc: bccRecipients }, userToken);
 
-      if (!searchResult.found) {
-        console.log(`  ❌ Recipient not found: ${recipient_name}`);
+      const choice = ambiguousContactsResult(recipients.ambiguous);
+      if (choice) return choice;
+      if (recipients.notFound.length > 0) {
         return {
           success: false,
           notFound: true,
-          searchedName: searchResult.searchedName,
-          message: searchResult.message
+          missingRecipients: recipients.notFound,
+          message: describeMissingRecipients(recipients.notFound)
         };
       }
-
-      recipient = searchResult.results[0];
     }
 
-    console.log(`  ✅ Recipient: ${recipient.email} (source: ${recipient.source})`);
-
-    const nameParts = recipient_name.trim().split(/\s+/);
-    const firstName = nameParts[0];
-
-    const ccEmailAddresses = [];
-    if (ccRecipients && ccRecipients.length > 0) {
-      console.log(`  📎 Processing ${ccRecipients.length} CC recipient(s)...`);
-      for (const ccName of ccRecipients) {
-        try {
-          const ccResult = await searchContactEmail(ccName, userToken);
-          if (ccResult.found && ccResult.results.length > 0) {
-            ccEmailAddresses.push({
-              emailAddress: {
-                address: ccResult.results[0].email,
-                name: ccResult.results[0].name
-              }
-            });
-            console.log(`    ✅ CC: ${ccResult.results[0].email}`);
-          } else {
-            console.log(`    ⚠ CC recipient not found: ${ccName}`);
-          }
-        } catch (err) {
-          console.log(`    ⚠ Could not find CC recipient: ${ccName}`);
-        }
-      }
+    if (recipients.to.length === 0) {
+      throw new Error('No recipients');
     }
+    console.log(`  ✅ To: ${recipients.to.map(r => r.email).join(', ')}`);
 
-    let cleanBody = body
-      .replace(/<[^>]*>/g, '')
-      .replace(/^Hi\s+\w+,?\s*/gi, '')
-      .replace(/^Dear\s+\w+,?\s*/gi, '')
-      .replace(/Best\s+regards,?.*/gi, '')
-      .replace(/Best\s+wishes,?.*/gi, '')
-      .replace(/Regards,?.*/gi, '')
-      .replace(/^--+.*$/gm, '')
-      .replace(/\s+/g, ' ')
-      .trim();
-
-    const plainTextBody = `Hi ${firstName},
+    // One person: "Hi Jatin," - several people or a group: "Hi all,"
+    const firstName = recipients.to.length === 1 && recipients.to[0].type !== 'group'
+      ? recipients.to[0].name.trim().split(/\s+/)[0]
+      : 'all';
+    const toAddresses = (list) => (list || []).map(r => ({ emailAddress: { address: r.email, name: r.name } }));
 
-${cleanBody}
+    const client = await getGraphClient(userToken);
 
-Best regards,
-${senderProfile.displayName || 'User'}`;
+    const fileAttachments = attachments.filter(a => a.sendAs === 'file');
+    const links = await createSharingLinks(client, attachments.filter(a => a.sendAs === 'link'));
+    const rendered = await composeEmailBody(firstName, body, senderProfile, true, links);
 
-    const client = await getGraphClient(userToken);
     const message = {
       message: {
         subject: subject,
         body: {
-          contentType: 'Text',
-          content: plainTextBody
+          contentType: 'HTML',
+          content: rendered.html
         },
-        toRecipients: [
-          {
-            emailAddress: {
-              address: recipient.email,
-              name: recipient.name
-            }
-          }
-        ],
-        ccRecipients: ccEmailAddresses
+        toRecipients: toAddresses(recipients.to),
+        ccRecipients: toAddresses(recipients.cc),
+        bccRecipients: toAddresses(recipients.bcc)
       },
       saveToSentItems: true
     };
 
-    await client.api('/me/sendMail').post(message);
+    let draft = null;
+    if (saveAsDraft || fileAttachments.length > 0) {
+      // Files are added to a draft, which is then sent
+      draft = await client.api('/me/messages').post(message.message);
+      await addFileAttachments(client, draft.id, fileAttachments);
+      if (!saveAsDraft) {
+        await client.api(`/me/messages/${graphQuery.segment(draft.id)}/send`).post({});
+      }
+    } else {
+      await client.api('/me/sendMail').post(message);
+    }
 
+    const toList = recipients.to.map(r => r.name).join(', ');
     const result = {
       success: true,
-      message: `Email sent successfully to ${recipient.name}`,
-      recipientEmail: recipient.email,
-      recipientName: recipient.name,
-      subject: subject,
-      source: recipient.source
+      message: saveAsDraft ? `Draft saved for ${toList}` : `Email sent successfully to ${toList}`,
+      recipients: toList,
+      recipientEmails: recipients.to.map(r => r.email),
+      subject: subject
     };
 
-    if (ccEmailAddresses.length > 0) {
-      result.ccRecipients = ccEmailAddresses.map(cc => cc.emailAddress.address).join(', ');
+    if (recipients.cc?.length > 0) {
+      result.ccRecipients = recipients.cc.map(r => r.email).join(', ');
+    }
+    if (recipients.bcc?.length > 0) {
+      result.bccRecipients = recipients.bcc.map(r => r.email).join(', ');
+    }
+    if (draft && saveAsDraft) {
+      result.draftId = draft.id;
+    }
+    if (attachments.length > 0) {
+      result.attachments = attachments.map(a => a.name);
     }
 
-    console.log(`  ✅ Email sent successfully`);
+    console.log(saveAsDraft ? `  ✅ Draft saved` : `  ✅ Email sent successfully`);
     return result;
 
   } catch (error) {
@@ -772,6 +1218,644 @@ ${senderProfile.displayName || 'User'}`;
   }
 }
 
+const EMAIL_ADDRESS_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * 👥 Resolve To / CC / BCC names for an email
+ *
+ * Each name can be a person, a mail-enabled group (distribution list,
+ * Microsoft 365 group) or an email address. Names that match nothing are
+ * returned with suggestions instead of being dropped.
+ *
+ * @param {Object} lists - { to: [names], cc: [names], bcc: [names] }
+ * @param {String} userToken
+ * @param {String} sessionId
+ * @returns {Promise<Object>} { to, cc, bcc: [{ name, email, type }], notFound: [{ name, field, suggestions }],
+ *   ambiguous: [{ name, field, candidates, message }] }
+ */
+async function resolveEmailRecipients(lists = {}, userToken = null, sessionId = null) {
+  const client = await getGraphClient(userToken, sessionId);
+  const resolved = { to: [], cc: [], bcc: [], notFound: [], ambiguous: [] };
+  const seen = new Set();
+
+  for (const field of ['to', 'cc', 'bcc']) {
+    for (const rawName of lists[field] || []) {
+      const name = String(rawName || '').trim();
+      if (!name) continue;
+
+      // "my manager", "my team" or one of the user's aliases - possibly several people
+      let recipients;
+      try {
+        recipients = (await resolveContactReference(client, name))?.recipients;
+      } catch (error) {
+        resolved.notFound.push({ name, field, reason: error.message, suggestions: [] });
+        console.log(`     ⚠ ${field.toUpperCase()} not resolved: ${name} (${error.message})`);
+        continue;
+      }
+
+      if (!recipients) {
+        const recipient = await findEmailRecipient(client, name, userToken, sessionId);
+        if (recipient && recipient.ambiguous) {
+          resolved.ambiguous.push({ name, field, candidates: recipient.candidates, message: recipient.message });
+          continue;
+        }
+        if (!recipient) {
+          resolved.notFound.push({ name, field, suggestions: await suggestRecipients(client, name) });
+          console.log(`     ⚠ ${field.toUpperCase()} not found: ${name}`);
+          continue;
+        }
+        recipients = [recipient];
+      }
+
+      for (const recipient of recipients) {
+        // Each address once - the first field it appears in wins
+        const key = recipient.email.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        resolved[field].push(recipient);
+        console.log(`     ✅ ${field.toUpperCase()}: ${recipient.name} <${recipient.email}>${recipient.type === 'group' ? ' (group)' : ''}`);
+      }
+    }
+  }
+
+  return resolved;
+}
+
+// One recipient: address → exact group name → person → only group starting with the name.
+// Returns the recipient, a pickContact() ambiguous result, or null
+async function findEmailRecipient(client, name, userToken, sessionId) {
+  if (EMAIL_ADDRESS_PATTERN.test(name)) {
+    return { name, email: name, type: 'person' };
+  }
+
+  const groups = await findMailGroups(client, name);
+  const lower = name.toLowerCase();
+  const exactGroup = groups.find(g => g.displayName.toLowerCase() === lower || g.mail.split('@')[0].toLowerCase() === lower);
+  if (exactGroup) {
+    return { name: exactGroup.displayName, email: exactGroup.mail, type: 'group' };
+  }
+
+  const picked = await pickContact(name, userToken, sessionId);
+  if (picked.found) {
+    return { name: picked.contact.name, email: picked.contact.email, type: 'person' };
+  }
+  if (picked.ambiguous) {
+    return picked;
+  }
+
+  if (groups.length === 1) {
+    return { name: groups[0].displayName, email: groups[0].mail, type: 'group' };
+  }
+  return null;
+}
+
+// Mail-enabled groups whose name or address starts with the text
+async function findMailGroups(client, name) {
+  try {
+    const groups = await client
+      .api('/groups')
+      .filter(graphQuery.filter(graphQuery.combine('and', ['mailEnabled eq true', graphQuery.startsWith(['displayName', 'mail'], name)])))
+      .select('id,displayName,mail')
+      .top(5)
+      .get();
+    return (groups.value || []).filter(g => g.mail);
+  } catch (err) {
+    // Group.Read.All may not be granted - people still resolve
+    console.log(`     ⚠ Group search failed: ${err.message}`);
+    return [];
+  }
+}
+
+// "Did you mean" candidates for a name that matched nothing (first word only)
+async function suggestRecipients(client, name) {
+  const firstWord = name.split(/\s+/)[0];
+  if (!firstWord || firstWord.length < 2) return [];
+
+  try {
+    const people = await client
+      .api('/me/people')
+      .search(graphQuery.search(firstWord))
+      .select('displayName,scoredEmailAddresses')
+      .top(3)
+      .get();
+    const groups = await findMailGroups(client, firstWord);
+
+    return [
+      ...(people.value || [])
+        .filter(p => p.scoredEmailAddresses?.length > 0)
+        .map(p => `${p.displayName} <${p.scoredEmailAddresses[0].address}>`),
+      ...groups.map(g => `${g.displayName} <${g.mail}>`)
+    ].slice(0, 3);
+  } catch (err) {
+    return [];
+  }
+}
+
+// "I couldn't find X (did you mean A or B?)" for the agent / UI
+function describeMissingRecipients(notFound, outcome = 'Nothing was sent') {
+  const parts = notFound.map(({ name, field, suggestions, reason }) => {
+    const notes = [];
+    if (field && field !== 'to') notes.push(field.toUpperCase());
+    if (reason) notes.push(reason);
+    if (suggestions && suggestions.length > 0) notes.push(`did you mean ${suggestions.join(' or ')}?`);
+    return notes.length > 0 ? `"${name}" (${notes.join(' - ')})` : `"${name}"`;
+  });
+  return `I couldn't find: ${parts.join('; ')}. ${outcome} - please check the name(s) or give the email address.`;
+}
+
+// Render the model's text with the sender's email template
+// (greeting, paragraphs/lists, signature; footer only on new mail)
+async function composeEmailBody(greetingName, body, senderProfile, includeFooter = true, links = []) {
+  const template = await emailTemplates.getTemplate(senderProfile.userPrincipalName || senderProfile.email);
+  return emailTemplates.renderEmail({
+    recipientName: greetingName,
+    body,
+    sender: senderProfile,
+    template,
+    includeFooter,
+    links
+  });
+}
+
+/**
+ * Change (or reset) the user's email template
+ * @param {Object} settings - { greeting, signOff, signatureFields, footer, accentColor }
+ * @param {Boolean} reset - Go back to the default template
+ * @param {String} userToken
+ * @returns {Promise<Object>} { success, template, message }
+ */
+async function updateEmailTemplate(settings = {}, reset = false, userToken = null) {
+  try {
+    const senderProfile = await getSenderProfile(userToken);
+    const owner = senderProfile.userPrincipalName || senderProfile.email;
+    if (!owner) throw new Error('Could not identify the signed-in user');
+
+    const template = reset
+      ? await emailTemplates.resetTemplate(owner)
+      : await emailTemplates.setTemplate(owner, settings);
+
+    return {
+      success: true,
+      template,
+      message: reset ? 'Email template reset to the default' : 'Email template updated'
+    };
+  } catch (error) {
+    console.error('❌ Error updating email template:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// ============== REPLY & FORWARD ==============
+
+// Find the inbox message to answer - by ID (from earlier results) or by
+// subject / sender, newest first. Returns the message or null
+async function findEmailToAnswer(client, messageId = null, subject = null, senderName = null) {
+  const fields = 'id,subject,from,toRecipients,ccRecipients,receivedDateTime,bodyPreview,conversationId';
+
+  if (messageId) {
+    return await client.api(`/me/messages/${graphQuery.segment(messageId)}`).select(fields).get();
+  }
+
+  // KQL search on sender and/or subject
+  const criteria = graphQuery.searchAll({ from: senderName, subject });
+  if (!criteria) return null;
+
+  console.log(`   🔍 Searching inbox: from "${senderName || '-'}", subject "${subject || '-'}"`);
+  const messages = await client
+    .api('/me/mailFolders/inbox/messages')
+    .search(criteria)
+    .select(fields)
+    .top(10)
+    .get();
+
+  // $search results can't be ordered by Graph - newest first here
+  const sorted = (messages.value || []).sort((a, b) => new Date(b.receivedDateTime) - new Date(a.receivedDateTime));
+  return sorted[0] || null;
+}
+
+// Summary of the message being answered, shown in the preview
+function toOriginalEmail(message, timeZone) {
+  return {
+    id: message.id,
+    subject: message.subject || '(no subject)',
+    from: message.from?.emailAddress?.name || message.from?.emailAddress?.address || 'Unknown',
+    fromEmail: message.from?.emailAddress?.address || null,
+    receivedDate: formatters.formatDateTime(new Date(message.receivedDateTime), timeZone),
+    preview: (message.bodyPreview || '').substring(0, 200)
+  };
+}
+
+/**
+ * ↩️ Reply (or reply all) to an inbox message
+ *
+ * The reply is created with Graph's createReply / createReplyAll so it stays
+ * in the same conversation thread and quotes the original message.
+ *
+ * @param {String} messageId - Message ID from earlier results (optional)
+ * @param {String} subject - Part of the subject to search for (optional)
+ * @param {String} senderName - Sender name or email to search for (optional)
+ * @param {String} body - Reply text
+ * @param {Boolean} replyAll - Reply to the sender and everyone on the message
+ * @param {String} userToken
+ * @param {String} timeZone - For the received date in the preview
+ * @param {Boolean} previewMode - Only find the message and work out the recipients
+ * @returns {Promise<Object>} { success, emailToReply } in preview mode, send result otherwise
+ */
+async function replyToEmail(messageId = null, subject = null, senderName = null, body = '', replyAll = false, userToken = null, timeZone = 'UTC', previewMode = false) {
+  try {
+    console.log(`↩️ Finding email to ${replyAll ? 'reply all to' : 'reply to'}...`);
+
+    if (!userToken) throw new Error('Missing user token.');
+
+    const client = await getGraphClient(userToken);
+    const message = await findEmailToAnswer(client, messageId, subject, senderName);
+
+    if (!message) {
+      return {
+        success: false,
+        notFound: true,
+        message: 'No matching email found in the inbox. Ask the user for the sender or subject.'
+      };
+    }
+
+    // Everyone a reply all reaches, sender first - the preview can switch reply all on or off
+    const senderProfile = await getSenderProfile(userToken);
+    const recipients = getReplyRecipients(message, true, senderProfile.email);
+
+    console.log(`   🎯 Selected email: "${message.subject}" from ${message.from?.emailAddress?.address}`);
+
+    // ✅ PREVIEW MODE: Return message details without replying
+    if (previewMode) {
+      console.log('   👁️ Preview mode - not replying yet');
+      return {
+        success: true,
+        emailToReply: {
+          ...toOriginalEmail(message, timeZone),
+          recipients
+        }
+      };
+    }
+
+    return await sendReply(message.id, body, replyAll, userToken);
+
+  } catch (error) {
+    console.error('❌ Error replying to email:', error);
+    throw new Error('Failed to reply to email: ' + error.message);
+  }
+}
+
+// Who a reply reaches: the sender, plus everyone else on the message for reply all
+function getReplyRecipients(message, replyAll, myEmail) {
+  const people = [message.from];
+  if (replyAll) {
+    people.push(...(message.toRecipients || []), ...(message.ccRecipients || []));
+  }
+
+  const seen = new Set([String(myEmail || '').toLowerCase()]);
+  const recipients = [];
+  for (const person of people) {
+    const address = person?.emailAddress?.address;
+    if (!address || seen.has(address.toLowerCase())) continue;
+    seen.add(address.toLowerCase());
+    recipients.push({ name: person.emailAddress.name || address, email: address });
+  }
+  return recipients;
+}
+
+/**
+ * Send a threaded reply / reply all to a known message
+ * @param {String} messageId
+ * @param {String} body - Reply text (greeting and sign-off are added)
+ * @param {Boolean} replyAll
+ * @param {String} userToken
+ * @param {Boolean} saveAsDraft - Leave the reply in Drafts instead of sending it
+ * @returns {Promise<Object>} { success, subject, recipients, message }
+ */
+async function sendReply(messageId, body, replyAll = false, userToken = null, saveAsDraft = false) {
+  try {
+    if (!userToken) throw new Error('Missing user token.');
+
+    const client = await getGraphClient(userToken);
+    const senderProfile = await getSenderProfile(userToken);
+    const original = await client.api(`/me/messages/${graphQuery.segment(messageId)}`).select('from').get();
+
+    const greetingName = replyAll
+      ? 'all'
+      : (original.from?.emailAddress?.name || '').trim().split(/\s+/)[0] || 'there';
+    const comment = (await composeEmailBody(greetingName, body, senderProfile, false)).html;
+
+    // Draft in the same thread, then send it
+    console.log(`↩️ Creating ${replyAll ? 'reply-all' : 'reply'} draft...`);
+    const draft = await client
+      .api(`/me/messages/${graphQuery.segment(messageId)}/${replyAll ? 'createReplyAll' : 'createReply'}`)
+      .post({ comment });
+    if (!saveAsDraft) {
+      await client.api(`/me/messages/${graphQuery.segment(draft.id)}/send`).post({});
+    }
+
+    const recipients = (draft.toRecipients || []).concat(draft.ccRecipients || [])
+      .map(r => r.emailAddress.name || r.emailAddress.address);
+
+    console.log(`  ✅ Reply ${saveAsDraft ? 'saved as draft' : 'sent'} to ${recipients.join(', ')}`);
+    return {
+      success: true,
+      subject: draft.subject,
+      recipients: recipients.join(', '),
+      draftId: saveAsDraft ? draft.id : undefined,
+      message: saveAsDraft ? `Reply to ${recipients.join(', ')} saved as draft` : `Reply sent to ${recipients.join(', ')}`
+    };
+  } catch (error) {
+    console.error('❌ Error sending reply:', error);
+    throw new Error('Failed to send reply: ' + error.message);
+  }
+}
+
+/**
+ * ➡️ Find an inbox message to forward (recipients are resolved by the caller)
+ *
+ * @param {String} messageId - Message ID from earlier results (optional)
+ * @param {String} subject - Part of the subject to search for (optional)
+ * @param {String} senderName - Sender name or email to search for (optional)
+ * @param {Array} recipients - [{ name, email }] to forward to
+ * @param {String} body - Note added above the forwarded message
+ * @param {String} userToken
+ * @param {String} timeZone - For the received date in the preview
+ * @param {Boolean} previewMode - Only find the message
+ * @returns {Promise<Object>} { success, emailToForward } in preview mode, send result otherwise
+ */
+async function forwardEmail(messageId = null, subject = null, senderName = null, recipients = [], body = '', userToken = null, timeZone = 'UTC', previewMode = false) {
+  try {
+    console.log(`➡️ Finding email to forward...`);
+
+    if (!userToken) throw new Error('Missing user token.');
+
+    const client = await getGraphClient(userToken);
+    const message = await findEmailToAnswer(client, messageId, subject, senderName);
+
+    if (!message) {
+      return {
+        success: false,
+        notFound: true,
+        message: 'No matching email found in the inbox. Ask the user for the sender or subject.'
+      };
+    }
+
+    console.log(`   🎯 Selected email: "${message.subject}" from ${message.from?.emailAddress?.address}`);
+
+    // ✅ PREVIEW MODE: Return message details without forwarding
+    if (previewMode) {
+      console.log('   👁️ Preview mode - not forwarding yet');
+      return {
+        success: true,
+        emailToForward: toOriginalEmail(message, timeZone)
+      };
+    }
+
+    return await sendForward(message.id, recipients, body, userToken);
+
+  } catch (error) {
+    console.error('❌ Error forwarding email:', error);
+    throw new Error('Failed to forward email: ' + error.message);
+  }
+}
+
+/**
+ * Forward a known message, keeping the original content and attachments
+ * @param {String} messageId
+ * @param {Array} recipients - [{ name, email }]
+ * @param {String} body - Note above the forwarded message (greeting and sign-off are added)
+ * @param {String} userToken
+ * @param {Boolean} saveAsDraft - Leave the forward in Drafts instead of sending it
+ * @returns {Promise<Object>} { success, subject, recipients, message }
+ */
+async function sendForward(messageId, recipients = [], body = '', userToken = null, saveAsDraft = false) {
+  try {
+    if (!userToken) throw new Error('Missing user token.');
+    if (recipients.length === 0) throw new Error('No one to forward the email to.');
+
+    const client = await getGraphClient(userToken);
+    const senderProfile = await getSenderProfile(userToken);
+
+    const greetingName = recipients.length === 1
+      ? (recipients[0].name || '').trim().split(/\s+/)[0] || 'there'
+      : 'all';
+    const comment = (await composeEmailBody(greetingName, body, senderProfile, false)).html;
+
+    // Draft in the same thread, then send it
+    console.log(`➡️ Creating forward draft for ${recipients.length} recipient(s)...`);
+    const draft = await client
+      .api(`/me/messages/${graphQuery.segment(messageId)}/createForward`)
+      .post({
+        comment,
+        toRecipients: recipients.map(r => ({ emailAddress: { address: r.email, name: r.name } }))
+      });
+    if (!saveAsDraft) {
+      await client.api(`/me/messages/${graphQuery.segment(draft.id)}/send`).post({});
+    }
+
+    const names = recipients.map(r => r.name || r.email).join(', ');
+    console.log(`  ✅ Forward to ${names} ${saveAsDraft ? 'saved as draft' : 'sent'}`);
+    return {
+      success: true,
+      subject: draft.subject,
+      recipients: names,
+      draftId: saveAsDraft ? draft.id : undefined,
+      message: saveAsDraft ? `Forward to ${names} saved as draft` : `Email forwarded to ${names}`
+    };
+  } catch (error) {
+    console.error('❌ Error forwarding email:', error);
+    throw new Error('Failed to forward email: ' + error.message);
+  }
+}
+
+// ============== DRAFTS ==============
+
+/**
+ * 📝 List messages in the Drafts folder, most recently edited first
+ * @param {Number} count
+ * @param {String} userToken
+ * @param {String} sessionId - For the user's timezone
+ * @returns {Promise<Array>} [{ id, to, subject, lastModified, preview }]
+ */
+async function getDrafts(count = 10, userToken = null, sessionId = null) {
+  try {
+    const client = await getGraphClient(userToken);
+    const timeZone = sessionId ? await timezoneHelper.getUserTimeZone(sessionId, userToken) : 'UTC';
+
+    const drafts = await client
+      .api('/me/mailFolders/drafts/messages')
+      .select('id,subject,toRecipients,lastModifiedDateTime,bodyPreview')
+      .orderby('lastModifiedDateTime DESC')
+      .top(count)
+      .get();
+
+    return drafts.value.map(draft => toDraftSummary(draft, timeZone));
+  } catch (error) {
+    console.error('Error getting drafts:', error);
+    throw new Error('Failed to retrieve drafts: ' + error.message);
+  }
+}
+
+// Find a draft by ID (from earlier results) or by subject, newest first
+async function findDraft(client, draftId = null, subject = null) {
+  const fields = 'id,subject,toRecipients,ccRecipients,lastModifiedDateTime,bodyPreview,body';
+
+  if (draftId) {
+    return await client.api(`/me/messages/${graphQuery.segment(draftId)}`).select(fields).get();
+  }
+  if (!subject) {
+    // No hint - the most recently edited draft
+    const latest = await client
+      .api('/me/mailFolders/drafts/messages')
+      .select(fields)
+      .orderby('lastModifiedDateTime DESC')
+      .top(1)
+      .get();
+    return latest.value[0] || null;
+  }
+
+  const drafts = await client
+    .api('/me/mailFolders/drafts/messages')
+    .search(graphQuery.search(subject, 'subject'))
+    .select(fields)
+    .top(10)
+    .get();
+
+  const sorted = (drafts.value || []).sort((a, b) => new Date(b.lastModifiedDateTime) - new Date(a.lastModifiedDateTime));
+  return sorted[0] || null;
+}
+
+function toDraftSummary(draft, timeZone) {
+  return {
+    id: draft.id,
+    to: (draft.toRecipients || []).map(r => r.emailAddress.name || r.emailAddress.address).join(', ') || 'No recipients yet',
+    subject: draft.subject || '(no subject)',
+    lastModified: formatters.formatDateTime(new Date(draft.lastModifiedDateTime), timeZone),
+    preview: (draft.bodyPreview || '').substring(0, 200)
+  };
+}
+
+/**
+ * ✏️ Change the subject and/or text of a draft
+ *
+ * The new text replaces what was written before; for reply/forward drafts the
+ * quoted original message below it is kept.
+ *
+ * @param {String} draftId - Draft ID from earlier results (optional)
+ * @param {String} subject - Part of the subject to find the draft by (optional)
+ * @param {String} newSubject - New subject (optional)
+ * @param {String} body - New text, without greeting or sign-off (optional)
+ * @param {String} userToken
+ * @param {String} timeZone - For the last-edited date in the result
+ * @returns {Promise<Object>} { success, draft, message }
+ */
+async function updateDraft(draftId = null, subject = null, newSubject = null, body = null, userToken = null, timeZone = 'UTC') {
+  try {
+    console.log(`✏️ Updating draft...`);
+
+    if (!userToken) throw new Error('Missing user token.');
+    if (!newSubject && !body) {
+      return { success: false, error: 'Nothing to change - give a new subject or text.' };
+    }
+
+    const client = await getGraphClient(userToken);
+    const draft = await findDraft(client, draftId, subject);
+
+    if (!draft) {
+      return {
+        success: false,
+        notFound: true,
+        message: subject ? `No draft found with subject containing "${subject}"` : 'There are no drafts'
+      };
+    }
+
+    const changes = {};
+    if (newSubject) changes.subject = newSubject;
+
+    if (body) {
+      const senderProfile = await getSenderProfile(userToken);
+      const firstRecipient = draft.toRecipients?.length === 1
+        ? (draft.toRecipients[0].emailAddress.name || '').trim().split(/\s+/)[0] || 'there'
+        : 'all';
+
+      // Keep the quoted message of a reply/forward draft (starts at Outlook's divider)
+      const quoteStart = draft.body?.contentType === 'html'
+        ? draft.body.content.search(/<div id="divRplyFwdMsg"|<hr[^>]*>/i)
+        : -1;
+      const quoted = quoteStart >= 0 ? draft.body.content.slice(quoteStart) : '';
+      const rendered = await composeEmailBody(firstRecipient, body, senderProfile, !quoted);
+      changes.body = { contentType: 'HTML', content: `${rendered.html}${quoted}` };
+    }
+
+    const updated = await client.api(`/me/messages/${graphQuery.segment(draft.id)}`).patch(changes);
+
+    console.log(`  ✅ Draft updated: "${updated.subject}"`);
+    return {
+      success: true,
+      draft: toDraftSummary(updated, timeZone),
+      message: `Draft "${updated.subject}" updated`
+    };
+  } catch (error) {
+    console.error('❌ Error updating draft:', error);
+    throw new Error('Failed to update draft: ' + error.message);
+  }
+}
+
+/**
+ * 📤 Send a saved draft
+ * @param {String} draftId - Draft ID from earlier results (optional)
+ * @param {String} subject - Part of the subject to find the draft by (optional)
+ * @param {String} userToken
+ * @param {String} timeZone - For the last-edited date in the preview
+ * @param {Boolean} previewMode - Only find the draft, don't send it
+ * @returns {Promise<Object>} { success, draftToSend } in preview mode, send result otherwise
+ */
+async function sendDraft(draftId = null, subject = null, userToken = null, timeZone = 'UTC', previewMode = false) {
+  try {
+    console.log(`📤 Finding draft to send...`);
+
+    if (!userToken) throw new Error('Missing user token.');
+
+    const client = await getGraphClient(userToken);
+    const draft = await findDraft(client, draftId, subject);
+
+    if (!draft) {
+      return {
+        success: false,
+        notFound: true,
+        message: subject ? `No draft found with subject containing "${subject}"` : 'There are no drafts'
+      };
+    }
+
+    if (!draft.toRecipients || draft.toRecipients.length === 0) {
+      return {
+        success: false,
+        error: `The draft "${draft.subject || '(no subject)'}" has no recipients yet.`
+      };
+    }
+
+    // ✅ PREVIEW MODE: Return draft details without sending
+    if (previewMode) {
+      console.log('   👁️ Preview mode - not sending yet');
+      return { success: true, draftToSend: toDraftSummary(draft, timeZone) };
+    }
+
+    await client.api(`/me/messages/${graphQuery.segment(draft.id)}/send`).post({});
+
+    const summary = toDraftSummary(draft, timeZone);
+    console.log(`  ✅ Draft sent: "${summary.subject}"`);
+    return {
+      success: true,
+      subject: summary.subject,
+      recipients: summary.to,
+      message: `Draft "${summary.subject}" sent to ${summary.to}`
+    };
+  } catch (error) {
+    console.error('❌ Error sending draft:', error);
+    throw new Error('Failed to send draft: ' + error.message);
+  }
+}
+
 // ============== CALENDAR FUNCTIONS ==============
 
 async function getCalendarEvents(days = 7, userToken = null, sessionId = null) {
@@ -831,6 +1915,235 @@ async function getCalendarEvents(days = 7, userToken = null, sessionId = null) {
   }
 }
 
+// Resolve attendee names to directory entries
+// Returns { attendees: [{ name, email }], notFound: [names], ambiguous: [{ name, candidates, message }] }
+async function resolveAttendees(attendeeNames = [], userToken = null) {
+  const attendees = [];
+  const notFound = [];
+  const ambiguous = [];
+
+  if (attendeeNames && attendeeNames.length > 0) {
+    console.log(`   Processing ${attendeeNames.length} attendee(s)...`);
+    const client = await getGraphClient(userToken);
+    const seen = new Set();
+
+    // Looked up side by side (mostly from the directory cache), results kept in order
+    const lookups = await Promise.all(attendeeNames.map(name =>
+      pickAttendees(client, name, userToken).then(picked => ({ picked }), error => ({ error }))
+    ));
+
+    attendeeNames.forEach((name, i) => {
+      const { picked, error } = lookups[i];
+      if (error) {
+        notFound.push(name);
+        console.log(`     ⚠ Could not find attendee: ${name} (${error.message})`);
+      } else if (picked.found) {
+        for (const contact of picked.contacts) {
+          if (seen.has(contact.email.toLowerCase())) continue;
+          seen.add(contact.email.toLowerCase());
+          attendees.push({
+            name: contact.name,
+            email: contact.email
+          });
+          console.log(`     ✅ Attendee: ${contact.email}`);
+        }
+      } else if (picked.ambiguous) {
+        ambiguous.push({ name, candidates: picked.candidates, message: picked.message });
+      } else {
+        notFound.push(name);
+        console.log(`     ⚠ Attendee not found: ${name}`);
+      }
+    });
+  }
+
+  return { attendees, notFound, ambiguous };
+}
+
+// Everyone a relationship or alias stands for ("my team"), otherwise pickContact()
+async function pickAttendees(client, name, userToken) {
+  const reference = await resolveContactReference(client, name);
+  if (reference) {
+    return { found: true, contacts: reference.recipients };
+  }
+  const picked = await pickContact(name, userToken);
+  return picked.found ? { ...picked, contacts: [picked.contact] } : picked;
+}
+
+/**
+ * 🔎 Propose meeting slots when every attendee is free
+ *
+ * Uses Graph findMeetingTimes with activityDomain "work", so only slots
+ * inside the attendees' working hours (mailboxSettings) are suggested.
+ * When nothing fits, getSchedule is used to report who is busy.
+ *
+ * @param {Array} attendeeNames - Names to resolve in the directory
+ * @param {Number} durationMinutes - Meeting length (default 30)
+ * @param {String} rangeStart - Earliest start, YYYY-MM-DD or YYYY-MM-DDTHH:mm:ss (default now)
+ * @param {String} rangeEnd - Latest end, YYYY-MM-DD or YYYY-MM-DDTHH:mm:ss (default 5 days later)
+ * @param {String} userToken
+ * @param {String} timeZone - User's IANA timezone; range and slots are wall-clock times in it
+ * @param {Number} maxCandidates - Number of slots to return (default 5)
+ * @returns {Promise<Object>} { success, suggestions: [{ start, end, when }], attendees, workingHours }
+ */
+async function findMeetingTimes(
+  attendeeNames = [],
+  durationMinutes = 30,
+  rangeStart = null,
+  rangeEnd = null,
+  userToken = null,
+  timeZone = 'UTC',
+  maxCandidates = 5
+) {
+  try {
+    console.log(`🔎 Finding meeting times for: ${attendeeNames.join(', ') || 'just you'} (${durationMinutes} min)`);
+
+    if (!userToken) throw new Error('Missing user token.');
+
+    const { attendees, notFound, ambiguous } = await resolveAttendees(attendeeNames, userToken);
+    const choice = ambiguousContactsResult(ambiguous);
+    if (choice) return choice;
+    if (notFound.length > 0) {
+      return {
+        success: false,
+        notFound: true,
+        missingAttendees: notFound,
+        message: `I couldn't find: ${notFound.join(', ')}. Please verify their name(s).`
+      };
+    }
+
+    const client = await getGraphClient(userToken);
+    const now = timezoneHelper.toWallClock(new Date(), timeZone);
+
+    let windowStart = rangeStart ? (rangeStart.length === 10 ? `${rangeStart}T00:00:00` : toWallClockString(rangeStart)) : now;
+    if (windowStart < now) windowStart = now;
+    const windowEnd = rangeEnd
+      ? (rangeEnd.length === 10 ? `${rangeEnd}T23:59:59` : toWallClockString(rangeEnd))
+      : toWallClockString(new Date(new Date(`${windowStart}Z`).getTime() + 5 * 24 * 60 * 60 * 1000).toISOString());
+
+    const workingHours = await getWorkingHours(client);
+
+    const response = await client
+      .api('/me/findMeetingTimes')
+      .header('Prefer', `outlook.timezone="${timeZone}"`)
+      .post({
+        attendees: attendees.map(a => ({
+          type: 'required',
+          emailAddress: { address: a.email, name: a.name }
+        })),
+        timeConstraint: {
+          activityDomain: 'work',
+          timeSlots: [{
+            start: { dateTime: windowStart, timeZone },
+            end: { dateTime: windowEnd, timeZone }
+          }]
+        },
+        meetingDuration: `PT${durationMinutes}M`,
+        maxCandidates: maxCandidates,
+        isOrganizerOptional: false,
+        returnSuggestionReasons: true,
+        minimumAttendeePercentage: 100
+      });
+
+    const suggestions = (response.meetingTimeSuggestions || [])
+      .map(suggestion => {
+        const start = toWallClockString(suggestion.meetingTimeSlot.start.dateTime);
+        const end = toWallClockString(suggestion.meetingTimeSlot.end.dateTime);
+        return {
+          start,
+          end,
+          when: formatters.formatMeetingWindow(start, end, timeZone),
+          confidence: suggestion.confidence
+        };
+      })
+      .sort((a, b) => a.start.localeCompare(b.start));
+
+    console.log(`   ✅ ${suggestions.length} slot(s) found`);
+
+    const result = {
+      success: true,
+      attendees: attendees.map(a => a.name),
+      attendeeNames: attendeeNames,
+      durationMinutes: durationMinutes,
+      timeZone: timeZone,
+      workingHours: workingHours,
+      suggestions: suggestions
+    };
+
+    if (suggestions.length === 0) {
+      // Explain why nothing fits - who is busy in the requested window
+      result.emptySuggestionsReason = response.emptySuggestionsReason || null;
+      result.busy = await checkAvailability(attendees.map(a => a.email), windowStart, windowEnd, userToken, timeZone);
+      result.message = 'No slot fits everyone within working hours. Suggest a different day or a shorter meeting.';
+    } else {
+      result.message = 'Offer these slots to the user. To book one, call create_calendar_event with its start/end and the same attendeeNames.';
+    }
+
+    return result;
+
+  } catch (error) {
+    console.error('❌ Error finding meeting times:', error);
+    throw new Error('Failed to find meeting times: ' + error.message);
+  }
+}
+
+/**
+ * Check who is busy between start and end (Graph getSchedule)
+ * Never throws - returns [] when free/busy cannot be read
+ *
+ * @param {Array} emails - Email addresses to check
+ * @param {String} start - Wall-clock start in timeZone
+ * @param {String} end - Wall-clock end in timeZone
+ * @param {String} userToken
+ * @param {String} timeZone - User's IANA timezone
+ * @returns {Promise<Array>} [{ email, status }] for everyone not free
+ */
+async function checkAvailability(emails = [], start, end, userToken = null, timeZone = 'UTC') {
+  if (!emails || emails.length === 0) return [];
+
+  try {
+    const client = await getGraphClient(userToken);
+    const response = await client
+      .api('/me/calendar/getSchedule')
+      .header('Prefer', `outlook.timezone="${timeZone}"`)
+      .post({
+        schedules: emails,
+        startTime: { dateTime: start, timeZone },
+        endTime: { dateTime: end, timeZone },
+        availabilityViewInterval: 15
+      });
+
+    const busy = [];
+    for (const schedule of response.value || []) {
+      const busyItem = (schedule.scheduleItems || []).find(item => item.status !== 'free');
+      if (busyItem) {
+        busy.push({ email: schedule.scheduleId, status: busyItem.status });
+      }
+    }
+
+    console.log(`   📊 Free/busy: ${busy.length} of ${emails.length} busy`);
+    return busy;
+  } catch (error) {
+    console.warn('⚠️ Could not check free/busy:', error.message);
+    return [];
+  }
+}
+
+// Signed-in user's working hours from mailboxSettings (null if unavailable)
+async function getWorkingHours(client) {
+  try {
+    const workingHours = await client.api('/me/mailboxSettings/workingHours').get();
+    return {
+      days: workingHours.daysOfWeek || [],
+      start: (workingHours.startTime || '').slice(0, 5),
+      end: (workingHours.endTime || '').slice(0, 5),
+      timeZone: workingHours.timeZone?.name || null
+    };
+  } catch (error) {
+    console.warn('⚠️ Could not read working hours:', error.message);
+    return null;
+  }
+}
+
 /**
  * 📅 Creates a Calendar Event (Teams or Regular Meeting)
  *
@@ -842,6 +2155,10 @@ async function getCalendarEvents(days = 7, userToken = null, sessionId = null) {
  *
  * @returns Result object including Teams join URL
  */
+// resolvedAttendees: optional [{ name, email }] already validated during the
+// confirmation preview - skips the directory lookups when provided
+// timeZone: user's IANA timezone - start/end are wall-clock times in it
+// recurrence: optional rule from date-parser.resolveRecurrence - creates a series
 async function createCalendarEvent(
   subject,
   start,
@@ -849,7 +2166,10 @@ async function createCalendarEvent(
   location = '',
   attendeeNames = [],
   isTeamsMeeting = false,
-  userToken = null
+  userToken = null,
+  resolvedAttendees = null,
+  timeZone = 'UTC',
+  recurrence = null
 ) {
   try {
     console.log(`📅 Creating calendar event: "${subject}"`);
@@ -862,41 +2182,30 @@ async function createCalendarEvent(
     //------------------------------------------------------
     // 🧑‍🤝‍🧑 Resolve attendees (get Outlook email addresses)
     //------------------------------------------------------
-    //------------------------------------------------------
-    // 🧑‍🤝‍🧑 Resolve attendees (get Outlook email addresses)
-    //------------------------------------------------------
-    const attendeeEmails = [];
-    const notFoundAttendees = [];
-
-    if (attendeeNames && attendeeNames.length > 0) {
-      console.log(`   Processing ${attendeeNames.length} attendee(s)...`);
-      for (const name of attendeeNames) {
-        try {
-          const searchResult = await searchContactEmail(name, userToken);
-          if (searchResult.found && searchResult.results.length > 0) {
-            attendeeEmails.push({
-              emailAddress: {
-                address: searchResult.results[0].email,
-                name: searchResult.results[0].name
-              },
-              type: 'required'
-            });
-            console.log(`     ✅ Attendee: ${searchResult.results[0].email}`);
-          } else {
-            notFoundAttendees.push(name);
-            console.log(`     ⚠ Attendee not found: ${name}`);
-          }
-        } catch (err) {
-          notFoundAttendees.push(name);
-          console.log(`     ⚠ Could not find attendee: ${name}`);
-        }
-      }
+    let resolved;
+    if (resolvedAttendees) {
+      console.log(`   ⚡ Using ${resolvedAttendees.length} pre-validated attendee(s)`);
+      resolved = { attendees: resolvedAttendees, notFound: [], ambiguous: [] };
+    } else {
+      resolved = await resolveAttendees(attendeeNames, userToken);
     }
 
+    const choice = ambiguousContactsResult(resolved.ambiguous);
+    if (choice) return choice;
+
+    const notFoundAttendees = resolved.notFound;
+    const attendeeEmails = resolved.attendees.map(attendee => ({
+      emailAddress: {
+        address: attendee.email,
+        name: attendee.name
+      },
+      type: 'required'
+    }));
+
     //------------------------------------------------------
     // ❗ Validate attendees before creating meeting
     //------------------------------------------------------
-    if (attendeeNames.length > 0 && notFoundAttendees.length > 0) {
+    if (notFoundAttendees.length > 0) {
       console.log("❌ Cannot create meeting. Attendee(s) not found:", notFoundAttendees);
 
       return {
@@ -913,8 +2222,8 @@ async function createCalendarEvent(
     //------------------------------------------------------
     const event = {
       subject,
-      start: { dateTime: start, timeZone: 'Asia/Kolkata' },
-      end: { dateTime: end, timeZone: 'Asia/Kolkata' },
+      start: { dateTime: start, timeZone },
+      end: { dateTime: end, timeZone },
       attendees: attendeeEmails
     };
 
@@ -922,6 +2231,14 @@ async function createCalendarEvent(
       event.location = { displayName: location };
     }
 
+    //------------------------------------------------------
+    // 🔁 Recurring series?
+    //------------------------------------------------------
+    if (recurrence) {
+      event.recurrence = toPatternedRecurrence(recurrence, start, timeZone);
+      console.log(`   Recurrence: ${formatters.formatRecurrence(recurrence, start)}`);
+    }
+
     //------------------------------------------------------
     // 🎥 Teams meeting enabled?
     //------------------------------------------------------
@@ -945,7 +2262,7 @@ async function createCalendarEvent(
 
       try {
         const refreshedEvent = await client
-          .api(`/me/events/${createdEvent.id}`)
+          .api(`/me/events/${graphQuery.segment(createdEvent.id)}`)
           .select('id,subject,onlineMeeting')
           .get();
 
@@ -967,8 +2284,9 @@ async function createCalendarEvent(
       subject: createdEvent.subject,
       attendees: attendeeEmails.map(a => a.emailAddress.name).join(', '),
       attendeeCount: attendeeEmails.length,
-      startTime: new Date(start).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
-      endTime: new Date(end).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
+      startTime: formatters.formatMeetingWindow(start, null, timeZone),
+      endTime: formatters.formatMeetingWindow(end, null, timeZone),
+      recurrence: formatters.formatRecurrence(recurrence, start),
       isTeamsMeeting: isTeamsMeeting,
       joinUrl: createdEvent.onlineMeeting?.joinUrl || null
     };
@@ -983,7 +2301,9 @@ async function createCalendarEvent(
         try {
           await sendTeamsMessage(
             attendee,
-            `You are invited to join the meeting:\n"${subject}"\n\n📅 Time: ${result.startTime}\n\n🔗 Join Link: ${result.joinUrl}`,
+            `You are invited to join the meeting:\n"${subject}"\n\n📅 Time: ${result.startTime}` +
+              (result.recurrence ? `\n🔁 Repeats: ${result.recurrence}` : '') +
+              `\n\n🔗 Join Link: ${result.joinUrl}`,
             userToken
           );
           console.log(`   🚀 Link sent to: ${attendee}`);
@@ -996,7 +2316,9 @@ async function createCalendarEvent(
     //------------------------------------------------------
     // 🗨 Response summary
     //------------------------------------------------------
-    if (isTeamsMeeting && result.joinUrl) {
+    if (recurrence) {
+      result.message = `Recurring ${isTeamsMeeting ? 'Teams meeting' : 'event'} created (${result.recurrence}).`;
+    } else if (isTeamsMeeting && result.joinUrl) {
       result.message = `Teams meeting created. Link shared with participants.`;
     } else if (isTeamsMeeting) {
       result.message = `Teams meeting created. Link will appear shortly.`;
@@ -1018,7 +2340,8 @@ async function updateCalendarEvent(
   newSubject = null,
   newStart = null,
   newEnd = null,
-  userToken = null
+  userToken = null,
+  timeZone = 'UTC'
 ) {
   try {
     console.log(`📅 Updating calendar event: ${eventId}`);
@@ -1028,7 +2351,7 @@ async function updateCalendarEvent(
     const client = await getGraphClient(userToken);
 
     const existingEvent = await client
-      .api(`/me/events/${eventId}`)
+      .api(`/me/events/${graphQuery.segment(eventId)}`)
       .select('subject,start,end,attendees,isOnlineMeeting,onlineMeeting')
       .get();
 
@@ -1042,10 +2365,10 @@ async function updateCalendarEvent(
     }
 
     if (newStart) {
-      updateData.start = { dateTime: newStart, timeZone: 'Asia/Kolkata' };
+      updateData.start = { dateTime: newStart, timeZone };
     }
     if (newEnd) {
-      updateData.end = { dateTime: newEnd, timeZone: 'Asia/Kolkata' };
+      updateData.end = { dateTime: newEnd, timeZone };
     }
 
     if (newAttendeeNames && newAttendeeNames.length > 0) {
@@ -1054,11 +2377,14 @@ async function updateCalendarEvent(
       const existingAttendees = existingEvent.attendees || [];
       const newAttendees = [];
 
+      const ambiguous = [];
       for (const name of newAttendeeNames) {
         try {
-          const searchResult = await searchContactEmail(name, userToken);
-          if (searchResult.found && searchResult.results.length > 0) {
-            const email = searchResult.results[0].email;
+          const picked = await pickContact(name, userToken);
+          if (picked.ambiguous) {
+            ambiguous.push({ name, candidates: picked.candidates, message: picked.message });
+          } else if (picked.found) {
+            const email = picked.contact.email;
 
             const alreadyExists = existingAttendees.some(a =>
               a.emailAddress.address.toLowerCase() === email.toLowerCase()
@@ -1068,7 +2394,7 @@ async function updateCalendarEvent(
               newAttendees.push({
                 emailAddress: {
                   address: email,
-                  name: searchResult.results[0].name
+                  name: picked.contact.name
                 },
                 type: 'required'
               });
@@ -1084,12 +2410,16 @@ async function updateCalendarEvent(
         }
       }
 
+      // Don't invite the wrong person - ask first
+      const choice = ambiguousContactsResult(ambiguous);
+      if (choice) return choice;
+
       updateData.attendees = [...existingAttendees, ...newAttendees];
       console.log(`   → Total attendees after update: ${updateData.attendees.length}`);
     }
 
     const updatedEvent = await client
-      .api(`/me/events/${eventId}`)
+      .api(`/me/events/${graphQuery.segment(eventId)}`)
       .patch(updateData);
 
     console.log('   ✅ Event updated successfully');
@@ -1111,7 +2441,81 @@ async function updateCalendarEvent(
   }
 }
 
-async function deleteCalendarEvents(subject = null, attendeeName = null, date = null, userToken = null) {
+// Find events by subject / attendee / day (next 30 days when no date is given)
+// Days are the user's calendar days and event times come back as wall-clock times in timeZone
+// Returns { events, message } - message explains an empty result
+async function findMatchingEvents(client, subject = null, attendeeName = null, date = null, timeZone = 'UTC') {
+  let startDate, endDate;
+  if (date) {
+    let day;
+    if (date.toLowerCase() === 'today') {
+      day = timezoneHelper.getUserDate(timeZone, 0);
+    } else if (date.toLowerCase() === 'tomorrow') {
+      day = timezoneHelper.getUserDate(timeZone, 1);
+    } else if (/^\d{4}-\d{2}-\d{2}/.test(date)) {
+      day = date.slice(0, 10);
+    } else {
+      throw new Error(`Unrecognized date "${date}" - use today, tomorrow or YYYY-MM-DD`);
+    }
+    startDate = new Date(timezoneHelper.wallClockToUtc(`${day}T00:00:00`, timeZone));
+    endDate = new Date(timezoneHelper.wallClockToUtc(`${day}T23:59:59`, timeZone));
+    console.log(`   → Date filter: ${day} (${timeZone})`);
+  } else {
+    startDate = new Date();
+    endDate = new Date();
+    endDate.setDate(endDate.getDate() + 30);
+  }
+
+  let filterQuery = `start/dateTime ge '${startDate.toISOString()}' and start/dateTime le '${endDate.toISOString()}'`;
+
+  const events = await client
+    .api('/me/calendar/events')
+    .header('Prefer', `outlook.timezone="${timeZone}"`)
+    .filter(filterQuery)
+    .select('id,subject,start,end,attendees,isOrganizer,organizer,isOnlineMeeting,responseStatus,allowNewTimeProposals')
+    .top(100)
+    .orderby('start/dateTime')
+    .get();
+
+  if (!events.value || events.value.length === 0) {
+    return { events: [], message: 'No events found in the specified time range' };
+  }
+
+  console.log(`   📅 Found ${events.value.length} events in date range`);
+
+  let matchingEvents = events.value;
+  if (subject) {
+    const subjectLower = subject.toLowerCase();
+    matchingEvents = matchingEvents.filter(e =>
+      e.subject && e.subject.toLowerCase().includes(subjectLower)
+    );
+    console.log(`   🔍 After subject filter ("${subject}"): ${matchingEvents.length} matches`);
+  }
+
+  if (attendeeName) {
+    const attendeeLower = attendeeName.toLowerCase();
+    matchingEvents = matchingEvents.filter(e =>
+      e.attendees && e.attendees.some(a =>
+        a.emailAddress.name?.toLowerCase().includes(attendeeLower) ||
+        a.emailAddress.address?.toLowerCase().includes(attendeeLower)
+      )
+    );
+    console.log(`   🔍 After attendee filter ("${attendeeName}"): ${matchingEvents.length} matches`);
+  }
+
+  if (matchingEvents.length === 0) {
+    const criteria = [];
+    if (subject) criteria.push(`subject containing "${subject}"`);
+    if (attendeeName) criteria.push(`attendee "${attendeeName}"`);
+    if (date) criteria.push(`on ${date}`);
+
+    return { events: [], message: `No events found with ${criteria.join(' and ')}` };
+  }
+
+  return { events: matchingEvents, message: null };
+}
+
+async function deleteCalendarEvents(subject = null, attendeeName = null, date = null, userToken = null, timeZone = 'UTC') {
   try {
     console.log(`🗑️ Searching for calendar event(s) to delete...`);
 
@@ -1119,121 +2523,398 @@ async function deleteCalendarEvents(subject = null, attendeeName = null, date =
 
     const client = await getGraphClient(userToken);
 
-    let startDate, endDate;
-    if (date) {
-      if (date.toLowerCase() === 'today') {
-        startDate = new Date();
-        startDate.setHours(0, 0, 0, 0);
-        endDate = new Date();
-        endDate.setHours(23, 59, 59, 999);
-      } else if (date.toLowerCase() === 'tomorrow') {
-        startDate = new Date();
-        startDate.setDate(startDate.getDate() + 1);
-        startDate.setHours(0, 0, 0, 0);
-        endDate = new Date(startDate);
-        endDate.setHours(23, 59, 59, 999);
-      } else {
-        startDate = new Date(date);
-        startDate.setHours(0, 0, 0, 0);
-        endDate = new Date(date);
-        endDate.setHours(23, 59, 59, 999);
+    const { events: matchingEvents, message } = await findMatchingEvents(client, subject, attendeeName, date, timeZone);
+
+    if (matchingEvents.length === 0) {
+      return {
+        success: false,
+        notFound: true,
+        message: message
+      };
+    }
+
+    console.log(`   🗑️ Deleting ${matchingEvents.length} event(s)...`);
+    const deletedEvents = [];
+
+    for (const event of matchingEvents) {
+      try {
+        await client.api(`/me/events/${graphQuery.segment(event.id)}`).delete();
+        deletedEvents.push({
+          subject: event.subject,
+          start: formatters.formatMeetingWindow(toWallClockString(event.start.dateTime), null, timeZone)
+        });
+        console.log(`     ✅ Deleted: "${event.subject}"`);
+      } catch (deleteError) {
+        console.log(`     ❌ Failed to delete: "${event.subject}"`);
       }
-      console.log(`   → Date filter: ${startDate.toLocaleDateString()} to ${endDate.toLocaleDateString()}`);
-    } else {
-      startDate = new Date();
-      endDate = new Date();
-      endDate.setDate(endDate.getDate() + 30);
     }
 
-    let filterQuery = `start/dateTime ge '${startDate.toISOString()}' and start/dateTime le '${endDate.toISOString()}'`;
+    if (deletedEvents.length === 0) {
+      return {
+        success: false,
+        message: 'Failed to delete any events'
+      };
+    }
 
-    const events = await client
-      .api('/me/calendar/events')
-      .filter(filterQuery)
-      .select('id,subject,start,attendees')
-      .top(100)
-      .orderby('start/dateTime')
-      .get();
+    return {
+      success: true,
+      deletedCount: deletedEvents.length,
+      deletedEvents: deletedEvents,
+      message: `Successfully deleted ${deletedEvents.length} event(s)`
+    };
+
+  } catch (error) {
+    console.error('❌ Error deleting calendar events:', error);
+    throw new Error('Failed to delete calendar events: ' + error.message);
+  }
+}
+
+/**
+ * 🕒 Reschedule a meeting found by subject / attendee / day
+ *
+ * Graph sends the updated invite to every attendee when the organizer
+ * patches the event, so only meetings the user organizes can be moved.
+ *
+ * @param {String} subject - Part of the meeting subject (optional)
+ * @param {String} attendeeName - Attendee name or email (optional)
+ * @param {String} date - "today", "tomorrow" or YYYY-MM-DD of the current occurrence (optional)
+ * @param {String} currentTime - Current start time as HH:MM (24h) to pick between matches (optional)
+ * @param {String} newStart - New start, e.g. 2025-01-15T15:00:00
+ * @param {String} newEnd - New end (optional - keeps the original duration)
+ * @param {String} userToken
+ * @param {String} timeZone - User's IANA timezone; all times are wall-clock times in it
+ * @param {Boolean} previewMode - Only find the meeting and compute the new time
+ * @returns {Promise<Object>} { success, eventToReschedule } in preview mode, update result otherwise
+ */
+async function rescheduleCalendarEvent(
+  subject = null,
+  attendeeName = null,
+  date = null,
+  currentTime = null,
+  newStart = null,
+  newEnd = null,
+  userToken = null,
+  timeZone = 'UTC',
+  previewMode = false
+) {
+  try {
+    console.log(`🕒 Searching for calendar event to reschedule...`);
+
+    if (!userToken) throw new Error('Missing user token.');
+    if (!newStart) throw new Error('New start time is required.');
+
+    const client = await getGraphClient(userToken);
+
+    let { events: candidates, message } = await findMatchingEvents(client, subject, attendeeName, date, timeZone);
+
+    if (currentTime && candidates.length > 0) {
+      candidates = candidates.filter(e => e.start.dateTime.slice(11, 16) === currentTime);
+      console.log(`   🔍 After time filter (${currentTime}): ${candidates.length} matches`);
+      if (candidates.length === 0) message = `No matching meeting starts at ${currentTime}`;
+    }
+
+    if (candidates.length === 0) {
+      return {
+        success: false,
+        notFound: true,
+        message: message
+      };
+    }
+
+    // Several meetings match - let the user say which one
+    if (candidates.length > 1) {
+      return {
+        success: false,
+        ambiguous: true,
+        matches: candidates.slice(0, 5).map(e => ({
+          subject: e.subject,
+          start: toWallClockString(e.start.dateTime),
+          attendees: e.attendees?.map(a => a.emailAddress.name || a.emailAddress.address) || []
+        })),
+        message: `Found ${candidates.length} matching meetings. Ask the user which one to reschedule (by date or start time).`
+      };
+    }
+
+    const event = candidates[0];
+
+    if (!event.isOrganizer) {
+      return {
+        success: false,
+        notOrganizer: true,
+        message: `"${event.subject}" is organized by ${event.organizer?.emailAddress?.name || 'someone else'}. Only the organizer can reschedule it.`
+      };
+    }
+
+    newStart = toWallClockString(newStart);
+    if (newEnd) newEnd = toWallClockString(newEnd);
+
+    const originalStart = toWallClockString(event.start.dateTime);
+    const originalEnd = toWallClockString(event.end.dateTime);
+
+    // Keep the original duration when no new end is given
+    if (!newEnd) {
+      const durationMs = new Date(`${originalEnd}Z`) - new Date(`${originalStart}Z`);
+      newEnd = toWallClockString(new Date(new Date(`${newStart}Z`).getTime() + durationMs).toISOString());
+    }
+
+    if (new Date(newEnd) <= new Date(newStart)) {
+      return {
+        success: false,
+        error: 'The new end time must be after the new start time.'
+      };
+    }
+
+    console.log(`   🎯 Selected event: "${event.subject}" ${originalStart} → ${newStart}`);
+
+    // ✅ PREVIEW MODE: Return event details without updating
+    if (previewMode) {
+      console.log('   👁️ Preview mode - not rescheduling yet');
+      return {
+        success: true,
+        eventToReschedule: {
+          id: event.id,
+          subject: event.subject,
+          attendees: event.attendees?.map(a => a.emailAddress.name || a.emailAddress.address) || [],
+          originalStart,
+          originalEnd,
+          newStart,
+          newEnd
+        }
+      };
+    }
+
+    return await updateCalendarEvent(event.id, [], null, newStart, newEnd, userToken, timeZone);
+
+  } catch (error) {
+    console.error('❌ Error rescheduling calendar event:', error);
+    throw new Error('Failed to reschedule calendar event: ' + error.message);
+  }
+}
+
+// Graph endpoint and wording for each invite response
+const INVITE_RESPONSES = {
+  accept: { endpoint: 'accept', label: 'Accept' },
+  tentative: { endpoint: 'tentativelyAccept', label: 'Tentatively accept' },
+  decline: { endpoint: 'decline', label: 'Decline' }
+};
+
+/**
+ * 📨 Respond to a meeting invitation found by subject / organizer / day
+ *
+ * @param {String} response - 'accept', 'tentative' or 'decline'
+ * @param {String} subject - Part of the meeting subject (optional)
+ * @param {String} organizerName - Organizer name or email (optional)
+ * @param {String} date - "today", "tomorrow" or YYYY-MM-DD (optional)
+ * @param {String} currentTime - Start time as HH:MM (24h) to pick between matches (optional)
+ * @param {String} comment - Message sent to the organizer (optional)
+ * @param {String} proposedStart - Proposed new start - tentative/decline only (optional)
+ * @param {String} proposedEnd - Proposed new end (optional - keeps the original duration)
+ * @param {String} userToken
+ * @param {String} timeZone - User's IANA timezone; all times are wall-clock times in it
+ * @param {Boolean} previewMode - Only find the invitation, don't respond yet
+ * @returns {Promise<Object>} { success, eventToRespond } in preview mode, response result otherwise
+ */
+async function respondToCalendarEvent(
+  response,
+  subject = null,
+  organizerName = null,
+  date = null,
+  currentTime = null,
+  comment = '',
+  proposedStart = null,
+  proposedEnd = null,
+  userToken = null,
+  timeZone = 'UTC',
+  previewMode = false
+) {
+  try {
+    console.log(`📨 Searching for meeting invitation to ${response}...`);
+
+    if (!userToken) throw new Error('Missing user token.');
+    if (!INVITE_RESPONSES[response]) throw new Error(`Unknown response "${response}" - use accept, tentative or decline.`);
+
+    if (proposedStart && response === 'accept') {
+      return {
+        success: false,
+        error: 'A new time can only be proposed when tentatively accepting or declining.'
+      };
+    }
+
+    const client = await getGraphClient(userToken);
+
+    let { events: candidates, message } = await findMatchingEvents(client, subject, null, date, timeZone);
+
+    // Only invitations from someone else can be answered
+    candidates = candidates.filter(e => !e.isOrganizer);
+    if (organizerName) {
+      const organizerLower = organizerName.toLowerCase();
+      candidates = candidates.filter(e =>
+        e.organizer?.emailAddress?.name?.toLowerCase().includes(organizerLower) ||
+        e.organizer?.emailAddress?.address?.toLowerCase().includes(organizerLower)
+      );
+      console.log(`   🔍 After organizer filter ("${organizerName}"): ${candidates.length} matches`);
+    }
+    if (currentTime) {
+      candidates = candidates.filter(e => e.start.dateTime.slice(11, 16) === currentTime);
+      console.log(`   🔍 After time filter (${currentTime}): ${candidates.length} matches`);
+    }
+
+    if (candidates.length === 0) {
+      return {
+        success: false,
+        notFound: true,
+        message: message || 'No matching meeting invitation found (meetings you organize need no response)'
+      };
+    }
 
-    if (!events.value || events.value.length === 0) {
+    // Several invitations match - let the user say which one
+    if (candidates.length > 1) {
       return {
         success: false,
-        notFound: true,
-        message: 'No events found in the specified time range'
+        ambiguous: true,
+        matches: candidates.slice(0, 5).map(e => ({
+          subject: e.subject,
+          start: toWallClockString(e.start.dateTime),
+          organizer: e.organizer?.emailAddress?.name || e.organizer?.emailAddress?.address || null
+        })),
+        message: `Found ${candidates.length} matching invitations. Ask the user which one they mean (by organizer, date or start time).`
       };
     }
 
-    console.log(`   📅 Found ${events.value.length} events in date range`);
+    const event = candidates[0];
+    const start = toWallClockString(event.start.dateTime);
+    const end = toWallClockString(event.end.dateTime);
 
-    let matchingEvents = events.value;
-    if (subject) {
-      const subjectLower = subject.toLowerCase();
-      matchingEvents = matchingEvents.filter(e =>
-        e.subject && e.subject.toLowerCase().includes(subjectLower)
-      );
-      console.log(`   🔍 After subject filter ("${subject}"): ${matchingEvents.length} matches`);
+    if (proposedStart && event.allowNewTimeProposals === false) {
+      return {
+        success: false,
+        error: `The organizer of "${event.subject}" does not allow new time proposals.`
+      };
     }
 
-    if (attendeeName) {
-      const attendeeLower = attendeeName.toLowerCase();
-      matchingEvents = matchingEvents.filter(e =>
-        e.attendees && e.attendees.some(a =>
-          a.emailAddress.name?.toLowerCase().includes(attendeeLower) ||
-          a.emailAddress.address?.toLowerCase().includes(attendeeLower)
-        )
-      );
-      console.log(`   🔍 After attendee filter ("${attendeeName}"): ${matchingEvents.length} matches`);
+    // Keep the original duration when only a new start is proposed
+    if (proposedStart) {
+      proposedStart = toWallClockString(proposedStart);
+      if (!proposedEnd) {
+        const durationMs = new Date(`${end}Z`) - new Date(`${start}Z`);
+        proposedEnd = toWallClockString(new Date(new Date(`${proposedStart}Z`).getTime() + durationMs).toISOString());
+      }
+      proposedEnd = toWallClockString(proposedEnd);
     }
 
-    if (matchingEvents.length === 0) {
-      const criteria = [];
-      if (subject) criteria.push(`subject containing "${subject}"`);
-      if (attendeeName) criteria.push(`attendee "${attendeeName}"`);
-      if (date) criteria.push(`on ${date}`);
+    console.log(`   🎯 Selected invitation: "${event.subject}" ${start}`);
 
+    // ✅ PREVIEW MODE: Return invitation details without responding
+    if (previewMode) {
+      console.log('   👁️ Preview mode - not responding yet');
       return {
-        success: false,
-        notFound: true,
-        message: `No events found with ${criteria.join(' and ')}`
+        success: true,
+        eventToRespond: {
+          id: event.id,
+          subject: event.subject,
+          organizer: event.organizer?.emailAddress?.name || event.organizer?.emailAddress?.address || 'Unknown organizer',
+          start,
+          end,
+          currentResponse: event.responseStatus?.response || 'none',
+          proposedStart: proposedStart || null,
+          proposedEnd: proposedEnd || null
+        }
       };
     }
 
-    console.log(`   🗑️ Deleting ${matchingEvents.length} event(s)...`);
-    const deletedEvents = [];
+    return await sendEventResponse(event.id, response, comment, proposedStart, proposedEnd, userToken, timeZone);
 
-    for (const event of matchingEvents) {
-      try {
-        await client.api(`/me/events/${event.id}`).delete();
-        deletedEvents.push({
-          subject: event.subject,
-          start: new Date(event.start.dateTime).toLocaleString()
-        });
-        console.log(`     ✅ Deleted: "${event.subject}"`);
-      } catch (deleteError) {
-        console.log(`     ❌ Failed to delete: "${event.subject}"`);
-      }
-    }
+  } catch (error) {
+    console.error('❌ Error responding to meeting invitation:', error);
+    throw new Error('Failed to respond to meeting invitation: ' + error.message);
+  }
+}
 
-    if (deletedEvents.length === 0) {
-      return {
-        success: false,
-        message: 'Failed to delete any events'
+/**
+ * Send an accept / tentative / decline response for a known event
+ * The organizer is always notified (sendResponse: true)
+ *
+ * @param {String} eventId
+ * @param {String} response - 'accept', 'tentative' or 'decline'
+ * @param {String} comment - Message to the organizer (optional)
+ * @param {String} proposedStart - Proposed new start wall-clock time (optional)
+ * @param {String} proposedEnd - Proposed new end wall-clock time (optional)
+ * @param {String} userToken
+ * @param {String} timeZone - User's IANA timezone
+ * @returns {Promise<Object>} { success, response, message }
+ */
+async function sendEventResponse(eventId, response, comment = '', proposedStart = null, proposedEnd = null, userToken = null, timeZone = 'UTC') {
+  try {
+    const responseType = INVITE_RESPONSES[response];
+    if (!responseType) throw new Error(`Unknown response "${response}" - use accept, tentative or decline.`);
+    if (!userToken) throw new Error('Missing user token.');
+
+    const client = await getGraphClient(userToken);
+
+    const body = { comment: comment || '', sendResponse: true };
+    if (proposedStart && response !== 'accept') {
+      if (new Date(proposedEnd) <= new Date(proposedStart)) {
+        throw new Error('The proposed end time must be after the proposed start time');
+      }
+      body.proposedNewTime = {
+        start: { dateTime: proposedStart, timeZone },
+        end: { dateTime: proposedEnd, timeZone }
       };
     }
 
+    console.log(`📨 Sending "${responseType.endpoint}" response...`);
+    await client.api(`/me/events/${graphQuery.segment(eventId)}/${responseType.endpoint}`).post(body);
+
     return {
       success: true,
-      deletedCount: deletedEvents.length,
-      deletedEvents: deletedEvents,
-      message: `Successfully deleted ${deletedEvents.length} event(s)`
+      response,
+      proposedTime: body.proposedNewTime ? formatters.formatMeetingWindow(proposedStart, proposedEnd, timeZone) : null,
+      message: `${responseType.label} response sent to the organizer`
     };
-
   } catch (error) {
-    console.error('❌ Error deleting calendar events:', error);
-    throw new Error('Failed to delete calendar events: ' + error.message);
+    console.error('❌ Error sending meeting response:', error);
+    throw new Error('Failed to send meeting response: ' + error.message);
   }
 }
 
+// Graph returns "2025-01-15T15:00:00.0000000" - trim to seconds
+function toWallClockString(dateTime) {
+  return String(dateTime).replace('Z', '').slice(0, 19);
+}
+
+// Map a date-parser recurrence rule to Graph's patternedRecurrence.
+// Days left unset follow the first occurrence (e.g. "weekly" = same weekday as start)
+function toPatternedRecurrence(recurrence, start, timeZone) {
+  const startDate = start.slice(0, 10);
+  const startDay = new Date(`${startDate}T00:00:00Z`)
+    .toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'long' })
+    .toLowerCase();
+
+  const pattern = { type: recurrence.frequency, interval: recurrence.interval || 1 };
+  if (recurrence.frequency === 'weekly') {
+    pattern.daysOfWeek = recurrence.daysOfWeek || [startDay];
+    pattern.firstDayOfWeek = 'monday';
+  } else if (recurrence.frequency === 'monthly' && recurrence.weekOfMonth) {
+    pattern.type = 'relativeMonthly';
+    pattern.daysOfWeek = recurrence.daysOfWeek || [startDay];
+    pattern.index = recurrence.weekOfMonth;
+  } else if (recurrence.frequency === 'monthly') {
+    pattern.type = 'absoluteMonthly';
+    pattern.dayOfMonth = recurrence.dayOfMonth || Number(startDate.slice(8, 10));
+  }
+
+  const range = { type: 'noEnd', startDate, recurrenceTimeZone: timeZone };
+  if (recurrence.until) {
+    range.type = 'endDate';
+    range.endDate = recurrence.until;
+  } else if (recurrence.occurrences) {
+    range.type = 'numbered';
+    range.numberOfOccurrences = recurrence.occurrences;
+  }
+
+  return { pattern, range };
+}
+
 // ============== TEAMS FUNCTIONS ==============
 
 async function getTeams(userToken = null) {
@@ -1254,25 +2935,8 @@ async function getTeams(userToken = null) {
   }
 }
 
-async function getTeamChannels(teamId, userToken = null) {
-  try {
-    const client = await getGraphClient(userToken);
-    const channels = await client
-      .api(`/teams/${teamId}/channels`)
-      .get();
-
-    return channels.value.map(channel => ({
-      name: channel.displayName,
-      description: channel.description || 'No description',
-      id: channel.id
-    }));
-  } catch (error) {
-    console.error('Error getting team channels:', error);
-    throw new Error('Failed to retrieve team channels');
-  }
-}
-
-async function sendTeamsMessage(recipientName, message, userToken = null, validatedRecipientData = null) {
+// attachments: OneDrive files from findFileAttachments - always shared as links in chat
+async function sendTeamsMessage(recipientName, message, userToken = null, validatedRecipientData = null, attachments = []) {
   try {
     console.log(`💬 Sending Teams message to: ${recipientName}`);
 
@@ -1291,27 +2955,30 @@ async function sendTeamsMessage(recipientName, message, userToken = null, valida
     } else {
       // Fallback: Search for recipient (slow path)
       console.log(`  🔍 Searching for recipient (slow path)`);
-      const searchResult = await searchContactEmail(recipientName, userToken);
+      const picked = await pickContact(recipientName, userToken);
 
-      if (!searchResult.found) {
+      if (picked.ambiguous) {
+        return ambiguousContactsResult([picked]);
+      }
+      if (!picked.found) {
         console.log(`   ❌ Recipient not found: ${recipientName}`);
         return {
           success: false,
           notFound: true,
-          searchedName: searchResult.searchedName,
-          message: searchResult.message
+          searchedName: recipientName,
+          message: picked.message
         };
       }
 
-      recipientEmail = searchResult.results[0].email;
-      recipientDisplayName = searchResult.results[0].name;
+      recipientEmail = picked.contact.email;
+      recipientDisplayName = picked.contact.name;
     }
 
     console.log(`   ✅ Recipient email: ${recipientEmail}`);
 
     const users = await client
       .api('/users')
-      .filter(`mail eq '${recipientEmail}' or userPrincipalName eq '${recipientEmail}'`)
+      .filter(graphQuery.filter(graphQuery.equals(['mail', 'userPrincipalName'], recipientEmail)))
       .select('id,displayName,mail,userPrincipalName')
       .get();
 
@@ -1360,15 +3027,26 @@ async function sendTeamsMessage(recipientName, message, userToken = null, valida
     }
 
     console.log('   → Sending message...');
-    const messageBody = {
+    let messageBody = {
       body: {
         contentType: 'text',
         content: message
       }
     };
 
+    if (attachments.length > 0) {
+      const links = await createSharingLinks(client, attachments);
+      messageBody = {
+        body: {
+          contentType: 'html',
+          content: `${formatters.escapeHtml(message).replace(/\n/g, '<br>')}<br><br>`
+            + links.map(link => `📎 <a href="${formatters.escapeHtml(link.url)}">${formatters.escapeHtml(link.name)}</a>`).join('<br>')
+        }
+      };
+    }
+
     const sentMessage = await client
-      .api(`/chats/${chatId}/messages`)
+      .api(`/chats/${graphQuery.segment(chatId)}/messages`)
       .post(messageBody);
 
     console.log('   ✅ Message sent successfully');
@@ -1379,7 +3057,8 @@ async function sendTeamsMessage(recipientName, message, userToken = null, valida
       recipientName: recipientDisplayName,
       recipientEmail: recipientEmail,
       chatId: chatId,
-      messageId: sentMessage.id
+      messageId: sentMessage.id,
+      attachments: attachments.map(a => a.name)
     };
 
   } catch (error) {
@@ -1420,7 +3099,7 @@ async function getTeamsMessages(chatId = null, count = 10, userToken = null) {
 
     console.log(`   → Fetching ${count} messages from chat...`);
     const messages = await client
-      .api(`/chats/${chatId}/messages`)
+      .api(`/chats/${graphQuery.segment(chatId)}/messages`)
       .top(count)
       .orderby('createdDateTime DESC')
       .get();
@@ -1482,7 +3161,7 @@ async function deleteTeamsMessage(chatId = null, messageId = null, messageConten
       for (const chat of chats.value) {
         try {
           const messages = await client
-            .api(`/chats/${chat.id}/messages`)
+            .api(`/chats/${graphQuery.segment(chat.id)}/messages`)
             .top(20)
             .orderby('createdDateTime DESC')
             .get();
@@ -1543,7 +3222,7 @@ async function deleteTeamsMessage(chatId = null, messageId = null, messageConten
 
     try {
       await client
-        .api(`/chats/${chatId}/messages/${messageId}/softDelete`)
+        .api(`/chats/${graphQuery.segment(chatId)}/messages/${graphQuery.segment(messageId)}/softDelete`)
         .post({});
 
       console.log('   ✅ Teams message deleted successfully');
@@ -1576,7 +3255,7 @@ async function deleteTeamsMessage(chatId = null, messageId = null, messageConten
       try {
         console.log('   → Trying alternative: editing message content...');
         await client
-          .api(`/chats/${chatId}/messages/${messageId}`)
+          .api(`/chats/${graphQuery.segment(chatId)}/messages/${graphQuery.segment(messageId)}`)
           .patch({
             body: {
               contentType: 'text',
@@ -1603,6 +3282,418 @@ async function deleteTeamsMessage(chatId = null, messageId = null, messageConten
   }
 }
 
+// ============== TEAMS CHANNEL FUNCTIONS ==============
+
+// Posts returned by getChannelMessages (Graph allows up to 50 per page)
+const MAX_CHANNEL_MESSAGES = 50;
+// Recent posts searched when a reply names its thread by content
+const THREAD_SEARCH_COUNT = 30;
+// Mention names that @mention the whole channel / team instead of a person
+const CHANNEL_MENTIONS = ['channel', 'everyone', 'all', 'here'];
+const TEAM_MENTIONS = ['team'];
+
+/**
+ * 📋 Channels of a team
+ * @param {String} teamName - Team name (spelling mistakes allowed) or ID
+ * @param {String} userToken
+ * @returns {Promise<Object>} { success, team, channels: [{ name, description, id }] }
+ */
+async function getTeamChannels(teamName, userToken = null) {
+  try {
+    const client = await getGraphClient(userToken);
+    const team = await findTeam(client, teamName);
+    const channels = await listChannels(client, team.id);
+
+    return {
+      success: true,
+      team: team.displayName,
+      channels: channels.map(channel => ({
+        name: channel.displayName,
+        description: channel.description || 'No description',
+        id: channel.id
+      }))
+    };
+  } catch (error) {
+    console.error('❌ Error getting team channels:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 📰 Recent posts in a Teams channel, newest first
+ * @param {String} teamName - Team name or ID
+ * @param {String} channelName - Channel name or ID (default: General)
+ * @param {Number} count - Number of posts (max 50)
+ * @param {String} userToken
+ * @param {String} timeZone - For the sent dates
+ * @returns {Promise<Object>} { success, team, channel, teamId, channelId,
+ *   messages: [{ id, subject, sender, content, sentDate, replies, lastReply }] }
+ */
+async function getChannelMessages(teamName, channelName = null, count = 10, userToken = null, timeZone = 'UTC') {
+  try {
+    console.log(`📰 Reading channel posts: ${teamName} › ${channelName || 'General'}`);
+    const client = await getGraphClient(userToken);
+    const team = await findTeam(client, teamName);
+    const channel = await findChannel(client, team, channelName);
+    const posts = await listChannelPosts(client, team.id, channel.id, Math.min(count || 10, MAX_CHANNEL_MESSAGES));
+
+    console.log(`   ✅ ${posts.length} post(s) in ${team.displayName} › ${channel.displayName}`);
+    return {
+      success: true,
+      team: team.displayName,
+      channel: channel.displayName,
+      teamId: team.id,
+      channelId: channel.id,
+      messages: posts.map(post => {
+        const replies = (post.replies || []).filter(isUserMessage);
+        const lastReply = replies.sort((a, b) => new Date(b.createdDateTime) - new Date(a.createdDateTime))[0];
+        return {
+          ...toChannelPost(post, timeZone),
+          replies: replies.length,
+          lastReply: lastReply ? `${messageSender(lastReply)}: ${channelMessageText(lastReply).substring(0, 100)}` : null
+        };
+      })
+    };
+  } catch (error) {
+    console.error('❌ Error reading channel messages:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 📣 Post a new message (thread) in a Teams channel
+ * @param {String} teamName - Team name or ID
+ * @param {String} channelName - Channel name or ID (default: General)
+ * @param {String} subject - Thread title (optional)
+ * @param {String} message - Text of the post
+ * @param {Array} mentionNames - People, relationships ("my manager"), "channel" or "team" to @mention
+ * @param {Array} attachments - OneDrive files from findFileAttachments (shared as links)
+ * @param {String} userToken
+ * @param {Boolean} previewMode - Only find the channel and the people to mention
+ * @returns {Promise<Object>} { success, channelPost } in preview mode, send result otherwise
+ */
+async function postChannelMessage(teamName, channelName = null, subject = null, message = '', mentionNames = [], attachments = [], userToken = null, previewMode = false) {
+  try {
+    console.log(`📣 Preparing channel post: ${teamName} › ${channelName || 'General'}`);
+    const client = await getGraphClient(userToken);
+    const target = await findChannelTarget(client, teamName, channelName, mentionNames, userToken);
+    if (!target.success) return target;
+
+    if (previewMode) {
+      console.log('   👁️ Preview mode - not posting yet');
+      return target;
+    }
+    return await sendChannelMessage(target.channelPost, message, subject, attachments, userToken);
+  } catch (error) {
+    console.error('❌ Error posting channel message:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 💬 Reply to a thread in a Teams channel
+ * @param {String} teamName - Team name or ID
+ * @param {String} channelName - Channel name or ID (default: General)
+ * @param {String} messageId - The thread's first post (optional)
+ * @param {String} about - Text from the thread's subject, content or sender (optional - default: newest thread)
+ * @param {String} message - Reply text
+ * @param {Array} mentionNames - People, "channel" or "team" to @mention
+ * @param {Array} attachments - OneDrive files (shared as links)
+ * @param {String} userToken
+ * @param {String} timeZone - For the thread's sent date in the preview
+ * @param {Boolean} previewMode - Only find the thread and the people to mention
+ * @returns {Promise<Object>} { success, channelPost } in preview mode, send result otherwise
+ */
+async function replyToChannelMessage(teamName, channelName = null, messageId = null, about = null, message = '', mentionNames = [], attachments = [], userToken = null, timeZone = 'UTC', previewMode = false) {
+  try {
+    console.log(`💬 Finding channel thread to reply to: ${teamName} › ${channelName || 'General'}`);
+    const client = await getGraphClient(userToken);
+    const target = await findChannelTarget(client, teamName, channelName, mentionNames, userToken);
+    if (!target.success) return target;
+
+    const { teamId, channelId } = target.channelPost;
+    const thread = await findChannelThread(client, teamId, channelId, messageId, about);
+    if (!thread) {
+      return {
+        success: false,
+        notFound: true,
+        message: `No matching post found in ${target.channelPost.teamName} › ${target.channelPost.channelName}. Ask the user which post to reply to.`
+      };
+    }
+
+    console.log(`   🎯 Thread: "${thread.subject || channelMessageText(thread).substring(0, 50)}" by ${messageSender(thread)}`);
+    const channelPost = { ...target.channelPost, replyTo: toChannelPost(thread, timeZone) };
+
+    if (previewMode) {
+      console.log('   👁️ Preview mode - not replying yet');
+      return { success: true, channelPost };
+    }
+    return await sendChannelMessage(channelPost, message, null, attachments, userToken);
+  } catch (error) {
+    console.error('❌ Error replying in channel:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 📤 Send a channel post or reply whose team, channel and mentions are already resolved
+ * @param {Object} channelPost - { teamId, teamName, channelId, channelName, mentions, replyTo }
+ *   from postChannelMessage / replyToChannelMessage in preview mode
+ * @param {String} message
+ * @param {String} subject - New threads only (optional)
+ * @param {Array} attachments - OneDrive files (shared as links)
+ * @param {String} userToken
+ * @returns {Promise<Object>} { success, message, messageId, webUrl }
+ */
+async function sendChannelMessage(channelPost, message, subject = null, attachments = [], userToken = null) {
+  if (!String(message || '').trim()) throw new Error('The message is empty');
+
+  const client = await getGraphClient(userToken);
+  const { teamId, teamName, channelId, channelName, mentions = [], replyTo = null } = channelPost;
+  const links = attachments.length > 0 ? await createSharingLinks(client, attachments) : [];
+
+  const body = toChannelMessageBody(message, mentions, links);
+  if (subject && !replyTo) body.subject = subject;
+
+  const path = `/teams/${graphQuery.segment(teamId)}/channels/${graphQuery.segment(channelId)}/messages`;
+  const sent = await client
+    .api(replyTo ? `${path}/${graphQuery.segment(replyTo.id)}/replies` : path)
+    .post(body);
+
+  const where = `${teamName} › ${channelName}`;
+  console.log(`   ✅ ${replyTo ? 'Reply' : 'Post'} sent to ${where}`);
+  return {
+    success: true,
+    message: replyTo ? `Replied to ${replyTo.sender}'s post in ${where}` : `Posted in ${where}`,
+    messageId: sent.id,
+    webUrl: sent.webUrl || null,
+    mentions: mentions.map(m => m.name),
+    attachments: attachments.map(a => a.name)
+  };
+}
+
+// Team, channel and mentions for a post - { success: true, channelPost } or a failure result
+async function findChannelTarget(client, teamName, channelName, mentionNames, userToken) {
+  let team;
+  let channel;
+  try {
+    team = await findTeam(client, teamName);
+    channel = await findChannel(client, team, channelName);
+  } catch (error) {
+    return { success: false, notFound: true, message: error.message };
+  }
+
+  const { mentions, notFound, ambiguous } = await resolveMentions(client, mentionNames, team, channel, userToken);
+  const choice = ambiguousContactsResult(ambiguous);
+  if (choice) return choice;
+  if (notFound.length > 0) {
+    return {
+      success: false,
+      notFound: true,
+      missingRecipients: notFound,
+      message: `I couldn't find anyone to mention for: ${notFound.join(', ')}. Nothing was posted - please check the name(s).`
+    };
+  }
+
+  return {
+    success: true,
+    channelPost: { teamId: team.id, teamName: team.displayName, channelId: channel.id, channelName: channel.displayName, mentions }
+  };
+}
+
+// A team the user is in, by name or ID
+async function findTeam(client, teamName) {
+  const teams = await client.api('/me/joinedTeams').select('id,displayName').get();
+  return pickByName(teams.value || [], teamName, 'team');
+}
+
+// A channel of the team by name or ID - General when no name is given
+async function findChannel(client, team, channelName) {
+  const channels = await listChannels(client, team.id);
+  if (!String(channelName || '').trim()) {
+    const general = channels.find(channel => channel.displayName.toLowerCase() === 'general') || channels[0];
+    if (!general) throw new Error(`${team.displayName} has no channels`);
+    return general;
+  }
+  return pickByName(channels, channelName, 'channel', ` in ${team.displayName}`);
+}
+
+async function listChannels(client, teamId) {
+  const channels = await client
+    .api(`/teams/${graphQuery.segment(teamId)}/channels`)
+    .select('id,displayName,description')
+    .get();
+  return channels.value || [];
+}
+
+// Top-level posts with their replies, newest first (system messages left out).
+// Reading posts needs ChannelMessage.Read.All, which an admin has to consent to
+async function listChannelPosts(client, teamId, channelId, count) {
+  let posts;
+  try {
+    posts = await client
+      .api(`/teams/${graphQuery.segment(teamId)}/channels/${graphQuery.segment(channelId)}/messages`)
+      .top(count)
+      .expand('replies')
+      .get();
+  } catch (error) {
+    if (error.statusCode === 403) {
+      throw new Error('Reading channel posts needs the ChannelMessage.Read.All permission - ask your admin to grant it');
+    }
+    throw error;
+  }
+  return (posts.value || [])
+    .filter(isUserMessage)
+    .sort((a, b) => new Date(b.createdDateTime) - new Date(a.createdDateTime));
+}
+
+// The thread to reply to: by ID, else the newest post mentioning the text, else the newest post
+async function findChannelThread(client, teamId, channelId, messageId, about) {
+  if (messageId) {
+    return await client
+      .api(`/teams/${graphQuery.segment(teamId)}/channels/${graphQuery.segment(channelId)}/messages/${graphQuery.segment(messageId)}`)
+      .get();
+  }
+
+  const posts = await listChannelPosts(client, teamId, channelId, THREAD_SEARCH_COUNT);
+  if (!about) return posts[0] || null;
+
+  const wanted = about.toLowerCase();
+  return posts.find(post =>
+    [post.subject, channelMessageText(post), messageSender(post)].some(text => (text || '').toLowerCase().includes(wanted))
+  ) || null;
+}
+
+// The item whose displayName best matches the name (an ID matches exactly);
+// throws with the available names when nothing or several things match
+function pickByName(items, name, kind, where = '') {
+  const wanted = String(name || '').trim().replace(/^#/, '');
+  if (!wanted) throw new Error(`Which ${kind}?`);
+
+  const byId = items.find(item => item.id === wanted);
+  if (byId) return byId;
+  const exact = items.filter(item => (item.displayName || '').toLowerCase() === wanted.toLowerCase());
+  if (exact.length === 1) return exact[0];
+
+  const matches = nameMatcher.rankMatches(wanted, items.map(item => ({ name: item.displayName, item })));
+  if (matches.length === 0) {
+    const available = items.slice(0, 10).map(item => item.displayName).join(', ');
+    throw new Error(`No ${kind} called "${wanted}"${where}.${available ? ` Available: ${available}` : ''}`);
+  }
+
+  const contenders = matches.filter(match => match.score >= matches[0].score - nameMatcher.SCORE_MARGIN);
+  if (contenders.length > 1) {
+    throw new Error(`"${wanted}" could be the ${kind} ${joinWithOr(contenders.slice(0, 4).map(match => match.name))}${where} - which one?`);
+  }
+  return contenders[0].item;
+}
+
+// Mention names → [{ name, type: 'user'|'channel'|'team', id }].
+// People are resolved like meeting attendees, so "my manager" and aliases work too
+async function resolveMentions(client, mentionNames = [], team, channel, userToken) {
+  const mentions = [];
+  const people = [];
+  for (const rawName of mentionNames || []) {
+    const name = String(rawName || '').trim().replace(/^@/, '');
+    if (!name) continue;
+    if (CHANNEL_MENTIONS.includes(name.toLowerCase())) {
+      mentions.push({ name: channel.displayName, type: 'channel', id: channel.id, said: name });
+    } else if (TEAM_MENTIONS.includes(name.toLowerCase())) {
+      mentions.push({ name: team.displayName, type: 'team', id: team.id, said: name });
+    } else {
+      people.push(name);
+    }
+  }
+
+  const { attendees, notFound, ambiguous } = await resolveAttendees(people, userToken);
+
+  // A mention needs the person's directory ID (groups and external addresses can't be mentioned)
+  for (const person of attendees) {
+    try {
+      const user = await client.api(`/users/${graphQuery.segment(person.email)}`).select('id,displayName').get();
+      mentions.push({ name: user.displayName || person.name, type: 'user', id: user.id });
+    } catch (error) {
+      notFound.push(person.name);
+    }
+  }
+
+  return { mentions, notFound, ambiguous };
+}
+
+// Graph chatMessage body: HTML text with <at> tags, plus shared file links.
+// "@Raj" / "@Raj Patel" in the text becomes the mention, other mentions go in front
+function toChannelMessageBody(message, mentions = [], links = []) {
+  let content = formatters.escapeHtml(message).replace(/\n/g, '<br>');
+  const leading = [];
+
+  mentions.forEach((mention, i) => {
+    const tag = `<at id="${i}">${formatters.escapeHtml(mention.name)}</at>`;
+    // "@Raj" / "@Raj Patel" for people, also "@channel" / "@team" as the user wrote it
+    const names = [mention.name, mention.name.split(/\s+/)[0], mention.said].filter(Boolean).map(n => escapeRegExp(formatters.escapeHtml(n)));
+    const pattern = new RegExp(`@(?:${names.join('|')})(?![\\w])`, 'i');
+    if (pattern.test(content)) {
+      content = content.replace(pattern, tag);
+    } else {
+      leading.push(tag);
+    }
+  });
+  if (leading.length > 0) content = `${leading.join(' ')} ${content}`;
+
+  if (links.length > 0) {
+    content += '<br><br>' + links.map(link => `📎 <a href="${formatters.escapeHtml(link.url)}">${formatters.escapeHtml(link.name)}</a>`).join('<br>');
+  }
+
+  return {
+    body: { contentType: 'html', content },
+    mentions: mentions.map((mention, i) => ({
+      id: i,
+      mentionText: mention.name,
+      mentioned: mention.type === 'user'
+        ? { user: { id: mention.id, displayName: mention.name, userIdentityType: 'aadUser' } }
+        : { conversation: { id: mention.id, displayName: mention.name, conversationIdentityType: mention.type } }
+    }))
+  };
+}
+
+function toChannelPost(post, timeZone) {
+  return {
+    id: post.id,
+    subject: post.subject || null,
+    sender: messageSender(post),
+    content: channelMessageText(post).substring(0, 300),
+    sentDate: formatters.formatDateTime(new Date(post.createdDateTime), timeZone)
+  };
+}
+
+function isUserMessage(message) {
+  return message.messageType === 'message' && !message.deletedDateTime;
+}
+
+function messageSender(message) {
+  return message.from?.user?.displayName || message.from?.application?.displayName || 'Unknown';
+}
+
+// Plain text of a message body (channel posts are HTML)
+function channelMessageText(message) {
+  const content = message.body?.content || '';
+  if (message.body?.contentType !== 'html') return content.trim();
+  return content
+    .replace(/<br\s*\/?>|<\/p>|<\/div>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 // ============== USER FUNCTIONS ==============
 
 async function getUserProfile(userToken = null) {
@@ -1634,15 +3725,8 @@ async function getRecentFiles(count = 10, userToken = null, sessionId = null) {
       .top(count)
       .get();
 
-    const filesList = files.value.map(file => ({
-      id: file.id,
-      name: file.name,
-      type: file.file?.mimeType || 'folder',
-      modifiedDate: file.lastModifiedDateTime,
-      size: file.size,
-      modifiedBy: file.lastModifiedBy?.user?.displayName || 'Unknown',
-      webUrl: file.webUrl
-    }));
+    // formatFiles reads the raw Graph fields (lastModifiedDateTime, lastModifiedBy)
+    const filesList = files.value;
 
     // Get user timezone for formatting
     let userTimeZone = 'UTC';
@@ -1677,7 +3761,7 @@ async function searchFiles(query, userToken = null) {
 
     // Request additional fields including parentReference for folder path
     const files = await client
-      .api(`/me/drive/root/search(q='${query}')`)
+      .api(`/me/drive/root/search(q=${graphQuery.functionArgument(query)})`)
       .select('id,name,webUrl,lastModifiedDateTime,size,file,parentReference,createdDateTime')
       .top(10)
       .get();
@@ -1706,6 +3790,7 @@ async function searchFiles(query, userToken = null) {
       }
 
       return {
+        id: file.id,
         name: file.name,
         webUrl: file.webUrl,
         lastModified: new Date(file.lastModifiedDateTime).toLocaleString(),
@@ -1739,6 +3824,192 @@ function formatFileSize(bytes) {
   return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
 }
 
+// ============== ATTACHMENTS ==============
+
+// Outlook takes small attachments inline; bigger ones need an upload session
+const SMALL_ATTACHMENT_BYTES = 3 * 1024 * 1024;
+// Largest file Outlook accepts as an attachment - bigger files go as links
+const MAX_FILE_ATTACHMENT_BYTES = 150 * 1024 * 1024;
+// Upload session chunks must be a multiple of 320 KiB
+const UPLOAD_CHUNK_BYTES = 10 * 320 * 1024;
+// OneDrive folder for files uploaded from the web UI
+const UPLOAD_FOLDER = 'Assistant Uploads';
+
+/**
+ * 📎 Find the OneDrive files to attach
+ *
+ * Each name is matched against files the user has already seen (earlier
+ * file results and uploads), then looked up in OneDrive.
+ *
+ * @param {Array} names - File names or parts of names ("Q3 report")
+ * @param {String} attachAs - 'file' or 'link'
+ * @param {String} userToken
+ * @param {Array} knownFiles - [{ id, name }] from earlier results / uploads
+ * @returns {Promise<Object>} { attachments, notFound, ambiguous }
+ */
+async function findFileAttachments(names = [], attachAs = 'file', userToken = null, knownFiles = []) {
+  const client = await getGraphClient(userToken);
+  const attachments = [];
+  const notFound = [];
+  const ambiguous = [];
+
+  // "q3 report" is an exact match for "Q3 Report.xlsx"
+  const isExact = (fileName, wanted) => {
+    const lower = fileName.toLowerCase();
+    return lower === wanted || lower.replace(/\.[^.]+$/, '') === wanted;
+  };
+
+  for (const name of names) {
+    const wanted = String(name).trim().toLowerCase();
+    if (!wanted) continue;
+
+    let itemId = null;
+    const known = knownFiles.filter(file => (file.name || '').toLowerCase().includes(wanted));
+    const exactKnown = known.find(file => isExact(file.name, wanted));
+    if (exactKnown || known.length === 1) {
+      itemId = (exactKnown || known[0]).id;
+    } else {
+      const results = await client
+        .api(`/me/drive/root/search(q=${graphQuery.functionArgument(wanted)})`)
+        .select('id,name,file')
+        .top(10)
+        .get();
+      const files = (results.value || []).filter(item => item.file);
+      const exact = files.find(item => isExact(item.name, wanted));
+
+      if (exact || files.length === 1) {
+        itemId = (exact || files[0]).id;
+      } else if (files.length > 1) {
+        ambiguous.push({ name, options: files.slice(0, 5).map(item => item.name) });
+        continue;
+      }
+    }
+
+    if (!itemId) {
+      notFound.push(name);
+      continue;
+    }
+
+    const item = await client.api(`/me/drive/items/${graphQuery.segment(itemId)}`).select('id,name,size,webUrl').get();
+    if (!attachments.some(a => a.id === item.id)) {
+      attachments.push(toAttachmentSummary(item, attachAs));
+    }
+  }
+
+  console.log(`   📎 Attachments: ${attachments.map(a => `${a.name} (${a.sendAs})`).join(', ') || 'none'}`);
+  return { attachments, notFound, ambiguous };
+}
+
+/**
+ * ⬆️ Save a file uploaded from the web UI to the user's OneDrive
+ * (so it can be attached like any other OneDrive file)
+ * @param {String} fileName
+ * @param {Buffer} content
+ * @param {String} userToken
+ * @returns {Promise<Object>} { id, name, size, webUrl }
+ */
+async function uploadUserFile(fileName, content, userToken = null) {
+  try {
+    const client = await getGraphClient(userToken);
+    const safeName = String(fileName).replace(/[\\/:*?"<>|#%]/g, '_').trim() || 'upload';
+    const path = `/me/drive/root:/${graphQuery.segment(UPLOAD_FOLDER)}/${graphQuery.segment(safeName)}`;
+    console.log(`⬆️ Uploading "${safeName}" (${formatFileSize(content.length)}) to OneDrive...`);
+
+    let item;
+    if (content.length <= SMALL_ATTACHMENT_BYTES) {
+      item = await client
+        .api(`${path}:/content`)
+        .query({ '@microsoft.graph.conflictBehavior': 'rename' })
+        .put(content);
+    } else {
+      const session = await client
+        .api(`${path}:/createUploadSession`)
+        .post({ item: { '@microsoft.graph.conflictBehavior': 'rename' } });
+      item = await uploadInChunks(session.uploadUrl, content);
+    }
+
+    console.log(`   ✅ Uploaded as "${item.name}"`);
+    return { id: item.id, name: item.name, size: formatFileSize(item.size || content.length), webUrl: item.webUrl };
+  } catch (error) {
+    console.error('❌ Error uploading file:', error.message);
+    throw new Error(`Failed to upload file: ${error.message}`);
+  }
+}
+
+// Attachment as shown in previews and stored with the pending action
+function toAttachmentSummary(item, attachAs = 'file') {
+  return {
+    id: item.id,
+    name: item.name,
+    size: formatFileSize(item.size || 0),
+    sizeBytes: item.size || 0,
+    webUrl: item.webUrl,
+    // Too big to attach - share a link instead
+    sendAs: attachAs === 'link' || item.size > MAX_FILE_ATTACHMENT_BYTES ? 'link' : 'file'
+  };
+}
+
+// Attach OneDrive files to a draft message (upload session for big ones)
+async function addFileAttachments(client, messageId, attachments) {
+  for (const attachment of attachments) {
+    console.log(`   📎 Attaching ${attachment.name} (${attachment.size})...`);
+    const content = Buffer.from(await client
+      .api(`/me/drive/items/${graphQuery.segment(attachment.id)}/content`)
+      .responseType(ResponseType.ARRAYBUFFER)
+      .get());
+
+    if (content.length <= SMALL_ATTACHMENT_BYTES) {
+      await client.api(`/me/messages/${graphQuery.segment(messageId)}/attachments`).post({
+        '@odata.type': '#microsoft.graph.fileAttachment',
+        name: attachment.name,
+        contentBytes: content.toString('base64')
+      });
+    } else {
+      const session = await client
+        .api(`/me/messages/${graphQuery.segment(messageId)}/attachments/createUploadSession`)
+        .post({ AttachmentItem: { attachmentType: 'file', name: attachment.name, size: content.length } });
+      await uploadInChunks(session.uploadUrl, content);
+    }
+  }
+}
+
+// Organization-wide view links for files sent as links
+async function createSharingLinks(client, attachments) {
+  const links = [];
+  for (const attachment of attachments) {
+    const permission = await client
+      .api(`/me/drive/items/${graphQuery.segment(attachment.id)}/createLink`)
+      .post({ type: 'view', scope: 'organization' });
+    links.push({ name: attachment.name, url: permission.link.webUrl });
+  }
+  return links;
+}
+
+// PUT a buffer to an upload session URL (pre-authenticated - no Graph client)
+async function uploadInChunks(uploadUrl, content) {
+  let result = null;
+  for (let startByte = 0; startByte < content.length; startByte += UPLOAD_CHUNK_BYTES) {
+    const chunk = content.subarray(startByte, startByte + UPLOAD_CHUNK_BYTES);
+    const endByte = startByte + chunk.length - 1;
+    const response = await fetch(uploadUrl, {
+      method: 'PUT',
+      headers: {
+        'Content-Length': String(chunk.length),
+        'Content-Range': `bytes ${startByte}-${endByte}/${content.length}`
+      },
+      body: chunk
+    });
+    if (!response.ok) {
+      throw new Error(`Upload failed at byte ${startByte} (HTTP ${response.status})`);
+    }
+    // The last chunk returns the created item (drive uploads) or nothing (mail attachments)
+    if (endByte === content.length - 1 && response.status !== 204) {
+      result = await response.json().catch(() => null);
+    }
+  }
+  return result;
+}
+
 // ============== DELETION FUNCTIONS ==============
 
 async function getRecentSentEmails(count = 10, userToken = null, sessionId = null) {
@@ -1797,7 +4068,7 @@ async function deleteEmail(messageId, userToken = null) {
     console.log(`🗑️ Deleting email: ${messageId}`);
     const client = await getGraphClient(userToken);
 
-    await client.api(`/me/messages/${messageId}`).delete();
+    await client.api(`/me/messages/${graphQuery.segment(messageId)}`).delete();
 
     console.log('   ✅ Email deleted successfully');
     return {
@@ -1904,7 +4175,7 @@ async function deleteSentEmail(subject = null, recipientEmail = null, userToken
 
     console.log(`   🗑️ Deleting email...`);
 
-    await client.api(`/me/messages/${emailToDelete.id}`).delete();
+    await client.api(`/me/messages/${graphQuery.segment(emailToDelete.id)}`).delete();
 
     console.log('   ✅ Email deleted successfully!');
 
@@ -2014,25 +4285,55 @@ module.exports = {
   refreshTokenSilently,
   getAccessTokenAppOnly,
   getGraphClient,
+  warmDirectoryCache,
   getRecentEmails,
   searchEmails,
   sendEmail,
+  replyToEmail,
+  sendReply,
+  forwardEmail,
+  sendForward,
+  getDrafts,
+  updateDraft,
+  sendDraft,
   getCalendarEvents,
   createCalendarEvent,
+  resolveAttendees,
   updateCalendarEvent,
+  rescheduleCalendarEvent,
+  respondToCalendarEvent,
+  sendEventResponse,
+  findMeetingTimes,
+  checkAvailability,
   deleteCalendarEvents,
   getRecentFiles,
   searchFiles,
   getTeams,
   getTeamChannels,
+  getChannelMessages,
+  postChannelMessage,
+  replyToChannelMessage,
+  sendChannelMessage,
   getUserProfile,
   searchContactEmail,
   sendTeamsMessage,
+  findFileAttachments,
+  resolveEmailRecipients,
+  pickContact,
+  rememberContactChoice,
+  saveContactAlias,
+  removeContactAlias,
+  listContactAliases,
+  getContactPhoto,
+  ambiguousContactsResult,
+  describeMissingRecipients,
+  uploadUserFile,
   getTeamsMessages,
   deleteTeamsMessage,
   getSenderProfile,
+  updateEmailTemplate,
   getRecentSentEmails,
   deleteEmail,
   deleteSentEmail,
-  getUserProfilePhoto
+  getUserProfilePhoto,
 };
\ No newline at end of file
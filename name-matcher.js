@@ -0,0 +1,211 @@
+/**
+ * ============================================================
+ * 🔤 NAME MATCHER MODULE
+ * ============================================================
+ *
+ * Scores how well a spoken/typed name matches a person's name, so
+ * speech-recognition spellings still find the right colleague:
+ * - "Jateen" → Jatin Kumar
+ * - "Priyanshoo" → Priyanshu Sharma
+ * - "Siddarth" → Siddharth Rao
+ *
+ * Each word of the search is compared with the person's name words by:
+ * - Edit distance (typos, dropped letters)
+ * - Spelling variants common in Indian names (ee/i, oo/u, sh/s, th/t,
+ *   w/v, z/j, trailing a/h, ai/e ...)
+ * - A consonant skeleton of that variant (Soundex/Metaphone-style)
+ * - Prefix ("Raj" → Rajesh, scored below an exact word)
+ *
+ * Scores run from 0 (no match) to 1 (same name).
+ *
+ * ============================================================
+ */
+
+// Below this a person is not offered as a match at all
+const MATCH_THRESHOLD = 0.75;
+// A single match below this is confirmed with the user before it's used
+const CONFIDENT_SCORE = 0.9;
+// Candidates this close to the best score are treated as equally likely
+const SCORE_MARGIN = 0.1;
+
+// How much each kind of match is worth compared with an exact spelling
+const VARIANT_WEIGHT = 0.95;
+const SKELETON_WEIGHT = 0.85;
+const PREFIX_WEIGHT = 0.85;
+const MIN_PREFIX_LENGTH = 3;
+
+/**
+ * Score a searched name against a person
+ * @param {String} searchedName - e.g. "jateen"
+ * @param {Object|String} person - Display name, or { name, givenName, surname }
+ * @returns {Number} 0-1
+ */
+function scoreName(searchedName, person) {
+  const queryWords = nameWords(searchedName);
+  if (queryWords.length === 0) return 0;
+
+  const names = typeof person === 'string'
+    ? [person]
+    : [person.name, [person.givenName, person.surname].filter(Boolean).join(' ')];
+
+  let best = 0;
+  for (const name of names) {
+    const words = nameWords(name);
+    if (words.length === 0) continue;
+
+    // Word by word, each of the person's words used once
+    const remaining = [...words];
+    let total = 0;
+    for (const queryWord of queryWords) {
+      let bestWord = 0;
+      let bestIndex = -1;
+      remaining.forEach((word, i) => {
+        const score = scoreWord(queryWord, word);
+        if (score > bestWord) {
+          bestWord = score;
+          bestIndex = i;
+        }
+      });
+      if (bestIndex >= 0) remaining.splice(bestIndex, 1);
+      total += bestWord;
+    }
+    best = Math.max(best, total / queryWords.length);
+
+    // Words split or run together by the recognizer ("priyan shu", "jatinkumar")
+    const joined = scoreWord(queryWords.join(''), words.join(''));
+    const partial = scoreWord(queryWords.join(''), words.slice(0, queryWords.length).join(''));
+    best = Math.max(best, joined, queryWords.length > 1 ? partial : 0);
+  }
+
+  return Math.round(best * 100) / 100;
+}
+
+/**
+ * Score and sort people, dropping those below the threshold
+ * @param {String} searchedName
+ * @param {Array} people - Objects with name (and optionally givenName, surname)
+ * @param {Number} threshold - Default MATCH_THRESHOLD
+ * @returns {Array} The people with a score, best first
+ */
+function rankMatches(searchedName, people, threshold = MATCH_THRESHOLD) {
+  return people
+    .map((person, order) => ({ person, order, score: scoreName(searchedName, person) }))
+    .filter(entry => entry.score >= threshold)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(entry => ({ ...entry.person, score: entry.score }));
+}
+
+/**
+ * Spelling variant used for comparisons ("Priyanshoo" → "priyansu")
+ * @param {String} word - One lowercase word
+ * @returns {String}
+ */
+function spellingVariant(word) {
+  return word
+    .replace(/chh?/g, 'C')          // keep "ch" apart from the c → k / s rules
+    .replace(/ph/g, 'f')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/ck|c|q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/C/g, 'c')
+    .replace(/sh/g, 's')
+    .replace(/([bdgjkpt])h/g, '$1')  // aspirated consonants: bh, dh, gh, jh, kh, th
+    .replace(/([aeiou])h(?![aeiouy])/g, '$1')  // silent h: "John" / "Jon"
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/y$/, 'i')
+    .replace(/ee|ea/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/[ae]i/g, 'e')
+    .replace(/au|ou/g, 'o')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/(.)[ah]$/, '$1');      // "Rama" / "Ram", "Priyansh" / "Priyans"
+}
+
+/**
+ * Consonant skeleton of the spelling variant ("jatin" → "jtn")
+ * @param {String} word - One lowercase word
+ * @returns {String}
+ */
+function phoneticKey(word) {
+  const variant = spellingVariant(word);
+  return (variant.charAt(0) + variant.slice(1).replace(/[aeiouy]/g, '')).replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS (Internal)
+ * ============================================================
+ */
+
+// Lowercase words without accents or punctuation
+function nameWords(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+function scoreWord(queryWord, word) {
+  if (!queryWord || !word) return 0;
+  if (queryWord === word) return 1;
+
+  const scores = [
+    similarity(queryWord, word),
+    VARIANT_WEIGHT * similarity(spellingVariant(queryWord), spellingVariant(word))
+  ];
+
+  // Skeletons of one letter say almost nothing
+  const queryKey = phoneticKey(queryWord);
+  const key = phoneticKey(word);
+  if (queryKey.length >= 2 && key.length >= 2) {
+    scores.push(SKELETON_WEIGHT * similarity(queryKey, key));
+  }
+
+  if (queryWord.length >= MIN_PREFIX_LENGTH && word.startsWith(queryWord)) {
+    scores.push(PREFIX_WEIGHT);
+  }
+
+  return Math.max(...scores);
+}
+
+// 1 - edit distance / longer length
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  return 1 - editDistance(a, b) / longest;
+}
+
+// Levenshtein distance (one row at a time)
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+module.exports = {
+  MATCH_THRESHOLD,
+  CONFIDENT_SCORE,
+  SCORE_MARGIN,
+  scoreName,
+  rankMatches,
+  spellingVariant,
+  phoneticKey
+};
@@ -9,7 +9,17 @@ const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
 const wav = require('wav');
 const graphTools = require('./graph-tools');
+const timezoneHelper = require('./timezone-helper');
+const dateParser = require('./date-parser');
+const emailTemplates = require('./email-templates');
+const directoryCache = require('./directory-cache');
+const graphQuery = require('./graph-query');
 const ttsService = require('./tts-service');
+const { attachVoiceStream } = require('./voice-stream');
+const { runToolRound, emitAgentEvent } = require('./agent-loop');
+const { createStore } = require('./store');
+const { parseCookies, loadSession, verifyCsrf } = require('./session-manager');
+const { requireAuth, requireAdmin } = require('./auth-middleware');
 
 // Set ffmpeg path based on environment
 let ffmpegPath;
@@ -37,16 +47,25 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// Cookie sessions: resolve req.sessionId from the signed cookie, then require
+// the session's CSRF token on every state-changing request
+app.use(parseCookies);
+app.use(loadSession);
+app.use(verifyCsrf);
+
 // Mount auth routes
 app.use('/auth', authRouter);
 
-// Get config endpoint
+// Get config endpoint (public - also used by the container health check)
 app.get('/api/config', (req, res) => {
   res.json({
     configured: !!(process.env.AZURE_SPEECH_KEY && process.env.AZURE_OPENAI_KEY)
   });
 });
 
+// Every /api route registered below requires a logged-in session (sets req.user)
+app.use('/api', requireAuth);
+
 // Get available voice accents/languages
 app.get('/api/voices', (req, res) => {
   const voices = ttsService.getAvailableVoices();
@@ -64,20 +83,20 @@ app.get('/api/voices', (req, res) => {
 });
 
 // Clear conversation history endpoint
-app.post('/api/clear-session', express.json(), (req, res) => {
-  const sessionId = req.body.sessionId;
-  if (sessionId && conversationSessions.has(sessionId)) {
-    conversationSessions.delete(sessionId);
-    console.log(`✓ Session ${sessionId} cleared`);
+app.post('/api/clear-session', express.json(), async (req, res) => {
+  const sessionId = req.sessionId;
+  if (sessionId && await conversationSessions.delete(sessionId)) {
+    console.log('✓ Conversation history cleared');
   }
   res.json({ success: true });
 });
 
-// Debug endpoint - view conversation history
-app.get('/api/debug/sessions', (req, res) => {
+// Debug endpoint - view conversation history (admins only, see ADMIN_EMAILS)
+app.get('/api/debug/sessions', requireAdmin, async (req, res) => {
   const sessions = {};
-  for (const [sessionId, history] of conversationSessions.entries()) {
-    sessions[sessionId] = {
+  for (const [sessionId, history] of await conversationSessions.entries()) {
+    // Session IDs are credentials - only show a short prefix
+    sessions[`${sessionId.substring(0, 8)}…`] = {
       messageCount: history.length,
       messages: history
     };
@@ -85,21 +104,33 @@ app.get('/api/debug/sessions', (req, res) => {
   res.json(sessions);
 });
 
+// Directory cache (admins): size and last sync for the caller's tenant
+app.get('/api/directory', requireAdmin, async (req, res) => {
+  try {
+    const client = await graphTools.getGraphClient(req.user.accessToken);
+    res.json(await directoryCache.getStatus(client.tenantId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pick up directory changes now; {"full": true} downloads every user again
+app.post('/api/directory/refresh', requireAdmin, express.json(), async (req, res) => {
+  try {
+    const client = await graphTools.getGraphClient(req.user.accessToken);
+    const status = await directoryCache.refreshDirectory(client, client.tenantId, req.body?.full === true);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get user profile info (name, email, etc)
 app.get('/api/user-profile', async (req, res) => {
   try {
     console.log('\n🔍 [/api/user-profile] Request received');
 
-    const sessionId = req.query.sessionId;
-    console.log('🔍 [/api/user-profile] Session ID:', sessionId);
-
-    if (!sessionId || !userTokenStore.has(sessionId)) {
-      console.error('❌ [/api/user-profile] No valid session found');
-      console.error('❌ [/api/user-profile] Session ID provided:', sessionId);
-      console.error('❌ [/api/user-profile] Session exists in store:', userTokenStore.has(sessionId));
-      return res.status(401).json({ error: 'No valid session' });
-    }
-
+    const sessionId = req.sessionId;
     console.log('✅ [/api/user-profile] Valid session found, fetching profile...');
 
     // Pass sessionId for automatic token refresh
@@ -129,13 +160,8 @@ app.get('/api/user-profile', async (req, res) => {
 // Get user profile photo
 app.get('/api/user-photo', async (req, res) => {
   try {
-    const sessionId = req.query.sessionId;
-    console.log('📷 Photo request for session:', sessionId);
-
-    if (!sessionId || !userTokenStore.has(sessionId)) {
-      console.warn('❌ Invalid session for photo request');
-      return res.status(401).json({ error: 'No valid session' });
-    }
+    const sessionId = req.sessionId;
+    console.log('📷 Photo request received');
 
     console.log('📷 Fetching photo with sessionId...');
 
@@ -162,12 +188,105 @@ app.get('/api/user-photo', async (req, res) => {
   }
 });
 
+// Email template (greeting, sign-off, signature fields, footer) - per user
+app.get('/api/email-template', async (req, res) => {
+  try {
+    res.json({
+      template: await emailTemplates.getTemplate(req.user.email),
+      defaults: emailTemplates.DEFAULT_TEMPLATE
+    });
+  } catch (error) {
+    console.error('❌ Error loading email template:', error.message);
+    res.status(500).json({ error: 'Failed to load email template' });
+  }
+});
+
+app.put('/api/email-template', async (req, res) => {
+  try {
+    const template = await emailTemplates.setTemplate(req.user.email, req.body || {});
+    res.json({ success: true, template });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/email-template', async (req, res) => {
+  try {
+    const template = await emailTemplates.resetTemplate(req.user.email);
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('❌ Error resetting email template:', error.message);
+    res.status(500).json({ error: 'Failed to reset email template' });
+  }
+});
+
+// Upload a file to attach to an email / Teams message (saved to the user's OneDrive)
+app.post('/api/attachments', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { rememberUpload } = require('./agent-tools');
+    const file = await graphTools.uploadUserFile(req.file.originalname, req.file.buffer, req.user.accessToken);
+    await rememberUpload(req.sessionId, file);
+
+    res.json({ success: true, file: { name: file.name, size: file.size } });
+  } catch (error) {
+    console.error('❌ Error uploading attachment:', error.message);
+    res.status(500).json({ error: error.message || 'Failed to upload file' });
+  }
+});
+
+// Remember which person the user picked for an ambiguous name
+app.post('/api/contact-choice', express.json(), async (req, res) => {
+  try {
+    const { searchedName, email } = req.body || {};
+    const result = await graphTools.rememberContactChoice(searchedName, email, req.user.accessToken);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error saving contact choice:', error.message);
+    res.status(500).json({ error: 'Failed to save contact choice' });
+  }
+});
+
+// Colleague's photo for the "Did you mean" buttons
+app.get('/api/contact-photo', async (req, res) => {
+  try {
+    const photo = await graphTools.getContactPhoto(req.query.email, req.user.accessToken);
+    if (!photo) {
+      return res.status(404).json({ error: 'No photo found' });
+    }
+    res.set('Content-Type', 'image/jpeg');
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.send(photo);
+  } catch (error) {
+    console.error('❌ Error fetching contact photo:', error.message);
+    res.status(404).json({ error: 'No photo found' });
+  }
+});
+
 
 
 
 
-// Store conversation history per session (in production, use database)
-const conversationSessions = new Map();
+// Persistent conversation history per session (see store.js)
+const CONVERSATION_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_HISTORY_MESSAGES = 20;
+const conversationSessions = createStore('conversations', { ttlMs: CONVERSATION_TTL_MS });
+
+// Load a session's history (empty array for new sessions)
+async function getConversationHistory(sessionId) {
+  return (await conversationSessions.get(sessionId)) || [];
+}
+
+// Persist history after queryAgent has appended the latest exchange
+async function saveConversationHistory(sessionId, history) {
+  await conversationSessions.set(sessionId, history.slice(-MAX_HISTORY_MESSAGES));
+}
 
 // Endpoint to process voice interaction
 app.post('/api/process-voice', upload.single('audio'), async (req, res) => {
@@ -181,20 +300,15 @@ app.post('/api/process-voice', upload.single('audio'), async (req, res) => {
       throw new Error('No audio file uploaded');
     }
 
-    // Get or create session ID
-    const sessionId = req.body.sessionId || 'default';
+    // Session comes from the signed cookie (validated by requireAuth)
+    const sessionId = req.sessionId;
     const accent = req.body.accent || 'american';
     const language = req.body.language || 'en-US';
 
-    if (!conversationSessions.has(sessionId)) {
-      conversationSessions.set(sessionId, []);
-    }
-
     const audioBuffer = req.file.buffer;
     console.log('✓ Audio received:', {
       size: audioBuffer.length,
       type: req.file.mimetype,
-      sessionId: sessionId,
       accent: accent,
       language: language
     });
@@ -228,10 +342,11 @@ app.post('/api/process-voice', upload.single('audio'), async (req, res) => {
 
     // Step 2: Query Azure OpenAI Agent
     console.log('🤖 Querying AI agent...');
-    const conversationHistory = conversationSessions.get(sessionId);
+    const conversationHistory = await getConversationHistory(sessionId);
 
     // Don't pass token object - pass sessionId for automatic token refresh
     const agentResponse = await queryAgent(transcript, conversationHistory, sessionId, null);
+    await saveConversationHistory(sessionId, conversationHistory);
     console.log('✓ Agent Response:', agentResponse);
 
     // Check if response is an action_preview (skip TTS for confirmations)
@@ -273,8 +388,7 @@ app.post('/api/process-voice', upload.single('audio'), async (req, res) => {
     res.json({
       transcript,
       agentResponse,
-      audioData: audioData.toString('base64'),
-      sessionId: sessionId
+      audioData: audioData.toString('base64')
     });
   } catch (error) {
     console.error('❌ Error:', error.message);
@@ -427,7 +541,9 @@ async function speechToText(wavBuffer) {
 // Query Azure OpenAI Agent
 // Replace the queryAgent function in your server.js with this updated version
 
-async function queryAgent(text, conversationHistory = [], sessionId = 'default', userToken = null) {
+// When onEvent is provided, completions are streamed and progress is reported as
+// {type: 'token' | 'tool_call_start' | 'tool_call_finish' | 'action_preview' | 'contact_choice', ...} events
+async function queryAgent(text, conversationHistory = [], sessionId = 'default', userToken = null, onEvent = null) {
   try {
     const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
     const apiKey = process.env.AZURE_OPENAI_KEY;
@@ -438,10 +554,12 @@ async function queryAgent(text, conversationHistory = [], sessionId = 'default',
     }
 
     // ✅ FIX: Retrieve user token from userTokenStore if not provided
-    if (!userToken && sessionId && userTokenStore.has(sessionId)) {
-      const tokenData = userTokenStore.get(sessionId);
-      userToken = tokenData.accessToken;
-      console.log('  → Retrieved user token from session store');
+    if (!userToken && sessionId) {
+      const tokenData = await userTokenStore.get(sessionId);
+      if (tokenData) {
+        userToken = tokenData.accessToken;
+        console.log('  → Retrieved user token from session store');
+      }
     }
 
     console.log('  → Sending request to Azure OpenAI...');
@@ -456,12 +574,14 @@ async function queryAgent(text, conversationHistory = [], sessionId = 'default',
     });
 
     // Load agent tools
-    const { tools, executeTool } = require('./agent-tools');
+    const { tools, executeTool, getUploadedFiles } = require('./agent-tools');
+
+    // Files the user uploaded in the web UI - the model refers to them by name
+    const uploadedFiles = sessionId ? await getUploadedFiles(sessionId) : [];
 
-    // Get current date for context
-    const now = new Date();
-    const currentDate = now.toISOString().split('T')[0];
-    const currentTime = now.toTimeString().split(' ')[0];
+    // Get current date for context - in the user's timezone, not the server's
+    const userTimeZone = userToken ? await timezoneHelper.getUserTimeZone(sessionId, userToken) : 'UTC';
+    const [currentDate, currentTime] = timezoneHelper.toWallClock(new Date(), userTimeZone).split('T');
 
     // Build messages array with conversation history
     const messages = [
@@ -469,9 +589,11 @@ async function queryAgent(text, conversationHistory = [], sessionId = 'default',
         role: 'system',
         content: `You are a helpful AI voice assistant with access to Microsoft 365 services.
 
-CURRENT DATE & TIME: ${currentDate} ${currentTime}
-Today is: ${now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
-
+CURRENT DATE & TIME: ${currentDate} ${currentTime} (${userTimeZone})
+Today is: ${new Date().toLocaleDateString('en-US', { timeZone: userTimeZone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+USER TIMEZONE: ${userTimeZone}
+Calendar tools work in the user's timezone - never add "Z" or an offset to times.
+${uploadedFiles.length > 0 ? `FILES THE USER UPLOADED: ${uploadedFiles.map(f => `"${f.name}" (${f.size})`).join(', ')}\n` : ''}
 ================================================================================
 📅 MEETING RULE — DEFAULT TO TEAMS MEETING
 ================================================================================
@@ -499,10 +621,11 @@ After creating a Teams meeting, tell the user:
 When user wants to send email, ALWAYS use the send_email tool.
 
 Examples:
-- "send mail to jatin raj about app issue" → send_email(recipient_name="jatin raj", subject="Application Issue", body="...")
-- "email vansh about meeting" → send_email(recipient_name="vansh", subject="Meeting", body="...")
+- "send mail to jatin raj about app issue" → send_email(recipient_names=["jatin raj"], subject="Application Issue", body="...")
+- "email vansh and priya about the meeting, cc aman" → send_email(recipient_names=["vansh", "priya"], cc_recipients=["aman"], subject="Meeting", body="...")
+- "mail the sales team, bcc my manager" → send_email(recipient_names=["sales team"], bcc_recipients=["<manager's name>"], ...)
 
-The system will automatically:
+The system will automatically (using the user's email template):
 ✓ Add professional greeting with recipient's name
 ✓ Format body with HTML styling
 ✓ Include your signature with name, title, contact
@@ -510,9 +633,87 @@ The system will automatically:
 
 YOU MUST:
 ✓ Call send_email tool for ANY email request
-✓ Use recipient's name (not email address)
+✓ Use recipient's name (not email address) - groups and distribution lists work too
+✓ Put every To person in recipient_names; CC and BCC in their own lists
+✓ If a name can't be found NOTHING is sent - read the suggestions back and ask the user
 ✓ Create clear subject
-✓ Write natural body text
+✓ Write natural body text - NO greeting or sign-off (the template adds them)
+✓ Separate paragraphs with a blank line; put lists on their own lines starting with "- " or "1. "
+
+ATTACHMENTS:
+To send files, pass their names in attachments on send_email or send_teams_message.
+- "Email the Q3 report to Vansh" → send_email(recipient_names=["Vansh"], subject="Q3 Report", body="...", attachments=["Q3 report"])
+- Use names from search_files / get_recent_files results or the files the user uploaded
+- A part of the name is enough - no need to search first
+- attach_as="link" only when the user asks for a link; big files are sent as links automatically
+- Teams messages always share files as links
+
+CHOOSING BETWEEN PEOPLE:
+If a tool answers with ambiguous=true, a name matched several people (or only sounded like one
+person, e.g. a misheard name) and NOTHING was done.
+- Read the "Did you mean ...?" message to the user as it is (name, title, department)
+- When they answer (e.g. "the one in sales", "Raj Patel", "yes"), call choose_contact(searched_name, email)
+  with the email of that candidate, then repeat the original request with the same name
+- The choice is remembered, so the same name finds that person next time
+- If they picked by clicking, their message says 'I meant <name> (<email>) for "<name asked about>"' -
+  that choice is already saved, so just repeat the original request
+
+PEOPLE BY RELATIONSHIP & ALIASES:
+"my manager" (or "my boss"), "my direct reports", "my peers", "my team" and "my <name> team" (a group the
+user is in) work as names in send_email, forward_email, send_teams_message and attendeeNames - pass the phrase
+as it is, don't search for it first.
+- "Send my manager the status update" → send_email(recipient_names=["my manager"], ...)
+- "Invite my team to the retro" → create_calendar_event(attendeeNames=["my team"], ...)
+- "Call Priya, Vansh and Jatin the design team" / "my boss is my manager" → save_contact_alias(alias, targets);
+  from then on the alias works like a name. list_contact_aliases / remove_contact_alias show or forget them
+- A Teams message goes to ONE person - for "my team" offer an email or a channel post instead
+
+TEAMS CHANNELS:
+send_teams_message is a 1:1 chat. For a channel of a team use:
+- get_team_channels(team_name) - the channels of a team
+- get_channel_messages(team_name, channel_name) - recent posts (channel_name defaults to General)
+- post_channel_message(team_name, channel_name, message, subject?, mention_names?) - a new post
+- reply_to_channel_message(team_name, channel_name, message, message_index | about) - answer a thread:
+  message_index=2 for "the second post" in the last list, or about="release" for the post about the release
+- mention_names: people (names, "my manager", aliases), "channel" or "team"; write "@Name" in the message
+  where the mention should go
+- Team and channel names can be approximate ("eng" → Engineering) - don't call get_teams first
+- Posts and replies show a preview and are only sent when the user confirms
+
+User: "post in the Engineering standup channel that the build is fixed, mention Raj"
+YOU MUST CALL: post_channel_message(team_name="Engineering", channel_name="standup",
+  message="@Raj the build is fixed", mention_names=["Raj"])
+
+EMAIL TEMPLATE:
+When the user asks to change how their emails look (greeting, sign-off, signature details, footer, color),
+use update_email_template. reset=true goes back to the default template.
+
+REPLYING & FORWARDING:
+To answer or pass on an email the user RECEIVED, use reply_to_email / forward_email (NOT send_email),
+so the reply stays in the same thread.
+- Refer to an email from the last list by its position: message_index=2 for "the second one"
+- Otherwise identify it with sender_name and/or subject - the newest match is used
+- reply_all=true only when the user says "reply all" / "reply to everyone"
+- body is just the message - greeting and sign-off are added automatically
+
+User: "reply to Jatin's last mail saying I'll review it tomorrow"
+YOU MUST CALL: reply_to_email(
+  sender_name="jatin",
+  body="Thanks, I'll review it tomorrow."
+)
+
+User: "forward the budget email to priya and raj"
+YOU MUST CALL: forward_email(
+  subject="budget",
+  recipient_names=["priya", "raj"]
+)
+
+DRAFTS:
+Every email preview has a "Save Draft" button - the user can keep a dictated email and finish it later.
+- "show my drafts" → list_drafts()
+- "change the second draft to say we'll ship on monday" → update_draft(draft_index=2, body="We'll ship on Monday.")
+- "send the budget draft" → send_draft(subject="budget") - the user confirms before it is sent
+- update_draft changes the draft directly; nothing is sent until send_draft is confirmed
 
 ⚠️ CONTACT NOT FOUND HANDLING:
 If send_email, send_teams_message, or search_contact_email returns notFound=true or found=false:
@@ -525,18 +726,17 @@ Example response: "I couldn't find anyone named 'aman' in the directory. Could y
 📅 MEETING SCHEDULING - WITH MULTIPLE ATTENDEES:
 ================================================================================
 When user wants to schedule meeting, ALWAYS use the create_calendar_event tool.
-
-DATE/TIME CALCULATIONS:
-- Today: ${currentDate}
-- "3 PM today" → ${currentDate}T15:00:00
-- "tomorrow 2 PM" → ${new Date(now.getTime() + 86400000).toISOString().split('T')[0]}T14:00:00
-- "10 AM" → current_date + T10:00:00
-- "2:30 PM" → current_date + T14:30:00
-
-DURATION DEFAULTS:
-- "30 min" → add 30 minutes to start time
-- "1 hour" → add 60 minutes to start time
-- No duration specified → default 1 hour
+The tool shows the user a preview first - the meeting is only booked after they confirm it.
+
+DATES & TIMES - DO NOT CALCULATE THEM YOURSELF:
+Pass the user's own words for dates, times and durations. The server converts them
+in the user's timezone (relative days, weekdays, "end of month", "in 90 minutes",
+"in 3 business days", ranges like "2-3pm").
+- "3 PM today" → start="today 3pm"
+- "next thursday at 10" → start="next thursday 10am"
+- "tomorrow 2-3pm" → start="tomorrow 2-3pm" (no end needed)
+- "for 30 min" → duration="30 minutes"
+- No duration or end specified → default 1 hour
 
 📌 DEFAULT TEAM MEETING (MOST IMPORTANT UPDATE)
 SET:
@@ -547,8 +747,8 @@ Examples:
 User: "schedule meet with jatin raj 3 PM today for 30 min"
 YOU MUST CALL: create_calendar_event(
   subject="Meeting with Jatin Raj",
-  start="${currentDate}T15:00:00",
-  end="${currentDate}T15:30:00",
+  start="today 3pm",
+  duration="30 minutes",
   attendeeNames=["jatin raj"],
   isTeamsMeeting=true
 )
@@ -556,12 +756,71 @@ YOU MUST CALL: create_calendar_event(
 User: "set up teams call with john and sarah tomorrow 10 AM"
 YOU MUST CALL: create_calendar_event(
   subject="Teams Meeting",
-  start="${new Date(now.getTime() + 86400000).toISOString().split('T')[0]}T10:00:00",
-  end="${new Date(now.getTime() + 86400000).toISOString().split('T')[0]}T11:00:00",
+  start="tomorrow 10am",
   attendeeNames=["john", "sarah"],
   isTeamsMeeting=true
 )
 
+RECURRING MEETINGS:
+For repeating meetings ("daily standup", "weekly 1:1", "every other monday") add recurrence.
+- "every weekday" → frequency="weekdays"; "every monday and wednesday" → frequency="weekly", days_of_week=["monday","wednesday"]
+- "every 2 weeks" → interval=2; "first monday of the month" → frequency="monthly", week_of_month="first", days_of_week=["monday"]
+- "until end of year" → until="end of year"; "for 10 weeks" → occurrences=10
+- start is the FIRST meeting of the series. Never add recurrence for one-off meetings.
+
+User: "set up a 15 minute standup with jatin and raj at 9:30 every weekday from tomorrow until end of year"
+YOU MUST CALL: create_calendar_event(
+  subject="Daily Standup",
+  start="tomorrow 9:30am",
+  duration="15 minutes",
+  attendeeNames=["jatin", "raj"],
+  isTeamsMeeting=true,
+  recurrence={ frequency: "weekdays", until: "end of year" }
+)
+
+FINDING A FREE SLOT:
+When the user wants to meet but gives no exact time ("find time with raj this week",
+"when are john and sarah free tomorrow?"), CALL find_meeting_times first.
+- Present the suggested slots (use their "when" text) and let the user pick one
+- Then CALL create_calendar_event with the chosen slot's start/end and the same attendeeNames
+- If no slot fits, say who is busy and suggest another day or a shorter meeting
+
+User: "find 30 minutes with jatin tomorrow"
+YOU MUST CALL: find_meeting_times(
+  attendeeNames=["jatin"],
+  duration_minutes=30,
+  range_start="tomorrow"
+)
+
+RESCHEDULING:
+When user wants to move an existing meeting, use reschedule_calendar_event (NOT create + delete).
+- Identify the meeting with subject, attendee_name, date and/or current_time
+- Only pass new_end or duration if the user changes the length - otherwise it is kept
+- If several meetings match, ask the user which one they mean
+
+User: "move my 3pm with Raj to tomorrow"
+YOU MUST CALL: reschedule_calendar_event(
+  attendee_name="raj",
+  date="today",
+  current_time="3pm",
+  new_start="tomorrow 3pm"
+)
+
+RESPONDING TO INVITES:
+When user wants to accept, tentatively accept or decline a meeting someone else sent, use respond_to_meeting_invite.
+- Identify the invite with subject, organizer_name, date and/or current_time
+- Pass any message for the organizer as comment
+- A new time can be proposed with proposed_start - only with response="tentative" or "decline"
+- Meetings the user organized need no response - use reschedule/delete for those
+
+User: "decline the budget review from Priya and suggest friday at 2"
+YOU MUST CALL: respond_to_meeting_invite(
+  response="decline",
+  subject="budget review",
+  organizer_name="priya",
+  proposed_start="friday 2pm"
+)
+
 ================================================================================
 🗑️ DELETION FEATURES:
 ================================================================================
@@ -606,12 +865,20 @@ Example response format (plain text, no markdown):
 - For meeting requests → CALL create_calendar_event tool
 - For calendar questions → CALL get_calendar_events tool
 - For email questions → CALL get_recent_emails tool
+- For replying to / forwarding emails → CALL reply_to_email or forward_email tool
+- For drafts → CALL list_drafts, update_draft or send_draft tool
 - For deleting emails → CALL delete_sent_email tool
+- For finding a free time → CALL find_meeting_times tool
+- For moving meetings → CALL reschedule_calendar_event tool
+- For accepting/declining invites → CALL respond_to_meeting_invite tool
 - For deleting meetings → CALL delete_calendar_event tool
 - For Teams messages → CALL send_teams_message or delete_teams_message tool
+- For Teams channels → CALL get_channel_messages, post_channel_message or reply_to_channel_message tool
 - For file search → CALL search_files tool
 
 DO NOT just respond with text. ALWAYS call the appropriate tool when user requests an action.
+You can chain tools across several steps: use the results of one call (e.g. a contact's email
+or free time) to make the next call. Calls that do not depend on each other can be made together.
 
 ⚠️ RESPONSE FORMATTING:
 - DO NOT use markdown bold (**text**) in responses
@@ -636,83 +903,86 @@ DO NOT just respond with text. ALWAYS call the appropriate tool when user reques
     console.log('  → Tools available:', tools.length);
     console.log('  → Tool names:', tools.map(t => t.function.name).join(', '));
 
-    // First call - AI decides if it needs to use tools
-    let result = await client.chat.completions.create({
-      model: deployment,
-      messages: messages,
-      tools: tools,
-      tool_choice: 'auto', // Let AI decide when to use tools
-      max_tokens: 500,
-      temperature: 0.7
-    });
+    // Agent loop - the model may chain several rounds of tool calls
+    // (e.g. search_contact_email → get_calendar_events → create_calendar_event)
+    const maxSteps = getAgentMaxSteps();
+    const trace = [];
+    let responseMessage = null;
 
-    let responseMessage = result.choices[0].message;
-    console.log('  → AI response:', {
-      hasToolCalls: !!responseMessage.tool_calls,
-      toolCallCount: responseMessage.tool_calls?.length || 0,
-      content: responseMessage.content || '(no content)'
-    });
+    for (let step = 1; step <= maxSteps; step++) {
+      // On the last step tools stay declared but the model must answer in text
+      const isLastStep = step === maxSteps;
+      const stepStarted = Date.now();
 
-    // Check if AI wants to use tools
-    if (responseMessage.tool_calls && responseMessage.tool_calls.length > 0) {
-      console.log('  → AI requesting tool execution:', responseMessage.tool_calls.map(tc => tc.function.name).join(', '));
+      responseMessage = await createChatCompletion(client, {
+        model: deployment,
+        messages: messages,
+        tools: tools,
+        tool_choice: isLastStep ? 'none' : 'auto',
+        max_tokens: 500,
+        temperature: 0.7
+      }, onEvent);
+
+      const toolCalls = responseMessage.tool_calls || [];
+      console.log(`  → [step ${step}/${maxSteps}] AI response:`, {
+        hasToolCalls: toolCalls.length > 0,
+        toolCallCount: toolCalls.length,
+        content: responseMessage.content || '(no content)'
+      });
+
+      if (toolCalls.length === 0) {
+        trace.push({ step, tools: [], durationMs: Date.now() - stepStarted });
+        if (step === 1) console.log('  ℹ No tools were called by AI');
+        break;
+      }
+
+      console.log(`  → [step ${step}] Executing ${toolCalls.length} tool(s) in parallel:`, toolCalls.map(tc => tc.function.name).join(', '));
 
       // Add AI's response to messages
       messages.push(responseMessage);
 
-      // Execute all requested tools
-      for (const toolCall of responseMessage.tool_calls) {
-        const functionName = toolCall.function.name;
-        const functionArgs = JSON.parse(toolCall.function.arguments);
-
-        console.log(`  → Executing ${functionName} with args: `, JSON.stringify(functionArgs, null, 2));
-
-        try {
-          // ✅ FIXED: Pass userToken and sessionId to executeTool
-          const toolResult = await executeTool(functionName, functionArgs, userToken, sessionId);
-          console.log(`  ✓ ${functionName} completed: `, toolResult);
-
-          // 🔍 Check if this is an action preview - if so, return immediately without AI processing
-          if (toolResult && typeof toolResult === 'object' && toolResult.type === 'action_preview') {
-            console.log('  🔔 Action preview detected - returning to user without further AI processing');
-            return JSON.stringify({
-              type: 'action_preview',
-              preview: toolResult.preview,
-              message: toolResult.message
-            });
-          }
+      // Tool calls within one round are independent, so run them together
+      // (only the first action that needs confirmation - see agent-loop.js)
+      const { results, preview: actionResult, deferred } = await runToolRound(toolCalls, { executeTool, userToken, sessionId, step, onEvent });
 
-          // Add tool result to messages
-          messages.push({
-            role: 'tool',
-            tool_call_id: toolCall.id,
-            content: JSON.stringify(toolResult)
-          });
-        } catch (error) {
-          console.error(`  ✗ ${functionName} failed: `, error.message);
-          messages.push({
-            role: 'tool',
-            tool_call_id: toolCall.id,
-            content: JSON.stringify({ error: error.message })
+      trace.push({
+        step,
+        tools: results.map(r => ({ name: r.name, success: r.success, durationMs: r.durationMs })),
+        durationMs: Date.now() - stepStarted
+      });
+
+      // 🔍 Action previews go straight back to the user without further AI processing
+      if (actionResult) {
+        console.log('  🔔 Action preview detected - returning to user without further AI processing');
+        logAgentTrace(trace);
+        const { preview } = actionResult;
+        let { message } = actionResult;
+
+        // Actions asked for in the same breath wait for this one - remember them for the next message
+        if (deferred.length > 0) {
+          const waiting = deferred.map(describeAction).join(', ');
+          message += ` The other action(s) (${waiting}) will follow once this one is confirmed or cancelled - just ask again.`;
+          conversationHistory.push({ role: 'user', content: text });
+          conversationHistory.push({
+            role: 'assistant',
+            content: `I prepared ${describeAction(preview.actionType)} for confirmation. Not done yet (one confirmation at a time): ${waiting}.`
           });
         }
+        emitAgentEvent(onEvent, { type: 'action_preview', preview, message });
+        return JSON.stringify({
+          type: 'action_preview',
+          preview: preview,
+          message: message
+        });
       }
 
-      // Second call - AI formulates final response with tool results
-      console.log('  → Getting final response from AI...');
-      result = await client.chat.completions.create({
-        model: deployment,
-        messages: messages,
-        max_tokens: 300,
-        temperature: 0.7
-      });
-
-      responseMessage = result.choices[0].message;
-      console.log('  ✓ Final response:', responseMessage.content);
-    } else {
-      console.log('  ℹ No tools were called by AI');
+      // Add tool results to messages (order must match the tool_calls)
+      results.forEach(r => messages.push(r.message));
     }
 
+    logAgentTrace(trace);
+    console.log('  ✓ Final response:', responseMessage.content);
+
     // Update conversation history
     conversationHistory.push({
       role: 'user',
@@ -724,8 +994,8 @@ DO NOT just respond with text. ALWAYS call the appropriate tool when user reques
     });
 
     // Keep only last 10 exchanges (20 messages)
-    if (conversationHistory.length > 20) {
-      conversationHistory.splice(0, conversationHistory.length - 20);
+    if (conversationHistory.length > MAX_HISTORY_MESSAGES) {
+      conversationHistory.splice(0, conversationHistory.length - MAX_HISTORY_MESSAGES);
     }
 
     console.log('  ✓ Received response from AI');
@@ -739,6 +1009,81 @@ DO NOT just respond with text. ALWAYS call the appropriate tool when user reques
   }
 }
 
+// Edited name lists arrive from the UI as "a, b" strings
+function toNameList(value) {
+  if (!value) return [];
+  const names = Array.isArray(value) ? value : String(value).split(',');
+  return names.map(name => String(name).trim()).filter(Boolean);
+}
+
+// "send_teams_message" → "Teams Message Preview" for messages to the user and model
+function describeAction(actionType) {
+  const title = actionPreview.CONFIRMATION_CONFIG[actionType]?.title;
+  return title ? title.replace(/^\S+\s+/, '') : actionType;
+}
+
+// Upper bound on model round-trips per user message (AGENT_MAX_STEPS, default 5)
+const DEFAULT_AGENT_MAX_STEPS = 5;
+
+function getAgentMaxSteps() {
+  const configured = parseInt(process.env.AGENT_MAX_STEPS, 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_AGENT_MAX_STEPS;
+}
+
+// One line per step: which tools ran, whether they succeeded and how long they took
+function logAgentTrace(trace) {
+  console.log(`  📋 Agent trace (${trace.length} step${trace.length === 1 ? '' : 's'}):`);
+  trace.forEach(({ step, tools, durationMs }) => {
+    const summary = tools.length > 0
+      ? tools.map(t => `${t.success ? '✓' : '✗'} ${t.name} (${t.durationMs}ms)`).join(', ')
+      : 'final answer';
+    console.log(`     ${step}. ${summary} - ${durationMs}ms`);
+  });
+}
+
+// Run a chat completion, streaming tokens through onEvent when provided
+// Returns an assistant message shaped like the non-streaming API ({role, content, tool_calls})
+async function createChatCompletion(client, params, onEvent = null) {
+  if (!onEvent) {
+    const result = await client.chat.completions.create(params);
+    return result.choices[0].message;
+  }
+
+  const stream = await client.chat.completions.create({ ...params, stream: true });
+  const message = { role: 'assistant', content: '' };
+  const toolCalls = [];
+
+  for await (const chunk of stream) {
+    // Azure sends some chunks (e.g. content filter results) without choices
+    const delta = chunk.choices?.[0]?.delta;
+    if (!delta) continue;
+
+    if (delta.content) {
+      message.content += delta.content;
+      emitAgentEvent(onEvent, { type: 'token', content: delta.content });
+    }
+
+    // Tool call name/arguments arrive in fragments keyed by index
+    for (const tc of delta.tool_calls || []) {
+      if (!toolCalls[tc.index]) {
+        toolCalls[tc.index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+      }
+      const call = toolCalls[tc.index];
+      if (tc.id) call.id = tc.id;
+      if (tc.function?.name) call.function.name += tc.function.name;
+      if (tc.function?.arguments) call.function.arguments += tc.function.arguments;
+    }
+  }
+
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls.filter(Boolean);
+  }
+  if (!message.content) {
+    message.content = null;
+  }
+  return message;
+}
+
 // Text-to-Speech using Azure Speech Services
 async function textToSpeech(text) {
   // Deprecated: Use ttsService.synthesizeText() instead
@@ -750,16 +1095,13 @@ async function textToSpeech(text) {
 // Endpoint to process text messages
 app.post('/api/text-message', express.json(), async (req, res) => {
   try {
-    const { text, sessionId, language, accent } = req.body;
+    const { text, language, accent } = req.body;
+    const sessionId = req.sessionId;
 
     if (!text || !text.trim()) {
       return res.status(400).json({ error: 'Text message is required' });
     }
 
-    if (!sessionId) {
-      return res.status(400).json({ error: 'Session ID is required' });
-    }
-
     const selectedAccent = accent || 'american';
 
     // Validate accent
@@ -769,44 +1111,19 @@ app.post('/api/text-message', express.json(), async (req, res) => {
 
     console.log('\n=== Text Message Received ===');
     console.log(`✓ Message: "${text}"`);
-    console.log(`✓ Session ID: ${sessionId} `);
     console.log(`✓ Accent: ${selectedAccent} `);
 
-    // Verify session exists
-    if (!userTokenStore.has(sessionId)) {
-      return res.status(401).json({ error: 'Invalid or expired session' });
-    }
-
     // Query the AI agent with the text message (pass null for userToken, sessionId for automatic refresh)
-    const response = await queryAgent(text, conversationSessions.get(sessionId) || [], sessionId, null);
-
-    // Get or create conversation history for this session
-    if (!conversationSessions.has(sessionId)) {
-      conversationSessions.set(sessionId, []);
-    }
-    const conversationHistory = conversationSessions.get(sessionId);
-
-    // Add to conversation history
-    conversationHistory.push({
-      role: 'user',
-      content: text
-    });
-    conversationHistory.push({
-      role: 'assistant',
-      content: response
-    });
-
-    // Keep only last 20 messages
-    if (conversationHistory.length > 20) {
-      conversationHistory.splice(0, conversationHistory.length - 20);
-    }
+    // queryAgent appends the exchange to the history, which is then persisted
+    const conversationHistory = await getConversationHistory(sessionId);
+    const response = await queryAgent(text, conversationHistory, sessionId, null);
+    await saveConversationHistory(sessionId, conversationHistory);
 
     console.log('✓ Response generated successfully');
 
     res.json({
       success: true,
-      response: response,
-      sessionId: sessionId
+      response: response
     });
 
   } catch (error) {
@@ -817,30 +1134,72 @@ app.post('/api/text-message', express.json(), async (req, res) => {
   }
 });
 
+// Streaming variant of /api/text-message (Server-Sent Events)
+// Events: token, tool_call_start, tool_call_finish, action_preview, contact_choice, done, error
+app.post('/api/text-message/stream', express.json(), async (req, res) => {
+  const { text } = req.body;
+  const sessionId = req.sessionId;
+
+  if (!text || !text.trim()) {
+    return res.status(400).json({ error: 'Text message is required' });
+  }
+
+  console.log('\n=== Streaming Text Message Received ===');
+  console.log(`✓ Message: "${text}"`);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (Azure App Service / nginx)
+  });
+  res.flushHeaders();
+
+  let clientGone = false;
+  res.on('close', () => { clientGone = true; });
+
+  const sendEvent = (event, data) => {
+    if (clientGone) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const conversationHistory = await getConversationHistory(sessionId);
+    const response = await queryAgent(text, conversationHistory, sessionId, null, (event) => {
+      const { type, ...data } = event;
+      sendEvent(type, data);
+    });
+    await saveConversationHistory(sessionId, conversationHistory);
+
+    console.log('✓ Streaming response completed');
+    sendEvent('done', { response });
+  } catch (error) {
+    console.error('❌ Error streaming text message:', error.message);
+    sendEvent('error', { error: error.message || 'Failed to process text message' });
+  } finally {
+    res.end();
+  }
+});
+
 // ============================================
 // 🔍 ACTION PREVIEW ENDPOINT
 // ============================================
 app.post('/api/preview-action', async (req, res) => {
   try {
-    const { sessionId, actionType, actionData } = req.body;
+    const { actionType, actionData } = req.body;
+    const sessionId = req.sessionId;
 
-    if (!sessionId || !actionType || !actionData) {
+    if (!actionType || !actionData) {
       return res.status(400).json({
-        error: 'Missing required parameters: sessionId, actionType, actionData'
+        error: 'Missing required parameters: actionType, actionData'
       });
     }
 
-    // Check session
-    const userToken = userTokenStore.get(sessionId);
-    if (!userToken) {
-      return res.status(401).json({ error: 'Invalid or expired session' });
-    }
-
     // Import action preview module
     const { actionPreview } = require('./agent-tools');
 
     // Create preview
-    const preview = actionPreview.createActionPreview(actionType, actionData, sessionId);
+    const preview = await actionPreview.createActionPreview(actionType, actionData, null, sessionId);
 
     console.log(`✓ Preview created for ${actionType}: `, preview.actionId);
 
@@ -861,21 +1220,17 @@ app.post('/api/preview-action', async (req, res) => {
 // ============================================
 app.post('/api/confirm-action', async (req, res) => {
   try {
-    const { sessionId, actionId, userChoice, edits } = req.body;
+    const { actionId, userChoice, edits } = req.body;
+    const sessionId = req.sessionId;
 
-    if (!sessionId || !actionId || !userChoice) {
+    if (!actionId || !userChoice) {
       return res.status(400).json({
-        error: 'Missing required parameters: sessionId, actionId, userChoice'
+        error: 'Missing required parameters: actionId, userChoice'
       });
     }
 
-    // Check session
-    // Check session
-    const tokenData = userTokenStore.get(sessionId);
-    if (!tokenData) {
-      return res.status(401).json({ error: 'Invalid or expired session' });
-    }
-    const userToken = tokenData.accessToken;
+    // Fresh token from requireAuth
+    const userToken = req.user.accessToken;
 
     // Import action preview and agent tools modules
     const { actionPreview, executeTool } = require('./agent-tools');
@@ -884,9 +1239,12 @@ app.post('/api/confirm-action', async (req, res) => {
     if (userChoice === 'edit') {
       // Apply edits to pending action
       if (edits) {
-        actionPreview.editPendingAction(actionId, edits);
+        const editResult = await actionPreview.editPendingAction(actionId, sessionId, edits);
+        if (!editResult.success) {
+          return res.status(editResult.notFound ? 404 : 400).json({ error: editResult.error });
+        }
       }
-      const updatedAction = actionPreview.getActionForExecution(actionId);
+      const updatedAction = await actionPreview.getActionForExecution(actionId, sessionId);
       return res.json({
         success: true,
         message: 'Action edited successfully',
@@ -894,9 +1252,20 @@ app.post('/api/confirm-action', async (req, res) => {
       });
     }
 
-    if (userChoice === 'confirm') {
+    if (userChoice === 'confirm' || userChoice === 'save_draft') {
+      // save_draft runs the same action but leaves the email in Outlook's Drafts folder
+      const saveAsDraft = userChoice === 'save_draft';
+
+      // Apply edits made in the preview card before running the action
+      if (edits && Object.keys(edits).length > 0) {
+        const editResult = await actionPreview.editPendingAction(actionId, sessionId, edits);
+        if (!editResult.success) {
+          return res.status(editResult.notFound ? 404 : 400).json({ error: editResult.error });
+        }
+      }
+
       // First confirm the action in the store
-      const confirmResult = actionPreview.confirmAction(actionId, { confirmed: true });
+      const confirmResult = await actionPreview.confirmAction(actionId, sessionId, { confirmed: true });
       if (!confirmResult.success) {
         return res.status(404).json({
           error: confirmResult.error || 'Action not found or already processed'
@@ -904,7 +1273,7 @@ app.post('/api/confirm-action', async (req, res) => {
       }
 
       // Get the confirmed action data
-      const pendingActionData = actionPreview.getPendingAction(actionId);
+      const pendingActionData = await actionPreview.getPendingAction(actionId, sessionId);
       if (!pendingActionData) {
         return res.status(404).json({
           error: 'Action not found or expired'
@@ -915,6 +1284,12 @@ app.post('/api/confirm-action', async (req, res) => {
       const actionData = pendingActionData.editedData || pendingActionData.originalData;
       const actionType = pendingActionData.actionType;
 
+      if (saveAsDraft && !actionPreview.CONFIRMATION_CONFIG[actionType]?.canSaveDraft) {
+        return res.status(400).json({
+          error: 'Only emails can be saved as drafts'
+        });
+      }
+
       // ✅ OPTIMIZATION: Get cached validated recipient data
       const validatedRecipientData = pendingActionData.validatedRecipientData || null;
       if (validatedRecipientData) {
@@ -925,41 +1300,124 @@ app.post('/api/confirm-action', async (req, res) => {
       try {
         let result;
         if (actionType === 'send_email') {
-          result = await executeTool('send_email', {
-            recipient_name: actionData.recipientName,
-            subject: actionData.subject,
-            body: actionData.body,
-            cc_recipients: actionData.ccRecipients || []
-          }, userToken, sessionId, true);  // skipConfirmation = true
-
-          // ✅ OPTIMIZATION: Pass cached data directly to sendEmail
-          if (validatedRecipientData) {
-            const graphTools = require('./graph-tools');
-            result = await graphTools.sendEmail(
-              actionData.recipientName,
-              actionData.subject,
-              actionData.body,
-              actionData.ccRecipients || [],
-              userToken,
-              validatedRecipientData  // Pass cached data
-            );
+          // ✅ OPTIMIZATION: Pass cached data directly to sendEmail (it searches again without it).
+          // Cached data is only valid for the names it was looked up for (edits drop actionData.recipients)
+          const graphTools = require('./graph-tools');
+          result = await graphTools.sendEmail(
+            toNameList(actionData.recipientNames),
+            actionData.subject,
+            actionData.body,
+            toNameList(actionData.ccRecipients),
+            userToken,
+            actionData.recipients ? validatedRecipientData : null,
+            saveAsDraft,
+            actionData.attachments || [],
+            toNameList(actionData.bccRecipients)
+          );
+          if (!result.success) {
+            throw new Error(result.message || 'Email could not be sent');
           }
         } else if (actionType === 'send_teams_message') {
-          result = await executeTool('send_teams_message', {
-            recipient_name: actionData.recipientName,
-            message: actionData.message
-          }, userToken, sessionId, true);  // skipConfirmation = true
-
-          // ✅ OPTIMIZATION: Pass cached data directly to sendTeamsMessage
-          if (validatedRecipientData) {
-            const graphTools = require('./graph-tools');
-            result = await graphTools.sendTeamsMessage(
-              actionData.recipientName,
-              actionData.message,
-              userToken,
-              validatedRecipientData  // Pass cached data
-            );
+          // ✅ OPTIMIZATION: Pass cached data directly to sendTeamsMessage (it searches again without it).
+          // Called once - running executeTool first as well sent the message twice
+          const graphTools = require('./graph-tools');
+          const recipientUnchanged = actionData.recipientName === pendingActionData.originalData.recipientName;
+          result = await graphTools.sendTeamsMessage(
+            actionData.recipientName,
+            actionData.message,
+            userToken,
+            recipientUnchanged ? validatedRecipientData : null,
+            actionData.attachments || []
+          );
+          if (!result.success) {
+            throw new Error(result.message || 'Teams message could not be sent');
+          }
+        } else if (actionType === 'post_channel_message' || actionType === 'reply_to_channel_message') {
+          // Post with the team, channel, thread and mentions resolved for the preview
+          const graphTools = require('./graph-tools');
+          result = await graphTools.sendChannelMessage(
+            validatedRecipientData.channelPost,
+            actionData.message,
+            actionData.subject || null,
+            actionData.attachments || [],
+            userToken
+          );
+        } else if (actionType === 'reply_to_email') {
+          // Reply in the original thread using the cached message ID
+          const graphTools = require('./graph-tools');
+          result = await graphTools.sendReply(actionData.messageId, actionData.body, actionData.replyAll === true, userToken, saveAsDraft);
+        } else if (actionType === 'forward_email') {
+          const graphTools = require('./graph-tools');
+          const recipientNames = toNameList(actionData.recipientNames);
+
+          // ✅ OPTIMIZATION: Reuse recipients resolved for the preview unless the list was edited
+          const originalNames = toNameList(pendingActionData.originalData.recipientNames);
+          let recipients = validatedRecipientData?.recipients || null;
+          if (!recipients || recipientNames.join('|').toLowerCase() !== originalNames.join('|').toLowerCase()) {
+            const resolved = await graphTools.resolveAttendees(recipientNames, userToken);
+            const choice = graphTools.ambiguousContactsResult(resolved.ambiguous);
+            if (choice) {
+              throw new Error(choice.message);
+            }
+            if (resolved.notFound.length > 0) {
+              throw new Error(`Could not find: ${resolved.notFound.join(', ')}`);
+            }
+            recipients = resolved.attendees;
           }
+
+          result = await graphTools.sendForward(actionData.messageId, recipients, actionData.body, userToken, saveAsDraft);
+        } else if (actionType === 'send_draft') {
+          const graphTools = require('./graph-tools');
+          result = await graphTools.sendDraft(actionData.draftId, null, userToken);
+        } else if (actionType === 'create_calendar_event') {
+          const graphTools = require('./graph-tools');
+          const attendeeNames = toNameList(actionData.attendeeNames);
+
+          // ✅ OPTIMIZATION: Reuse attendees resolved for the preview unless the list was edited
+          const originalNames = toNameList(pendingActionData.originalData.attendeeNames);
+          const attendeesUnchanged = attendeeNames.join('|').toLowerCase() === originalNames.join('|').toLowerCase();
+          const resolvedAttendees = attendeesUnchanged ? (validatedRecipientData?.attendees || null) : null;
+
+          // Re-check the series in case it was edited in the preview
+          const recurrence = dateParser.resolveRecurrence(actionData.recurrence, actionData.startTime, { timeZone: actionData.timeZone });
+
+          result = await graphTools.createCalendarEvent(
+            actionData.subject,
+            actionData.startTime,
+            actionData.endTime,
+            actionData.location || '',
+            attendeeNames,
+            actionData.isTeamsMeeting !== false,
+            userToken,
+            resolvedAttendees,
+            actionData.timeZone,
+            recurrence
+          );
+
+          // Keep the action pending (e.g. an edited attendee could not be found)
+          if (!result.success) {
+            throw new Error(result.message || result.error || 'Meeting could not be created');
+          }
+        } else if (actionType === 'reschedule_calendar_event') {
+          // Patch the cached event ID - Graph notifies the attendees
+          const graphTools = require('./graph-tools');
+          if (new Date(actionData.endTime) <= new Date(actionData.startTime)) {
+            throw new Error('The new end time must be after the new start time');
+          }
+          result = await graphTools.updateCalendarEvent(actionData.eventId, [], null, actionData.startTime, actionData.endTime, userToken, actionData.timeZone);
+        } else if (actionType === 'respond_to_meeting_invite') {
+          // Answer the cached event ID - the organizer is notified
+          // (a proposed time is dropped if the reply was changed to accept)
+          const graphTools = require('./graph-tools');
+          result = await graphTools.sendEventResponse(
+            actionData.eventId,
+            actionData.response,
+            actionData.comment || '',
+            actionData.proposedStart || null,
+            actionData.proposedEnd || null,
+            userToken,
+            actionData.timeZone
+          );
         } else if (actionType === 'delete_sent_email') {
           // Execute deletion with cached message ID
           const graphTools = require('./graph-tools');
@@ -969,7 +1427,7 @@ app.post('/api/confirm-action', async (req, res) => {
           const graphTools = require('./graph-tools');
           const client = await graphTools.getGraphClient(userToken);
           await client
-            .api(`/chats/${actionData.chatId}/messages/${actionData.messageId}/softDelete`)
+            .api(`/chats/${graphQuery.segment(actionData.chatId)}/messages/${graphQuery.segment(actionData.messageId)}/softDelete`)
             .post({});
           result = {
             success: true,
@@ -979,19 +1437,28 @@ app.post('/api/confirm-action', async (req, res) => {
         }
 
         // Clear the action after successful execution
-        actionPreview.clearAction(actionId);
+        await actionPreview.clearAction(actionId);
 
         console.log(`✓ Action executed: ${actionType} `);
 
+        const successMessages = {
+          send_email: `Email sent successfully to ${result?.recipients || toNameList(actionData.recipientNames).join(', ')}`,
+          send_teams_message: `Teams message sent to ${actionData.recipientName} `,
+          reply_to_email: `Reply to "${actionData.subject}" sent to ${result?.recipients || 'the sender'}`,
+          forward_email: `"${actionData.subject}" forwarded to ${result?.recipients || toNameList(actionData.recipientNames).join(', ')}`,
+          create_calendar_event: `Meeting "${actionData.subject}" scheduled successfully${result?.recurrence ? ` (${result.recurrence})` : ''}`,
+          reschedule_calendar_event: `Meeting "${actionData.subject}" rescheduled and attendees notified`,
+          respond_to_meeting_invite: `${{ accept: 'Accepted', tentative: 'Tentatively accepted', decline: 'Declined' }[actionData.response] || 'Responded to'} "${actionData.subject}" - ${actionData.organizer} has been notified`,
+          delete_sent_email: `Email deleted successfully`,
+          send_draft: `Draft "${actionData.subject}" sent to ${actionData.to}`,
+          delete_teams_message: `Teams message deleted successfully`,
+          post_channel_message: `Posted in ${actionData.teamName} › ${actionData.channelName}`,
+          reply_to_channel_message: `Replied in ${actionData.teamName} › ${actionData.channelName}`
+        };
+
         res.json({
           success: true,
-          message: actionType === 'send_email'
-            ? `Email sent successfully to ${actionData.recipientName} `
-            : actionType === 'send_teams_message'
-              ? `Teams message sent to ${actionData.recipientName} `
-              : actionType === 'delete_sent_email'
-                ? `Email deleted successfully`
-                : `Teams message deleted successfully`,
+          message: saveAsDraft ? (result?.message || 'Saved as draft') : successMessages[actionType],
           result: result
         });
       } catch (executionError) {
@@ -1001,14 +1468,17 @@ app.post('/api/confirm-action', async (req, res) => {
         });
       }
     } else if (userChoice === 'cancel') {
-      console.log(`✓ Action cancelled: ${actionId} `);
+      const cancelResult = await actionPreview.confirmAction(actionId, sessionId, { confirmed: false });
+      if (!cancelResult.success) {
+        return res.status(404).json({ error: cancelResult.error });
+      }
       res.json({
         success: true,
         message: 'Action cancelled'
       });
     } else {
       return res.status(400).json({
-        error: 'Invalid userChoice. Must be "confirm", "edit", or "cancel"'
+        error: 'Invalid userChoice. Must be "confirm", "save_draft", "edit", or "cancel"'
       });
     }
   } catch (error) {
@@ -1020,7 +1490,7 @@ app.post('/api/confirm-action', async (req, res) => {
 });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 ╔═══════════════════════════════════════════╗
 ║   Azure Voice AI Agent Server Running     ║
@@ -1036,4 +1506,11 @@ app.listen(PORT, () => {
       '⚠️  Please configure your .env file with Azure credentials\n' : '✓ All services configured - Ready to use!\n'
     }
     `);
+});
+
+// Streaming voice pipeline (live transcripts + chunked TTS) over WebSocket
+attachVoiceStream(server, {
+  queryAgent,
+  getConversationHistory,
+  saveConversationHistory
 });
\ No newline at end of file
@@ -0,0 +1,236 @@
+/**
+ * ============================================================
+ * 🔐 SESSION MANAGER
+ * ============================================================
+ *
+ * Server-side login sessions bound to a secure cookie:
+ * - Session IDs are 256-bit random values (never guessable)
+ * - The ID lives only in a signed, HttpOnly, SameSite cookie
+ *   so page scripts can never read it
+ * - Sessions expire after inactivity (SESSION_TTL_HOURS) and
+ *   after an absolute lifetime (SESSION_MAX_AGE_HOURS)
+ * - Sessions can be revoked individually or per user
+ * - State-changing requests must echo the session's CSRF token
+ *   in the X-CSRF-Token header
+ * - Graph access tokens stay on the server
+ *
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const cookieParser = require('cookie-parser');
+const { createStore } = require('./store');
+
+const SESSION_COOKIE_NAME = 'ashistanto.sid';
+const CSRF_HEADER_NAME = 'x-csrf-token';
+
+// Idle timeout - every token refresh extends the session (default 24h)
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// Absolute lifetime - user must log in again after this (default 7 days)
+const SESSION_MAX_AGE_MS = (parseFloat(process.env.SESSION_MAX_AGE_HOURS) || 7 * 24) * 60 * 60 * 1000;
+
+const SESSION_SECRET = process.env.SESSION_SECRET || generateFallbackSecret();
+
+// Secure cookies require HTTPS (browsers still accept them on localhost)
+const COOKIE_SECURE = process.env.SESSION_COOKIE_SECURE
+  ? process.env.SESSION_COOKIE_SECURE === 'true'
+  : process.env.NODE_ENV === 'production';
+
+// Session data by session ID: {accessToken, account, expiresAt, email, csrfToken, createdAt, sessionExpiresAt}
+const userTokenStore = createStore('sessions', { ttlMs: SESSION_TTL_MS });
+
+// Parses and verifies signed cookies (used as Express middleware and for WebSocket upgrades)
+const parseCookies = cookieParser(SESSION_SECRET);
+
+/**
+ * Create a new session after a successful login and set the session cookie
+ *
+ * @param {Object} res - Express response
+ * @param {Object} tokenData - {accessToken, account, expiresAt, email}
+ * @returns {Promise<String>} New session ID
+ */
+async function createSession(res, tokenData) {
+  const sessionId = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  await userTokenStore.set(sessionId, {
+    ...tokenData,
+    csrfToken: crypto.randomBytes(32).toString('base64url'),
+    createdAt: now,
+    sessionExpiresAt: now + SESSION_MAX_AGE_MS
+  });
+
+  res.cookie(SESSION_COOKIE_NAME, sessionId, {
+    httpOnly: true,
+    sameSite: 'lax', // Lax so the cookie survives the redirect back from Microsoft login
+    secure: COOKIE_SECURE,
+    signed: true,
+    maxAge: SESSION_MAX_AGE_MS,
+    path: '/'
+  });
+
+  console.log(`🔐 Session created for ${tokenData.email} (expires ${new Date(now + SESSION_MAX_AGE_MS).toISOString()})`);
+  return sessionId;
+}
+
+/**
+ * Get a live session, enforcing the absolute lifetime
+ * @param {String} sessionId
+ * @returns {Promise<Object>} Session data or null
+ */
+async function getSession(sessionId) {
+  if (!sessionId) return null;
+
+  const session = await userTokenStore.get(sessionId);
+  if (!session) return null;
+
+  if (session.sessionExpiresAt && session.sessionExpiresAt <= Date.now()) {
+    console.log('⏰ Session reached its maximum lifetime, revoking');
+    await userTokenStore.delete(sessionId);
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Read the session ID from the signed cookie on a request
+ * Works for both Express requests and raw WebSocket upgrade requests
+ *
+ * @param {Object} req - HTTP request
+ * @returns {String} Session ID or null if missing / tampered with
+ */
+function getSessionIdFromRequest(req) {
+  if (!req.signedCookies) {
+    parseCookies(req, null, () => { });
+  }
+  return req.signedCookies[SESSION_COOKIE_NAME] || null;
+}
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId
+ * @returns {Promise<Boolean>} True if a session was removed
+ */
+async function revokeSession(sessionId) {
+  if (!sessionId) return false;
+  const revoked = await userTokenStore.delete(sessionId);
+  if (revoked) console.log('✅ Session revoked');
+  return revoked;
+}
+
+/**
+ * Revoke every session belonging to a user (e.g. "sign out everywhere")
+ * @param {String} email
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+async function revokeUserSessions(email) {
+  let revoked = 0;
+  for (const [sessionId, session] of await userTokenStore.entries()) {
+    if (session.email && session.email.toLowerCase() === String(email).toLowerCase()) {
+      await userTokenStore.delete(sessionId);
+      revoked++;
+    }
+  }
+  console.log(`✅ Revoked ${revoked} session(s) for ${email}`);
+  return revoked;
+}
+
+/**
+ * Clear the session cookie on the response
+ * @param {Object} res - Express response
+ */
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE_NAME, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: COOKIE_SECURE,
+    signed: true,
+    path: '/'
+  });
+}
+
+/**
+ * ============================================================
+ * EXPRESS MIDDLEWARE
+ * ============================================================
+ */
+
+/**
+ * Resolve the cookie session and attach it to the request
+ * Sets req.sessionId / req.session (both null when not logged in)
+ */
+async function loadSession(req, res, next) {
+  try {
+    const sessionId = getSessionIdFromRequest(req);
+    const session = await getSession(sessionId);
+
+    req.sessionId = session ? sessionId : null;
+    req.session = session;
+
+    // Stale or tampered cookie - drop it
+    if (sessionId && !session) {
+      clearSessionCookie(res);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Reject state-changing requests without a matching CSRF token
+ * Requests without a session are left for the route to reject (401)
+ */
+function verifyCsrf(req, res, next) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || !req.session) {
+    return next();
+  }
+
+  const provided = req.get(CSRF_HEADER_NAME) || '';
+  if (!safeEqual(provided, req.session.csrfToken || '')) {
+    console.warn(`⚠️ CSRF token mismatch on ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+  }
+  next();
+}
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS (Internal)
+ * ============================================================
+ */
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function generateFallbackSecret() {
+  console.warn('⚠️  SESSION_SECRET is not set - using a random secret. Sessions will not survive a restart and cannot be shared across replicas.');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+module.exports = {
+  // Session lifecycle
+  createSession,
+  getSession,
+  getSessionIdFromRequest,
+  revokeSession,
+  revokeUserSessions,
+  clearSessionCookie,
+
+  // Middleware
+  parseCookies,
+  loadSession,
+  verifyCsrf,
+
+  // Store
+  userTokenStore,
+
+  SESSION_COOKIE_NAME
+};
@@ -0,0 +1,289 @@
+/**
+ * ============================================================
+ * 💾 PERSISTENT STORE MODULE
+ * ============================================================
+ *
+ * Single key-value storage abstraction for everything that used to
+ * live in in-memory Maps (sessions, conversations, pending actions,
+ * timezones, MSAL token cache):
+ * - All operations are async so any backend can be plugged in
+ * - Every entry can carry a TTL; expired entries are never returned
+ * - Values must be JSON-serializable
+ *
+ * Backends (STORE_BACKEND):
+ * - file   (default) JSON file per namespace in STORE_DIR (./data)
+ *          Survives restarts; single instance only
+ * - redis  Any Redis-compatible server at REDIS_URL (e.g. Azure Cache
+ *          for Redis). Required when running more than one replica.
+ *          Needs the optional "redis" package
+ * - memory Process memory only (tests / local experiments)
+ *
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STORE_BACKEND = (process.env.STORE_BACKEND || 'file').toLowerCase();
+const STORE_DIR = process.env.STORE_DIR || path.join(__dirname, 'data');
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const REDIS_KEY_PREFIX = process.env.REDIS_KEY_PREFIX || 'ashistanto';
+
+// One store instance per namespace, shared across modules
+const stores = new Map();
+
+/**
+ * Get (or create) the store for a namespace
+ *
+ * @param {String} namespace - Logical collection name (e.g. 'sessions')
+ * @param {Object} options
+ * @param {Number} options.ttlMs - Default TTL for entries (0 = never expire)
+ * @returns {Object} Store {get, set, has, delete, entries, cleanup}
+ */
+function createStore(namespace, { ttlMs = 0 } = {}) {
+  if (stores.has(namespace)) {
+    return stores.get(namespace);
+  }
+
+  let backend;
+  switch (STORE_BACKEND) {
+    case 'redis':
+      backend = createRedisBackend(namespace);
+      break;
+    case 'memory':
+      backend = createMemoryBackend();
+      break;
+    case 'file':
+      backend = createFileBackend(namespace);
+      break;
+    default:
+      throw new Error(`Unknown STORE_BACKEND: ${STORE_BACKEND}. Valid options: file, redis, memory`);
+  }
+
+  const store = {
+    namespace,
+    backend: STORE_BACKEND,
+
+    async get(key) {
+      return backend.get(key);
+    },
+
+    async set(key, value, entryTtlMs = ttlMs) {
+      return backend.set(key, value, entryTtlMs);
+    },
+
+    async has(key) {
+      return (await backend.get(key)) !== null;
+    },
+
+    async delete(key) {
+      return backend.delete(key);
+    },
+
+    // [[key, value], ...] for all live entries
+    async entries() {
+      return backend.entries();
+    },
+
+    // Drop expired entries; returns how many were removed
+    async cleanup() {
+      return backend.cleanup();
+    }
+  };
+
+  stores.set(namespace, store);
+  console.log(`✓ Store ready: ${namespace} (${STORE_BACKEND})`);
+  return store;
+}
+
+/**
+ * ============================================================
+ * BACKENDS (Internal)
+ * ============================================================
+ */
+
+// Entries are kept as {value, expiresAt} where expiresAt = 0 means no expiry
+function isExpired(entry) {
+  return entry.expiresAt > 0 && entry.expiresAt <= Date.now();
+}
+
+function wrapEntry(value, ttlMs) {
+  return { value, expiresAt: ttlMs > 0 ? Date.now() + ttlMs : 0 };
+}
+
+/**
+ * In-process Map with TTL support
+ */
+function createMemoryBackend(onChange = null) {
+  const data = new Map();
+
+  const backend = {
+    data,
+
+    async get(key) {
+      const entry = data.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        data.delete(key);
+        if (onChange) onChange();
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      data.set(key, wrapEntry(value, ttlMs));
+      if (onChange) onChange();
+    },
+
+    async delete(key) {
+      const existed = data.delete(key);
+      if (existed && onChange) onChange();
+      return existed;
+    },
+
+    async entries() {
+      await backend.cleanup();
+      return Array.from(data.entries()).map(([key, entry]) => [key, entry.value]);
+    },
+
+    async cleanup() {
+      let cleaned = 0;
+      for (const [key, entry] of data.entries()) {
+        if (isExpired(entry)) {
+          data.delete(key);
+          cleaned++;
+        }
+      }
+      if (cleaned > 0 && onChange) onChange();
+      return cleaned;
+    }
+  };
+
+  return backend;
+}
+
+/**
+ * Memory backend mirrored to STORE_DIR/<namespace>.json
+ * Writes are atomic (temp file + rename) and serialized per namespace
+ */
+function createFileBackend(namespace) {
+  const filePath = path.join(STORE_DIR, `${namespace}.json`);
+  let writeQueue = Promise.resolve();
+
+  const persist = () => {
+    writeQueue = writeQueue.then(async () => {
+      const snapshot = JSON.stringify(Object.fromEntries(backend.data));
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(STORE_DIR, { recursive: true });
+      await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+      await fs.promises.rename(tempPath, filePath);
+    }).catch((err) => {
+      console.error(`❌ Failed to persist store "${namespace}":`, err.message);
+    });
+    return writeQueue;
+  };
+
+  const backend = createMemoryBackend(persist);
+
+  // Load existing entries once at startup
+  try {
+    if (fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const [key, entry] of Object.entries(saved)) {
+        if (!isExpired(entry)) backend.data.set(key, entry);
+      }
+      console.log(`✓ Loaded ${backend.data.size} entr${backend.data.size === 1 ? 'y' : 'ies'} from ${filePath}`);
+    }
+  } catch (err) {
+    console.warn(`⚠️ Could not load store file ${filePath}, starting empty:`, err.message);
+  }
+
+  // Resolve writes before reporting completion so callers can rely on durability
+  return {
+    ...backend,
+    async set(key, value, ttlMs) {
+      await backend.set(key, value, ttlMs);
+      await writeQueue;
+    },
+    async delete(key) {
+      const existed = await backend.delete(key);
+      await writeQueue;
+      return existed;
+    }
+  };
+}
+
+/**
+ * Redis-compatible backend - TTLs are enforced by the server (PX)
+ */
+let redisClientPromise = null;
+
+function getRedisClient() {
+  if (!redisClientPromise) {
+    let redis;
+    try {
+      redis = require('redis');
+    } catch (err) {
+      throw new Error('STORE_BACKEND=redis requires the "redis" package. Install it with: npm install redis');
+    }
+
+    const client = redis.createClient({ url: REDIS_URL });
+    client.on('error', (err) => console.error('❌ Redis error:', err.message));
+
+    redisClientPromise = client.connect().then(() => {
+      console.log('✅ Connected to Redis store');
+      return client;
+    }).catch((err) => {
+      redisClientPromise = null;
+      throw new Error('Failed to connect to Redis: ' + err.message);
+    });
+  }
+  return redisClientPromise;
+}
+
+function createRedisBackend(namespace) {
+  const keyPrefix = `${REDIS_KEY_PREFIX}:${namespace}:`;
+
+  return {
+    async get(key) {
+      const client = await getRedisClient();
+      const raw = await client.get(keyPrefix + key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+
+    async set(key, value, ttlMs) {
+      const client = await getRedisClient();
+      const options = ttlMs > 0 ? { PX: ttlMs } : {};
+      await client.set(keyPrefix + key, JSON.stringify(value), options);
+    },
+
+    async delete(key) {
+      const client = await getRedisClient();
+      return (await client.del(keyPrefix + key)) > 0;
+    },
+
+    async entries() {
+      const client = await getRedisClient();
+      const result = [];
+      for await (const fullKey of client.scanIterator({ MATCH: `${keyPrefix}*`, COUNT: 100 })) {
+        const raw = await client.get(fullKey);
+        if (raw !== null) result.push([fullKey.slice(keyPrefix.length), JSON.parse(raw)]);
+      }
+      return result;
+    },
+
+    // Redis expires keys itself
+    async cleanup() {
+      return 0;
+    }
+  };
+}
+
+// ============================================================
+// EXPORTS
+// ============================================================
+module.exports = {
+  createStore,
+  STORE_BACKEND
+};
@@ -0,0 +1,116 @@
+/**
+ * ============================================================
+ * 🧪 AGENT LOOP TESTS
+ * ============================================================
+ *
+ * Checks agent-loop.js runToolRound with a fake executeTool:
+ * 1. Results come back in tool_calls order, failures as {error}
+ * 2. Only the first action needing confirmation runs in a round -
+ *    the others are answered with an error, so no preview is orphaned
+ *
+ * Usage:
+ * node --test test-agent-loop.js
+ * ============================================================
+ */
+
+process.env.STORE_BACKEND = 'memory';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { runToolRound } = require('./agent-loop');
+
+function toolCall(id, name, args = {}) {
+  return { id, type: 'function', function: { name, arguments: JSON.stringify(args) } };
+}
+
+// Fake executeTool: confirmation actions return a preview, the rest plain data
+function fakeExecuteTool() {
+  const calls = [];
+  const executeTool = async (name, args) => {
+    calls.push(name);
+    if (name === 'get_calendar_events') throw new Error('Graph unavailable');
+    if (name === 'send_email' || name === 'post_channel_message') {
+      return {
+        type: 'action_preview',
+        preview: { actionId: `action_${name}`, actionType: name },
+        message: `Please review the ${name} preview.`
+      };
+    }
+    return { success: true, tool: name, args };
+  };
+  return { calls, executeTool };
+}
+
+// agent-loop logs every call - keep the test output readable
+async function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+function content(result) {
+  return JSON.parse(result.message.content);
+}
+
+// ============================================================
+// PLAIN ROUNDS
+// ============================================================
+
+test('results keep the tool_calls order and failures become errors', async () => {
+  const { executeTool } = fakeExecuteTool();
+  const round = await quietly(() => runToolRound([
+    toolCall('call_1', 'search_emails', { query: 'budget' }),
+    toolCall('call_2', 'get_calendar_events')
+  ], { executeTool, step: 1 }));
+
+  assert.deepEqual(round.results.map(r => r.message.tool_call_id), ['call_1', 'call_2']);
+  assert.deepEqual(content(round.results[0]).args, { query: 'budget' });
+  assert.equal(round.results[1].success, false);
+  assert.deepEqual(content(round.results[1]), { error: 'Graph unavailable' });
+  assert.equal(round.preview, null);
+  assert.deepEqual(round.deferred, []);
+});
+
+// ============================================================
+// CONFIRMATION ACTIONS
+// ============================================================
+
+test('a single confirmation action returns its preview', async () => {
+  const { executeTool } = fakeExecuteTool();
+  const round = await quietly(() => runToolRound([toolCall('call_1', 'send_email')], { executeTool, step: 1 }));
+
+  assert.equal(round.preview.preview.actionId, 'action_send_email');
+  assert.deepEqual(round.deferred, []);
+});
+
+test('only the first of two confirmation actions in a round runs', async () => {
+  const { calls, executeTool } = fakeExecuteTool();
+  const events = [];
+  const round = await quietly(() => runToolRound([
+    toolCall('call_1', 'search_emails'),
+    toolCall('call_2', 'send_email'),
+    toolCall('call_3', 'post_channel_message')
+  ], { executeTool, step: 1, onEvent: event => events.push(event) }));
+
+  // The second action is never executed, so no preview is stored for it
+  assert.deepEqual(calls.sort(), ['search_emails', 'send_email']);
+  assert.equal(round.preview.preview.actionType, 'send_email');
+  assert.deepEqual(round.deferred, ['post_channel_message']);
+  assert.equal(round.results.filter(r => r.actionPreview).length, 1);
+
+  // ...and the model is told why, so it can ask for it again later
+  const skipped = round.results[2];
+  assert.equal(skipped.message.tool_call_id, 'call_3');
+  assert.equal(skipped.success, false);
+  assert.match(content(skipped).error, /send_email is waiting for the user/);
+
+  // The other results are kept
+  assert.equal(content(round.results[0]).tool, 'search_emails');
+  assert.deepEqual(events.filter(e => e.type === 'tool_call_start').map(e => e.name).sort(), ['search_emails', 'send_email']);
+});
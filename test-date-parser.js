@@ -0,0 +1,272 @@
+/**
+ * ============================================================
+ * 🧪 DATE PARSER TESTS
+ * ============================================================
+ *
+ * Checks date-parser.js against a fixed clock so results never
+ * depend on when or where the tests run:
+ * 1. Relative days, weekdays and periods
+ * 2. Times, ranges and offsets (incl. bare hours and h:mm without am/pm)
+ * 3. Durations and business days
+ * 4. Meeting windows and recurrence rules built from tool arguments
+ * 5. Timezone boundaries (the off-by-one-day cases)
+ *
+ * Usage:
+ * node --test test-date-parser.js
+ * ============================================================
+ */
+
+process.env.STORE_BACKEND = 'memory';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+  parseDateTime,
+  parseDuration,
+  resolveMeetingWindow,
+  resolveDay,
+  daysUntil,
+  addBusinessDays,
+  resolveRecurrence
+} = require('./date-parser');
+
+// Monday 19 Oct 2026, 10:00 in India (04:30 UTC)
+const NOW = new Date('2026-10-19T04:30:00Z');
+const IST = { timeZone: 'Asia/Kolkata', now: NOW };
+
+function start(text, options = IST) {
+  const parsed = parseDateTime(text, options);
+  return parsed && parsed.start;
+}
+
+// ============================================================
+// RELATIVE DAYS & WEEKDAYS
+// ============================================================
+
+test('today, tomorrow and day after tomorrow', () => {
+  assert.equal(start('today'), '2026-10-19T00:00:00');
+  assert.equal(start('tomorrow'), '2026-10-20T00:00:00');
+  assert.equal(start('day after tomorrow'), '2026-10-21T00:00:00');
+  assert.equal(start('yesterday'), '2026-10-18T00:00:00');
+});
+
+test('date-only expressions cover the whole day', () => {
+  assert.deepEqual(parseDateTime('tomorrow', IST), {
+    start: '2026-10-20T00:00:00',
+    end: '2026-10-20T23:59:59',
+    allDay: true
+  });
+});
+
+test('bare weekday is the coming occurrence (today counts)', () => {
+  assert.equal(start('thursday'), '2026-10-22T00:00:00');
+  assert.equal(start('this thursday'), '2026-10-22T00:00:00');
+  assert.equal(start('monday'), '2026-10-19T00:00:00');
+  assert.equal(start('sunday'), '2026-10-25T00:00:00');
+  assert.equal(start('on fri'), '2026-10-23T00:00:00');
+});
+
+test('"next <weekday>" is that day of next week', () => {
+  assert.equal(start('next thursday'), '2026-10-29T00:00:00');
+  assert.equal(start('next monday'), '2026-10-26T00:00:00');
+  assert.equal(start('thursday next week'), '2026-10-29T00:00:00');
+});
+
+test('weeks, weekends and months', () => {
+  assert.deepEqual(parseDateTime('next week', IST), { start: '2026-10-26T00:00:00', end: '2026-11-01T23:59:59', allDay: true });
+  assert.deepEqual(parseDateTime('this weekend', IST), { start: '2026-10-24T00:00:00', end: '2026-10-25T23:59:59', allDay: true });
+  assert.equal(start('end of month'), '2026-10-31T00:00:00');
+  assert.equal(start('end of next month'), '2026-11-30T00:00:00');
+  assert.equal(start('start of next month'), '2026-11-01T00:00:00');
+  assert.equal(start('end of week'), '2026-10-23T00:00:00');
+});
+
+test('calendar dates roll over to next year once passed', () => {
+  assert.equal(start('Oct 20'), '2026-10-20T00:00:00');
+  assert.equal(start('20th October 2026'), '2026-10-20T00:00:00');
+  assert.equal(start('the 5th of jan'), '2027-01-05T00:00:00');
+  assert.equal(start('thursday oct 22'), '2026-10-22T00:00:00');
+  assert.equal(parseDateTime('31 feb', IST), null);
+});
+
+// ============================================================
+// TIMES, RANGES & OFFSETS
+// ============================================================
+
+test('times of day', () => {
+  assert.equal(start('tomorrow 2 PM'), '2026-10-20T14:00:00');
+  assert.equal(start('next monday at 10:30'), '2026-10-26T10:30:00');
+  assert.equal(start('3pm'), '2026-10-19T15:00:00');
+  assert.equal(start('12am tomorrow'), '2026-10-20T00:00:00');
+  assert.equal(start('friday noon'), '2026-10-23T12:00:00');
+  assert.equal(start('friday eod'), '2026-10-23T17:00:00');
+  assert.equal(start('tomorrow morning'), '2026-10-20T09:00:00');
+  assert.equal(start('tonight'), '2026-10-19T20:00:00');
+});
+
+test('bare hours 1-7 are read as afternoon', () => {
+  assert.equal(start('at 3'), '2026-10-19T15:00:00');
+  assert.equal(start('tomorrow at 10'), '2026-10-20T10:00:00');
+});
+
+test('clock times without am/pm follow the same afternoon rule', () => {
+  assert.equal(start('3:30'), '2026-10-19T15:30:00');
+  assert.equal(start('tomorrow at 7:45'), '2026-10-20T19:45:00');
+  assert.equal(start('03:30'), '2026-10-20T03:30:00');
+  assert.equal(start('12:15'), '2026-10-19T12:15:00');
+});
+
+test('a bare hour after a day name is a time, not a date', () => {
+  assert.equal(start('tuesday 9'), '2026-10-20T09:00:00');
+  assert.equal(start('next friday 3'), '2026-10-30T15:00:00');
+  assert.equal(start('tomorrow 10'), '2026-10-20T10:00:00');
+  assert.equal(start('oct 9'), '2027-10-09T00:00:00');
+});
+
+test('times already passed today move to the next occurrence', () => {
+  // NOW is Monday 10:00 in IST
+  assert.equal(start('9am'), '2026-10-20T09:00:00');
+  assert.equal(start('at 9'), '2026-10-20T09:00:00');
+  assert.equal(start('9:59'), '2026-10-20T09:59:00');
+  assert.equal(start('10am'), '2026-10-19T10:00:00', 'the current minute is not past');
+  assert.equal(start('monday 9am'), '2026-10-26T09:00:00');
+  assert.equal(start('monday 9:30'), '2026-10-26T09:30:00');
+  assert.equal(start('this monday 9'), '2026-10-26T09:00:00');
+  assert.equal(start('monday 11am'), '2026-10-19T11:00:00');
+  assert.deepEqual(parseDateTime('9-9:30am', IST), { start: '2026-10-20T09:00:00', end: '2026-10-20T09:30:00', allDay: false });
+});
+
+test('an explicit day or date keeps a passed time', () => {
+  assert.equal(start('today 9am'), '2026-10-19T09:00:00');
+  assert.equal(start('today at 9'), '2026-10-19T09:00:00');
+  assert.equal(start('9am', { ...IST, defaultDate: '2026-10-19' }), '2026-10-19T09:00:00');
+});
+
+test('time ranges share am/pm', () => {
+  assert.deepEqual(parseDateTime('tomorrow 2-3pm', IST), { start: '2026-10-20T14:00:00', end: '2026-10-20T15:00:00', allDay: false });
+  assert.equal(parseDateTime('11-1pm', IST).start, '2026-10-19T11:00:00');
+  assert.equal(parseDateTime('11-1pm', IST).end, '2026-10-19T13:00:00');
+  assert.equal(parseDateTime('from 10 to 11:30am', IST).end, '2026-10-19T11:30:00');
+  assert.equal(parseDateTime('between 2 and 4pm thursday', IST).start, '2026-10-22T14:00:00');
+});
+
+test('bare hour ranges without am/pm', () => {
+  assert.deepEqual(parseDateTime('2-3', IST), { start: '2026-10-19T14:00:00', end: '2026-10-19T15:00:00', allDay: false });
+  assert.equal(parseDateTime('tomorrow 9-10', IST).end, '2026-10-20T10:00:00');
+  assert.equal(parseDateTime('11 to 1', IST).end, '2026-10-19T13:00:00');
+  assert.equal(parseDateTime('in 2-3 days', IST), null);
+});
+
+test('offsets from now', () => {
+  assert.equal(start('in 90 minutes'), '2026-10-19T11:30:00');
+  assert.equal(start('in 2 hours'), '2026-10-19T12:00:00');
+  assert.equal(start('in half an hour'), '2026-10-19T10:30:00');
+  assert.equal(start('in 2 days at 3pm'), '2026-10-21T15:00:00');
+  assert.equal(start('2 weeks from now'), '2026-11-02T00:00:00');
+  assert.equal(start('in 1 month'), '2026-11-19T00:00:00');
+});
+
+test('ISO values pass through; offsets convert to the user timezone', () => {
+  assert.equal(start('2026-10-20T15:00:00'), '2026-10-20T15:00:00');
+  assert.equal(start('2026-10-20T09:30:00Z'), '2026-10-20T15:00:00');
+  assert.equal(start('2026-10-20'), '2026-10-20T00:00:00');
+});
+
+test('unknown text returns null', () => {
+  assert.equal(parseDateTime('banana', IST), null);
+  assert.equal(parseDateTime('', IST), null);
+  assert.equal(parseDateTime(null, IST), null);
+});
+
+// ============================================================
+// DURATIONS & BUSINESS DAYS
+// ============================================================
+
+test('durations', () => {
+  assert.equal(parseDuration('90 minutes'), 90);
+  assert.equal(parseDuration('1.5 hours'), 90);
+  assert.equal(parseDuration('1h 30m'), 90);
+  assert.equal(parseDuration('1h30m'), 90);
+  assert.equal(parseDuration('2hrs15mins'), 135);
+  assert.equal(parseDuration('1 month'), null);
+  assert.equal(parseDuration('1 hour and 30 minutes'), 90);
+  assert.equal(parseDuration('half an hour'), 30);
+  assert.equal(parseDuration('an hour'), 60);
+  assert.equal(parseDuration(45), 45);
+  assert.equal(parseDuration('fish'), null);
+});
+
+test('business days skip weekends', () => {
+  assert.equal(addBusinessDays('2026-10-23', 1), '2026-10-26'); // Fri → Mon
+  assert.equal(addBusinessDays('2026-10-19', 5), '2026-10-26');
+  assert.equal(addBusinessDays('2026-10-26', -1), '2026-10-23');
+  assert.equal(start('in 3 business days'), '2026-10-22T00:00:00');
+  assert.equal(start('next business day 9am'), '2026-10-20T09:00:00');
+});
+
+// ============================================================
+// TOOL ARGUMENT HELPERS
+// ============================================================
+
+test('meeting window from start + duration / end / range', () => {
+  assert.deepEqual(resolveMeetingWindow('tomorrow 3pm', null, '45 min', IST), { start: '2026-10-20T15:00:00', end: '2026-10-20T15:45:00' });
+  assert.deepEqual(resolveMeetingWindow('tomorrow 3pm', '4:30pm', null, IST), { start: '2026-10-20T15:00:00', end: '2026-10-20T16:30:00' });
+  assert.deepEqual(resolveMeetingWindow('next monday 10-11am', null, null, IST), { start: '2026-10-26T10:00:00', end: '2026-10-26T11:00:00' });
+  assert.deepEqual(resolveMeetingWindow('friday 5pm', null, null, IST), { start: '2026-10-23T17:00:00', end: '2026-10-23T18:00:00' });
+});
+
+test('meeting window rejects missing times and reversed ranges', () => {
+  assert.throws(() => resolveMeetingWindow('next thursday', null, null, IST), /no time of day/);
+  assert.throws(() => resolveMeetingWindow('sometime', null, null, IST), /couldn't understand the start/);
+  assert.throws(() => resolveMeetingWindow('tomorrow 3pm', 'tomorrow 2pm', null, IST), /end time must be after/);
+});
+
+test('resolveDay and daysUntil', () => {
+  assert.equal(resolveDay('friday', IST), '2026-10-23');
+  assert.equal(resolveDay('nonsense', IST), null);
+  assert.equal(daysUntil('end of month', IST), 13);
+  assert.equal(daysUntil('tomorrow', IST), 2);
+  assert.equal(daysUntil('next week', IST), 14);
+});
+
+test('recurrence rules', () => {
+  assert.deepEqual(resolveRecurrence({ frequency: 'weekdays', until: 'end of year' }, '2026-10-20T09:30:00', IST), {
+    frequency: 'weekly',
+    interval: 1,
+    daysOfWeek: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+    dayOfMonth: null,
+    weekOfMonth: null,
+    until: '2026-12-31',
+    occurrences: null
+  });
+  const biweekly = resolveRecurrence({ frequency: 'weekly', interval: 2, days_of_week: ['Wed', 'mondays'], occurrences: 10 }, '2026-10-20T09:30:00', IST);
+  assert.deepEqual(biweekly.daysOfWeek, ['monday', 'wednesday']);
+  assert.equal(biweekly.occurrences, 10);
+  assert.equal(resolveRecurrence({ frequency: 'none' }, '2026-10-20T09:30:00', IST), null);
+  assert.equal(resolveRecurrence(null, '2026-10-20T09:30:00', IST), null);
+});
+
+test('recurrence rejects bad rules', () => {
+  assert.throws(() => resolveRecurrence({ frequency: 'yearly' }, '2026-10-20T09:30:00', IST), /daily, weekly or monthly/);
+  assert.throws(() => resolveRecurrence({ frequency: 'daily', until: '2026-10-01' }, '2026-10-20T09:30:00', IST), /end after the first/);
+  assert.throws(() => resolveRecurrence({ frequency: 'daily', until: 'friday', occurrences: 3 }, '2026-10-20T09:30:00', IST), /not both/);
+  assert.throws(() => resolveRecurrence({ frequency: 'weekly', days_of_week: ['funday'] }, '2026-10-20T09:30:00', IST), /"funday"/);
+});
+
+// ============================================================
+// TIMEZONE BOUNDARIES
+// ============================================================
+
+test('"today" follows the user\'s calendar, not UTC', () => {
+  // 20:00 UTC on the 19th is already the 20th in India and still the 19th in New York
+  const lateUtc = new Date('2026-10-19T20:00:00Z');
+  assert.equal(start('today', { timeZone: 'Asia/Kolkata', now: lateUtc }), '2026-10-20T00:00:00');
+  assert.equal(start('today', { timeZone: 'America/New_York', now: lateUtc }), '2026-10-19T00:00:00');
+  assert.equal(start('tomorrow 9am', { timeZone: 'Asia/Kolkata', now: lateUtc }), '2026-10-21T09:00:00');
+});
+
+test('offsets across a DST change keep the real elapsed time', () => {
+  // Clocks go back at 02:00 on 1 Nov 2026 in New York
+  const beforeChange = new Date('2026-11-01T05:30:00Z'); // 01:30 EDT
+  assert.equal(start('in 1 hour', { timeZone: 'America/New_York', now: beforeChange }), '2026-11-01T01:30:00');
+});
@@ -0,0 +1,257 @@
+/**
+ * ============================================================
+ * 🧪 DIRECTORY CACHE TESTS
+ * ============================================================
+ *
+ * Checks directory-cache.js against a fake Graph client that answers
+ * /users/delta with paged responses:
+ * 1. The first sync follows nextLinks and saves the deltaLink
+ * 2. Later syncs merge changed properties and drop removed or disabled users
+ * 3. An expired deltaLink (410 / syncStateNotFound) starts a full download
+ * 4. A failed first sync is not retried until RETRY_MS has passed
+ * 5. A restart resumes from the saved directory and deltaLink
+ *
+ * Usage:
+ * node --test test-directory-cache.js
+ * ============================================================
+ */
+
+process.env.STORE_BACKEND = 'memory';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+let directoryCache = require('./directory-cache');
+
+const DELTA_LINK = 'https://graph.microsoft.com/v1.0/users/delta?$deltatoken=first';
+const NEXT_LINK = 'https://graph.microsoft.com/v1.0/users/delta?$skiptoken=page2';
+
+// Fake Graph client: pages by URL, a function for anything else.
+// A page that is an Error is thrown
+function fakeClient(pages) {
+  const client = {
+    requests: [],
+    api(url) {
+      return {
+        async get() {
+          client.requests.push(url);
+          const page = typeof pages === 'function' ? pages(url) : pages[url];
+          if (page instanceof Error) throw page;
+          if (!page) throw new Error(`Unexpected request: ${url}`);
+          return page;
+        }
+      };
+    }
+  };
+  return client;
+}
+
+// A full download in two pages
+function firstSyncPages(deltaLink = DELTA_LINK) {
+  return {
+    [NEXT_LINK]: {
+      value: [{ id: '3', displayName: 'Siddharth Rao', givenName: 'Siddharth', surname: 'Rao', mail: 'siddharth@contoso.com', jobTitle: 'Designer' }],
+      '@odata.deltaLink': deltaLink
+    },
+    default: {
+      value: [
+        { id: '1', displayName: 'Jatin Kumar', givenName: 'Jatin', surname: 'Kumar', mail: 'jatin@contoso.com', jobTitle: 'Engineer', department: 'R&D' },
+        { id: '2', displayName: 'Priyanshu Sharma', givenName: 'Priyanshu', surname: 'Sharma', mail: 'priyanshu@contoso.com' }
+      ],
+      '@odata.nextLink': NEXT_LINK
+    }
+  };
+}
+
+function seedClient(deltaLink = DELTA_LINK) {
+  const pages = firstSyncPages(deltaLink);
+  return fakeClient(url => pages[url] || (url.startsWith('/users/delta?$select=') ? pages.default : null));
+}
+
+function graphError(statusCode, code) {
+  return Object.assign(new Error(code), { statusCode, code });
+}
+
+// directory-cache logs every sync - keep the test output readable
+async function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+async function withClock(offsetMs, fn) {
+  const now = Date.now;
+  Date.now = () => now() + offsetMs;
+  try {
+    return await fn();
+  } finally {
+    Date.now = now;
+  }
+}
+
+// ============================================================
+// FIRST SYNC
+// ============================================================
+
+test('the first sync follows every page and indexes the users', async () => {
+  const client = seedClient();
+  const matches = await quietly(() => directoryCache.findPeople(client, 'tenant-seed', 'jateen'));
+
+  assert.equal(client.requests.length, 2);
+  assert.match(client.requests[0], /^\/users\/delta\?\$select=.*accountEnabled/);
+  assert.equal(client.requests[1], NEXT_LINK);
+
+  assert.equal(matches[0].email, 'jatin@contoso.com');
+  assert.equal(matches[0].department, 'R&D');
+  const siddharth = await directoryCache.findByEmail(client, 'tenant-seed', 'SIDDHARTH@contoso.com');
+  assert.equal(siddharth.name, 'Siddharth Rao');
+
+  const status = await directoryCache.getStatus('tenant-seed');
+  assert.equal(status.users, 3);
+  assert.ok(status.syncedAt);
+  assert.equal(client.requests.length, 2, 'lookups on a fresh cache make no requests');
+});
+
+// ============================================================
+// DELTA SYNC
+// ============================================================
+
+test('a delta sync merges changed properties and drops removed users', async () => {
+  await quietly(() => directoryCache.findPeople(seedClient(), 'tenant-delta', 'jatin'));
+
+  const client = fakeClient({
+    [DELTA_LINK]: {
+      value: [
+        { id: '1', jobTitle: 'Engineering Manager' }, // only the changed property
+        { id: '2', '@removed': { reason: 'deleted' } },
+        { id: '3', accountEnabled: false },
+        { id: '4', displayName: 'Chetan Shah', givenName: 'Chetan', surname: 'Shah', userPrincipalName: 'chetan@contoso.com' }
+      ],
+      '@odata.deltaLink': 'https://graph.microsoft.com/v1.0/users/delta?$deltatoken=second'
+    }
+  });
+  const status = await quietly(() => directoryCache.refreshDirectory(client, 'tenant-delta'));
+
+  assert.deepEqual(client.requests, [DELTA_LINK]);
+  assert.equal(status.users, 2);
+
+  const jatin = await directoryCache.findByEmail(client, 'tenant-delta', 'jatin@contoso.com');
+  assert.equal(jatin.name, 'Jatin Kumar', 'unchanged properties are kept');
+  assert.equal(jatin.jobTitle, 'Engineering Manager');
+  assert.equal(await directoryCache.findByEmail(client, 'tenant-delta', 'priyanshu@contoso.com'), null);
+  assert.equal(await directoryCache.findByEmail(client, 'tenant-delta', 'siddharth@contoso.com'), null);
+  assert.deepEqual((await directoryCache.findPeople(client, 'tenant-delta', 'chetan')).map(m => m.email), ['chetan@contoso.com']);
+});
+
+test('a stale cache answers at once and syncs in the background', async () => {
+  await quietly(() => directoryCache.findPeople(seedClient(), 'tenant-stale', 'jatin'));
+
+  let release;
+  const pending = new Promise(resolve => { release = resolve; });
+  const client = fakeClient(url => (url === DELTA_LINK ? pending : null));
+
+  const matches = await withClock(60 * 60 * 1000, () => quietly(() => directoryCache.findPeople(client, 'tenant-stale', 'priyanshu')));
+  assert.equal(matches[0].email, 'priyanshu@contoso.com');
+  assert.deepEqual(client.requests, [DELTA_LINK]);
+
+  release({ value: [{ id: '2', '@removed': {} }], '@odata.deltaLink': DELTA_LINK });
+  await quietly(() => new Promise(resolve => setTimeout(resolve, 10)));
+  assert.equal((await directoryCache.getStatus('tenant-stale')).users, 2);
+});
+
+// ============================================================
+// EXPIRED DELTA LINKS
+// ============================================================
+
+for (const [label, error] of [['410 Gone', graphError(410, 'Gone')], ['syncStateNotFound', graphError(400, 'syncStateNotFound')]]) {
+  test(`an expired deltaLink (${label}) downloads everything again`, async () => {
+    const tenant = `tenant-expired-${label}`;
+    await quietly(() => directoryCache.findPeople(seedClient(), tenant, 'jatin'));
+
+    const pages = firstSyncPages('https://graph.microsoft.com/v1.0/users/delta?$deltatoken=fresh');
+    pages[NEXT_LINK].value = []; // Siddharth left while the link was expired
+    const client = fakeClient(url => {
+      if (url === DELTA_LINK) return error;
+      return pages[url] || (url.startsWith('/users/delta?$select=') ? pages.default : null);
+    });
+    const status = await quietly(() => directoryCache.refreshDirectory(client, tenant));
+
+    assert.equal(client.requests[0], DELTA_LINK);
+    assert.match(client.requests[1], /^\/users\/delta\?\$select=/);
+    assert.equal(status.users, 2, 'users missing from the new download are gone');
+    assert.equal(await directoryCache.findByEmail(client, tenant, 'siddharth@contoso.com'), null);
+  });
+}
+
+test('other sync errors are not retried as a full download', async () => {
+  await quietly(() => directoryCache.findPeople(seedClient(), 'tenant-error', 'jatin'));
+
+  const client = fakeClient({ [DELTA_LINK]: graphError(503, 'serviceNotAvailable') });
+  await assert.rejects(quietly(() => directoryCache.refreshDirectory(client, 'tenant-error')), /Failed to sync directory/);
+  assert.deepEqual(client.requests, [DELTA_LINK]);
+
+  // The cached users are still there
+  const status = await directoryCache.getStatus('tenant-error');
+  assert.equal(status.users, 3);
+  assert.ok(status.lastFailure);
+});
+
+// ============================================================
+// RETRY BACKOFF
+// ============================================================
+
+test('a failed first sync waits RETRY_MS before trying again', async () => {
+  let failing = true;
+  const seed = firstSyncPages();
+  const client = fakeClient(url => {
+    if (failing) return graphError(403, 'Authorization_RequestDenied');
+    return seed[url] || seed.default;
+  });
+
+  assert.equal(await quietly(() => directoryCache.findPeople(client, 'tenant-retry', 'jatin')), null);
+  assert.equal(client.requests.length, 1);
+
+  // Callers fall back to live Graph queries without another attempt
+  failing = false;
+  assert.equal(await quietly(() => directoryCache.findPeople(client, 'tenant-retry', 'jatin')), null);
+  assert.equal(await withClock(4 * 60 * 1000, () => quietly(() => directoryCache.findPeople(client, 'tenant-retry', 'jatin'))), null);
+  assert.equal(client.requests.length, 1);
+
+  const matches = await withClock(5 * 60 * 1000 + 1000, () => quietly(() => directoryCache.findPeople(client, 'tenant-retry', 'jatin')));
+  assert.equal(matches[0].email, 'jatin@contoso.com');
+  assert.equal((await directoryCache.getStatus('tenant-retry')).lastFailure, null);
+});
+
+// ============================================================
+// RESTART
+// ============================================================
+
+test('a restart resumes from the saved users and deltaLink', async () => {
+  await quietly(() => directoryCache.findPeople(seedClient(), 'tenant-restart', 'jatin'));
+
+  // Load the module again - the in-memory copy is gone, the store is not
+  delete require.cache[require.resolve('./directory-cache')];
+  directoryCache = require('./directory-cache');
+
+  const client = fakeClient({ [DELTA_LINK]: { value: [], '@odata.deltaLink': DELTA_LINK } });
+  const matches = await quietly(() => directoryCache.findPeople(client, 'tenant-restart', 'siddarth'));
+  assert.equal(matches[0].email, 'siddharth@contoso.com');
+  assert.deepEqual(client.requests, [], 'a fresh saved directory needs no download');
+
+  await quietly(() => directoryCache.refreshDirectory(client, 'tenant-restart'));
+  assert.deepEqual(client.requests, [DELTA_LINK]);
+});
+
+test('invalidating the cache downloads everything on the next lookup', async () => {
+  await quietly(() => directoryCache.findPeople(seedClient(), 'tenant-reset', 'jatin'));
+  await quietly(() => directoryCache.invalidateDirectory('tenant-reset'));
+
+  const client = seedClient();
+  await quietly(() => directoryCache.findPeople(client, 'tenant-reset', 'jatin'));
+  assert.match(client.requests[0], /^\/users\/delta\?\$select=/);
+});
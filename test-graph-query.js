@@ -0,0 +1,243 @@
+/**
+ * ============================================================
+ * 🧪 GRAPH QUERY TESTS
+ * ============================================================
+ *
+ * Checks that user text reaches Graph exactly as typed:
+ * 1. OData literals and filter expressions (apostrophes)
+ * 2. $search phrases (quotes, backslashes)
+ * 3. Percent-encoding of reserved characters and unicode
+ * 4. URLs built by the Graph client decode to the intended query
+ * 5. graph-tools.js requests for names like "O'Brien"
+ *
+ * No network access - graph-tools.js runs against a recording client.
+ *
+ * Usage:
+ * node --test test-graph-query.js
+ * ============================================================
+ */
+
+process.env.STORE_BACKEND = 'memory';
+delete process.env.MICROSOFT_TENANT_ID;
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { Client } = require('@microsoft/microsoft-graph-client');
+const graphQuery = require('./graph-query');
+
+// The real client factory - replaced by a recording one for the graph-tools tests
+const createClient = Client.init;
+
+// Text that broke requests before: apostrophes, reserved URL characters, unicode
+const AWKWARD = ["O'Brien", "D'Souza O'Neil", 'AT&T Team', 'R&D #2', 'Q3 + Q4 = 100%', 'a/b?c=d', 'Renée Müller', 'José Ñúñez', '山田 太郎', 'Ανδρέας', 'Ünal 😀'];
+
+// ============================================================
+// ODATA LITERALS & FILTERS
+// ============================================================
+
+test('literals double every apostrophe', () => {
+  assert.equal(graphQuery.literal("O'Brien"), "'O''Brien'");
+  assert.equal(graphQuery.literal("'quoted'"), "'''quoted'''");
+  assert.equal(graphQuery.literal('plain'), "'plain'");
+  assert.equal(graphQuery.literal(''), "''");
+  assert.equal(graphQuery.literal(null), "''");
+  assert.equal(graphQuery.literal(42), "'42'");
+});
+
+test('startsWith / contains / equals cover every field', () => {
+  assert.equal(
+    graphQuery.startsWith(['displayName', 'surname'], "O'B"),
+    "startswith(displayName,'O''B') or startswith(surname,'O''B')"
+  );
+  assert.equal(graphQuery.contains('subject', "it's"), "contains(subject,'it''s')");
+  assert.equal(
+    graphQuery.equals(['mail', 'userPrincipalName'], "o'brien@contoso.com"),
+    "mail eq 'o''brien@contoso.com' or userPrincipalName eq 'o''brien@contoso.com'"
+  );
+});
+
+test('combine brackets each part and skips empty ones', () => {
+  assert.equal(
+    graphQuery.combine('and', ['mailEnabled eq true', graphQuery.startsWith(['displayName', 'mail'], 'Sales')]),
+    "(mailEnabled eq true) and (startswith(displayName,'Sales') or startswith(mail,'Sales'))"
+  );
+  assert.equal(graphQuery.combine('and', ['', "a eq 'b'", null]), "a eq 'b'");
+  assert.equal(graphQuery.combine('or', []), '');
+});
+
+test('an apostrophe cannot end the literal early', () => {
+  // Without escaping, this would add "or true" to the filter
+  const expression = graphQuery.startsWith('displayName', "x') or true or startswith(displayName,'");
+  // Only the opening and closing quote are left once the doubled ones are removed
+  assert.equal(expression.replace(/''/g, '').match(/'/g).length, 2);
+  assert.equal(expression, "startswith(displayName,'x'') or true or startswith(displayName,''')");
+});
+
+// ============================================================
+// $SEARCH PHRASES
+// ============================================================
+
+test('search wraps the text in one quoted phrase', () => {
+  assert.equal(decodeURIComponent(graphQuery.search('jatin')), '"jatin"');
+  assert.equal(decodeURIComponent(graphQuery.search('  Q3 report ', 'subject')), '"subject:Q3 report"');
+});
+
+test('quotes and backslashes inside a search are escaped', () => {
+  assert.equal(decodeURIComponent(graphQuery.search('say "hi"')), '"say \\"hi\\""');
+  assert.equal(decodeURIComponent(graphQuery.search('C:\\temp')), '"C:\\\\temp"');
+  assert.equal(decodeURIComponent(graphQuery.search("O'Brien")), '"O\'Brien"');
+});
+
+test('searchAll joins the given criteria and skips empty ones', () => {
+  assert.equal(
+    decodeURIComponent(graphQuery.searchAll({ from: "O'Brien", subject: 'budget "final"' })),
+    '"from:O\'Brien subject:budget \\"final\\""'
+  );
+  assert.equal(decodeURIComponent(graphQuery.searchAll({ from: null, subject: 'report' })), '"subject:report"');
+  assert.equal(graphQuery.searchAll({ from: '', subject: '  ' }), null);
+});
+
+// ============================================================
+// PERCENT-ENCODING
+// ============================================================
+
+test('filter and search values survive reserved characters and unicode', () => {
+  for (const text of AWKWARD) {
+    const expression = graphQuery.startsWith('displayName', text);
+    const encoded = graphQuery.filter(expression);
+    assert.doesNotMatch(encoded, /[&#+ ?=%](?![0-9A-F]{2})/, `unencoded character in ${encoded}`);
+    assert.equal(decodeURIComponent(encoded), expression);
+
+    const search = graphQuery.search(text);
+    assert.doesNotMatch(search, /[&#+ ?=]/);
+    assert.equal(decodeURIComponent(search), `"${text}"`);
+  }
+});
+
+test('path segments keep slashes, question marks and hashes inside the segment', () => {
+  assert.equal(graphQuery.segment('a/b?c#d'), 'a%2Fb%3Fc%23d');
+  assert.equal(graphQuery.segment("o'brien@contoso.com"), "o'brien%40contoso.com");
+  assert.equal(graphQuery.segment('AAMkAD+/x=='), 'AAMkAD%2B%2Fx%3D%3D');
+  assert.equal(graphQuery.segment(undefined), '');
+  for (const text of AWKWARD) {
+    assert.equal(decodeURIComponent(graphQuery.segment(text)), text);
+  }
+});
+
+test('function arguments are quoted literals, encoded', () => {
+  assert.equal(graphQuery.functionArgument("O'Brien & Co"), "'O''Brien%20%26%20Co'");
+  assert.equal(decodeURIComponent(graphQuery.functionArgument('50% #1')), "'50% #1'");
+});
+
+// ============================================================
+// URLS BUILT BY THE GRAPH CLIENT
+// ============================================================
+
+function requestUrl(build) {
+  const client = createClient({ authProvider: (done) => done(null, 'token') });
+  return new URL(build(client).buildFullUrl());
+}
+
+test('the Graph client sends $filter and $search exactly as built', () => {
+  for (const text of AWKWARD) {
+    const expression = graphQuery.startsWith(['displayName', 'givenName'], text);
+    const url = requestUrl(client => client.api('/users').filter(graphQuery.filter(expression)).select('id,mail'));
+    assert.equal(url.searchParams.get('$filter'), expression);
+    assert.equal(url.searchParams.get('$select'), 'id,mail');
+    assert.equal(url.hash, '');
+
+    const searchUrl = requestUrl(client => client.api('/me/people').search(graphQuery.search(text)).top(10));
+    assert.equal(searchUrl.searchParams.get('$search'), `"${text}"`);
+    assert.equal(searchUrl.searchParams.get('$top'), '10');
+  }
+});
+
+test('path segments and function arguments stay in the path', () => {
+  const url = requestUrl(client => client.api(`/users/${graphQuery.segment('x/y#z@contoso.com')}/photos/48x48/$value`));
+  assert.equal(url.pathname, '/v1.0/users/x%2Fy%23z%40contoso.com/photos/48x48/$value');
+  assert.equal(url.hash, '');
+
+  const search = requestUrl(client => client.api(`/me/drive/root/search(q=${graphQuery.functionArgument("O'Brien's Q&A #2?")})`));
+  assert.equal(decodeURIComponent(search.pathname), "/v1.0/me/drive/root/search(q='O''Brien''s Q&A #2?')");
+  assert.equal(search.search, '');
+});
+
+// ============================================================
+// GRAPH-TOOLS REQUESTS
+// ============================================================
+
+// Stand-in Graph client: records each request and answers from `respond`
+const requests = [];
+let respond = () => ({ value: [] });
+Client.init = () => ({
+  api(path) {
+    const request = { path, params: {} };
+    const builder = {
+      filter(value) { request.params.$filter = value; return builder; },
+      search(value) { request.params.$search = value; return builder; },
+      select() { return builder; },
+      top() { return builder; },
+      orderby() { return builder; },
+      header() { return builder; },
+      responseType() { return builder; },
+      async get() {
+        requests.push(request);
+        return respond(request);
+      }
+    };
+    return builder;
+  }
+});
+
+// graph-tools logs every step - keep the test output readable
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+const graphTools = require('./graph-tools');
+
+test("contact search finds O'Brien through every source", async () => {
+  requests.length = 0;
+  respond = ({ path }) => (path === '/users'
+    ? { value: [{ displayName: "Sean O'Brien", mail: 'sean.obrien@contoso.com', givenName: 'Sean', surname: "O'Brien" }] }
+    : { value: [] });
+
+  const result = await quietly(() => graphTools.searchContactEmail("Sean O'Brien", 'token'));
+  assert.equal(result.found, true);
+  assert.equal(result.results[0].email, 'sean.obrien@contoso.com');
+
+  const people = requests.find(r => r.path === '/me/people');
+  assert.equal(decodeURIComponent(people.params.$search), '"Sean O\'Brien"');
+  for (const request of requests.filter(r => r.params.$filter)) {
+    const filter = decodeURIComponent(request.params.$filter);
+    assert.match(filter, /^startswith\(displayName,'sea'\)/);
+    assert.doesNotMatch(filter, /'[^',)]*'[^',)]/, `stray quote in ${filter}`);
+  }
+});
+
+test('email search keeps apostrophes and ampersands inside the literal', async () => {
+  requests.length = 0;
+  respond = () => ({ value: [] });
+
+  await quietly(() => graphTools.searchEmails("O'Brien & Sons", 'token'));
+  assert.equal(
+    decodeURIComponent(requests[0].params.$filter),
+    "contains(subject,'O''Brien & Sons') or contains(from/emailAddress/address,'O''Brien & Sons')"
+  );
+  assert.doesNotMatch(requests[0].params.$filter, /[& ]/);
+});
+
+test('file search passes the name as one function argument', async () => {
+  requests.length = 0;
+  respond = () => ({ value: [] });
+
+  await quietly(() => graphTools.searchFiles("Q3 'final' report #2", 'token'));
+  assert.equal(decodeURIComponent(requests[0].path), "/me/drive/root/search(q='Q3 ''final'' report #2')");
+  assert.doesNotMatch(requests[0].path, /[ #]/);
+});
@@ -0,0 +1,122 @@
+/**
+ * ============================================================
+ * 🧪 NAME MATCHER TESTS
+ * ============================================================
+ *
+ * Checks how name-matcher.js ranks misheard names:
+ * 1. Speech-recognition spellings find the right person
+ * 2. Prefixes score below an exact name
+ * 3. MATCH_THRESHOLD drops unrelated names
+ * 4. CONFIDENT_SCORE / SCORE_MARGIN decide between using a match,
+ *    confirming it, or asking which person was meant
+ *
+ * Usage:
+ * node --test test-name-matcher.js
+ * ============================================================
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const nameMatcher = require('./name-matcher');
+
+const PEOPLE = [
+  { name: 'Jatin Kumar', givenName: 'Jatin', surname: 'Kumar' },
+  { name: 'Priyanshu Sharma', givenName: 'Priyanshu', surname: 'Sharma' },
+  { name: 'Siddharth Rao', givenName: 'Siddharth', surname: 'Rao' },
+  { name: 'Rajesh Verma', givenName: 'Rajesh', surname: 'Verma' },
+  { name: 'Raj Patel', givenName: 'Raj', surname: 'Patel' },
+  { name: 'Ann Lee', givenName: 'Ann', surname: 'Lee' },
+  { name: 'Anna Smith', givenName: 'Anna', surname: 'Smith' },
+  { name: 'Chetan Shah', givenName: 'Chetan', surname: 'Shah' }
+];
+
+function names(matches) {
+  return matches.map(match => match.name);
+}
+
+// The people about as likely as the best match - more than one means asking the user
+// (the rule graph-tools.js applies to contact search results)
+function contenders(searchedName) {
+  const matches = nameMatcher.rankMatches(searchedName, PEOPLE);
+  if (matches.length === 0) return [];
+  return names(matches.filter(match => match.score >= matches[0].score - nameMatcher.SCORE_MARGIN));
+}
+
+// ============================================================
+// MISHEARD NAMES
+// ============================================================
+
+test('speech-recognition spellings find the right person', () => {
+  for (const [heard, meant] of [['Jateen', 'Jatin Kumar'], ['Priyanshoo', 'Priyanshu Sharma'], ['Siddarth', 'Siddharth Rao']]) {
+    const matches = nameMatcher.rankMatches(heard, PEOPLE);
+    assert.equal(matches[0].name, meant, `"${heard}"`);
+    assert.ok(matches[0].score >= nameMatcher.CONFIDENT_SCORE, `"${heard}" scored ${matches[0].score}`);
+    assert.deepEqual(contenders(heard), [meant]);
+  }
+});
+
+test('spelling variants share one form', () => {
+  assert.equal(nameMatcher.spellingVariant('priyanshoo'), nameMatcher.spellingVariant('priyanshu'));
+  assert.equal(nameMatcher.spellingVariant('jateen'), nameMatcher.spellingVariant('jatin'));
+});
+
+test('words split or run together still match', () => {
+  assert.equal(nameMatcher.rankMatches('jatinkumar', PEOPLE)[0].name, 'Jatin Kumar');
+  assert.equal(nameMatcher.rankMatches('priyan shu', PEOPLE)[0].name, 'Priyanshu Sharma');
+});
+
+test('exact names score 1, in any case', () => {
+  assert.equal(nameMatcher.scoreName('jatin kumar', 'Jatin Kumar'), 1);
+  assert.equal(nameMatcher.scoreName('SIDDHARTH', PEOPLE[2]), 1);
+});
+
+// ============================================================
+// PREFIXES & THRESHOLD
+// ============================================================
+
+test('a prefix scores below an exact name', () => {
+  const prefix = nameMatcher.scoreName('raj', 'Rajesh Verma');
+  assert.ok(prefix >= nameMatcher.MATCH_THRESHOLD, `prefix scored ${prefix}`);
+  assert.ok(prefix < nameMatcher.scoreName('raj', 'Raj Patel'));
+  assert.ok(prefix < nameMatcher.CONFIDENT_SCORE);
+  assert.deepEqual(names(nameMatcher.rankMatches('raj', PEOPLE)), ['Raj Patel', 'Rajesh Verma']);
+});
+
+test('prefixes shorter than three letters do not match', () => {
+  assert.ok(nameMatcher.scoreName('ra', 'Rajesh Verma') < nameMatcher.MATCH_THRESHOLD);
+});
+
+test('unrelated names fall below the threshold', () => {
+  assert.deepEqual(nameMatcher.rankMatches('Zbigniew', PEOPLE), []);
+  assert.deepEqual(nameMatcher.rankMatches('', PEOPLE), []);
+  assert.equal(nameMatcher.scoreName('', 'Jatin Kumar'), 0);
+});
+
+// ============================================================
+// CONFIDENCE & AMBIGUITY
+// ============================================================
+
+test('a close pair (Ann / Anna) is ambiguous', () => {
+  assert.deepEqual(contenders('Ann'), ['Ann Lee', 'Anna Smith']);
+  assert.deepEqual(contenders('Anna'), ['Anna Smith', 'Ann Lee']);
+});
+
+test('a clearly better match leaves the others out', () => {
+  // Raj Patel is exact, Rajesh only a prefix - just outside SCORE_MARGIN
+  assert.deepEqual(contenders('Raj'), ['Raj Patel']);
+  assert.deepEqual(contenders('Siddharth Rao'), ['Siddharth Rao']);
+});
+
+test('a lone sound-alike match is below the confident score', () => {
+  // "Ketan" → Chetan is offered, but confirmed before it's used
+  const [match] = nameMatcher.rankMatches('Ketan', PEOPLE);
+  assert.equal(match.name, 'Chetan Shah');
+  assert.ok(match.score >= nameMatcher.MATCH_THRESHOLD);
+  assert.ok(match.score < nameMatcher.CONFIDENT_SCORE);
+});
+
+test('equal scores keep the original order', () => {
+  const twins = [{ name: 'Raj Kumar' }, { name: 'Raj Patel' }];
+  assert.deepEqual(names(nameMatcher.rankMatches('raj', twins)), ['Raj Kumar', 'Raj Patel']);
+  assert.deepEqual(names(nameMatcher.rankMatches('raj', [...twins].reverse())), ['Raj Patel', 'Raj Kumar']);
+});
@@ -0,0 +1,161 @@
+/**
+ * ============================================================
+ * 🧪 SESSION ISOLATION TESTS
+ * ============================================================
+ *
+ * Verifies that concurrent users never see each other's identity:
+ * 1. Two users log in at the same time and get separate sessions
+ * 2. /auth/me, /auth/user and /auth/success are scoped to the caller
+ * 3. Logging one user out leaves the other untouched
+ * 4. Requests without a session are rejected
+ *
+ * Runs offline - the Microsoft login step is replaced with a fake
+ * code exchange and sessions use the in-memory store.
+ *
+ * Usage:
+ * node --test test-sessions.js
+ * ============================================================
+ */
+
+process.env.STORE_BACKEND = 'memory';
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const assert = require('node:assert/strict');
+const { test, before, after } = require('node:test');
+const express = require('express');
+
+// Fake the OAuth code exchange: code "alice" logs in alice@contoso.com
+const graphTools = require('./graph-tools');
+graphTools.getAccessTokenByAuthCode = async (code) => {
+  // Let the two logins overlap
+  await new Promise(resolve => setTimeout(resolve, code === 'alice' ? 30 : 10));
+  return {
+    accessToken: `graph-token-${code}`,
+    expiresIn: 3600,
+    account: { username: `${code}@contoso.com`, name: code.charAt(0).toUpperCase() + code.slice(1) }
+  };
+};
+
+// Mailbox timezone detection would call Graph at login
+const timezoneHelper = require('./timezone-helper');
+timezoneHelper.getUserTimeZone = async () => 'UTC';
+
+const { router: authRouter } = require('./auth');
+const { parseCookies, loadSession, verifyCsrf } = require('./session-manager');
+
+let baseUrl;
+let server;
+
+// The auth routes with the same session middleware as server.js, on a free port
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(parseCookies);
+  app.use(loadSession);
+  app.use(verifyCsrf);
+  app.use('/auth', authRouter);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+async function login(code) {
+  const response = await fetch(`${baseUrl}/auth/callback?code=${code}`, { redirect: 'manual' });
+  assert.equal(response.status, 302, `login for ${code} should redirect`);
+  const setCookie = response.headers.get('set-cookie');
+  assert.ok(setCookie, `login for ${code} should set a session cookie`);
+  return setCookie.split(';')[0];
+}
+
+async function getJson(path, cookie) {
+  const response = await fetch(baseUrl + path, { headers: cookie ? { Cookie: cookie } : {} });
+  return { status: response.status, body: response.status === 200 ? await response.json() : null };
+}
+
+async function getCsrfToken(cookie) {
+  const { body } = await getJson('/auth/session', cookie);
+  return body.csrfToken;
+}
+
+// ============================================================
+// TESTS
+// ============================================================
+
+let alice;
+let bob;
+
+test('two simultaneous logins get different session cookies', async () => {
+  [alice, bob] = await Promise.all([login('alice'), login('bob')]);
+  assert.notEqual(alice, bob);
+  assert.ok(!alice.includes('session_'), 'session IDs must not be timestamps');
+});
+
+test('/auth/me returns each caller\'s own identity', async () => {
+  const [meAlice, meBob] = await Promise.all([getJson('/auth/me', alice), getJson('/auth/me', bob)]);
+  assert.equal(meAlice.status, 200);
+  assert.equal(meBob.status, 200);
+  assert.equal(meAlice.body.email, 'alice@contoso.com');
+  assert.equal(meBob.body.email, 'bob@contoso.com');
+  assert.equal(meAlice.body.name, 'Alice');
+});
+
+test('/auth/me never exposes tokens', async () => {
+  const { body } = await getJson('/auth/me', alice);
+  const raw = JSON.stringify(body);
+  assert.ok(!raw.includes('graph-token'), 'access token leaked');
+  assert.ok(!('accessToken' in body));
+  assert.ok(!('account' in body));
+});
+
+test('/auth/user (legacy) is scoped to the caller', async () => {
+  const { body } = await getJson('/auth/user', bob);
+  assert.equal(body.email, 'bob@contoso.com');
+});
+
+test('/auth/success greets the caller, not the last user to log in', async () => {
+  const html = await (await fetch(`${baseUrl}/auth/success`, { headers: { Cookie: alice } })).text();
+  assert.ok(html.includes('alice@contoso.com'));
+  assert.ok(!html.includes('bob@contoso.com'));
+});
+
+test('CSRF tokens differ per session', async () => {
+  const [aliceCsrf, bobCsrf] = await Promise.all([getCsrfToken(alice), getCsrfToken(bob)]);
+  assert.ok(aliceCsrf && bobCsrf);
+  assert.notEqual(aliceCsrf, bobCsrf);
+});
+
+test('logout with another user\'s CSRF token is refused', async () => {
+  const response = await fetch(`${baseUrl}/auth/logout`, {
+    method: 'POST',
+    headers: { Cookie: alice, 'X-CSRF-Token': await getCsrfToken(bob) }
+  });
+  assert.equal(response.status, 403);
+  assert.equal((await getJson('/auth/me', alice)).status, 200);
+});
+
+test('logging out one user keeps the other logged in', async () => {
+  const response = await fetch(`${baseUrl}/auth/logout`, {
+    method: 'POST',
+    headers: { Cookie: alice, 'X-CSRF-Token': await getCsrfToken(alice) }
+  });
+  assert.equal(response.status, 200);
+  assert.equal((await getJson('/auth/me', alice)).status, 401);
+
+  const meBob = await getJson('/auth/me', bob);
+  assert.equal(meBob.status, 200);
+  assert.equal(meBob.body.email, 'bob@contoso.com');
+});
+
+test('requests without a session are rejected', async () => {
+  assert.equal((await getJson('/auth/me')).status, 401);
+  assert.equal((await getJson('/auth/me', 'ashistanto.sid=s%3Aforged.signature')).status, 401);
+});
@@ -4,7 +4,8 @@
  * ============================================================
  * 
  * Handles user timezone detection and all date/time formatting
- * - Detects timezone from user's Graph profile
+ * - Detects timezone from user's Graph mailbox settings at login
+ * - Maps Windows timezone names (e.g. "India Standard Time") to IANA
  * - Converts all times to user's timezone
  * - Stores timezone in session for consistency
  * - No hardcoding - timezone detected per user
@@ -22,9 +23,77 @@ function getGraphTools() {
   return graphTools;
 }
 
-// Map to store user timezone by sessionId
-// In production, store this in database
-const userTimeZoneStore = new Map();
+const { createStore } = require('./store');
+
+// Persistent store of user timezone by sessionId (re-detected after 24h)
+const userTimeZoneStore = createStore('timezones', { ttlMs: 24 * 60 * 60 * 1000 });
+
+// Outlook mailbox settings usually report Windows timezone names
+// Map the common ones to IANA names understood by Intl and Graph
+const WINDOWS_TO_IANA = {
+  'Dateline Standard Time': 'Etc/GMT+12',
+  'UTC-11': 'Etc/GMT+11',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Mountain Standard Time': 'America/Denver',
+  'Central America Standard Time': 'America/Guatemala',
+  'Central Standard Time': 'America/Chicago',
+  'Central Standard Time (Mexico)': 'America/Mexico_City',
+  'Canada Central Standard Time': 'America/Regina',
+  'SA Pacific Standard Time': 'America/Bogota',
+  'Eastern Standard Time': 'America/New_York',
+  'US Eastern Standard Time': 'America/Indiana/Indianapolis',
+  'Atlantic Standard Time': 'America/Halifax',
+  'SA Western Standard Time': 'America/La_Paz',
+  'Newfoundland Standard Time': 'America/St_Johns',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'Argentina Standard Time': 'America/Argentina/Buenos_Aires',
+  'UTC': 'UTC',
+  'Coordinated Universal Time': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'W. Central Africa Standard Time': 'Africa/Lagos',
+  'GTB Standard Time': 'Europe/Bucharest',
+  'Egypt Standard Time': 'Africa/Cairo',
+  'South Africa Standard Time': 'Africa/Johannesburg',
+  'FLE Standard Time': 'Europe/Kiev',
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'Arabic Standard Time': 'Asia/Baghdad',
+  'Arab Standard Time': 'Asia/Riyadh',
+  'Russian Standard Time': 'Europe/Moscow',
+  'E. Africa Standard Time': 'Africa/Nairobi',
+  'Turkey Standard Time': 'Europe/Istanbul',
+  'Iran Standard Time': 'Asia/Tehran',
+  'Arabian Standard Time': 'Asia/Dubai',
+  'Afghanistan Standard Time': 'Asia/Kabul',
+  'Pakistan Standard Time': 'Asia/Karachi',
+  'West Asia Standard Time': 'Asia/Tashkent',
+  'India Standard Time': 'Asia/Kolkata',
+  'Sri Lanka Standard Time': 'Asia/Colombo',
+  'Nepal Standard Time': 'Asia/Kathmandu',
+  'Bangladesh Standard Time': 'Asia/Dhaka',
+  'Myanmar Standard Time': 'Asia/Yangon',
+  'SE Asia Standard Time': 'Asia/Bangkok',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Taipei Standard Time': 'Asia/Taipei',
+  'W. Australia Standard Time': 'Australia/Perth',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'Korea Standard Time': 'Asia/Seoul',
+  'Cen. Australia Standard Time': 'Australia/Adelaide',
+  'AUS Central Standard Time': 'Australia/Darwin',
+  'E. Australia Standard Time': 'Australia/Brisbane',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'Tasmania Standard Time': 'Australia/Hobart',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'Fiji Standard Time': 'Pacific/Fiji'
+};
 
 /**
  * Get or detect user's timezone
@@ -36,9 +105,10 @@ const userTimeZoneStore = new Map();
  */
 async function getUserTimeZone(sessionId, userToken) {
   // Check if already cached
-  if (userTimeZoneStore.has(sessionId)) {
-    console.log(`✓ Timezone from cache: ${userTimeZoneStore.get(sessionId)}`);
-    return userTimeZoneStore.get(sessionId);
+  const cachedTimeZone = await userTimeZoneStore.get(sessionId);
+  if (cachedTimeZone) {
+    console.log(`✓ Timezone from cache: ${cachedTimeZone}`);
+    return toIanaTimeZone(cachedTimeZone);
   }
 
   try {
@@ -46,7 +116,7 @@ async function getUserTimeZone(sessionId, userToken) {
     const timeZone = await detectTimeZoneFromGraph(userToken);
     
     // Cache for future use
-    userTimeZoneStore.set(sessionId, timeZone);
+    await userTimeZoneStore.set(sessionId, timeZone);
     console.log(`✓ Timezone detected: ${timeZone}`);
     
     return timeZone;
@@ -55,7 +125,7 @@ async function getUserTimeZone(sessionId, userToken) {
     
     // Fallback to UTC
     const defaultTimeZone = 'UTC';
-    userTimeZoneStore.set(sessionId, defaultTimeZone);
+    await userTimeZoneStore.set(sessionId, defaultTimeZone);
     console.log(`✓ Using default timezone: ${defaultTimeZone}`);
     
     return defaultTimeZone;
@@ -77,19 +147,15 @@ async function detectTimeZoneFromGraph(userToken) {
     
     const settings = await client
       .api('/me/mailboxSettings')
+      .select('timeZone')
       .get();
 
     if (settings && settings.timeZone) {
-      console.log(`   📍 User timezone from Graph: ${settings.timeZone}`);
-      return settings.timeZone;
+      const timeZone = toIanaTimeZone(settings.timeZone);
+      console.log(`   📍 User timezone from Graph: ${settings.timeZone} → ${timeZone}`);
+      return timeZone;
     }
 
-    // Fallback: try to get from user profile
-    const profile = await client
-      .api('/me')
-      .select('preferredLanguage')
-      .get();
-
     // If all else fails, return UTC
     return 'UTC';
   } catch (err) {
@@ -102,10 +168,10 @@ async function detectTimeZoneFromGraph(userToken) {
  * Clear cached timezone for a session (e.g., on logout)
  * @param {String} sessionId 
  */
-function clearCachedTimeZone(sessionId) {
-  if (userTimeZoneStore.has(sessionId)) {
-    userTimeZoneStore.delete(sessionId);
-    console.log(`✓ Timezone cleared for session: ${sessionId}`);
+async function clearCachedTimeZone(sessionId) {
+  if (!sessionId) return;
+  if (await userTimeZoneStore.delete(sessionId)) {
+    console.log('✓ Timezone cleared for session');
   }
 }
 
@@ -290,6 +356,59 @@ function getUserCurrentTime(userTimeZone = 'UTC') {
   }
 }
 
+/**
+ * Convert a Windows or IANA timezone name to an IANA name
+ * @param {String} timeZone - e.g. 'India Standard Time' or 'Europe/London'
+ * @returns {String} IANA timezone, 'UTC' if unknown
+ */
+function toIanaTimeZone(timeZone) {
+  if (!timeZone) return 'UTC';
+  if (WINDOWS_TO_IANA[timeZone]) return WINDOWS_TO_IANA[timeZone];
+  if (isValidTimeZone(timeZone)) return timeZone;
+
+  console.warn(`⚠ Unknown timezone "${timeZone}", using UTC`);
+  return 'UTC';
+}
+
+/**
+ * Get a calendar date in the user's timezone
+ * @param {String} userTimeZone
+ * @param {Number} daysFromToday - 0 = today, 1 = tomorrow
+ * @returns {String} Date as YYYY-MM-DD
+ */
+function getUserDate(userTimeZone = 'UTC', daysFromToday = 0) {
+  const date = new Date(Date.now() + daysFromToday * 24 * 60 * 60 * 1000);
+  return toWallClock(date, userTimeZone).split('T')[0];
+}
+
+/**
+ * Express an instant as wall-clock time in a timezone
+ * @param {Date} date
+ * @param {String} userTimeZone
+ * @returns {String} YYYY-MM-DDTHH:mm:ss (no offset)
+ */
+function toWallClock(date, userTimeZone = 'UTC') {
+  // sv-SE formats as "YYYY-MM-DD HH:mm:ss"
+  return date.toLocaleString('sv-SE', { timeZone: userTimeZone, hourCycle: 'h23' }).replace(' ', 'T');
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC ISO string
+ * e.g. ('2025-01-15T00:00:00', 'Asia/Kolkata') → '2025-01-14T18:30:00.000Z'
+ *
+ * @param {String} wallClock - YYYY-MM-DDTHH:mm:ss (no offset)
+ * @param {String} userTimeZone
+ * @returns {String} ISO string in UTC
+ */
+function wallClockToUtc(wallClock, userTimeZone = 'UTC') {
+  const asUtc = new Date(`${wallClock.slice(0, 19)}Z`);
+  // Offset of the zone at (approximately) that instant - re-check once for DST edges
+  let offsetMs = new Date(`${toWallClock(asUtc, userTimeZone)}Z`) - asUtc;
+  const guess = new Date(asUtc.getTime() - offsetMs);
+  offsetMs = new Date(`${toWallClock(guess, userTimeZone)}Z`) - guess;
+  return new Date(asUtc.getTime() - offsetMs).toISOString();
+}
+
 /**
  * Convert a UTC time to user's timezone
  * Useful for calendar event conversions
@@ -340,6 +459,10 @@ module.exports = {
   getValidTimeZones,
   isValidTimeZone,
   getUserCurrentTime,
+  getUserDate,
+  toIanaTimeZone,
+  toWallClock,
+  wallClockToUtc,
   convertToUserTimeZone,
   userTimeZoneStore // For testing/debugging only
 };
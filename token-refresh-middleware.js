@@ -1,4 +1,4 @@
-const { userTokenStore } = require('./auth');
+const { userTokenStore } = require('./session-manager');
 
 /**
  * Token Refresh Middleware
@@ -8,10 +8,10 @@ const { userTokenStore } = require('./auth');
 /**
  * Check if token needs refresh (expires in less than 5 minutes)
  * @param {string} sessionId - User session ID
- * @returns {boolean} - True if token needs refresh
+ * @returns {Promise<boolean>} - True if token needs refresh
  */
-function needsRefresh(sessionId) {
-    const tokenData = userTokenStore.get(sessionId);
+async function needsRefresh(sessionId) {
+    const tokenData = await userTokenStore.get(sessionId);
     if (!tokenData || !tokenData.expiresAt) {
         return false;
     }
@@ -28,19 +28,20 @@ function needsRefresh(sessionId) {
  * @returns {Promise<string>} - New access token
  */
 async function refreshTokenIfNeeded(sessionId) {
-    const tokenData = userTokenStore.get(sessionId);
+    const tokenData = await userTokenStore.get(sessionId);
 
     if (!tokenData) {
         throw new Error('Session not found');
     }
 
     // Check if refresh is needed
-    if (!needsRefresh(sessionId)) {
-        console.log(`✓ Token still valid for session: ${sessionId}`);
+    if (!await needsRefresh(sessionId)) {
         return tokenData.accessToken;
     }
 
-    console.log(`🔄 Refreshing token for session: ${sessionId}`);
+    // Session IDs are credentials - only log a short prefix
+    const sessionLabel = `${sessionId.substring(0, 8)}…`;
+    console.log(`🔄 Refreshing token for session: ${sessionLabel}`);
 
     try {
         // Use MSAL's silent refresh via the account object
@@ -60,16 +61,16 @@ async function refreshTokenIfNeeded(sessionId) {
             expiresAt: Date.now() + ((newTokenResponse.expiresIn || 3600) * 1000),
         };
 
-        userTokenStore.set(sessionId, updatedTokenData);
+        await userTokenStore.set(sessionId, updatedTokenData);
 
-        console.log(`✅ Token refreshed successfully for session: ${sessionId}`);
+        console.log(`✅ Token refreshed successfully for session: ${sessionLabel}`);
         return updatedTokenData.accessToken;
 
     } catch (error) {
-        console.error(`❌ Token refresh failed for session ${sessionId}:`, error.message);
+        console.error(`❌ Token refresh failed for session ${sessionLabel}:`, error.message);
 
         // Remove invalid session
-        userTokenStore.delete(sessionId);
+        await userTokenStore.delete(sessionId);
 
         throw new Error('Token refresh failed. Please log in again.');
     }
@@ -87,15 +88,15 @@ async function handleGraphApiCall(apiCall, sessionId, retryCount = 0) {
 
     try {
         // Proactively refresh token if needed
-        const tokenData = userTokenStore.get(sessionId);
+        const tokenData = await userTokenStore.get(sessionId);
         if (!tokenData) {
             throw new Error('Session not found. Please log in again.');
         }
 
-        if (needsRefresh(sessionId)) {
+        if (await needsRefresh(sessionId)) {
             await refreshTokenIfNeeded(sessionId);
             // Get updated token
-            const updatedTokenData = userTokenStore.get(sessionId);
+            const updatedTokenData = await userTokenStore.get(sessionId);
             // Execute API call with fresh token
             return await apiCall(updatedTokenData.accessToken);
         }
@@ -118,7 +119,7 @@ async function handleGraphApiCall(apiCall, sessionId, retryCount = 0) {
                 await refreshTokenIfNeeded(sessionId);
 
                 // Retry the API call with new token
-                const updatedTokenData = userTokenStore.get(sessionId);
+                const updatedTokenData = await userTokenStore.get(sessionId);
                 return await apiCall(updatedTokenData.accessToken);
 
             } catch (refreshError) {
@@ -94,6 +94,69 @@ async function synthesizeText(text, accent = 'american') {
   });
 }
 
+/**
+ * Split text into sentence-sized chunks for incremental synthesis
+ * Very short fragments are merged into the previous chunk
+ * @param {string} text - Text to split
+ * @returns {string[]} Sentence chunks in speaking order
+ */
+function splitIntoSentences(text) {
+  if (!text || !text.trim()) return [];
+
+  const MIN_CHUNK_LENGTH = 20;
+  // Break after sentence terminators followed by whitespace, and on newlines
+  const parts = text.split(/(?<=[.!?])\s+|\n+/);
+  const chunks = [];
+
+  for (const part of parts) {
+    const trimmed = part.trim();
+    if (!trimmed) continue;
+
+    if (chunks.length > 0 && chunks[chunks.length - 1].length < MIN_CHUNK_LENGTH) {
+      chunks[chunks.length - 1] += ' ' + trimmed;
+    } else {
+      chunks.push(trimmed);
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Incrementally collect streamed text and emit complete sentences
+ * Used to start synthesis while the agent reply is still being generated
+ * @param {Function} onSentence - Called with each complete sentence chunk
+ * @returns {{push: Function, flush: Function}} Chunker
+ */
+function createSentenceChunker(onSentence) {
+  let buffer = '';
+
+  return {
+    push(text) {
+      buffer += text;
+
+      // Only cut after a terminator followed by whitespace, so "3.5" or "e.g." mid-token stay intact
+      const boundary = /[.!?\n]+\s/g;
+      let lastEnd = -1;
+      let match;
+      while ((match = boundary.exec(buffer)) !== null) {
+        lastEnd = match.index + match[0].length;
+      }
+
+      if (lastEnd > 0) {
+        const ready = buffer.slice(0, lastEnd);
+        buffer = buffer.slice(lastEnd);
+        splitIntoSentences(ready).forEach(onSentence);
+      }
+    },
+
+    flush() {
+      splitIntoSentences(buffer).forEach(onSentence);
+      buffer = '';
+    }
+  };
+}
+
 /**
  * Validate accent selection
  * @param {string} accent - Accent type to validate
@@ -122,6 +185,8 @@ function getVoiceInfo(accent) {
 
 module.exports = {
   synthesizeText,
+  splitIntoSentences,
+  createSentenceChunker,
   isValidAccent,
   getAvailableVoices,
   getVoiceInfo,
@@ -0,0 +1,369 @@
+/**
+ * ============================================================
+ * 🎙️ STREAMING VOICE PIPELINE (WebSocket)
+ * ============================================================
+ *
+ * Live alternative to the one-shot /api/process-voice upload:
+ * - Accepts MediaRecorder WebM/Opus frames while the user speaks
+ * - Transcodes them on the fly to 16 kHz PCM with ffmpeg
+ * - Streams partial transcripts back from continuous recognition
+ * - Streams agent tokens and synthesizes each sentence as soon as
+ *   it is complete, so playback starts before the reply finishes
+ *
+ * Protocol (endpoint: /ws/voice):
+ *   The session comes from the signed session cookie sent with the
+ *   upgrade request; cross-origin connections are refused.
+ *
+ *   client → server
+ *     {type:'start', accent, language}              (JSON text frame)
+ *     <binary audio frames>                         (WebM chunks)
+ *     {type:'stop'}                                  (end of utterance)
+ *     {type:'cancel'}                                (abort utterance)
+ *   server → client
+ *     {type:'ready'}
+ *     {type:'partial_transcript', text}
+ *     {type:'transcript', text}
+ *     {type:'agent_token', content}                  (reply text as generated)
+ *     {type:'agent_response', response}
+ *     {type:'audio', seq, format, data}              (base64 MP3)
+ *     {type:'done'}
+ *     {type:'error', error}
+ *
+ * ============================================================
+ */
+
+const { WebSocketServer } = require('ws');
+const { PassThrough } = require('stream');
+const ffmpeg = require('fluent-ffmpeg');
+const sdk = require('microsoft-cognitiveservices-speech-sdk');
+const ttsService = require('./tts-service');
+const { getSession, getSessionIdFromRequest } = require('./session-manager');
+const { refreshTokenIfNeeded } = require('./token-refresh-middleware');
+
+const VOICE_WS_PATH = '/ws/voice';
+// Largest single frame accepted - MediaRecorder sends a few KB every 100ms
+const MAX_FRAME_BYTES = 1024 * 1024;
+
+/**
+ * Attach the streaming voice WebSocket endpoint to an HTTP server
+ *
+ * @param {http.Server} server - Server returned by app.listen()
+ * @param {Object} deps
+ * @param {Function} deps.queryAgent - (text, history, sessionId, userToken, onEvent) => Promise<String>
+ * @param {Function} deps.getConversationHistory - (sessionId) => Promise<Array>
+ * @param {Function} deps.saveConversationHistory - (sessionId, history) => Promise
+ * @returns {WebSocketServer}
+ */
+function attachVoiceStream(server, deps) {
+  const wss = new WebSocketServer({ server, path: VOICE_WS_PATH, maxPayload: MAX_FRAME_BYTES });
+
+  wss.on('connection', (ws, req) => {
+    // Browsers always send Origin - refuse pages from other sites (cross-site WebSocket hijacking)
+    if (!isSameOrigin(req)) {
+      console.warn(`⚠️ Voice stream rejected from foreign origin: ${req.headers.origin}`);
+      return ws.close(1008, 'Origin not allowed');
+    }
+
+    const sessionId = getSessionIdFromRequest(req);
+    console.log('🔌 Voice stream connected');
+    let utterance = null;
+
+    ws.on('message', async (data, isBinary) => {
+      if (isBinary) {
+        if (utterance) utterance.writeAudio(data);
+        return;
+      }
+
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch (e) {
+        return send(ws, { type: 'error', error: 'Invalid control message' });
+      }
+
+      try {
+        if (msg.type === 'start') {
+          if (utterance) utterance.abort();
+
+          const accent = msg.accent || 'american';
+
+          if (!await getFreshToken(sessionId)) {
+            return send(ws, { type: 'error', error: 'Invalid or expired session' });
+          }
+          if (!ttsService.isValidAccent(accent)) {
+            return send(ws, { type: 'error', error: `Invalid accent: ${accent}` });
+          }
+
+          utterance = createUtterance(ws, { sessionId, accent, language: msg.language || 'en-US' });
+          send(ws, { type: 'ready' });
+        } else if (msg.type === 'stop') {
+          if (!utterance) return;
+          const current = utterance;
+          utterance = null;
+          await finishUtterance(ws, current, deps);
+        } else if (msg.type === 'cancel') {
+          if (utterance) utterance.abort();
+          utterance = null;
+        }
+      } catch (error) {
+        console.error('❌ Voice stream error:', error.message);
+        send(ws, { type: 'error', error: error.message || 'Unknown error occurred' });
+      }
+    });
+
+    ws.on('close', () => {
+      if (utterance) utterance.abort();
+      utterance = null;
+      console.log('🔌 Voice stream disconnected');
+    });
+  });
+
+  console.log(`✓ Streaming voice endpoint ready at ${VOICE_WS_PATH}`);
+  return wss;
+}
+
+/**
+ * Access token for a session, refreshed like requireAuth does for HTTP routes
+ * @param {String} sessionId
+ * @returns {Promise<String|null>} null when the session is missing, expired or can't be refreshed
+ */
+async function getFreshToken(sessionId) {
+  if (!sessionId) return null;
+  try {
+    const accessToken = await refreshTokenIfNeeded(sessionId);
+    return (await getSession(sessionId)) ? accessToken : null;
+  } catch (error) {
+    console.error('❌ Voice stream token refresh failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Start transcoding + continuous recognition for one utterance
+ * @returns {Object} Utterance handle {writeAudio, end, abort, ...}
+ */
+function createUtterance(ws, { sessionId, accent, language }) {
+  const speechKey = process.env.AZURE_SPEECH_KEY;
+  const speechRegion = process.env.AZURE_SPEECH_REGION;
+
+  if (!speechKey || !speechRegion) {
+    throw new Error('Azure Speech credentials not configured in .env file');
+  }
+
+  // Session IDs are credentials - only log a short prefix
+  console.log(`\n=== Streaming Voice Started (session: ${String(sessionId).substring(0, 8)}…) ===`);
+
+  const speechConfig = sdk.SpeechConfig.fromSubscription(speechKey, speechRegion);
+  speechConfig.speechRecognitionLanguage = language;
+
+  const format = sdk.AudioStreamFormat.getWaveFormatPCM(16000, 16, 1);
+  const pushStream = sdk.AudioInputStream.createPushStream(format);
+  const recognizer = new sdk.SpeechRecognizer(speechConfig, sdk.AudioConfig.fromStreamInput(pushStream));
+
+  const finalSegments = [];
+  let closed = false;
+
+  // Resolves once the recognizer has drained the pushed audio
+  const recognitionDone = new Promise((resolve) => {
+    recognizer.sessionStopped = () => resolve();
+    recognizer.canceled = (s, e) => {
+      if (e.reason === sdk.CancellationReason.Error) {
+        console.error(`  ❌ Recognition canceled: ${e.errorDetails}`);
+      }
+      resolve();
+    };
+  });
+
+  recognizer.recognizing = (s, e) => {
+    const text = [...finalSegments, e.result.text].join(' ').trim();
+    send(ws, { type: 'partial_transcript', text });
+  };
+
+  recognizer.recognized = (s, e) => {
+    if (e.result.reason === sdk.ResultReason.RecognizedSpeech && e.result.text) {
+      finalSegments.push(e.result.text);
+      console.log(`  ✓ Segment recognized: "${e.result.text}"`);
+      send(ws, { type: 'partial_transcript', text: finalSegments.join(' ') });
+    }
+  };
+
+  recognizer.startContinuousRecognitionAsync(
+    () => console.log('  → Continuous recognition started'),
+    (err) => console.error('  ❌ Could not start recognition:', err)
+  );
+
+  // WebM/Opus in → raw 16 kHz mono PCM out
+  const webmInput = new PassThrough();
+  const pcmOutput = new PassThrough();
+
+  const transcodeDone = new Promise((resolve) => {
+    ffmpeg(webmInput)
+      .inputFormat('webm')
+      .audioFrequency(16000)
+      .audioChannels(1)
+      .audioCodec('pcm_s16le')
+      .format('s16le')
+      .on('error', (err) => {
+        if (!closed) console.error('  ❌ FFmpeg stream error:', err.message);
+        resolve();
+      })
+      .on('end', () => resolve())
+      .pipe(pcmOutput, { end: true });
+  });
+
+  pcmOutput.on('data', (chunk) => {
+    pushStream.write(chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.byteLength));
+  });
+
+  return {
+    sessionId,
+    accent,
+
+    writeAudio(chunk) {
+      if (!closed) webmInput.write(chunk);
+    },
+
+    // Flush remaining audio and return the final transcript
+    async end() {
+      closed = true;
+      webmInput.end();
+      await transcodeDone;
+      pushStream.close();
+      await recognitionDone;
+      await stopRecognizer(recognizer);
+      return finalSegments.join(' ').trim();
+    },
+
+    abort() {
+      if (closed) return;
+      closed = true;
+      webmInput.destroy();
+      pushStream.close();
+      stopRecognizer(recognizer);
+      console.log('  ✗ Streaming utterance aborted');
+    }
+  };
+}
+
+/**
+ * Finalize transcript, query the agent and stream the spoken reply
+ */
+async function finishUtterance(ws, utterance, { queryAgent, getConversationHistory, saveConversationHistory }) {
+  const { sessionId, accent } = utterance;
+
+  const transcript = await utterance.end();
+  console.log('✓ Final transcript:', transcript);
+
+  if (!transcript) {
+    throw new Error('No speech detected in the audio. Please speak louder and try again.');
+  }
+  send(ws, { type: 'transcript', text: transcript });
+
+  // The utterance may have outlived the token checked on start
+  const userToken = await getFreshToken(sessionId);
+  if (!userToken) {
+    throw new Error('Invalid or expired session');
+  }
+
+  console.log('🤖 Querying AI agent (streaming)...');
+  const speech = createSpeechStream(ws, accent);
+
+  const conversationHistory = await getConversationHistory(sessionId);
+  const agentResponse = await queryAgent(transcript, conversationHistory, sessionId, userToken, (event) => {
+    if (event.type === 'token') {
+      send(ws, { type: 'agent_token', content: event.content });
+      speech.push(event.content);
+    }
+  });
+  await saveConversationHistory(sessionId, conversationHistory);
+  console.log('✓ Agent Response:', agentResponse);
+  send(ws, { type: 'agent_response', response: agentResponse });
+
+  // Action previews get a short spoken prompt instead of the JSON payload
+  if (isActionPreview(agentResponse)) {
+    console.log('🔔 Action preview detected - speaking confirmation prompt');
+    speech.push('I need your confirmation before proceeding. Please check the preview. ');
+  }
+
+  await speech.finish();
+  send(ws, { type: 'done' });
+}
+
+/**
+ * Synthesize streamed text sentence by sentence, in order, so playback
+ * can start while the rest of the reply is still being generated
+ * @returns {{push: Function, finish: Function}}
+ */
+function createSpeechStream(ws, accent) {
+  let seq = 0;
+  let queue = Promise.resolve();
+
+  const chunker = ttsService.createSentenceChunker((sentence) => {
+    queue = queue.then(async () => {
+      if (ws.readyState !== ws.OPEN) return;
+      const audioData = await ttsService.synthesizeText(sentence, accent);
+      send(ws, {
+        type: 'audio',
+        seq: seq++,
+        format: 'audio/mp3',
+        data: audioData.toString('base64')
+      });
+    }).catch((err) => {
+      console.error('  ❌ Chunk synthesis failed:', err.message);
+    });
+  });
+
+  return {
+    push: (text) => chunker.push(text),
+    async finish() {
+      chunker.flush();
+      await queue;
+      console.log(`🔊 Streamed ${seq} speech chunk(s)`);
+    }
+  };
+}
+
+/**
+ * ============================================================
+ * HELPER FUNCTIONS (Internal)
+ * ============================================================
+ */
+
+function send(ws, payload) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(payload));
+  }
+}
+
+function stopRecognizer(recognizer) {
+  return new Promise((resolve) => {
+    recognizer.stopContinuousRecognitionAsync(
+      () => { recognizer.close(); resolve(); },
+      () => { recognizer.close(); resolve(); }
+    );
+  });
+}
+
+function isSameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true; // Non-browser clients
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (e) {
+    return false;
+  }
+}
+
+function isActionPreview(response) {
+  if (typeof response !== 'string' || !response.startsWith('{')) return false;
+  try {
+    return JSON.parse(response).type === 'action_preview';
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = {
+  attachVoiceStream,
+  VOICE_WS_PATH
+};